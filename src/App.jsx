@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 
 // Components
 import ScrollToTop from "./components/ScrollToTop";
+import AuthProvider from "./components/AuthProvider";
 
 // Pages
 import LandingPage from "./pages/LandingPage";
@@ -11,7 +12,9 @@ import AuthPage from "./pages/AuthPage";
 import AdminDashboard from "./pages/AdminDashboard";
 import StudentDashboard from "./pages/StudentDashboard";
 import StudentCheck from "./components/check/StudentCheck";
+import GuardianCheck from "./components/check/GuardianCheck";
 import AdminCheck from "./components/check/AdminCheck";
+import StaffCheck from "./components/check/StaffCheck";
 import CourseCreationPage from "./pages/CourseCreationPage";
 import EnrollmentPage from "./pages/EnrollmentPage";
 import AssignmentPage from "./pages/AssignmentPage";
@@ -35,8 +38,17 @@ import AdminNoteManager from "./pages/AdminNoteManager";
 import StudentNotes from "./pages/StudentNotes";
 import AdminCourseLinks from "./pages/AdminCourseLinks";
 import AdminWorkLinks from "./pages/AdminWorkLinks";
+import AdminRosterImport from "./pages/AdminRosterImport";
+import AdminUsersPage from "./pages/AdminUsersPage";
+import AdminAuditLogPage from "./pages/AdminAuditLogPage";
+import AdminEnrollmentRequests from "./pages/AdminEnrollmentRequests";
+import AdminAnnouncementsPage from "./pages/AdminAnnouncementsPage";
+import AdminOutcomesPage from "./pages/AdminOutcomesPage";
 import AdminRoadmap from "./pages/AdminRoadmap";
 import StudentRoadmap from "./pages/StudentRoadmap";
+import GuardianDashboard from "./pages/GuardianDashboard";
+import JoinCoursePage from "./pages/JoinCoursePage";
+import CourseCatalogPage from "./pages/CourseCatalogPage";
 // Sonner
 import { Toaster } from "sonner";
 import StudentCourseLinks from "./pages/StudentCourseLinks";
@@ -44,6 +56,7 @@ import CodePlayground from "./pages/CodePlayground";
 
 function App() {
   return (
+    <AuthProvider>
     <Router>
       <ScrollToTop />
       <div className="relative flex flex-col min-h-screen bg-[#0b0f17] text-white overflow-hidden">
@@ -56,69 +69,70 @@ function App() {
 
             {/* Auth routes */}
             <Route path="/login" element={<AuthPage />} />
+            <Route path="/join/:code" element={<JoinCoursePage />} />
 
             //admin routes
             <Route path="/admin/*" element={
               
-              <AdminCheck>
+              <StaffCheck>
               <AdminDashboard />
-              </AdminCheck>} />
+              </StaffCheck>} />
 
               <Route path="/admin/create-course" element={
                 
-                <AdminCheck>
+                <StaffCheck>
                 <CourseCreationPage />
-                </AdminCheck>} />
+                </StaffCheck>} />
 
                  <Route path="/admin/assignments" element={
-                  <AdminCheck>
+                  <StaffCheck>
                   <AssignmentPage />
-                  </AdminCheck>} 
+                  </StaffCheck>} 
                  />
              
              <Route path="/admin/attendance" element={
-              <AdminCheck>
+              <StaffCheck>
               <AttendancePage />
-              </AdminCheck>} />
+              </StaffCheck>} />
              
               <Route path="/admin/generate-quiz" element={
-                <AdminCheck>
+                <StaffCheck>
                 <QuizGeneratorPage />
-                </AdminCheck>} />
+                </StaffCheck>} />
               <Route path="/admin/quiz-results" element={
                 <AdminCheck>
                 <QuizResultsPage />
                 </AdminCheck>} />
                <Route path="/courses/edit/:id" element={
-                <AdminCheck>
+                <StaffCheck>
                 <CourseEditPage />
-                </AdminCheck>} />
+                </StaffCheck>} />
               <Route path="/admin/notes" element={
-                <AdminCheck>
+                <StaffCheck>
                 <AdminNoteManager/>
-                </AdminCheck>} />
+                </StaffCheck>} />
 
                 <Route path="/admin/roadmaps" element={
-                  <AdminCheck>
+                  <StaffCheck>
                   <AdminRoadmap/>
-                  </AdminCheck>} />
+                  </StaffCheck>} />
               
               <Route
           path="/admin/settings"
           element={
-            <AdminCheck>
+            <StaffCheck>
            
               <AdminSettingsPage />
-              </AdminCheck>
+              </StaffCheck>
             
           }
         />
          <Route
           path="/admin/discussions"
           element={
-              <AdminCheck>
+              <StaffCheck>
               <AdminDiscussionPage />
-              </AdminCheck>
+              </StaffCheck>
           }
         />
 
@@ -134,6 +148,30 @@ function App() {
                     <AdminCheck>
                     <AdminWorkLinks/>
                     </AdminCheck>} />
+                  <Route path="/admin/roster-import" element={
+                    <AdminCheck>
+                    <AdminRosterImport/>
+                    </AdminCheck>} />
+                  <Route path="/admin/users" element={
+                    <AdminCheck>
+                    <AdminUsersPage/>
+                    </AdminCheck>} />
+                  <Route path="/admin/audit-log" element={
+                    <AdminCheck>
+                    <AdminAuditLogPage/>
+                    </AdminCheck>} />
+                  <Route path="/admin/enrollment-requests" element={
+                    <StaffCheck>
+                    <AdminEnrollmentRequests/>
+                    </StaffCheck>} />
+                  <Route path="/admin/announcements" element={
+                    <StaffCheck>
+                    <AdminAnnouncementsPage/>
+                    </StaffCheck>} />
+                  <Route path="/admin/outcomes" element={
+                    <StaffCheck>
+                    <AdminOutcomesPage/>
+                    </StaffCheck>} />
          <Route
           path="/student/settings"
           element={
@@ -164,6 +202,10 @@ function App() {
               <StudentCheck>
               <EnrollmentPage />
               </StudentCheck>} />
+            <Route path="/student/catalog/:id" element={
+              <StudentCheck>
+              <CourseCatalogPage />
+              </StudentCheck>} />
             <Route path="/courses/:id" element={
               <StudentCheck>
               <CoursePage />
@@ -203,6 +245,12 @@ function App() {
           <StudentCheck>
           <StudentCourseLinks/>
           </StudentCheck>} />
+
+            {/* Guardian (read-only) */}
+            <Route path="/guardian" element={
+              <GuardianCheck>
+                <GuardianDashboard />
+              </GuardianCheck>} />
           </Routes>
         </main>
 
@@ -210,6 +258,7 @@ function App() {
         <Toaster position="top-right" richColors />
       </div>
     </Router>
+    </AuthProvider>
   );
 }
 
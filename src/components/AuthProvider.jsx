@@ -0,0 +1,113 @@
+// src/components/AuthProvider.jsx
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { supabase } from "../lib/supabaseClient";
+import { AuthContext } from "../hooks/useAuth";
+import { claimRosterInvite } from "../lib/roster";
+import { PROFILE_DETAIL_COLUMNS } from "../lib/profile";
+
+/**
+ * AuthProvider
+ * - Reads the session from supabase.auth and follows onAuthStateChange
+ *   (sign in/out, token refresh, other tabs)
+ * - Loads the role from `profiles` for whoever is signed in
+ * - First sign-in from a roster invite has no profile yet; the invite is claimed here
+ * - Deactivated accounts keep their session but get no role, so every guard turns them away
+ * - `loading` stays true until both the session and that user's profile are known
+ */
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(null);
+  const [sessionReady, setSessionReady] = useState(false);
+  // profile is tagged with the user id it was loaded for, so a stale
+  // profile is never paired with a freshly signed-in user
+  const [profileState, setProfileState] = useState({ userId: null, profile: null });
+
+  const user = session?.user ?? null;
+
+  useEffect(() => {
+    let mounted = true;
+
+    supabase.auth.getSession().then(({ data, error }) => {
+      if (error) console.error("auth.getSession error:", error);
+      if (!mounted) return;
+      setSession(data?.session ?? null);
+      setSessionReady(true);
+    });
+
+    // Don't call supabase inside this callback: it runs while the auth lock is held.
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, nextSession) => {
+      if (!mounted) return;
+      setSession(nextSession ?? null);
+      setSessionReady(true);
+    });
+
+    return () => {
+      mounted = false;
+      listener?.subscription?.unsubscribe();
+    };
+  }, []);
+
+  const loadProfile = useCallback(async (userId) => {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select(
+        `id, email, full_name, role, created_at, deactivated_at, password_reset_required, notification_prefs, deletion_scheduled_for, ${PROFILE_DETAIL_COLUMNS}`
+      )
+      .eq("id", userId)
+      .maybeSingle();
+    if (error) console.error("Profile fetch error:", error);
+    return data || null;
+  }, []);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+    (async () => {
+      let profile = await loadProfile(user.id);
+      if (!profile && (await claimRosterInvite(user))) {
+        profile = await loadProfile(user.id);
+      }
+      if (!cancelled) setProfileState({ userId: user.id, profile });
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, loadProfile]);
+
+  // userId can be passed explicitly right after sign-up, before the new session reaches state
+  const refreshProfile = useCallback(
+    async (userId = user?.id) => {
+      if (!userId) return null;
+      const profile = await loadProfile(userId);
+      setProfileState({ userId, profile });
+      return profile;
+    },
+    [user?.id, loadProfile]
+  );
+
+  const signOut = useCallback(async () => {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  }, []);
+
+  const profile = user && profileState.userId === user.id ? profileState.profile : null;
+  const loading = !sessionReady || (!!user && profileState.userId !== user.id);
+  const deactivated = !!profile?.deactivated_at;
+
+  const value = useMemo(
+    () => ({
+      session,
+      user,
+      profile,
+      role: deactivated ? null : profile?.role ?? null,
+      deactivated,
+      mustResetPassword: !!profile?.password_reset_required,
+      loading,
+      refreshProfile,
+      signOut,
+    }),
+    [session, user, profile, deactivated, loading, refreshProfile, signOut]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
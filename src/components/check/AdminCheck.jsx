@@ -1,11 +1,19 @@
 import { Navigate } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+import AuthLoading from "./AuthLoading";
 
 export default function AdminCheck({ children }) {
-  const user = JSON.parse(localStorage.getItem("user"));
+  const { user, role, loading, mustResetPassword } = useAuth();
 
-  if (!user || user.role !== "admin") {
+  if (loading) return <AuthLoading />;
+
+  if (!user || role !== "admin") {
     return <Navigate to="/login" replace />;
   }
 
+  if (mustResetPassword) {
+    return <Navigate to="/login?view=reset-password" replace />;
+  }
+
   return children;
 }
@@ -0,0 +1,9 @@
+import { Loader2 } from "lucide-react";
+
+export default function AuthLoading() {
+  return (
+    <div className="min-h-screen grid place-items-center bg-[#05070a]">
+      <Loader2 className="h-8 w-8 animate-spin text-emerald-400" />
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { Navigate } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+import AuthLoading from "./AuthLoading";
+
+// Parents/guardians: read-only access to the students linked to them
+export default function GuardianCheck({ children }) {
+  const { user, role, loading, mustResetPassword } = useAuth();
+
+  if (loading) return <AuthLoading />;
+
+  if (!user || role !== "guardian") {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (mustResetPassword) {
+    return <Navigate to="/login?view=reset-password" replace />;
+  }
+
+  return children;
+}
@@ -0,0 +1,22 @@
+import { Navigate } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+import { isStaffRole } from "../../lib/roles";
+import AuthLoading from "./AuthLoading";
+
+// Admins and instructors. Pages behind this guard scope their data
+// to the courses the user manages (see fetchManagedCourses).
+export default function StaffCheck({ children }) {
+  const { user, role, loading, mustResetPassword } = useAuth();
+
+  if (loading) return <AuthLoading />;
+
+  if (!user || !isStaffRole(role)) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (mustResetPassword) {
+    return <Navigate to="/login?view=reset-password" replace />;
+  }
+
+  return children;
+}
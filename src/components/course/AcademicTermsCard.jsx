@@ -0,0 +1,188 @@
+// src/components/course/AcademicTermsCard.jsx
+import { useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { archiveTermCourses } from "../../lib/terms";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogFooter,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogAction,
+  AlertDialogCancel,
+} from "@/components/ui/alert-dialog";
+import { CalendarRange, Archive, Loader2 } from "lucide-react";
+
+/**
+ * AcademicTermsCard (admin)
+ * - Create academic terms (name + start/end dates)
+ * - "Archive courses" closes out a finished term: every active course in it is archived
+ */
+export default function AcademicTermsCard({ terms, onTermsChange, onCoursesArchived }) {
+  const { user } = useAuth();
+  const [draft, setDraft] = useState({ name: "", startsOn: "", endsOn: "" });
+  const [saving, setSaving] = useState(false);
+  const [archiveTarget, setArchiveTarget] = useState(null);
+
+  const addTerm = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() || !draft.startsOn) {
+      toast.error("Name and start date are required");
+      return;
+    }
+    if (draft.endsOn && draft.endsOn < draft.startsOn) {
+      toast.error("End date must be after the start date");
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from("academic_terms")
+        .insert([{ name: draft.name.trim(), starts_on: draft.startsOn, ends_on: draft.endsOn || null }])
+        .select()
+        .single();
+      if (error) throw error;
+      await logAudit({
+        actorId: user?.id,
+        action: "academic_term.created",
+        entityType: "academic_term",
+        entityId: data.id,
+        after: data,
+      });
+      onTermsChange(
+        [data, ...terms].sort((a, b) => (a.starts_on < b.starts_on ? 1 : -1))
+      );
+      setDraft({ name: "", startsOn: "", endsOn: "" });
+      toast.success(`Term "${data.name}" added`);
+    } catch (err) {
+      console.error("addTerm", err);
+      toast.error("Failed to add term");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const archiveTerm = async () => {
+    const term = archiveTarget;
+    setArchiveTarget(null);
+    try {
+      const ids = await archiveTermCourses(term.id);
+      await logAudit({
+        actorId: user?.id,
+        action: "academic_term.courses_archived",
+        entityType: "academic_term",
+        entityId: term.id,
+        after: { course_ids: ids },
+      });
+      onCoursesArchived?.(ids);
+      toast.success(`Archived ${ids.length} course${ids.length === 1 ? "" : "s"} from ${term.name}`);
+    } catch (err) {
+      console.error("archiveTerm", err);
+      toast.error("Failed to archive term courses");
+    }
+  };
+
+  return (
+    <Card className="bg-zinc-900/60 border border-zinc-800 shadow-lg rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-emerald-400">
+          <CalendarRange className="h-5 w-5" />
+          Academic Terms
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={addTerm} className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+          <div>
+            <label className="block text-xs text-zinc-400 mb-1">Name</label>
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft((p) => ({ ...p, name: e.target.value }))}
+              placeholder="e.g. Fall 2026"
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-400 mb-1">Starts</label>
+            <Input
+              type="date"
+              value={draft.startsOn}
+              onChange={(e) => setDraft((p) => ({ ...p, startsOn: e.target.value }))}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-400 mb-1">Ends</label>
+            <Input
+              type="date"
+              value={draft.endsOn}
+              onChange={(e) => setDraft((p) => ({ ...p, endsOn: e.target.value }))}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <Button
+            type="submit"
+            className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            disabled={saving}
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Add term"}
+          </Button>
+        </form>
+
+        {terms.length === 0 ? (
+          <p className="text-sm text-zinc-500">No terms yet.</p>
+        ) : (
+          <ul className="divide-y divide-zinc-800">
+            {terms.map((t) => (
+              <li key={t.id} className="flex items-center justify-between py-2">
+                <div>
+                  <div className="text-zinc-200">{t.name}</div>
+                  <div className="text-xs text-zinc-500">
+                    {new Date(t.starts_on).toLocaleDateString()}
+                    {t.ends_on && ` – ${new Date(t.ends_on).toLocaleDateString()}`}
+                  </div>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  className="border-zinc-700 text-zinc-300 hover:bg-zinc-800 cursor-pointer"
+                  onClick={() => setArchiveTarget(t)}
+                >
+                  <Archive className="h-4 w-4 mr-1" /> Archive courses
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+
+      <AlertDialog open={!!archiveTarget} onOpenChange={(open) => !open && setArchiveTarget(null)}>
+        <AlertDialogContent className="bg-zinc-950">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-emerald-400">Archive {archiveTarget?.name}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Every active course in this term becomes read-only for students and moves to "Past terms".
+              You can unarchive a course later from its edit page.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="cursor-pointer">Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={archiveTerm}
+              className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            >
+              Archive
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+}
@@ -0,0 +1,97 @@
+// src/components/course/AnnouncementsList.jsx
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { publishedAt } from "../../lib/announcements";
+
+import { Button } from "@/components/ui/button";
+import { Pin, CheckCheck } from "lucide-react";
+
+/**
+ * AnnouncementsList (student)
+ * - Pinned-first list of course announcements with an unread dot per item
+ * - Opening an unread announcement marks it read; "Mark all read" clears the rest
+ * - `showCourse` adds the course title with a link, for the dashboard feed; `limit` caps
+ *   how many are shown, while "Mark all read" still covers every one
+ */
+export default function AnnouncementsList({
+  announcements,
+  readIds,
+  onMarkRead,
+  showCourse = false,
+  limit,
+  emptyText,
+}) {
+  const [openId, setOpenId] = useState(null);
+  const unread = announcements.filter((a) => !readIds.has(a.id));
+  const shown = limit ? announcements.slice(0, limit) : announcements;
+
+  if (!announcements.length) {
+    return <p className="text-sm text-zinc-500">{emptyText || "No announcements yet."}</p>;
+  }
+
+  const open = (a) => {
+    setOpenId((prev) => (prev === a.id ? null : a.id));
+    if (!readIds.has(a.id)) onMarkRead([a.id]);
+  };
+
+  return (
+    <div className="space-y-2">
+      {unread.length > 0 && (
+        <div className="flex justify-end">
+          <Button
+            size="sm"
+            variant="ghost"
+            className="text-xs text-emerald-300 hover:text-emerald-200 cursor-pointer"
+            onClick={() => onMarkRead(unread.map((a) => a.id))}
+          >
+            <CheckCheck className="h-4 w-4 mr-1" /> Mark all read ({unread.length})
+          </Button>
+        </div>
+      )}
+      {shown.map((a) => {
+        const isUnread = !readIds.has(a.id);
+        const expanded = openId === a.id;
+        return (
+          <div
+            key={a.id}
+            role="button"
+            tabIndex={0}
+            onClick={() => open(a)}
+            onKeyDown={(e) => e.key === "Enter" && open(a)}
+            className={`rounded-lg border p-3 cursor-pointer transition ${
+              isUnread ? "border-emerald-700/60 bg-emerald-900/10" : "border-zinc-800 bg-zinc-900/40"
+            }`}
+          >
+            <div className="flex items-start gap-2">
+              {isUnread && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-emerald-400" />}
+              {a.pinned && <Pin className="mt-0.5 h-4 w-4 shrink-0 text-emerald-400" />}
+              <div className="min-w-0 flex-1">
+                <div className={`text-sm ${isUnread ? "font-semibold text-emerald-200" : "text-zinc-200"}`}>
+                  {a.title}
+                </div>
+                <div className="text-xs text-zinc-500">
+                  {showCourse && a.courses?.title && (
+                    <>
+                      <Link
+                        to={`/courses/${a.course_id}`}
+                        onClick={(e) => e.stopPropagation()}
+                        className="text-emerald-300/80 hover:underline"
+                      >
+                        {a.courses.title}
+                      </Link>{" "}
+                      ·{" "}
+                    </>
+                  )}
+                  {a.author?.full_name || "Staff"} · {new Date(publishedAt(a)).toLocaleString()}
+                </div>
+                <p className={`text-sm text-zinc-300 whitespace-pre-line mt-1 ${expanded ? "" : "line-clamp-2"}`}>
+                  {a.body}
+                </p>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,255 @@
+// src/components/course/CourseCatalogCard.jsx
+import { useEffect, useRef, useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { fetchPrerequisites, setPrerequisites, uploadSyllabus } from "../../lib/catalog";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Library, FileText, Upload, Trash2, Loader2 } from "lucide-react";
+
+const EMPTY = { department: "", category: "", credits: "", schedule: "", syllabus_url: "" };
+
+/**
+ * CourseCatalogCard
+ * - What students see in the course catalog: department, category, credits, schedule, syllabus PDF
+ * - Prerequisite courses (course_prerequisites); students must have completed them to enroll
+ */
+export default function CourseCatalogCard({ courseId }) {
+  const { user } = useAuth();
+  const fileRef = useRef(null);
+  const [saved, setSaved] = useState(EMPTY);
+  const [form, setForm] = useState(EMPTY);
+  const [allCourses, setAllCourses] = useState([]);
+  const [prereqIds, setPrereqIds] = useState([]);
+  const [savedPrereqIds, setSavedPrereqIds] = useState([]);
+  const [prereqQuery, setPrereqQuery] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    if (!courseId) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const [{ data: course, error }, { data: others, error: othersErr }, prereqs] = await Promise.all([
+          supabase
+            .from("courses")
+            .select("department, category, credits, schedule, syllabus_url")
+            .eq("id", courseId)
+            .single(),
+          supabase.from("courses").select("id, title, code, archived_at").neq("id", courseId).order("title"),
+          fetchPrerequisites(courseId),
+        ]);
+        if (error) throw error;
+        if (othersErr) throw othersErr;
+        const values = Object.fromEntries(Object.keys(EMPTY).map((k) => [k, course[k] ?? ""]));
+        const ids = (prereqs[courseId] || []).map((p) => p.id);
+        setSaved(values);
+        setForm(values);
+        setAllCourses(others || []);
+        setPrereqIds(ids);
+        setSavedPrereqIds(ids);
+      } catch (err) {
+        console.error("CourseCatalogCard load", err);
+        toast.error("Failed to load catalog details");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [courseId]);
+
+  const dirty =
+    Object.keys(EMPTY).some((k) => String(form[k] ?? "") !== String(saved[k] ?? "")) ||
+    [...prereqIds].sort().join() !== [...savedPrereqIds].sort().join();
+
+  const togglePrereq = (id, checked) =>
+    setPrereqIds((prev) => (checked ? [...prev, id] : prev.filter((p) => p !== id)));
+
+  const handleSyllabus = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setUploading(true);
+    try {
+      const url = await uploadSyllabus(courseId, file);
+      setForm((p) => ({ ...p, syllabus_url: url }));
+      toast.success("Syllabus uploaded — save to publish it");
+    } catch (err) {
+      console.error("uploadSyllabus", err);
+      toast.error(err.message || "Failed to upload syllabus");
+    } finally {
+      setUploading(false);
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const credits = String(form.credits).trim();
+      const patch = {
+        department: form.department.trim() || null,
+        category: form.category.trim() || null,
+        credits: credits ? Math.max(Number(credits), 0) : null,
+        schedule: form.schedule.trim() || null,
+        syllabus_url: form.syllabus_url || null,
+      };
+      const { error } = await supabase.from("courses").update(patch).eq("id", courseId);
+      if (error) throw error;
+      await setPrerequisites(courseId, prereqIds);
+      await logAudit({
+        actorId: user?.id,
+        action: "course.catalog_updated",
+        entityType: "course",
+        entityId: courseId,
+        before: { ...saved, prerequisite_ids: savedPrereqIds },
+        after: { ...patch, prerequisite_ids: prereqIds },
+      });
+      const values = Object.fromEntries(Object.keys(EMPTY).map((k) => [k, patch[k] ?? ""]));
+      setSaved(values);
+      setForm(values);
+      setSavedPrereqIds(prereqIds);
+      toast.success("Catalog details saved");
+    } catch (err) {
+      console.error("save catalog", err);
+      toast.error("Failed to save catalog details");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (key, label, props = {}) => (
+    <div>
+      <label className="block text-zinc-400 mb-1">{label}</label>
+      <Input
+        value={form[key]}
+        onChange={(e) => setForm((p) => ({ ...p, [key]: e.target.value }))}
+        className="bg-zinc-800 border-zinc-700 text-white"
+        {...props}
+      />
+    </div>
+  );
+
+  const q = prereqQuery.trim().toLowerCase();
+  const prereqOptions = allCourses.filter(
+    (c) => prereqIds.includes(c.id) || !q || `${c.code || ""} ${c.title}`.toLowerCase().includes(q)
+  );
+
+  return (
+    <Card className="bg-zinc-900 border-zinc-800 shadow-lg max-w-2xl mx-auto mt-6">
+      <CardHeader>
+        <CardTitle className="text-emerald-400 flex items-center gap-2">
+          <Library className="h-5 w-5" /> Catalog listing
+        </CardTitle>
+        <p className="text-xs text-zinc-400">
+          Shown to students browsing the catalog. Instructor bios come from each staff member's settings.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="h-4 w-4 animate-spin" /> Loading...
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {field("department", "Department", { placeholder: "e.g. Computer Science" })}
+              {field("category", "Category", { placeholder: "e.g. Core, Elective" })}
+              {field("credits", "Credits", { type: "number", min: "0", step: "0.5", placeholder: "e.g. 3" })}
+              {field("schedule", "Schedule", { placeholder: "e.g. Mon & Wed 10:00–11:30, Room 204" })}
+            </div>
+
+            <div>
+              <label className="block text-zinc-400 mb-1">Syllabus (PDF)</label>
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  ref={fileRef}
+                  type="file"
+                  accept="application/pdf"
+                  className="hidden"
+                  onChange={handleSyllabus}
+                />
+                {form.syllabus_url && (
+                  <a
+                    href={form.syllabus_url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-1 text-sm text-emerald-300 hover:underline"
+                  >
+                    <FileText className="h-4 w-4" /> Current syllabus
+                  </a>
+                )}
+                <Button
+                  type="button"
+                  size="sm"
+                  variant="outline"
+                  className="border-zinc-700 text-black cursor-pointer"
+                  disabled={uploading}
+                  onClick={() => fileRef.current?.click()}
+                >
+                  {uploading ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Upload className="h-4 w-4 mr-1" />}
+                  {form.syllabus_url ? "Replace" : "Upload"}
+                </Button>
+                {form.syllabus_url && (
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="ghost"
+                    className="text-red-300 hover:text-red-200 cursor-pointer"
+                    onClick={() => setForm((p) => ({ ...p, syllabus_url: "" }))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-zinc-400 mb-1">Prerequisites</label>
+              <Input
+                value={prereqQuery}
+                onChange={(e) => setPrereqQuery(e.target.value)}
+                placeholder="Filter courses..."
+                className="bg-zinc-800 border-zinc-700 text-white mb-2"
+              />
+              <div className="max-h-48 overflow-y-auto space-y-1 rounded-md border border-zinc-800 p-2">
+                {prereqOptions.length === 0 ? (
+                  <p className="text-xs text-zinc-500">No other courses.</p>
+                ) : (
+                  prereqOptions.map((c) => (
+                    <label key={c.id} className="flex items-center gap-2 text-sm text-zinc-300 cursor-pointer">
+                      <Checkbox
+                        checked={prereqIds.includes(c.id)}
+                        onCheckedChange={(v) => togglePrereq(c.id, !!v)}
+                      />
+                      {c.code && <span className="font-mono text-emerald-300">{c.code}</span>}
+                      <span>{c.title}</span>
+                      {c.archived_at && <span className="text-xs text-zinc-500">(archived)</span>}
+                    </label>
+                  ))
+                )}
+              </div>
+              <p className="text-xs text-zinc-500 mt-1">
+                Completing any offering with the same course code counts, so pick any term's copy.
+              </p>
+            </div>
+
+            <Button
+              type="button"
+              className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+              disabled={!dirty || saving}
+              onClick={save}
+            >
+              {saving ? "Saving..." : "Save catalog details"}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
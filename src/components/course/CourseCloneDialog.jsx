@@ -0,0 +1,199 @@
+// src/components/course/CourseCloneDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { cloneCourse } from "../../lib/courseClone";
+import { fetchTerms } from "../../lib/terms";
+
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Copy, Loader2 } from "lucide-react";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OFFSET_PRESETS = [
+  { label: "+1 semester", days: 26 * 7 },
+  { label: "+1 year", days: 52 * 7 },
+];
+
+/**
+ * CourseCloneDialog
+ * - Duplicates `course` into a new course for another term (see lib/courseClone)
+ * - Staff pick the new title/code/term and how many days to move every date by;
+ *   picking a term pre-fills the offset from the gap between the two term start dates
+ */
+export default function CourseCloneDialog({ course, open, onOpenChange, onCloned }) {
+  const { user } = useAuth();
+  const [title, setTitle] = useState("");
+  const [code, setCode] = useState("");
+  const [offsetDays, setOffsetDays] = useState(OFFSET_PRESETS[0].days);
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState("none");
+  const [cloning, setCloning] = useState(false);
+
+  useEffect(() => {
+    if (!open || !course) return;
+    setTitle(`${course.title} (copy)`);
+    setCode("");
+    setOffsetDays(OFFSET_PRESETS[0].days);
+    setTermId(course.term_id || "none");
+    fetchTerms()
+      .then(setTerms)
+      .catch((err) => console.error("fetchTerms", err));
+  }, [open, course]);
+
+  const chooseTerm = (value) => {
+    setTermId(value);
+    const from = terms.find((t) => t.id === course?.term_id);
+    const to = terms.find((t) => t.id === value);
+    if (from?.starts_on && to?.starts_on && from.id !== to.id) {
+      setOffsetDays(Math.round((new Date(to.starts_on) - new Date(from.starts_on)) / DAY_MS));
+    }
+  };
+
+  const handleClone = async () => {
+    if (!title.trim()) {
+      toast.error("Title is required");
+      return;
+    }
+    setCloning(true);
+    try {
+      const { course: created, counts } = await cloneCourse({
+        sourceId: course.id,
+        title: title.trim(),
+        code: code.trim(),
+        termId: termId === "none" ? null : termId,
+        offsetDays: parseInt(offsetDays, 10) || 0,
+        userId: user?.id,
+      });
+      await logAudit({
+        actorId: user?.id,
+        action: "course.cloned",
+        entityType: "course",
+        entityId: created.id,
+        before: { id: course.id, title: course.title },
+        after: { title: created.title, offset_days: parseInt(offsetDays, 10) || 0, copied: counts },
+      });
+      toast.success(
+        `Created "${created.title}" with ${counts.modules} modules, ${counts.assignments} assignments and ${counts.quizzes} quizzes`
+      );
+      onOpenChange(false);
+      onCloned?.(created);
+    } catch (err) {
+      console.error("cloneCourse", err);
+      toast.error("Failed to duplicate course");
+    } finally {
+      setCloning(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !cloning && onOpenChange(v)}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-md">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400 flex items-center gap-2">
+            <Copy className="h-5 w-5" /> Duplicate course
+          </DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            Copies modules, badges, assignments, quizzes, notes and links from{" "}
+            <span className="text-zinc-200">{course?.title}</span>. Students, submissions and attendance are not
+            copied.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-zinc-400 mb-1">New title</label>
+            <Input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-zinc-400 mb-1">New course code</label>
+            <Input
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              placeholder={course?.code ? `was ${course.code}` : "optional"}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          {terms.length > 0 && (
+            <div>
+              <label className="block text-zinc-400 mb-1">Term</label>
+              <Select value={termId} onValueChange={chooseTerm}>
+                <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                  <SelectValue placeholder="Term" />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                  <SelectItem value="none">No term</SelectItem>
+                  {terms.map((t) => (
+                    <SelectItem key={t.id} value={t.id}>
+                      {t.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          <div>
+            <label className="block text-zinc-400 mb-1">Shift all dates by (days)</label>
+            <div className="flex gap-2">
+              <Input
+                type="number"
+                value={offsetDays}
+                onChange={(e) => setOffsetDays(e.target.value)}
+                className="bg-zinc-800 border-zinc-700 text-white w-28"
+              />
+              {OFFSET_PRESETS.map((p) => (
+                <Button
+                  key={p.label}
+                  type="button"
+                  size="sm"
+                  variant="outline"
+                  className="border-zinc-700 text-black cursor-pointer"
+                  onClick={() => setOffsetDays(p.days)}
+                >
+                  {p.label}
+                </Button>
+              ))}
+            </div>
+            <p className="text-xs text-zinc-500 mt-1">
+              Applies to module unlock/due dates, assignment due dates, link expiry and the enrollment window.
+            </p>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="ghost" className="cursor-pointer" disabled={cloning} onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            disabled={cloning}
+            onClick={handleClone}
+          >
+            {cloning ? <Loader2 className="h-4 w-4 animate-spin" /> : "Duplicate"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,274 @@
+// src/components/course/CourseImportDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { fetchTerms } from "../../lib/terms";
+import {
+  CONFLICT_STRATEGIES,
+  PACKAGE_TABLES,
+  importCoursePackage,
+  packageCounts,
+  readCoursePackage,
+} from "../../lib/coursePackage";
+
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Upload, Loader2 } from "lucide-react";
+
+/**
+ * CourseImportDialog
+ * - Reads a course package (.zip or .json, see lib/coursePackage) and shows what it holds
+ * - Imports it as a new course, or merges it into one of `courses` with a conflict strategy
+ */
+export default function CourseImportDialog({ open, onOpenChange, courses = [], onImported }) {
+  const { user } = useAuth();
+  const [pkg, setPkg] = useState(null);
+  const [fileError, setFileError] = useState("");
+  const [target, setTarget] = useState("new");
+  const [title, setTitle] = useState("");
+  const [code, setCode] = useState("");
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState("none");
+  const [offsetDays, setOffsetDays] = useState(0);
+  const [conflict, setConflict] = useState(CONFLICT_STRATEGIES[0].value);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setPkg(null);
+    setFileError("");
+    setTarget("new");
+    setTermId("none");
+    setOffsetDays(0);
+    setConflict(CONFLICT_STRATEGIES[0].value);
+    fetchTerms()
+      .then(setTerms)
+      .catch((err) => console.error("fetchTerms", err));
+  }, [open]);
+
+  const chooseFile = async (file) => {
+    setPkg(null);
+    setFileError("");
+    if (!file) return;
+    try {
+      const read = await readCoursePackage(file);
+      setPkg(read);
+      setTitle(read.course.title || "");
+      setCode(read.course.code || "");
+    } catch (err) {
+      console.error("readCoursePackage", err);
+      setFileError(err.message || "Could not read the package");
+    }
+  };
+
+  const handleImport = async () => {
+    if (target === "new" && !title.trim()) {
+      toast.error("Title is required");
+      return;
+    }
+    setImporting(true);
+    try {
+      const { course, report } = await importCoursePackage(pkg, {
+        targetCourseId: target === "new" ? null : target,
+        title,
+        code: code.trim(),
+        termId: termId === "none" ? null : termId,
+        offsetDays: parseInt(offsetDays, 10) || 0,
+        conflict,
+        userId: user?.id,
+      });
+      await logAudit({
+        actorId: user?.id,
+        action: "course.imported",
+        entityType: "course",
+        entityId: course.id,
+        after: {
+          source: { title: pkg.course.title, code: pkg.course.code, exported_at: pkg.exported_at, version: pkg.version },
+          merged: target !== "new",
+          conflict: target === "new" ? null : conflict,
+          report,
+        },
+      });
+      const totals = Object.values(report).reduce(
+        (acc, r) => ({ created: acc.created + r.created, updated: acc.updated + r.updated, skipped: acc.skipped + r.skipped }),
+        { created: 0, updated: 0, skipped: 0 }
+      );
+      toast.success(
+        `Imported into "${course.title}": ${totals.created} added, ${totals.updated} overwritten, ${totals.skipped} kept`
+      );
+      onOpenChange(false);
+      onImported?.(course, target === "new");
+    } catch (err) {
+      console.error("importCoursePackage", err);
+      toast.error(err.message || "Failed to import course");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const counts = pkg ? packageCounts(pkg) : null;
+  const strategy = CONFLICT_STRATEGIES.find((s) => s.value === conflict);
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !importing && onOpenChange(v)}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-md">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400 flex items-center gap-2">
+            <Upload className="h-5 w-5" /> Import course package
+          </DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            Load a package exported from this or another deployment. Students, submissions and attendance are never
+            part of a package.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <Input
+            type="file"
+            accept=".zip,.json,application/zip,application/json"
+            onChange={(e) => chooseFile(e.target.files?.[0])}
+            className="bg-zinc-800 border-zinc-700 text-white cursor-pointer"
+          />
+          {fileError && <p className="text-sm text-red-400">{fileError}</p>}
+
+          {pkg && (
+            <>
+              <div className="rounded-lg border border-zinc-800 bg-zinc-900/60 p-3 text-sm">
+                <div className="text-emerald-300 font-medium">
+                  {pkg.course.title}
+                  {pkg.course.code && <span className="text-zinc-400"> · {pkg.course.code}</span>}
+                </div>
+                <div className="text-xs text-zinc-500 mb-2">
+                  v{pkg.version} · exported {new Date(pkg.exported_at).toLocaleString()}
+                </div>
+                <div className="grid grid-cols-2 gap-x-4 text-xs text-zinc-300">
+                  {PACKAGE_TABLES.map((t) => (
+                    <div key={t.key} className="flex justify-between">
+                      <span className="text-zinc-400">{t.label}</span>
+                      <span>{counts[t.key]}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-zinc-400 mb-1">Import into</label>
+                <Select value={target} onValueChange={setTarget}>
+                  <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                    <SelectItem value="new">A new course</SelectItem>
+                    {courses.map((c) => (
+                      <SelectItem key={c.id} value={c.id}>
+                        {c.code ? `${c.code} · ${c.title}` : c.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {target === "new" ? (
+                <>
+                  <div>
+                    <label className="block text-zinc-400 mb-1">Title</label>
+                    <Input
+                      value={title}
+                      onChange={(e) => setTitle(e.target.value)}
+                      className="bg-zinc-800 border-zinc-700 text-white"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-zinc-400 mb-1">Course code</label>
+                    <Input
+                      value={code}
+                      onChange={(e) => setCode(e.target.value.toUpperCase())}
+                      placeholder="optional"
+                      className="bg-zinc-800 border-zinc-700 text-white"
+                    />
+                  </div>
+                  {terms.length > 0 && (
+                    <div>
+                      <label className="block text-zinc-400 mb-1">Term</label>
+                      <Select value={termId} onValueChange={setTermId}>
+                        <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                          <SelectValue placeholder="Term" />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                          <SelectItem value="none">No term</SelectItem>
+                          {terms.map((t) => (
+                            <SelectItem key={t.id} value={t.id}>
+                              {t.name}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div>
+                  <label className="block text-zinc-400 mb-1">When an item already exists</label>
+                  <Select value={conflict} onValueChange={setConflict}>
+                    <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                      {CONFLICT_STRATEGIES.map((s) => (
+                        <SelectItem key={s.value} value={s.value}>
+                          {s.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-zinc-500 mt-1">
+                    {strategy?.hint}. Items match by title (links by URL, quizzes by their questions).
+                  </p>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-zinc-400 mb-1">Shift all dates by (days)</label>
+                <Input
+                  type="number"
+                  value={offsetDays}
+                  onChange={(e) => setOffsetDays(e.target.value)}
+                  className="bg-zinc-800 border-zinc-700 text-white w-28"
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="ghost" className="cursor-pointer" disabled={importing} onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            disabled={importing || !pkg}
+            onClick={handleImport}
+          >
+            {importing ? <Loader2 className="h-4 w-4 animate-spin" /> : "Import"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,255 @@
+// src/components/course/CourseJoinCodesCard.jsx
+import { useEffect, useRef, useState } from "react";
+import QRCode from "react-qr-code";
+import * as htmlToImage from "html-to-image";
+import { toast } from "sonner";
+import { useAuth } from "../../hooks/useAuth";
+import { ALL_SECTIONS, fetchSections, sectionName } from "../../lib/sections";
+import {
+  createJoinCode,
+  fetchActiveJoinCodes,
+  joinCodeProblem,
+  joinUrl,
+  revokeJoinCode,
+} from "../../lib/joinCodes";
+import SectionSelect from "./SectionSelect";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { KeyRound, QrCode, Copy, RefreshCw, Ban, Download, Loader2 } from "lucide-react";
+
+/**
+ * CourseJoinCodesCard
+ * - Generate a join code for the whole course or one section, with optional expiry / max uses
+ * - Each code has a /join/<code> link and a downloadable QR for handing out in class
+ */
+export default function CourseJoinCodesCard({ courseId, courseTitle }) {
+  const { user } = useAuth();
+  const qrRef = useRef(null);
+
+  const [codes, setCodes] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [draft, setDraft] = useState({ sectionId: ALL_SECTIONS, expiresAt: "", maxUses: "" });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [qrCode, setQrCode] = useState(null);
+
+  useEffect(() => {
+    if (!courseId) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const [active, secs] = await Promise.all([fetchActiveJoinCodes(courseId), fetchSections(courseId)]);
+        setCodes(active);
+        setSections(secs);
+      } catch (err) {
+        console.error("CourseJoinCodesCard load", err);
+        toast.error("Failed to load join codes");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [courseId]);
+
+  const generate = async (sectionId = draft.sectionId === ALL_SECTIONS ? null : draft.sectionId, opts = draft) => {
+    setSaving(true);
+    try {
+      const maxUses = String(opts.maxUses ?? "").trim();
+      const created = await createJoinCode({
+        courseId,
+        sectionId,
+        expiresAt: opts.expiresAt ? `${String(opts.expiresAt).slice(0, 10)}T23:59:59` : null,
+        maxUses: maxUses ? Math.max(parseInt(maxUses, 10), 1) : null,
+        createdBy: user?.id,
+      });
+      setCodes((prev) => [created, ...prev.filter((c) => (c.section_id || null) !== (sectionId || null))]);
+      toast.success(`Join code ${created.code} ready`);
+    } catch (err) {
+      console.error("createJoinCode", err);
+      toast.error("Failed to generate join code");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // same scope and limits, new code (old one stops working)
+  const regenerate = (row) =>
+    generate(row.section_id || null, { expiresAt: row.expires_at, maxUses: row.max_uses });
+
+  const revoke = async (row) => {
+    try {
+      await revokeJoinCode(row.id);
+      setCodes((prev) => prev.filter((c) => c.id !== row.id));
+      toast.success("Join code revoked");
+    } catch (err) {
+      console.error("revokeJoinCode", err);
+      toast.error("Failed to revoke join code");
+    }
+  };
+
+  const copyLink = (row) => {
+    navigator.clipboard?.writeText(joinUrl(row.code));
+    toast.success("Join link copied");
+  };
+
+  const downloadQr = async () => {
+    if (!qrRef.current || !qrCode) return;
+    try {
+      const dataUrl = await htmlToImage.toPng(qrRef.current);
+      const a = document.createElement("a");
+      a.href = dataUrl;
+      a.download = `join-${qrCode.code}.png`;
+      a.click();
+    } catch (err) {
+      console.error("QR download error:", err);
+    }
+  };
+
+  return (
+    <Card className="bg-zinc-900 border-zinc-800 shadow-lg max-w-2xl mx-auto mt-6">
+      <CardHeader>
+        <CardTitle className="text-emerald-400 flex items-center gap-2">
+          <KeyRound className="h-5 w-5" /> Join codes
+        </CardTitle>
+        <p className="text-xs text-zinc-400">
+          Share a code, link or QR and students are enrolled as soon as they open it.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-5">
+        {/* New code */}
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+          {sections.length > 0 && (
+            <div className="sm:col-span-4">
+              <label className="block text-xs text-zinc-400 mb-1">For</label>
+              <SectionSelect
+                sections={sections}
+                value={draft.sectionId}
+                allLabel="Whole course"
+                onChange={(v) => setDraft((p) => ({ ...p, sectionId: v }))}
+                className="bg-zinc-800 border-zinc-700 w-full"
+              />
+            </div>
+          )}
+          <div className="sm:col-span-2">
+            <label className="block text-xs text-zinc-400 mb-1">Expires (optional)</label>
+            <Input
+              type="date"
+              value={draft.expiresAt}
+              onChange={(e) => setDraft((p) => ({ ...p, expiresAt: e.target.value }))}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-zinc-400 mb-1">Max uses</label>
+            <Input
+              type="number"
+              min="1"
+              value={draft.maxUses}
+              placeholder="∞"
+              onChange={(e) => setDraft((p) => ({ ...p, maxUses: e.target.value }))}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <Button
+            type="button"
+            className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            disabled={saving}
+            onClick={() => generate()}
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Generate"}
+          </Button>
+        </div>
+
+        {/* Active codes */}
+        {loading ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="h-4 w-4 animate-spin" /> Loading codes...
+          </div>
+        ) : codes.length === 0 ? (
+          <p className="text-sm text-zinc-500">No active join codes.</p>
+        ) : (
+          <ul className="space-y-2">
+            {codes.map((row) => {
+              const problem = joinCodeProblem(row);
+              return (
+                <li
+                  key={row.id}
+                  className="flex flex-wrap items-center justify-between gap-3 rounded-lg border border-zinc-800 bg-zinc-950/60 p-3"
+                >
+                  <div>
+                    <div className="font-mono text-lg tracking-widest text-emerald-300">{row.code}</div>
+                    <div className="text-xs text-zinc-500">
+                      {row.section_id ? sectionName(sections, row.section_id) : "Whole course"} · {row.use_count || 0}
+                      {row.max_uses != null ? `/${row.max_uses}` : ""} uses
+                      {row.expires_at && ` · expires ${new Date(row.expires_at).toLocaleDateString()}`}
+                    </div>
+                    {problem && <Badge className="mt-1 bg-red-700/40 text-red-200">{problem}</Badge>}
+                  </div>
+                  <div className="flex gap-1">
+                    <Button size="sm" variant="ghost" className="cursor-pointer" onClick={() => setQrCode(row)}>
+                      <QrCode className="h-4 w-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" className="cursor-pointer" onClick={() => copyLink(row)}>
+                      <Copy className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="cursor-pointer"
+                      disabled={saving}
+                      onClick={() => regenerate(row)}
+                    >
+                      <RefreshCw className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="cursor-pointer text-red-300 hover:text-red-200"
+                      onClick={() => revoke(row)}
+                    >
+                      <Ban className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+
+      {/* QR Modal */}
+      <Dialog open={!!qrCode} onOpenChange={(open) => !open && setQrCode(null)}>
+        <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-sm">
+          <DialogHeader>
+            <DialogTitle className="text-emerald-300">Join {courseTitle}</DialogTitle>
+            <DialogDescription className="text-zinc-400">
+              Students scan this, log in, and are enrolled
+              {qrCode?.section_id ? ` in ${sectionName(sections, qrCode.section_id)}` : ""}.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="flex flex-col items-center gap-4 py-6">
+            <div ref={qrRef} className="bg-white p-4 rounded-lg flex flex-col items-center gap-2">
+              {qrCode && <QRCode value={joinUrl(qrCode.code)} size={200} />}
+              <span className="font-mono text-xl tracking-widest text-black">{qrCode?.code}</span>
+            </div>
+            <Button
+              onClick={downloadQr}
+              className="bg-emerald-500 hover:bg-emerald-400 cursor-pointer text-black flex items-center gap-2"
+            >
+              <Download className="h-4 w-4" /> Download QR
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,25 @@
+// src/components/course/CourseScopeToggle.jsx
+import { Button } from "@/components/ui/button";
+import { COURSE_SCOPES } from "../../lib/terms";
+
+/**
+ * CourseScopeToggle
+ * - Button group over COURSE_SCOPES (see lib/terms); students get "current" and "past"
+ */
+export default function CourseScopeToggle({ value, onChange, scopes = ["current", "past"] }) {
+  return (
+    <div className="flex gap-1">
+      {COURSE_SCOPES.filter((s) => scopes.includes(s.value)).map((s) => (
+        <Button
+          key={s.value}
+          size="sm"
+          variant="ghost"
+          className={`cursor-pointer ${value === s.value ? "bg-emerald-500/20 text-emerald-300" : "text-zinc-400"}`}
+          onClick={() => onChange(s.value)}
+        >
+          {s.label}
+        </Button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+// src/components/course/CourseSectionsCard.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { ALL_SECTIONS, fetchSections } from "../../lib/sections";
+import SectionSelect from "./SectionSelect";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogFooter,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogAction,
+  AlertDialogCancel,
+} from "@/components/ui/alert-dialog";
+import { Layers, Plus, Trash2, Loader2 } from "lucide-react";
+
+/**
+ * CourseSectionsCard
+ * - Create/delete the sections of a course (course_sections)
+ * - Place each enrolled student in a section (enrollments.section_id)
+ * - Deleting a section leaves its students and content unsectioned (whole course)
+ */
+export default function CourseSectionsCard({ courseId }) {
+  const { user } = useAuth();
+  const [sections, setSections] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  useEffect(() => {
+    if (!courseId) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const [secs, { data, error }] = await Promise.all([
+          fetchSections(courseId),
+          supabase
+            .from("enrollments")
+            .select("id, student_id, section_id, students(full_name, email)")
+            .eq("course_id", courseId),
+        ]);
+        if (error) throw error;
+        setSections(secs);
+        setRoster(data || []);
+      } catch (err) {
+        console.error("CourseSectionsCard load", err);
+        toast.error("Failed to load sections");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [courseId]);
+
+  const addSection = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (sections.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+      return toast.error("A section with that name already exists");
+    }
+    setSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from("course_sections")
+        .insert({ course_id: courseId, name })
+        .select("id, course_id, name, created_at")
+        .single();
+      if (error) throw error;
+      setSections((prev) => [...prev, data].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewName("");
+      toast.success(`Section ${name} added`);
+    } catch (err) {
+      console.error("addSection", err);
+      toast.error("Failed to add section");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSection = async () => {
+    const section = confirmDelete;
+    if (!section) return;
+    setSaving(true);
+    try {
+      const { error } = await supabase.from("course_sections").delete().eq("id", section.id);
+      if (error) throw error;
+      await logAudit({
+        actorId: user?.id,
+        action: "course_section.deleted",
+        entityType: "course_section",
+        entityId: section.id,
+        before: section,
+      });
+      setSections((prev) => prev.filter((s) => s.id !== section.id));
+      setRoster((prev) => prev.map((e) => (e.section_id === section.id ? { ...e, section_id: null } : e)));
+      toast.success("Section deleted");
+    } catch (err) {
+      console.error("deleteSection", err);
+      toast.error("Failed to delete section");
+    } finally {
+      setSaving(false);
+      setConfirmDelete(null);
+    }
+  };
+
+  const moveStudent = async (enrollment, value) => {
+    const sectionId = value === ALL_SECTIONS ? null : value;
+    const { error } = await supabase
+      .from("enrollments")
+      .update({ section_id: sectionId })
+      .eq("id", enrollment.id);
+    if (error) {
+      console.error("moveStudent", error);
+      return toast.error("Failed to update section");
+    }
+    setRoster((prev) => prev.map((e) => (e.id === enrollment.id ? { ...e, section_id: sectionId } : e)));
+  };
+
+  const countFor = (sectionId) => roster.filter((e) => e.section_id === sectionId).length;
+
+  return (
+    <Card className="bg-zinc-900 border-zinc-800 shadow-lg max-w-2xl mx-auto mt-6">
+      <CardHeader>
+        <CardTitle className="text-emerald-400 flex items-center gap-2">
+          <Layers className="h-5 w-5" /> Sections
+        </CardTitle>
+        <p className="text-xs text-zinc-400">
+          Split the class into sections (e.g. CSE-A, CSE-B). Attendance, assignments, events and
+          discussions can then be filtered or targeted per section.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-5">
+        {loading ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="h-4 w-4 animate-spin" /> Loading sections...
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2">
+              {sections.length === 0 && <p className="text-sm text-zinc-500">No sections yet.</p>}
+              {sections.map((s) => (
+                <Badge key={s.id} className="bg-zinc-800 text-zinc-200 gap-2 py-1">
+                  {s.name}
+                  <span className="text-zinc-500">{countFor(s.id)}</span>
+                  <button
+                    type="button"
+                    className="cursor-pointer text-red-300 hover:text-red-200"
+                    onClick={() => setConfirmDelete(s)}
+                    aria-label={`Delete section ${s.name}`}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </Badge>
+              ))}
+            </div>
+
+            <div className="flex gap-2">
+              <Input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    addSection();
+                  }
+                }}
+                placeholder="New section name, e.g. CSE-A"
+                className="bg-zinc-800 border-zinc-700 text-white"
+              />
+              <Button
+                type="button"
+                className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+                disabled={saving || !newName.trim()}
+                onClick={addSection}
+              >
+                <Plus className="h-4 w-4 mr-1" /> Add
+              </Button>
+            </div>
+
+            {sections.length > 0 && roster.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="text-sm font-semibold text-zinc-300">
+                  Students ({roster.length}, {countFor(null)} unassigned)
+                </h3>
+                <ul className="space-y-2 max-h-72 overflow-auto pr-1">
+                  {roster.map((e) => (
+                    <li key={e.id} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="truncate">
+                        {e.students?.full_name || "Unknown"}{" "}
+                        <span className="text-zinc-500">{e.students?.email}</span>
+                      </span>
+                      <SectionSelect
+                        sections={sections}
+                        value={e.section_id}
+                        allLabel="Unassigned"
+                        onChange={(v) => moveStudent(e, v)}
+                        className="bg-zinc-800 border-zinc-700 w-40"
+                      />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      <AlertDialog open={!!confirmDelete} onOpenChange={(open) => !open && setConfirmDelete(null)}>
+        <AlertDialogContent className="bg-zinc-950">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-emerald-400">Delete section?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {confirmDelete?.name} will be removed. Its {countFor(confirmDelete?.id)} student(s) become
+              unassigned and anything targeted at it becomes visible to the whole course.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="cursor-pointer">Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={saving}
+              onClick={deleteSection}
+              className="bg-red-600 cursor-pointer hover:bg-red-500 text-white"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+}
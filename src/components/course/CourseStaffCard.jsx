@@ -0,0 +1,231 @@
+// src/components/course/CourseStaffCard.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { isStaffRole } from "../../lib/roles";
+import {
+  COURSE_STAFF_ROLES,
+  addCourseStaff,
+  courseStaffRoleLabel,
+  fetchCoursePermissions,
+  fetchCourseTeam,
+  hasCoursePermission,
+  removeCourseStaff,
+  updateCourseStaffRole,
+} from "../../lib/courseStaff";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { Users, Trash2, Loader2 } from "lucide-react";
+
+/**
+ * CourseStaffCard
+ * - Lists the course's teaching staff (creator + course_staff rows) with their roles
+ * - Leads and admins can add staff by email, change roles and remove staff
+ * - Only instructor/admin accounts can be added, since staff work from the /admin area
+ */
+export default function CourseStaffCard({ courseId }) {
+  const { user, role } = useAuth();
+  const [team, setTeam] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [email, setEmail] = useState("");
+  const [newRole, setNewRole] = useState("ta");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!courseId || !user) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const [members, perms] = await Promise.all([
+          fetchCourseTeam(courseId),
+          fetchCoursePermissions({ user, role }, courseId),
+        ]);
+        setTeam(members);
+        setCanManage(hasCoursePermission(perms, courseId, "staff"));
+      } catch (err) {
+        console.error("CourseStaffCard load", err);
+        toast.error("Failed to load course staff");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [courseId, user, role]);
+
+  const addMember = async () => {
+    const target = email.trim().toLowerCase();
+    if (!target) return;
+    setSaving(true);
+    try {
+      const { data: person, error } = await supabase
+        .from("profiles")
+        .select("id, full_name, email, role")
+        .ilike("email", target)
+        .maybeSingle();
+      if (error) throw error;
+      if (!person) return toast.error("No account with that email");
+      if (!isStaffRole(person.role)) {
+        return toast.error("Only instructor accounts can be course staff — change their role in User Management first");
+      }
+      if (team.some((m) => m.user_id === person.id)) return toast.info("Already on this course");
+
+      const row = await addCourseStaff({ courseId, userId: person.id, role: newRole });
+      await logAudit({
+        actorId: user?.id,
+        action: "course_staff.added",
+        entityType: "course_staff",
+        entityId: row.id,
+        after: { course_id: courseId, user_id: person.id, role: newRole },
+      });
+      setTeam((prev) => [...prev, { ...row, isCreator: false }]);
+      setEmail("");
+      toast.success(`${person.full_name || person.email} added as ${courseStaffRoleLabel(newRole)}`);
+    } catch (err) {
+      console.error("addCourseStaff", err);
+      toast.error("Failed to add staff member");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeRole = async (member, value) => {
+    try {
+      await updateCourseStaffRole(member.id, value);
+      await logAudit({
+        actorId: user?.id,
+        action: "course_staff.role_changed",
+        entityType: "course_staff",
+        entityId: member.id,
+        before: { role: member.role },
+        after: { role: value },
+      });
+      setTeam((prev) => prev.map((m) => (m.id === member.id ? { ...m, role: value } : m)));
+    } catch (err) {
+      console.error("updateCourseStaffRole", err);
+      toast.error("Failed to change role");
+    }
+  };
+
+  const removeMember = async (member) => {
+    try {
+      await removeCourseStaff(member.id);
+      await logAudit({
+        actorId: user?.id,
+        action: "course_staff.removed",
+        entityType: "course_staff",
+        entityId: member.id,
+        before: { course_id: courseId, user_id: member.user_id, role: member.role },
+      });
+      setTeam((prev) => prev.filter((m) => m.id !== member.id));
+      toast.success("Removed from course staff");
+    } catch (err) {
+      console.error("removeCourseStaff", err);
+      toast.error("Failed to remove staff member");
+    }
+  };
+
+  return (
+    <Card className="bg-zinc-900 border-zinc-800 shadow-lg max-w-2xl mx-auto mt-6">
+      <CardHeader>
+        <CardTitle className="text-emerald-400 flex items-center gap-2">
+          <Users className="h-5 w-5" /> Course staff
+        </CardTitle>
+        <p className="text-xs text-zinc-400">
+          Co-instructors can edit the course; teaching assistants can grade, reply in discussions and take
+          attendance.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="h-4 w-4 animate-spin" /> Loading staff...
+          </div>
+        ) : (
+          <ul className="divide-y divide-zinc-800">
+            {team.map((m) => (
+              <li key={m.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                <div>
+                  <div className="text-zinc-200">{m.profile?.full_name || "Unknown"}</div>
+                  <div className="text-xs text-zinc-500">{m.profile?.email}</div>
+                </div>
+                {m.isCreator || !canManage ? (
+                  <Badge className="bg-emerald-600/20 text-emerald-300 border border-emerald-600/40">
+                    {courseStaffRoleLabel(m.role)}
+                    {m.isCreator && " · owner"}
+                  </Badge>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <Select value={m.role} onValueChange={(v) => changeRole(m, v)}>
+                      <SelectTrigger className="bg-zinc-800 border-zinc-700 w-44">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                        {COURSE_STAFF_ROLES.map((r) => (
+                          <SelectItem key={r.value} value={r.value}>
+                            {r.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="text-red-300 hover:text-red-200 cursor-pointer"
+                      onClick={() => removeMember(m)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canManage && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Input
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addMember()}
+              placeholder="Instructor email"
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+            <Select value={newRole} onValueChange={setNewRole}>
+              <SelectTrigger className="bg-zinc-800 border-zinc-700 sm:w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                {COURSE_STAFF_ROLES.map((r) => (
+                  <SelectItem key={r.value} value={r.value}>
+                    {r.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              type="button"
+              className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+              disabled={saving || !email.trim()}
+              onClick={addMember}
+            >
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Add"}
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
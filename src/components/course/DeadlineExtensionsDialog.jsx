@@ -0,0 +1,245 @@
+// src/components/course/DeadlineExtensionsDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import { notifyUsers } from "../../lib/notifications";
+import { fetchSections, sectionName } from "../../lib/sections";
+import { fetchExtensions, grantExtension, revokeExtension } from "../../lib/extensions";
+
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { CalendarClock, Loader2, Trash2 } from "lucide-react";
+
+/**
+ * DeadlineExtensionsDialog
+ * - Grants and revokes extensions on one item (`type` from lib/extensions EXTENSION_TYPES)
+ *   for a single student or a whole section of `courseId`
+ * - `deadline` is the item's normal deadline, shown for reference and used as the lower bound
+ * - Students affected are emailed ("deadline_extended" template); `onChange` gets the updated list
+ */
+export default function DeadlineExtensionsDialog({
+  open,
+  onOpenChange,
+  type,
+  item,
+  courseId,
+  courseTitle,
+  deadline,
+  onChange,
+}) {
+  const { user } = useAuth();
+  const [extensions, setExtensions] = useState([]);
+  const [roster, setRoster] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [target, setTarget] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [reason, setReason] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !item?.id || !courseId) return;
+    setTarget("");
+    setDueDate("");
+    setReason("");
+    (async () => {
+      setLoading(true);
+      try {
+        const [rows, { data: enrolled, error }, courseSections] = await Promise.all([
+          fetchExtensions(type, [item.id]),
+          supabase.from("enrollments").select("student_id, section_id, students(full_name, email)").eq("course_id", courseId),
+          fetchSections(courseId),
+        ]);
+        if (error) throw error;
+        setExtensions(rows);
+        setRoster(
+          (enrolled || []).sort((a, b) => (a.students?.full_name || "").localeCompare(b.students?.full_name || ""))
+        );
+        setSections(courseSections);
+      } catch (err) {
+        console.error("load extensions", err);
+        toast.error("Failed to load extensions");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [open, type, item?.id, courseId]);
+
+  const updateExtensions = (next) => {
+    setExtensions(next);
+    onChange?.(next);
+  };
+
+  const handleGrant = async () => {
+    const [kind, id] = target.split(":");
+    if (!id || !dueDate) {
+      toast.error("Pick who to extend and the new deadline");
+      return;
+    }
+    if (deadline && new Date(dueDate) <= new Date(deadline)) {
+      toast.error("The extension must be later than the normal deadline");
+      return;
+    }
+    setSaving(true);
+    try {
+      const row = await grantExtension({
+        type,
+        assessmentId: item.id,
+        studentId: kind === "student" ? id : null,
+        sectionId: kind === "section" ? id : null,
+        dueDate,
+        reason,
+        grantedBy: user?.id,
+      });
+      await logAudit({
+        actorId: user?.id,
+        action: "deadline_extension.granted",
+        entityType: "deadline_extension",
+        entityId: row.id,
+        after: { ...row, students: undefined, title: item.title },
+      });
+      const studentIds =
+        kind === "student" ? [id] : roster.filter((r) => r.section_id === id).map((r) => r.student_id);
+      notifyUsers("deadline_extended", studentIds, {
+        itemTitle: item.title,
+        courseTitle,
+        dueDate: row.due_date,
+        reason: row.reason,
+      });
+      updateExtensions([row, ...extensions]);
+      setTarget("");
+      setReason("");
+      toast.success("Extension granted");
+    } catch (err) {
+      console.error("grantExtension", err);
+      toast.error(err.message || "Failed to grant extension");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (ext) => {
+    try {
+      await revokeExtension(ext.id);
+      await logAudit({
+        actorId: user?.id,
+        action: "deadline_extension.revoked",
+        entityType: "deadline_extension",
+        entityId: ext.id,
+        before: { ...ext, students: undefined, title: item.title },
+      });
+      updateExtensions(extensions.filter((e) => e.id !== ext.id));
+    } catch (err) {
+      console.error("revokeExtension", err);
+      toast.error("Failed to revoke extension");
+    }
+  };
+
+  const whoLabel = (ext) =>
+    ext.student_id
+      ? ext.students?.full_name || ext.students?.email || "Student"
+      : `Section ${sectionName(sections, ext.section_id) || ""}`.trim();
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !saving && onOpenChange(v)}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400 flex items-center gap-2">
+            <CalendarClock className="h-5 w-5" /> Extensions · {item?.title}
+          </DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            Normal deadline: {deadline ? new Date(deadline).toLocaleString() : "none"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <Select value={target} onValueChange={setTarget}>
+            <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+              <SelectValue placeholder="Student or section" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 border-zinc-700 text-white max-h-72">
+              {sections.map((s) => (
+                <SelectItem key={s.id} value={`section:${s.id}`}>
+                  Section {s.name}
+                </SelectItem>
+              ))}
+              {roster.map((r) => (
+                <SelectItem key={r.student_id} value={`student:${r.student_id}`}>
+                  {r.students?.full_name || r.students?.email || r.student_id}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <Input
+              type="datetime-local"
+              value={dueDate}
+              onChange={(e) => setDueDate(e.target.value)}
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+            <Input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason (e.g. medical leave)"
+              className="bg-zinc-800 border-zinc-700 text-white"
+            />
+          </div>
+          <div className="flex justify-end">
+            <Button
+              className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+              disabled={saving}
+              onClick={handleGrant}
+            >
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Grant extension"}
+            </Button>
+          </div>
+
+          <div className="border-t border-zinc-800 pt-3 space-y-2 max-h-64 overflow-y-auto">
+            {loading ? (
+              <p className="text-sm text-zinc-400">Loading...</p>
+            ) : extensions.length === 0 ? (
+              <p className="text-sm text-zinc-500">No extensions granted.</p>
+            ) : (
+              extensions.map((ext) => (
+                <div key={ext.id} className="flex items-start justify-between gap-2 text-sm">
+                  <div>
+                    <div className="text-zinc-200">{whoLabel(ext)}</div>
+                    <div className="text-xs text-emerald-300">
+                      Until {new Date(ext.due_date).toLocaleString()}
+                      {ext.reason && <span className="text-zinc-500"> · {ext.reason}</span>}
+                    </div>
+                  </div>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="cursor-pointer text-red-400 hover:text-red-300"
+                    title="Revoke"
+                    onClick={() => handleRevoke(ext)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
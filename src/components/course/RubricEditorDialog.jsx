@@ -0,0 +1,268 @@
+// src/components/course/RubricEditorDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { useAuth } from "../../hooks/useAuth";
+import { logAudit } from "../../lib/audit";
+import {
+  deleteRubric,
+  emptyRubric,
+  newCriterion,
+  newLevel,
+  rubricError,
+  rubricMaxPoints,
+  rubricUsage,
+  saveRubric,
+} from "../../lib/rubrics";
+
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogFooter,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogAction,
+  AlertDialogCancel,
+} from "@/components/ui/alert-dialog";
+import { Loader2, Plus, Trash2, X } from "lucide-react";
+
+/**
+ * RubricEditorDialog
+ * - Creates (`rubric` null) or edits a reusable rubric: criteria, each with levels and points
+ * - Rubrics still attached to an assignment can't be deleted
+ * - `onSaved(row)` / `onDeleted(id)` let the caller refresh its list
+ */
+export default function RubricEditorDialog({ open, onOpenChange, rubric, onSaved, onDeleted }) {
+  const { user } = useAuth();
+  const [draft, setDraft] = useState(emptyRubric());
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => {
+    if (open) setDraft(rubric ? structuredClone(rubric) : emptyRubric());
+  }, [open, rubric]);
+
+  const updateCriterion = (critId, patch) =>
+    setDraft((d) => ({ ...d, criteria: d.criteria.map((c) => (c.id === critId ? { ...c, ...patch } : c)) }));
+
+  const updateLevel = (critId, levelId, patch) =>
+    setDraft((d) => ({
+      ...d,
+      criteria: d.criteria.map((c) =>
+        c.id === critId ? { ...c, levels: c.levels.map((l) => (l.id === levelId ? { ...l, ...patch } : l)) } : c
+      ),
+    }));
+
+  const handleSave = async () => {
+    const problem = rubricError(draft);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    setSaving(true);
+    try {
+      const row = await saveRubric(draft, user?.id);
+      await logAudit({
+        actorId: user?.id,
+        action: rubric ? "rubric.updated" : "rubric.created",
+        entityType: "rubric",
+        entityId: row.id,
+        before: rubric || null,
+        after: row,
+      });
+      toast.success(rubric ? "Rubric updated" : "Rubric created");
+      onSaved?.(row);
+      onOpenChange(false);
+    } catch (err) {
+      console.error("saveRubric", err);
+      toast.error("Failed to save rubric");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    try {
+      const used = await rubricUsage(rubric.id);
+      if (used > 0) {
+        toast.error(`In use by ${used} assignment${used === 1 ? "" : "s"} – detach it first`);
+        return;
+      }
+      await deleteRubric(rubric.id);
+      await logAudit({
+        actorId: user?.id,
+        action: "rubric.deleted",
+        entityType: "rubric",
+        entityId: rubric.id,
+        before: rubric,
+      });
+      toast.success("Rubric deleted");
+      onDeleted?.(rubric.id);
+      onOpenChange(false);
+    } catch (err) {
+      console.error("deleteRubric", err);
+      toast.error("Failed to delete rubric");
+    } finally {
+      setSaving(false);
+      setConfirmDelete(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !saving && onOpenChange(v)}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-3xl z-[70]">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400">{rubric ? "Edit rubric" : "New rubric"}</DialogTitle>
+          <DialogDescription className="text-zinc-400">
+            Max score {rubricMaxPoints(draft)} points. Grades already given keep the rubric as it was.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3 max-h-[65vh] overflow-y-auto pr-1">
+          <Input
+            value={draft.title}
+            onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))}
+            placeholder="Rubric title"
+            className="bg-zinc-800 border-zinc-700 text-white"
+          />
+          <Textarea
+            value={draft.description || ""}
+            onChange={(e) => setDraft((d) => ({ ...d, description: e.target.value }))}
+            placeholder="Description (optional)"
+            className="bg-zinc-800 border-zinc-700 text-white"
+          />
+
+          {draft.criteria.map((c, idx) => (
+            <div key={c.id} className="rounded-lg border border-zinc-800 bg-zinc-900/50 p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-zinc-500 w-5">{idx + 1}.</span>
+                <Input
+                  value={c.title}
+                  onChange={(e) => updateCriterion(c.id, { title: e.target.value })}
+                  placeholder="Criterion (e.g. Code quality)"
+                  className="bg-zinc-800 border-zinc-700 text-white"
+                />
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  title="Remove criterion"
+                  className="cursor-pointer text-red-400 hover:text-red-300"
+                  onClick={() => setDraft((d) => ({ ...d, criteria: d.criteria.filter((x) => x.id !== c.id) }))}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <Input
+                value={c.description || ""}
+                onChange={(e) => updateCriterion(c.id, { description: e.target.value })}
+                placeholder="What is being judged (optional)"
+                className="bg-zinc-800 border-zinc-700 text-white text-xs"
+              />
+              <div className="space-y-1">
+                {c.levels.map((l) => (
+                  <div key={l.id} className="flex items-center gap-2">
+                    <Input
+                      value={l.label}
+                      onChange={(e) => updateLevel(c.id, l.id, { label: e.target.value })}
+                      placeholder="Level"
+                      className="bg-zinc-800 border-zinc-700 text-white w-32"
+                    />
+                    <Input
+                      type="number"
+                      min="0"
+                      value={l.points}
+                      onChange={(e) => updateLevel(c.id, l.id, { points: e.target.value })}
+                      className="bg-zinc-800 border-zinc-700 text-white w-20"
+                    />
+                    <Input
+                      value={l.description || ""}
+                      onChange={(e) => updateLevel(c.id, l.id, { description: e.target.value })}
+                      placeholder="Descriptor (optional)"
+                      className="bg-zinc-800 border-zinc-700 text-white flex-1"
+                    />
+                    <Button
+                      size="icon"
+                      variant="ghost"
+                      title="Remove level"
+                      className="cursor-pointer text-zinc-400 hover:text-red-300"
+                      onClick={() => updateCriterion(c.id, { levels: c.levels.filter((x) => x.id !== l.id) })}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="cursor-pointer text-emerald-300 hover:text-emerald-200"
+                  onClick={() => updateCriterion(c.id, { levels: [...c.levels, newLevel()] })}
+                >
+                  <Plus className="h-4 w-4 mr-1" /> Level
+                </Button>
+              </div>
+            </div>
+          ))}
+
+          <Button
+            variant="outline"
+            className="cursor-pointer border-zinc-700 text-zinc-200 hover:bg-zinc-800"
+            onClick={() => setDraft((d) => ({ ...d, criteria: [...d.criteria, newCriterion()] }))}
+          >
+            <Plus className="h-4 w-4 mr-1" /> Criterion
+          </Button>
+        </div>
+
+        <DialogFooter className="gap-2 sm:justify-between">
+          {rubric ? (
+            <Button
+              variant="ghost"
+              className="cursor-pointer text-red-400 hover:text-red-300"
+              disabled={saving}
+              onClick={() => setConfirmDelete(true)}
+            >
+              <Trash2 className="h-4 w-4 mr-1" /> Delete
+            </Button>
+          ) : (
+            <span />
+          )}
+          <Button
+            className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+            disabled={saving}
+            onClick={handleSave}
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Save rubric"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+
+      <AlertDialog open={confirmDelete} onOpenChange={setConfirmDelete}>
+        <AlertDialogContent className="bg-zinc-900 border border-zinc-700 text-white z-[80]">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete rubric</AlertDialogTitle>
+            <AlertDialogDescription className="text-zinc-400">
+              Delete "{rubric?.title}"? Grades already given keep their filled rubric.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-zinc-800 border-zinc-700 text-zinc-200 cursor-pointer">Cancel</AlertDialogCancel>
+            <AlertDialogAction className="bg-red-600 cursor-pointer hover:bg-red-700" onClick={handleDelete}>
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Dialog>
+  );
+}
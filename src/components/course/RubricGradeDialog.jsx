@@ -0,0 +1,98 @@
+// src/components/course/RubricGradeDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { isRubricComplete, rubricResult } from "../../lib/rubrics";
+import RubricGrid from "./RubricGrid";
+
+import { Textarea } from "@/components/ui/textarea";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { ClipboardCheck } from "lucide-react";
+
+/**
+ * RubricGradeDialog
+ * - Staff: pick a level per criterion, add feedback, and `onSave(result, feedback)` with the
+ *   rubric_scores snapshot (its total is the raw grade)
+ * - Without `onSave` it only shows `scores` (a saved snapshot) to the student
+ * - Earlier picks are restored when `scores` came from the same rubric
+ */
+export default function RubricGradeDialog({ open, onOpenChange, rubric, scores, feedback = "", subtitle, onSave }) {
+  const readOnly = typeof onSave !== "function";
+  const shown = readOnly ? scores : rubric;
+  const [selections, setSelections] = useState({});
+  const [localFeedback, setLocalFeedback] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setSelections(scores && (readOnly || scores.rubric_id === rubric?.id) ? scores.selections || {} : {});
+    setLocalFeedback(feedback || "");
+  }, [open, scores, rubric?.id, feedback, readOnly]);
+
+  const handleSave = async () => {
+    if (!isRubricComplete(rubric, selections)) {
+      toast.error("Pick a level for every criterion");
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(rubricResult(rubric, selections), localFeedback);
+      onOpenChange(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !saving && onOpenChange(v)}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-3xl">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400 flex items-center gap-2">
+            <ClipboardCheck className="h-5 w-5" /> {shown?.title || "Rubric"}
+          </DialogTitle>
+          {subtitle && <DialogDescription className="text-zinc-400">{subtitle}</DialogDescription>}
+        </DialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto pr-1 space-y-3">
+          {shown ? (
+            <RubricGrid
+              rubric={shown}
+              selections={selections}
+              onSelect={readOnly ? undefined : (critId, levelId) => setSelections((p) => ({ ...p, [critId]: levelId }))}
+            />
+          ) : (
+            <p className="text-sm text-zinc-400">No rubric.</p>
+          )}
+          {readOnly && feedback && <p className="text-sm text-zinc-300 whitespace-pre-wrap">{feedback}</p>}
+          {!readOnly && (
+            <Textarea
+              value={localFeedback}
+              onChange={(e) => setLocalFeedback(e.target.value)}
+              placeholder="Feedback..."
+              className="bg-zinc-800 text-emerald-100 border-zinc-700"
+            />
+          )}
+        </div>
+
+        {!readOnly && (
+          <DialogFooter>
+            <Button
+              className="bg-emerald-600 hover:bg-emerald-500 text-black cursor-pointer"
+              disabled={saving}
+              onClick={handleSave}
+            >
+              Save grade
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,62 @@
+// src/components/course/RubricGrid.jsx
+import { rubricMaxPoints, rubricTotal } from "../../lib/rubrics";
+
+/**
+ * RubricGrid
+ * - Criteria as rows, performance levels as clickable cells; the picked level is highlighted
+ * - Read-only when `onSelect` is missing (students' view of a graded submission)
+ * - `rubric` is a rubrics row or a submission's rubric_scores snapshot (see lib/rubrics)
+ */
+export default function RubricGrid({ rubric, selections = {}, onSelect }) {
+  const criteria = rubric?.criteria || [];
+  const interactive = typeof onSelect === "function";
+
+  return (
+    <div className="space-y-3">
+      {criteria.map((c) => (
+        <div key={c.id} className="rounded-lg border border-zinc-800 bg-zinc-900/50 p-3">
+          <div className="flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <div className="text-sm font-medium text-zinc-100">{c.title}</div>
+              {c.description && <div className="text-xs text-zinc-500">{c.description}</div>}
+            </div>
+            <div className="text-xs text-zinc-400 shrink-0">
+              {(c.levels || []).find((l) => l.id === selections[c.id])?.points ?? "–"} /{" "}
+              {Math.max(0, ...(c.levels || []).map((l) => Number(l.points) || 0))}
+            </div>
+          </div>
+          <div className="mt-2 grid gap-2" style={{ gridTemplateColumns: `repeat(${Math.max(c.levels?.length || 1, 1)}, minmax(0, 1fr))` }}>
+            {(c.levels || []).map((l) => {
+              const picked = selections[c.id] === l.id;
+              return (
+                <button
+                  key={l.id}
+                  type="button"
+                  disabled={!interactive}
+                  onClick={() => onSelect?.(c.id, l.id)}
+                  className={`rounded-md border p-2 text-left text-xs transition-colors ${
+                    picked
+                      ? "border-emerald-500 bg-emerald-600/25 text-emerald-100"
+                      : "border-zinc-800 bg-zinc-950/60 text-zinc-300"
+                  } ${interactive ? "cursor-pointer hover:border-emerald-600/60" : "cursor-default"}`}
+                >
+                  <div className="flex items-center justify-between gap-1 font-medium">
+                    <span className="truncate">{l.label}</span>
+                    <span className={picked ? "text-emerald-300" : "text-zinc-500"}>{l.points}</span>
+                  </div>
+                  {l.description && <div className="mt-1 text-[11px] text-zinc-500">{l.description}</div>}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      <div className="text-right text-sm text-zinc-300">
+        Total:{" "}
+        <span className="font-semibold text-emerald-300">
+          {rubricTotal(rubric, selections)} / {rubricMaxPoints(rubric)}
+        </span>
+      </div>
+    </div>
+  );
+}
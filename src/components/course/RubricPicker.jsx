@@ -0,0 +1,101 @@
+// src/components/course/RubricPicker.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { fetchRubrics, rubricMaxPoints } from "../../lib/rubrics";
+import RubricEditorDialog from "./RubricEditorDialog";
+
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { Edit, Plus } from "lucide-react";
+
+const NO_RUBRIC = "none";
+
+/**
+ * RubricPicker
+ * - Attaches a reusable rubric to an assignment form: `value` is a rubric id or null
+ * - New / Edit open RubricEditorDialog; a newly created rubric is picked straight away
+ */
+export default function RubricPicker({ value, onChange }) {
+  const [rubrics, setRubrics] = useState([]);
+  const [editor, setEditor] = useState(null); // { rubric } while the editor is open
+
+  useEffect(() => {
+    fetchRubrics()
+      .then(setRubrics)
+      .catch((err) => {
+        console.error("fetchRubrics", err);
+        toast.error("Failed to load rubrics");
+      });
+  }, []);
+
+  const current = rubrics.find((r) => r.id === value) || null;
+
+  const handleSaved = (row) => {
+    setRubrics((prev) =>
+      (prev.some((r) => r.id === row.id) ? prev.map((r) => (r.id === row.id ? row : r)) : [...prev, row]).sort((a, b) =>
+        a.title.localeCompare(b.title)
+      )
+    );
+    onChange(row.id);
+  };
+
+  const handleDeleted = (id) => {
+    setRubrics((prev) => prev.filter((r) => r.id !== id));
+    if (value === id) onChange(null);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={value || NO_RUBRIC} onValueChange={(v) => onChange(v === NO_RUBRIC ? null : v)}>
+        <SelectTrigger className="bg-zinc-800 border-zinc-700 text-emerald-100 w-full">
+          <SelectValue placeholder="No rubric" />
+        </SelectTrigger>
+        {/* z-[70]: also used inside the roadmap's z-60 modal */}
+        <SelectContent className="bg-zinc-900 border-zinc-700 text-white z-[70]">
+          <SelectItem value={NO_RUBRIC}>No rubric (numeric grade)</SelectItem>
+          {rubrics.map((r) => (
+            <SelectItem key={r.id} value={r.id}>
+              {r.title} · {rubricMaxPoints(r)} pts
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {current && (
+        <Button
+          type="button"
+          size="icon"
+          variant="ghost"
+          title="Edit rubric"
+          className="cursor-pointer text-amber-400"
+          onClick={() => setEditor({ rubric: current })}
+        >
+          <Edit className="h-4 w-4" />
+        </Button>
+      )}
+      <Button
+        type="button"
+        size="icon"
+        variant="ghost"
+        title="New rubric"
+        className="cursor-pointer text-emerald-300"
+        onClick={() => setEditor({ rubric: null })}
+      >
+        <Plus className="h-4 w-4" />
+      </Button>
+
+      <RubricEditorDialog
+        open={!!editor}
+        onOpenChange={(v) => !v && setEditor(null)}
+        rubric={editor?.rubric || null}
+        onSaved={handleSaved}
+        onDeleted={handleDeleted}
+      />
+    </div>
+  );
+}
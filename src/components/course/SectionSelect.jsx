@@ -0,0 +1,42 @@
+// src/components/course/SectionSelect.jsx
+import { ALL_SECTIONS } from "../../lib/sections";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+
+/**
+ * SectionSelect
+ * - Picker over a course's sections plus an "All sections" entry (value ALL_SECTIONS)
+ * - Used both as a roster filter and to target content at one section;
+ *   callers map ALL_SECTIONS to section_id = null when saving
+ * - Renders nothing when the course has no sections
+ */
+export default function SectionSelect({
+  sections,
+  value,
+  onChange,
+  allLabel = "All sections",
+  className = "bg-zinc-800 border-zinc-700 w-full sm:w-48",
+  disabled,
+}) {
+  if (!sections?.length) return null;
+  return (
+    <Select value={value || ALL_SECTIONS} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className={className}>
+        <SelectValue placeholder="Section" />
+      </SelectTrigger>
+      <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+        <SelectItem value={ALL_SECTIONS}>{allLabel}</SelectItem>
+        {sections.map((s) => (
+          <SelectItem key={s.id} value={s.id}>
+            {s.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,106 @@
+// src/components/course/SubmissionAttachments.jsx
+import { useState } from "react";
+import { toast } from "sonner";
+import { fileKind, formatFileSize, signedFileUrl } from "../../lib/submissionFiles";
+
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Download, FileArchive, FileImage, FileText, Loader2 } from "lucide-react";
+
+const KIND_ICONS = { pdf: FileText, image: FileImage, zip: FileArchive };
+
+/**
+ * SubmissionAttachments
+ * - Chips for a submission's uploaded files (see lib/submissionFiles)
+ * - Clicking one opens an inline preview from a signed URL: PDFs in a frame, images as-is,
+ *   anything else as a download
+ */
+export default function SubmissionAttachments({ attachments, emptyText = null }) {
+  const [preview, setPreview] = useState(null); // { file, url }
+  const [opening, setOpening] = useState(null);
+
+  if (!attachments?.length) return emptyText;
+
+  const open = async (file) => {
+    setOpening(file.path);
+    try {
+      setPreview({ file, url: await signedFileUrl(file.path) });
+    } catch (err) {
+      console.error("signedFileUrl", err);
+      toast.error("Could not open file");
+    } finally {
+      setOpening(null);
+    }
+  };
+
+  const download = async (file) => {
+    try {
+      window.open(await signedFileUrl(file.path, { download: true }), "_blank");
+    } catch (err) {
+      console.error("signedFileUrl", err);
+      toast.error("Could not download file");
+    }
+  };
+
+  const kind = preview ? fileKind(preview.file.name) : null;
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-1">
+        {attachments.map((file) => {
+          const Icon = KIND_ICONS[fileKind(file.name)] || FileText;
+          return (
+            <button
+              key={file.path}
+              type="button"
+              title={`${file.name} · ${formatFileSize(file.size)}`}
+              onClick={() => open(file)}
+              className="inline-flex max-w-[12rem] items-center gap-1 rounded-full border border-emerald-700/50 bg-emerald-900/20 px-2 py-0.5 text-xs text-emerald-300 hover:bg-emerald-800/30 cursor-pointer"
+            >
+              {opening === file.path ? (
+                <Loader2 className="h-3 w-3 shrink-0 animate-spin" />
+              ) : (
+                <Icon className="h-3 w-3 shrink-0" />
+              )}
+              <span className="truncate">{file.name}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      <Dialog open={!!preview} onOpenChange={(v) => !v && setPreview(null)}>
+        <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-4xl">
+          <DialogHeader>
+            <DialogTitle className="text-emerald-300 truncate">{preview?.file.name}</DialogTitle>
+            <DialogDescription className="text-zinc-400">{formatFileSize(preview?.file.size)}</DialogDescription>
+          </DialogHeader>
+          {kind === "pdf" && (
+            <iframe title={preview.file.name} src={preview.url} className="h-[70vh] w-full rounded border border-zinc-800 bg-white" />
+          )}
+          {kind === "image" && (
+            <img src={preview.url} alt={preview.file.name} className="max-h-[70vh] w-full rounded object-contain" />
+          )}
+          {preview && kind !== "pdf" && kind !== "image" && (
+            <p className="text-sm text-zinc-400">This file type can't be previewed in the browser.</p>
+          )}
+          {preview && (
+            <div className="flex justify-end">
+              <Button
+                className="bg-emerald-500 hover:bg-emerald-400 text-black cursor-pointer"
+                onClick={() => download(preview.file)}
+              >
+                <Download className="h-4 w-4 mr-1" /> Download
+              </Button>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
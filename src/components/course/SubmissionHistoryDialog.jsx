@@ -0,0 +1,152 @@
+// src/components/course/SubmissionHistoryDialog.jsx
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { fetchSubmissionVersions, versionChanges } from "../../lib/submissionVersions";
+import SubmissionAttachments from "./SubmissionAttachments";
+
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { History } from "lucide-react";
+
+const DIFF_STYLES = {
+  same: "text-zinc-300",
+  added: "bg-emerald-700/40 text-emerald-100 rounded-sm",
+  removed: "bg-red-800/40 text-red-200 line-through rounded-sm",
+};
+
+function Diff({ ops }) {
+  return (
+    <span className="whitespace-pre-wrap break-all">
+      {ops.map((op, i) => (
+        <span key={i} className={DIFF_STYLES[op.type]}>
+          {op.text}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+function FileList({ label, files, className }) {
+  if (!files.length) return null;
+  return (
+    <div className="text-xs">
+      <span className={className}>{label}:</span> {files.map((f) => f.name).join(", ")}
+    </div>
+  );
+}
+
+/**
+ * SubmissionHistoryDialog
+ * - Every saved version of one submission, newest first, with what changed since the one
+ *   before it: link and note as inline diffs, files added / removed
+ * - `subtitle` names the student (and assignment) in the header
+ */
+export default function SubmissionHistoryDialog({ open, onOpenChange, submission, subtitle }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || !submission?.id) return;
+    let mounted = true;
+    setLoading(true);
+    fetchSubmissionVersions(submission)
+      .then((rows) => mounted && setVersions(rows))
+      .catch((err) => {
+        console.error("fetchSubmissionVersions", err);
+        toast.error("Failed to load submission history");
+      })
+      .finally(() => mounted && setLoading(false));
+    return () => {
+      mounted = false;
+    };
+  }, [open, submission]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-zinc-950 border-zinc-800 text-zinc-100 max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="text-emerald-400 flex items-center gap-2">
+            <History className="h-5 w-5" /> Submission history
+          </DialogTitle>
+          {subtitle && <DialogDescription className="text-zinc-400">{subtitle}</DialogDescription>}
+        </DialogHeader>
+
+        <div className="max-h-[65vh] overflow-y-auto pr-1 space-y-3">
+          {loading && <p className="text-sm text-zinc-400">Loading...</p>}
+          {!loading &&
+            versions
+              .map((v, idx) => ({ v, prev: versions[idx - 1] || null }))
+              .reverse()
+              .map(({ v, prev }) => {
+                const changes = prev ? versionChanges(prev, v) : null;
+                const unchanged =
+                  changes && !changes.link && !changes.note && !changes.filesAdded.length && !changes.filesRemoved.length;
+                return (
+                  <div key={v.id} className="rounded-lg border border-zinc-800 bg-zinc-900/50 p-3 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <Badge className="bg-emerald-700/40 text-emerald-200 border border-emerald-600/40">
+                          v{v.version}
+                        </Badge>
+                        {v.version === versions[versions.length - 1]?.version && (
+                          <span className="text-xs text-emerald-300">current</span>
+                        )}
+                      </div>
+                      <span className="text-xs text-zinc-400">
+                        {v.submitted_at ? new Date(v.submitted_at).toLocaleString() : "—"}
+                      </span>
+                    </div>
+
+                    {/* first version: what was handed in; later ones: what changed */}
+                    {!changes ? (
+                      <div className="space-y-1 text-sm">
+                        <div className="text-zinc-300 break-all">
+                          <span className="text-zinc-500">Link:</span>{" "}
+                          {v.file_url ? (
+                            <a href={v.file_url} target="_blank" rel="noreferrer" className="text-emerald-300 underline">
+                              {v.file_url}
+                            </a>
+                          ) : (
+                            "—"
+                          )}
+                        </div>
+                        {v.note && (
+                          <div className="text-zinc-300 whitespace-pre-wrap">
+                            <span className="text-zinc-500">Note:</span> {v.note}
+                          </div>
+                        )}
+                      </div>
+                    ) : unchanged ? (
+                      <p className="text-xs text-zinc-500">Saved again without changes.</p>
+                    ) : (
+                      <div className="space-y-1 text-sm">
+                        {changes.link && (
+                          <div>
+                            <span className="text-zinc-500">Link:</span> <Diff ops={changes.link} />
+                          </div>
+                        )}
+                        {changes.note && (
+                          <div>
+                            <span className="text-zinc-500">Note:</span> <Diff ops={changes.note} />
+                          </div>
+                        )}
+                        <FileList label="Added" files={changes.filesAdded} className="text-emerald-300" />
+                        <FileList label="Removed" files={changes.filesRemoved} className="text-red-300" />
+                      </div>
+                    )}
+
+                    <SubmissionAttachments attachments={v.attachments} />
+                  </div>
+                );
+              })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,17 @@
+// src/components/profile/ProfileAvatar.jsx
+import { Avatar, AvatarImage, AvatarFallback } from "@/components/ui/avatar";
+import { cn } from "@/lib/utils";
+import { getInitials } from "../../lib/profile";
+
+// Uploaded photo when there is one, initials otherwise
+export default function ProfileAvatar({ profile, className, fallbackClassName }) {
+  const name = profile?.full_name || profile?.email || "";
+  return (
+    <Avatar className={cn("size-8", className)}>
+      {profile?.avatar_url && <AvatarImage src={profile.avatar_url} alt={name} className="object-cover" />}
+      <AvatarFallback className={cn("bg-emerald-700/10 text-emerald-200 font-semibold", fallbackClassName)}>
+        {getInitials(name)}
+      </AvatarFallback>
+    </Avatar>
+  );
+}
@@ -0,0 +1,171 @@
+// src/components/profile/ProfileDetailsCard.jsx
+import { useEffect, useRef, useState } from "react";
+import { toast } from "sonner";
+import { supabase } from "../../lib/supabaseClient";
+import { useAuth } from "../../hooks/useAuth";
+import { PROFILE_DETAIL_FIELDS, uploadAvatar } from "../../lib/profile";
+import ProfileAvatar from "./ProfileAvatar";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Button } from "@/components/ui/button";
+import { IdCard, Camera, Loader2, Trash2 } from "lucide-react";
+
+/**
+ * ProfileDetailsCard
+ * - Photo upload (Supabase storage) plus the extended profile fields
+ * - `fields` picks which keys of PROFILE_DETAIL_FIELDS to show
+ *   (students get all but the staff-only ones, staff department/phone/bio)
+ */
+export default function ProfileDetailsCard({
+  fields = PROFILE_DETAIL_FIELDS.filter((f) => !f.staffOnly).map((f) => f.key),
+}) {
+  const { profile, refreshProfile } = useAuth();
+  const fileRef = useRef(null);
+
+  const visible = PROFILE_DETAIL_FIELDS.filter((f) => fields.includes(f.key));
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    if (!profile) return;
+    setForm(Object.fromEntries(visible.map((f) => [f.key, profile[f.key] ?? ""])));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [profile]);
+
+  const dirty = !!profile && visible.some((f) => (form[f.key] ?? "") !== (profile[f.key] ?? ""));
+
+  const saveDetails = async () => {
+    if (!profile) return;
+    setSaving(true);
+    try {
+      const patch = Object.fromEntries(visible.map((f) => [f.key, (form[f.key] || "").trim() || null]));
+      const { error } = await supabase.from("profiles").update(patch).eq("id", profile.id);
+      if (error) throw error;
+      await refreshProfile();
+      toast.success("Profile details saved");
+    } catch (err) {
+      console.error("Save profile details error:", err);
+      toast.error("Failed to save profile details");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setAvatar = async (avatarUrl) => {
+    const { error } = await supabase.from("profiles").update({ avatar_url: avatarUrl }).eq("id", profile.id);
+    if (error) throw error;
+    await refreshProfile();
+  };
+
+  const handleAvatarFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file || !profile) return;
+    setUploading(true);
+    try {
+      await setAvatar(await uploadAvatar(profile.id, file));
+      toast.success("Photo updated");
+    } catch (err) {
+      console.error("Avatar upload error:", err);
+      toast.error(err.message || "Failed to upload photo");
+    } finally {
+      setUploading(false);
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  };
+
+  const removeAvatar = async () => {
+    setUploading(true);
+    try {
+      await setAvatar(null);
+      toast.success("Photo removed");
+    } catch (err) {
+      console.error("Avatar remove error:", err);
+      toast.error("Failed to remove photo");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-6 backdrop-blur-sm hover:shadow-emerald-500/10 transition-all">
+      <CardHeader className="px-0">
+        <div className="flex items-center gap-3">
+          <IdCard className="h-5 w-5 text-emerald-300" />
+          <CardTitle className="text-emerald-300">Profile details</CardTitle>
+        </div>
+        <p className="text-xs text-zinc-400 mt-1">Shown to your instructors on class rosters.</p>
+      </CardHeader>
+
+      <CardContent className="px-0 pt-4 space-y-5">
+        {/* Photo */}
+        <div className="flex items-center gap-4">
+          <ProfileAvatar profile={profile} className="size-16" fallbackClassName="text-lg" />
+          <div className="flex flex-wrap gap-2">
+            <input ref={fileRef} type="file" accept="image/*" className="hidden" onChange={handleAvatarFile} />
+            <Button
+              size="sm"
+              variant="outline"
+              className="border-zinc-700 cursor-pointer"
+              disabled={!profile || uploading}
+              onClick={() => fileRef.current?.click()}
+            >
+              {uploading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Camera className="h-4 w-4 mr-2" />}
+              {profile?.avatar_url ? "Change photo" : "Upload photo"}
+            </Button>
+            {profile?.avatar_url && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="cursor-pointer text-red-300 hover:text-red-200"
+                disabled={uploading}
+                onClick={removeAvatar}
+              >
+                <Trash2 className="h-4 w-4 mr-2" /> Remove
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Fields */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {visible.map((f) => (
+            <div key={f.key} className={`space-y-1 ${f.multiline ? "sm:col-span-2" : ""}`}>
+              <label htmlFor={`profile-${f.key}`} className="text-xs text-zinc-400">
+                {f.label}
+              </label>
+              {f.multiline ? (
+                <Textarea
+                  id={`profile-${f.key}`}
+                  value={form[f.key] ?? ""}
+                  placeholder={f.placeholder}
+                  onChange={(e) => setForm((prev) => ({ ...prev, [f.key]: e.target.value }))}
+                  className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                />
+              ) : (
+                <Input
+                  id={`profile-${f.key}`}
+                  type={f.type || "text"}
+                  value={form[f.key] ?? ""}
+                  placeholder={f.placeholder}
+                  onChange={(e) => setForm((prev) => ({ ...prev, [f.key]: e.target.value }))}
+                  className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <Button
+          className="bg-emerald-500 cursor-pointer hover:bg-emerald-400 text-black"
+          disabled={!dirty || saving}
+          onClick={saveDetails}
+        >
+          {saving ? "Saving..." : "Save details"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,25 @@
+// src/components/profile/StudentIdentity.jsx
+import ProfileAvatar from "./ProfileAvatar";
+import { formatClassInfo } from "../../lib/profile";
+
+/**
+ * StudentIdentity
+ * - Avatar, name, and a sub-line with roll number and department/semester/section
+ * - Used in roster tables (attendance, submissions, quiz results)
+ */
+export default function StudentIdentity({ student, nameClassName = "text-zinc-200 font-medium" }) {
+  const classInfo = formatClassInfo(student);
+  return (
+    <div className="flex items-center gap-3 min-w-0">
+      <ProfileAvatar profile={student} className="size-8" fallbackClassName="text-xs" />
+      <div className="min-w-0">
+        <div className={`truncate ${nameClassName}`}>{student?.full_name || "Unknown"}</div>
+        {(student?.roll_number || classInfo) && (
+          <div className="text-xs text-zinc-500 truncate">
+            {[student?.roll_number, classInfo].filter(Boolean).join(" · ")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+// src/hooks/useAuth.js
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+/**
+ * useAuth
+ * - Returns { session, user, profile, role, deactivated, mustResetPassword, loading, refreshProfile, signOut }
+ * - Must be rendered inside <AuthProvider>
+ */
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>");
+  return ctx;
+}
@@ -0,0 +1,133 @@
+// src/lib/announcements.js
+import { supabase } from "./supabaseClient";
+import { isVisibleToSection } from "./sections";
+import { notifyUsers } from "./notifications";
+
+/**
+ * Course announcements
+ * - course_announcements: course_id, section_id (null = whole course), title, body, pinned,
+ *   publish_at (null = right away), notified_at, created_by
+ * - announcement_reads (announcement_id, student_id, read_at) holds each student's read state
+ * - Scheduled announcements stay hidden from students until publish_at. Emails go out when an
+ *   announcement is published right away, or the next time course staff open the announcements
+ *   page after its publish time (there is no server-side scheduler)
+ */
+
+export const ANNOUNCEMENT_COLUMNS =
+  "id, course_id, section_id, title, body, pinned, publish_at, notified_at, created_at, created_by, author:profiles!created_by(full_name)";
+
+export function isPublished(a, now = new Date()) {
+  return !a?.publish_at || new Date(a.publish_at) <= now;
+}
+
+export function publishedAt(a) {
+  return a?.publish_at || a?.created_at;
+}
+
+// pinned first, then newest
+export function sortAnnouncements(list) {
+  return [...(list || [])].sort(
+    (a, b) => Number(!!b.pinned) - Number(!!a.pinned) || new Date(publishedAt(b)) - new Date(publishedAt(a))
+  );
+}
+
+/**
+ * fetchAnnouncements
+ * - All announcements of the given courses (staff view, scheduled ones included)
+ */
+export async function fetchAnnouncements(courseIds) {
+  const ids = [].concat(courseIds || []).filter(Boolean);
+  if (!ids.length) return [];
+  const { data, error } = await supabase
+    .from("course_announcements")
+    .select(ANNOUNCEMENT_COLUMNS)
+    .in("course_id", ids)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return sortAnnouncements(data);
+}
+
+/**
+ * fetchStudentAnnouncements
+ * - Published announcements a student can see, given their course_id -> section_id map
+ * - Returns { announcements, readIds } with readIds a Set of announcement ids
+ */
+export async function fetchStudentAnnouncements(studentId, sectionOf) {
+  const courseIds = Object.keys(sectionOf || {});
+  if (!studentId || !courseIds.length) return { announcements: [], readIds: new Set() };
+
+  const { data, error } = await supabase
+    .from("course_announcements")
+    .select(`${ANNOUNCEMENT_COLUMNS}, courses(title)`)
+    .in("course_id", courseIds)
+    .or(`publish_at.is.null,publish_at.lte.${new Date().toISOString()}`);
+  if (error) throw error;
+
+  const announcements = sortAnnouncements(
+    (data || []).filter((a) => isVisibleToSection(a, sectionOf[a.course_id]))
+  );
+  if (!announcements.length) return { announcements, readIds: new Set() };
+
+  const { data: reads, error: readErr } = await supabase
+    .from("announcement_reads")
+    .select("announcement_id")
+    .eq("student_id", studentId)
+    .in(
+      "announcement_id",
+      announcements.map((a) => a.id)
+    );
+  if (readErr) throw readErr;
+  return { announcements, readIds: new Set((reads || []).map((r) => r.announcement_id)) };
+}
+
+export async function markAnnouncementsRead(studentId, announcementIds) {
+  const ids = [].concat(announcementIds || []).filter(Boolean);
+  if (!studentId || !ids.length) return;
+  const { error } = await supabase.from("announcement_reads").upsert(
+    ids.map((id) => ({ announcement_id: id, student_id: studentId, read_at: new Date().toISOString() })),
+    { onConflict: "announcement_id,student_id", ignoreDuplicates: true }
+  );
+  if (error) throw error;
+}
+
+// announcement_id -> number of students who have read it
+export async function fetchReadCounts(announcementIds) {
+  const ids = [].concat(announcementIds || []).filter(Boolean);
+  if (!ids.length) return {};
+  const { data, error } = await supabase
+    .from("announcement_reads")
+    .select("announcement_id")
+    .in("announcement_id", ids);
+  if (error) throw error;
+  return (data || []).reduce((acc, r) => ({ ...acc, [r.announcement_id]: (acc[r.announcement_id] || 0) + 1 }), {});
+}
+
+/**
+ * deliverAnnouncement
+ * - Emails the announcement to the students it targets ("announcement" template) and stamps notified_at
+ */
+export async function deliverAnnouncement(announcement, courseTitle) {
+  let query = supabase.from("enrollments").select("student_id").eq("course_id", announcement.course_id);
+  if (announcement.section_id) query = query.eq("section_id", announcement.section_id);
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  await notifyUsers(
+    "announcement",
+    (rows || []).map((r) => r.student_id),
+    { courseTitle, title: announcement.title, body: announcement.body }
+  );
+
+  const notified_at = new Date().toISOString();
+  const { error: upErr } = await supabase
+    .from("course_announcements")
+    .update({ notified_at })
+    .eq("id", announcement.id);
+  if (upErr) throw upErr;
+  return notified_at;
+}
+
+// published-but-not-yet-emailed announcements among `announcements`
+export function pendingDelivery(announcements, now = new Date()) {
+  return (announcements || []).filter((a) => !a.notified_at && isPublished(a, now));
+}
@@ -0,0 +1,47 @@
+// src/lib/audit.js
+import { supabase } from "./supabaseClient";
+
+// entity_type values written by the app; the audit viewer filters on these
+export const AUDIT_ENTITY_TYPES = [
+  "profile",
+  "course",
+  "course_section",
+  "course_staff",
+  "course_outcome",
+  "academic_term",
+  "enrollment_request",
+  "announcement",
+  "teacher_note",
+  "course_link",
+  "submission",
+  "module_submission",
+  "attendance",
+  "deadline_extension",
+  "rubric",
+];
+
+function toRow({ actorId, action, entityType, entityId, before = null, after = null }) {
+  return {
+    actor_id: actorId ?? null,
+    action,
+    entity_type: entityType,
+    entity_id: entityId != null ? String(entityId) : null,
+    before,
+    after,
+  };
+}
+
+/**
+ * logAudit
+ * - Appends to `audit_log`: who did what to which record, with before/after snapshots
+ * - Pass one entry or an array (bulk operations log one row per record)
+ * - action is "<entity>.<verb>", e.g. "course.deleted"
+ * - Never throws; a failed write is logged and returned so the caller can decide
+ */
+export async function logAudit(entries) {
+  const rows = (Array.isArray(entries) ? entries : [entries]).map(toRow);
+  if (!rows.length) return { error: null };
+  const { error } = await supabase.from("audit_log").insert(rows);
+  if (error) console.error("audit_log insert error:", error);
+  return { error };
+}
@@ -0,0 +1,120 @@
+// src/lib/catalog.js
+import { supabase } from "./supabaseClient";
+import { isArchived } from "./terms";
+
+/**
+ * Course catalog
+ * - courses.department / category / credits / schedule / syllabus_url describe a course to students
+ * - course_prerequisites (course_id, prerequisite_id) lists courses that must be completed first
+ * - A prerequisite counts as completed once the student was enrolled in it and it has been
+ *   archived (its term is over) — a course still in progress doesn't count. Any offering with
+ *   the same course code counts too, so last year's CS101 satisfies this term's CS101
+ */
+
+export const CATALOG_COURSE_COLUMNS = "department, category, credits, schedule, syllabus_url";
+
+export const SYLLABUS_BUCKET = "course-syllabi";
+export const SYLLABUS_MAX_BYTES = 10 * 1024 * 1024;
+
+// distinct non-empty values of `key` across courses, for filter dropdowns
+export function catalogOptions(courses, key) {
+  return [...new Set((courses || []).map((c) => c[key]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+export function formatCredits(credits) {
+  if (credits == null || credits === "") return null;
+  return `${credits} credit${Number(credits) === 1 ? "" : "s"}`;
+}
+
+/**
+ * uploadSyllabus
+ * - PDF only, up to SYLLABUS_MAX_BYTES
+ * - Stored as course-syllabi/<courseId>/<timestamp>.pdf and returned as a public URL
+ */
+export async function uploadSyllabus(courseId, file) {
+  if (file?.type !== "application/pdf") throw new Error("Syllabus must be a PDF");
+  if (file.size > SYLLABUS_MAX_BYTES) throw new Error("Syllabus must be 10 MB or smaller");
+
+  const filePath = `${courseId}/${Date.now()}.pdf`;
+  const { error } = await supabase.storage
+    .from(SYLLABUS_BUCKET)
+    .upload(filePath, file, { upsert: false, contentType: file.type });
+  if (error) throw error;
+
+  const { data } = supabase.storage.from(SYLLABUS_BUCKET).getPublicUrl(filePath);
+  return data.publicUrl;
+}
+
+/**
+ * fetchPrerequisites
+ * - { [courseId]: [{ id, title, code, archived_at }] } for the given courses
+ */
+export async function fetchPrerequisites(courseIds) {
+  const ids = [].concat(courseIds || []).filter(Boolean);
+  if (!ids.length) return {};
+  const { data, error } = await supabase
+    .from("course_prerequisites")
+    .select("course_id, prerequisite:courses!prerequisite_id(id, title, code, archived_at)")
+    .in("course_id", ids);
+  if (error) throw error;
+
+  return (data || []).reduce((acc, r) => {
+    if (!r.prerequisite) return acc;
+    (acc[r.course_id] ||= []).push(r.prerequisite);
+    return acc;
+  }, {});
+}
+
+// replaces the prerequisite list of one course
+export async function setPrerequisites(courseId, prerequisiteIds) {
+  const { error: delErr } = await supabase.from("course_prerequisites").delete().eq("course_id", courseId);
+  if (delErr) throw delErr;
+  const rows = [...new Set(prerequisiteIds)]
+    .filter((pid) => pid && pid !== courseId)
+    .map((pid) => ({ course_id: courseId, prerequisite_id: pid }));
+  if (!rows.length) return;
+  const { error } = await supabase.from("course_prerequisites").insert(rows);
+  if (error) throw error;
+}
+
+// { ids, codes } of the courses the student has completed (enrolled + archived)
+export async function fetchCompletedCourses(studentId) {
+  const completed = { ids: new Set(), codes: new Set() };
+  if (!studentId) return completed;
+  const { data, error } = await supabase
+    .from("enrollments")
+    .select("course_id, courses(code, archived_at)")
+    .eq("student_id", studentId);
+  if (error) throw error;
+  (data || [])
+    .filter((e) => isArchived(e.courses))
+    .forEach((e) => {
+      completed.ids.add(e.course_id);
+      if (e.courses.code) completed.codes.add(e.courses.code);
+    });
+  return completed;
+}
+
+export function missingPrerequisites(prerequisites, completed) {
+  return (prerequisites || []).filter(
+    (p) => !completed?.ids.has(p.id) && !(p.code && completed?.codes.has(p.code))
+  );
+}
+
+// "Complete CS101, CS102 first" — the explanation shown when enrollment is blocked
+export function prerequisiteBlockReason(missing) {
+  if (!missing?.length) return null;
+  return `Complete ${missing.map((p) => p.code || p.title).join(", ")} first`;
+}
+
+/**
+ * checkPrerequisites
+ * - Returns the block reason for `studentId` enrolling in `courseId`, or null when allowed
+ */
+export async function checkPrerequisites(courseId, studentId) {
+  const [prereqs, completed] = await Promise.all([
+    fetchPrerequisites(courseId),
+    fetchCompletedCourses(studentId),
+  ]);
+  return prerequisiteBlockReason(missingPrerequisites(prereqs[courseId], completed));
+}
@@ -0,0 +1,289 @@
+// src/lib/courseClone.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Course cloning
+ * - Deep-copies a course's teaching material into a brand-new course for the next term:
+ *   sections, modules (order, prerequisites, badges), module_assignments, assignments,
+ *   quizzes, course teacher_notes, course_links (with their tags), catalog prerequisites and
+ *   course outcomes with their assessment mappings
+ * - Every date moves by `offsetDays`; nothing tied to students (enrollments, submissions,
+ *   attendance, quiz results, requests, join codes) is copied
+ * - All or nothing: if a step fails, the rows written so far are removed again (see withUndo)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// columns the database fills in for a new row
+const GENERATED_COLUMNS = ["id", "created_at", "updated_at"];
+
+export function shiftDate(value, offsetDays) {
+  if (!value || !offsetDays) return value ?? null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return value;
+  return new Date(d.getTime() + offsetDays * DAY_MS).toISOString();
+}
+
+export function copyRow(row, overrides = {}) {
+  const copy = { ...row };
+  GENERATED_COLUMNS.forEach((col) => delete copy[col]);
+  return { ...copy, ...overrides };
+}
+
+export async function selectAll(table, column, values, orderBy = "created_at") {
+  const ids = [].concat(values || []).filter(Boolean);
+  if (!ids.length) return [];
+  const { data, error } = await supabase
+    .from(table)
+    .select("*")
+    .in(column, ids)
+    .order(orderBy, { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * createUndoLog
+ * - The copy runs as many separate requests, so there is no transaction to roll back. Each
+ *   write is logged instead: rows created (by `key`), rows updated (their values before) and
+ *   rows deleted (re-inserted as they were)
+ * - rollback() replays the log newest first and keeps going past failures, so one broken
+ *   step doesn't leave the rest behind
+ */
+export function createUndoLog() {
+  const steps = [];
+  return {
+    created(table, values, key = "id") {
+      const ids = [].concat(values || []).filter(Boolean);
+      if (ids.length) steps.push(() => supabase.from(table).delete().in(key, ids));
+    },
+    updated(table, id, before) {
+      steps.push(() => supabase.from(table).update(before).eq("id", id));
+    },
+    deleted(table, rows) {
+      if (rows?.length) steps.push(() => supabase.from(table).insert(rows));
+    },
+    async rollback() {
+      for (const step of steps.reverse()) {
+        const { error } = await step();
+        if (error) console.error("rollback", error);
+      }
+    },
+  };
+}
+
+// runs `write(undo)`; when it throws, everything it logged is undone before the error is rethrown
+export async function withUndo(write) {
+  const undo = createUndoLog();
+  try {
+    return await write(undo);
+  } catch (err) {
+    await undo.rollback();
+    throw err;
+  }
+}
+
+// inserts rows one at a time so every old id maps to its new id
+export async function insertMapped(table, rows, toPayload, undo) {
+  const idMap = {};
+  for (const row of rows) {
+    const { data, error } = await supabase.from(table).insert([toPayload(row)]).select("id").single();
+    if (error) throw error;
+    undo?.created(table, data.id);
+    idMap[row.id] = data.id;
+  }
+  return idMap;
+}
+
+// `key` identifies the new rows for the undo log (tables like link_tags have no id)
+export async function insertMany(table, rows, undo, key = "id") {
+  if (!rows.length) return;
+  const { data, error } = await supabase.from(table).insert(rows).select(key);
+  if (error) throw error;
+  undo?.created(
+    table,
+    (data || []).map((r) => r[key]),
+    key
+  );
+}
+
+/**
+ * cloneCourse
+ * - Returns the new course row plus how many rows of each kind were copied
+ */
+export function cloneCourse(options) {
+  return withUndo((undo) => copyCourse(options, undo));
+}
+
+async function copyCourse({ sourceId, title, code = null, termId, offsetDays = 0, userId }, undo) {
+  const shift = (v) => shiftDate(v, offsetDays);
+
+  const { data: source, error: srcErr } = await supabase
+    .from("courses")
+    .select("*")
+    .eq("id", sourceId)
+    .single();
+  if (srcErr) throw srcErr;
+
+  const { data: course, error } = await supabase
+    .from("courses")
+    .insert([
+      copyRow(source, {
+        title,
+        code: code || null,
+        term_id: termId === undefined ? source.term_id ?? null : termId,
+        archived_at: null,
+        created_by: userId,
+        enrollment_opens_at: shift(source.enrollment_opens_at),
+        enrollment_closes_at: shift(source.enrollment_closes_at),
+      }),
+    ])
+    .select()
+    .single();
+  if (error) throw error;
+  undo.created("courses", course.id);
+
+  const counts = {};
+
+  // sections first so section-targeted assignments keep their target
+  const sections = await selectAll("course_sections", "course_id", source.id, "name");
+  const sectionMap = await insertMapped(
+    "course_sections",
+    sections,
+    (s) => copyRow(s, { course_id: course.id }),
+    undo
+  );
+  const mapSection = (id) => (id ? sectionMap[id] || null : null);
+  counts.sections = sections.length;
+
+  // modules keep order_number; prerequisites are re-pointed once every module exists
+  const modules = await selectAll("modules", "course_id", source.id, "order_number");
+  const moduleMap = await insertMapped(
+    "modules",
+    modules,
+    (m) =>
+      copyRow(m, {
+        course_id: course.id,
+        prerequisite_module_id: null,
+        unlock_date: shift(m.unlock_date),
+        due_date: shift(m.due_date),
+      }),
+    undo
+  );
+  for (const m of modules) {
+    if (!m.prerequisite_module_id || !moduleMap[m.prerequisite_module_id]) continue;
+    const { error: preErr } = await supabase
+      .from("modules")
+      .update({ prerequisite_module_id: moduleMap[m.prerequisite_module_id] })
+      .eq("id", moduleMap[m.id]);
+    if (preErr) throw preErr;
+  }
+  counts.modules = modules.length;
+
+  const oldModuleIds = modules.map((m) => m.id);
+  const badges = await selectAll("badges", "module_id", oldModuleIds);
+  await insertMany(
+    "badges",
+    badges.map((b) => copyRow(b, { module_id: moduleMap[b.module_id] })),
+    undo
+  );
+  counts.badges = badges.length;
+
+  const moduleAssignments = await selectAll("module_assignments", "module_id", oldModuleIds);
+  const moduleAssignmentMap = await insertMapped(
+    "module_assignments",
+    moduleAssignments,
+    (a) => copyRow(a, { module_id: moduleMap[a.module_id], due_date: shift(a.due_date) }),
+    undo
+  );
+  counts.moduleAssignments = moduleAssignments.length;
+
+  const assignments = await selectAll("assignments", "course_id", source.id);
+  const assignmentMap = await insertMapped(
+    "assignments",
+    assignments,
+    (a) =>
+      copyRow(a, {
+        course_id: course.id,
+        section_id: mapSection(a.section_id),
+        due_date: shift(a.due_date),
+        late_cutoff: shift(a.late_cutoff),
+        created_by: userId,
+      }),
+    undo
+  );
+  counts.assignments = assignments.length;
+
+  const quizzes = await selectAll("quizzes", "course_id", source.id);
+  const quizMap = await insertMapped(
+    "quizzes",
+    quizzes,
+    (q) => copyRow(q, { course_id: course.id, closes_at: shift(q.closes_at) }),
+    undo
+  );
+  counts.quizzes = quizzes.length;
+
+  const notes = await selectAll("teacher_notes", "course_id", source.id);
+  await insertMany(
+    "teacher_notes",
+    notes.map((n) =>
+      copyRow(n, { course_id: course.id, author_id: userId, updated_by: null, view_count: 0 })
+    ),
+    undo
+  );
+  counts.notes = notes.length;
+
+  const links = await selectAll("course_links", "course_id", source.id);
+  const linkMap = await insertMapped(
+    "course_links",
+    links,
+    (l) => copyRow(l, { course_id: course.id, expiry_date: shift(l.expiry_date), created_by: userId }),
+    undo
+  );
+  const linkTags = await selectAll("link_tags", "link_id", Object.keys(linkMap), "tag");
+  await insertMany(
+    "link_tags",
+    linkTags.map((t) => ({ link_id: linkMap[t.link_id], tag: t.tag })),
+    undo,
+    "link_id"
+  );
+  counts.links = links.length;
+
+  const prerequisites = await selectAll("course_prerequisites", "course_id", source.id, "prerequisite_id");
+  await insertMany(
+    "course_prerequisites",
+    prerequisites.map((p) => ({ course_id: course.id, prerequisite_id: p.prerequisite_id })),
+    undo,
+    "course_id"
+  );
+
+  // course outcomes, with mappings re-pointed at the copied assessments
+  const outcomes = await selectAll("course_outcomes", "course_id", source.id, "code");
+  const outcomeMap = await insertMapped(
+    "course_outcomes",
+    outcomes,
+    (o) => copyRow(o, { course_id: course.id }),
+    undo
+  );
+  const assessmentMaps = {
+    assignment: assignmentMap,
+    module_assignment: moduleAssignmentMap,
+    quiz_question: quizMap,
+  };
+  const mappings = await selectAll("outcome_mappings", "outcome_id", Object.keys(outcomeMap), "outcome_id");
+  await insertMany(
+    "outcome_mappings",
+    mappings
+      .filter((m) => assessmentMaps[m.assessment_type]?.[m.assessment_id])
+      .map((m) =>
+        copyRow(m, {
+          outcome_id: outcomeMap[m.outcome_id],
+          assessment_id: assessmentMaps[m.assessment_type][m.assessment_id],
+        })
+      ),
+    undo
+  );
+  counts.outcomes = outcomes.length;
+
+  return { course, counts };
+}
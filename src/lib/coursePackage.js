@@ -0,0 +1,414 @@
+// src/lib/coursePackage.js
+import JSZip from "jszip";
+import { supabase } from "./supabaseClient";
+import { downloadFile } from "./csv";
+import { copyRow, insertMany, selectAll, shiftDate, withUndo } from "./courseClone";
+
+/**
+ * Course packages (export / import)
+ * - A versioned, project-independent snapshot of a course's teaching material: sections,
+ *   modules (with prerequisites), badges, the rubrics its assignments use, module_assignments,
+ *   assignments, quizzes, course teacher_notes and course_links (with their tags)
+ * - Rows keep their source ids only so references can be re-pointed on import; every
+ *   row gets a fresh id in the target project. Authors become the importing user
+ * - Archive layout: course.json (the package) + README.txt; a bare course.json imports too
+ * - Importing into an existing course matches items by name (title, url, questions) and
+ *   resolves each clash with one of CONFLICT_STRATEGIES
+ * - Rubrics are shared between courses, so an import only matches the ones the target course
+ *   already uses and never edits one in place: "overwrite" adds the package version as a new
+ *   rubric for the imported assignments, leaving other courses' grading alone
+ * - A failed import removes what it wrote and puts overwritten rows back (lib/courseClone withUndo)
+ */
+
+export const PACKAGE_FORMAT = "course-package";
+export const PACKAGE_VERSION = 1;
+
+export const PACKAGE_TABLES = [
+  { key: "course_sections", label: "Sections" },
+  { key: "modules", label: "Modules" },
+  { key: "badges", label: "Badges" },
+  { key: "rubrics", label: "Rubrics" },
+  { key: "module_assignments", label: "Module assignments" },
+  { key: "assignments", label: "Assignments" },
+  { key: "quizzes", label: "Quizzes" },
+  { key: "teacher_notes", label: "Notes" },
+  { key: "course_links", label: "Links" },
+];
+
+export const CONFLICT_STRATEGIES = [
+  { value: "skip", label: "Keep existing", hint: "Items that already exist are left untouched" },
+  { value: "overwrite", label: "Overwrite", hint: "Existing items are replaced with the package version" },
+  { value: "copy", label: "Import as copies", hint: 'Clashing items are added again, titled "(imported)"' },
+];
+
+// course columns that belong to the source project, not to the material
+const COURSE_LOCAL_COLUMNS = ["id", "created_at", "updated_at", "created_by", "term_id", "archived_at"];
+
+// how items are recognised as "the same" when importing into an existing course
+const MATCH_KEYS = {
+  course_sections: (r) => r.name,
+  modules: (r) => r.title,
+  badges: (r) => `${r.module_id}:${r.title}`,
+  rubrics: (r) => r.title,
+  module_assignments: (r) => `${r.module_id}:${r.title}`,
+  assignments: (r) => r.title,
+  quizzes: (r) => (typeof r.questions === "string" ? r.questions : JSON.stringify(r.questions)),
+  teacher_notes: (r) => r.title,
+  course_links: (r) => r.url,
+};
+
+/**
+ * buildCoursePackage
+ * - Reads everything exportable for `courseId` into a package object
+ */
+export async function buildCoursePackage(courseId) {
+  const { data: course, error } = await supabase.from("courses").select("*").eq("id", courseId).single();
+  if (error) throw error;
+
+  const [sections, modules, assignments, quizzes, notes, links] = await Promise.all([
+    selectAll("course_sections", "course_id", courseId, "name"),
+    selectAll("modules", "course_id", courseId, "order_number"),
+    selectAll("assignments", "course_id", courseId),
+    selectAll("quizzes", "course_id", courseId),
+    selectAll("teacher_notes", "course_id", courseId),
+    selectAll("course_links", "course_id", courseId),
+  ]);
+  const moduleIds = modules.map((m) => m.id);
+  const [badges, moduleAssignments, tags] = await Promise.all([
+    selectAll("badges", "module_id", moduleIds),
+    selectAll("module_assignments", "module_id", moduleIds),
+    selectAll("link_tags", "link_id", links.map((l) => l.id), "tag"),
+  ]);
+  const rubricIds = [...new Set([...assignments, ...moduleAssignments].map((a) => a.rubric_id).filter(Boolean))];
+  const rubrics = await selectAll("rubrics", "id", rubricIds);
+
+  const courseInfo = { ...course };
+  COURSE_LOCAL_COLUMNS.forEach((col) => delete courseInfo[col]);
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exported_at: new Date().toISOString(),
+    course: courseInfo,
+    course_sections: sections,
+    modules,
+    badges,
+    rubrics,
+    module_assignments: moduleAssignments,
+    assignments,
+    quizzes,
+    teacher_notes: notes,
+    course_links: links.map((l) => ({
+      ...l,
+      tags: tags.filter((t) => t.link_id === l.id).map((t) => t.tag),
+    })),
+  };
+}
+
+export function packageCounts(pkg) {
+  return Object.fromEntries(PACKAGE_TABLES.map((t) => [t.key, (pkg?.[t.key] || []).length]));
+}
+
+function packageFileName(pkg, ext) {
+  const slug = (pkg.course.code || pkg.course.title || "course").replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+  return `${slug}-${pkg.exported_at.slice(0, 10)}.${ext}`;
+}
+
+/**
+ * downloadCoursePackage
+ * - `format` "zip" (default) or "json"; returns the package that was downloaded
+ */
+export async function downloadCoursePackage(courseId, { format = "zip" } = {}) {
+  const pkg = await buildCoursePackage(courseId);
+  const json = JSON.stringify(pkg, null, 2);
+
+  if (format === "json") {
+    downloadFile(json, packageFileName(pkg, "json"), "application/json");
+    return pkg;
+  }
+
+  const counts = packageCounts(pkg);
+  const zip = new JSZip();
+  zip.file("course.json", json);
+  zip.file(
+    "README.txt",
+    [
+      `Course package: ${pkg.course.title}${pkg.course.code ? ` (${pkg.course.code})` : ""}`,
+      `Format ${PACKAGE_FORMAT} v${PACKAGE_VERSION}, exported at ${pkg.exported_at}`,
+      "",
+      ...PACKAGE_TABLES.map((t) => `${t.label}: ${counts[t.key]}`),
+      "",
+      "course.json - import it from Course Management > Import",
+    ].join("\n")
+  );
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadFile(blob, packageFileName(pkg, "zip"), "application/zip");
+  return pkg;
+}
+
+/**
+ * readCoursePackage
+ * - Accepts a .zip archive or a course.json file; throws a readable Error when it is not a
+ *   package this version understands
+ */
+export async function readCoursePackage(file) {
+  let text;
+  if (/\.zip$/i.test(file.name) || file.type === "application/zip") {
+    const zip = await JSZip.loadAsync(file);
+    const entry = zip.file("course.json");
+    if (!entry) throw new Error("The archive has no course.json");
+    text = await entry.async("string");
+  } else {
+    text = await file.text();
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (pkg?.format !== PACKAGE_FORMAT || !pkg.course) throw new Error("This is not a course package");
+  if (!Number.isInteger(pkg.version) || pkg.version > PACKAGE_VERSION) {
+    throw new Error(`Package version ${pkg.version} is newer than this app supports (v${PACKAGE_VERSION})`);
+  }
+  PACKAGE_TABLES.forEach((t) => {
+    if (!Array.isArray(pkg[t.key])) pkg[t.key] = [];
+  });
+  return pkg;
+}
+
+function importedTitle(row) {
+  return row.title ? { title: `${row.title} (imported)` } : {};
+}
+
+/**
+ * importCoursePackage
+ * - Into a new course (`targetCourseId` empty; `title`/`code` override the package's) or
+ *   merged into an existing one, resolving clashes with `conflict` (see CONFLICT_STRATEGIES)
+ * - Dates move by `offsetDays`. Returns { course, report: { [table]: { created, updated, skipped } } }
+ */
+export function importCoursePackage(pkg, options) {
+  return withUndo((undo) => importPackage(pkg, options, undo));
+}
+
+async function importPackage(
+  pkg,
+  { targetCourseId = null, title, code, termId = null, offsetDays = 0, conflict = "skip", userId },
+  undo
+) {
+  const shift = (v) => shiftDate(v, offsetDays);
+  const report = Object.fromEntries(PACKAGE_TABLES.map((t) => [t.key, { created: 0, updated: 0, skipped: 0 }]));
+
+  let course;
+  if (targetCourseId) {
+    const { data, error } = await supabase.from("courses").select("*").eq("id", targetCourseId).single();
+    if (error) throw error;
+    course = data;
+  } else {
+    const newCode = (code ?? pkg.course.code ?? "").trim() || null;
+    if (newCode) {
+      const { data: taken, error: codeErr } = await supabase.from("courses").select("id").eq("code", newCode).limit(1);
+      if (codeErr) throw codeErr;
+      if (taken?.length) throw new Error(`Course code ${newCode} is already in use`);
+    }
+    const { data, error } = await supabase
+      .from("courses")
+      .insert([
+        copyRow(pkg.course, {
+          title: title?.trim() || pkg.course.title,
+          code: newCode,
+          term_id: termId,
+          archived_at: null,
+          created_by: userId,
+          enrollment_opens_at: shift(pkg.course.enrollment_opens_at),
+          enrollment_closes_at: shift(pkg.course.enrollment_closes_at),
+        }),
+      ])
+      .select()
+      .single();
+    if (error) throw error;
+    undo.created("courses", data.id);
+    course = data;
+  }
+
+  // existing rows of the target, keyed the way MATCH_KEYS recognises them
+  const existingOf = async (table, column, values, orderBy) => {
+    if (!targetCourseId) return new Map();
+    const rows = await selectAll(table, column, values, orderBy);
+    return new Map(rows.map((r) => [MATCH_KEYS[table](r), r]));
+  };
+
+  // inserts, updates or skips each row per `conflict`; returns old id -> target id.
+  // `inPlace: false` turns "overwrite" into inserting the package version as a new row
+  const importRows = async (table, rows, existing, toPayload, { inPlace = true } = {}) => {
+    const idMap = {};
+    const written = new Set();
+    for (const row of rows) {
+      const payload = toPayload(row);
+      const match = existing.get(MATCH_KEYS[table](payload));
+      if (match && conflict === "skip") {
+        idMap[row.id] = match.id;
+        report[table].skipped += 1;
+        continue;
+      }
+      if (match && conflict === "overwrite" && inPlace) {
+        const { error } = await supabase.from(table).update(payload).eq("id", match.id);
+        if (error) throw error;
+        undo.updated(table, match.id, copyRow(match));
+        idMap[row.id] = match.id;
+        written.add(row.id);
+        report[table].updated += 1;
+        continue;
+      }
+      const { data, error } = await supabase
+        .from(table)
+        .insert([match && conflict === "copy" ? { ...payload, ...importedTitle(payload) } : payload])
+        .select("id")
+        .single();
+      if (error) throw error;
+      undo.created(table, data.id);
+      idMap[row.id] = data.id;
+      written.add(row.id);
+      report[table].created += 1;
+    }
+    return { idMap, written };
+  };
+
+  const { idMap: sectionMap } = await importRows(
+    "course_sections",
+    pkg.course_sections,
+    await existingOf("course_sections", "course_id", course.id, "name"),
+    (s) => copyRow(s, { course_id: course.id })
+  );
+  const mapSection = (id) => (id ? sectionMap[id] || null : null);
+
+  // merged modules go after the ones already in the course
+  const existingModules = await existingOf("modules", "course_id", course.id, "order_number");
+  const orderOffset = Math.max(0, ...[...existingModules.values()].map((m) => m.order_number || 0));
+  const { idMap: moduleMap, written: writtenModules } = await importRows(
+    "modules",
+    pkg.modules,
+    existingModules,
+    (m) => {
+      const match = existingModules.get(m.title);
+      return copyRow(m, {
+        course_id: course.id,
+        order_number: match && conflict === "overwrite" ? match.order_number : (m.order_number || 0) + orderOffset,
+        prerequisite_module_id: null,
+        unlock_date: shift(m.unlock_date),
+        due_date: shift(m.due_date),
+      });
+    }
+  );
+  for (const m of pkg.modules) {
+    if (!writtenModules.has(m.id) || !m.prerequisite_module_id || !moduleMap[m.prerequisite_module_id]) continue;
+    const { error } = await supabase
+      .from("modules")
+      .update({ prerequisite_module_id: moduleMap[m.prerequisite_module_id] })
+      .eq("id", moduleMap[m.id]);
+    if (error) throw error;
+    // written modules were saved without a prerequisite
+    undo.updated("modules", moduleMap[m.id], { prerequisite_module_id: null });
+  }
+
+  const targetModuleIds = [...new Set(Object.values(moduleMap))];
+  await importRows(
+    "badges",
+    pkg.badges.filter((b) => moduleMap[b.module_id]),
+    await existingOf("badges", "module_id", targetModuleIds),
+    (b) => copyRow(b, { module_id: moduleMap[b.module_id] })
+  );
+
+  // rubrics aren't owned by a course: only the ones the target already uses can match, and
+  // they're never rewritten since other courses may grade with them too
+  const targetGraded = targetCourseId
+    ? [
+        ...(await selectAll("assignments", "course_id", course.id)),
+        ...(await selectAll("module_assignments", "module_id", [...existingModules.values()].map((m) => m.id))),
+      ]
+    : [];
+  const { idMap: rubricMap } = await importRows(
+    "rubrics",
+    pkg.rubrics,
+    await existingOf("rubrics", "id", targetGraded.map((a) => a.rubric_id)),
+    (r) => copyRow(r, { created_by: userId }),
+    { inPlace: false }
+  );
+  // packages from before rubrics were exported carry ids that mean nothing here
+  const mapRubric = (id) => (id ? rubricMap[id] || null : null);
+
+  await importRows(
+    "module_assignments",
+    pkg.module_assignments.filter((a) => moduleMap[a.module_id]),
+    await existingOf("module_assignments", "module_id", targetModuleIds),
+    (a) =>
+      copyRow(a, { module_id: moduleMap[a.module_id], due_date: shift(a.due_date), rubric_id: mapRubric(a.rubric_id) })
+  );
+
+  await importRows(
+    "assignments",
+    pkg.assignments,
+    await existingOf("assignments", "course_id", course.id),
+    (a) =>
+      copyRow(a, {
+        course_id: course.id,
+        section_id: mapSection(a.section_id),
+        due_date: shift(a.due_date),
+        late_cutoff: shift(a.late_cutoff),
+        rubric_id: mapRubric(a.rubric_id),
+        created_by: userId,
+      })
+  );
+  await importRows(
+    "quizzes",
+    pkg.quizzes,
+    await existingOf("quizzes", "course_id", course.id),
+    (q) => copyRow(q, { course_id: course.id, closes_at: shift(q.closes_at) })
+  );
+  await importRows(
+    "teacher_notes",
+    pkg.teacher_notes,
+    await existingOf("teacher_notes", "course_id", course.id),
+    (n) => copyRow(n, { course_id: course.id, author_id: userId, updated_by: null, view_count: 0 })
+  );
+
+  const { idMap: linkMap, written: writtenLinks } = await importRows(
+    "course_links",
+    pkg.course_links,
+    await existingOf("course_links", "course_id", course.id),
+    (l) => {
+      const row = copyRow(l, { course_id: course.id, expiry_date: shift(l.expiry_date), created_by: userId });
+      delete row.tags;
+      return row;
+    }
+  );
+  const taggedLinks = pkg.course_links.filter((l) => writtenLinks.has(l.id));
+  if (taggedLinks.length) {
+    undo.deleted(
+      "link_tags",
+      await selectAll(
+        "link_tags",
+        "link_id",
+        taggedLinks.map((l) => linkMap[l.id]),
+        "tag"
+      )
+    );
+    const { error } = await supabase
+      .from("link_tags")
+      .delete()
+      .in(
+        "link_id",
+        taggedLinks.map((l) => linkMap[l.id])
+      );
+    if (error) throw error;
+  }
+  await insertMany(
+    "link_tags",
+    taggedLinks.flatMap((l) => (l.tags || []).map((tag) => ({ link_id: linkMap[l.id], tag }))),
+    undo,
+    "link_id"
+  );
+
+  return { course, report };
+}
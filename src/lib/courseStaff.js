@@ -0,0 +1,130 @@
+// src/lib/courseStaff.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Course staff (course_staff: course_id, user_id, role)
+ * - role is "lead" | "co_instructor" | "ta"; the course creator always counts as lead
+ * - Each role maps to the course-level permissions below; admins have all of them everywhere
+ * - Rows from before roles existed (role null) are treated as co-instructors
+ */
+
+export const COURSE_STAFF_ROLES = [
+  { value: "lead", label: "Lead instructor" },
+  { value: "co_instructor", label: "Co-instructor" },
+  { value: "ta", label: "Teaching assistant" },
+];
+
+// edit: course settings, sections, join codes · staff: manage this list
+// grade: AssignmentPage grading · reply: staff replies in discussions · attendance: AttendancePage
+// announce: post course announcements
+const ROLE_PERMISSIONS = {
+  lead: ["edit", "staff", "grade", "reply", "attendance", "announce"],
+  co_instructor: ["edit", "grade", "reply", "attendance", "announce"],
+  ta: ["grade", "reply", "attendance"],
+};
+const ALL_PERMISSIONS = ROLE_PERMISSIONS.lead;
+
+export function courseStaffRoleLabel(staffRole) {
+  return COURSE_STAFF_ROLES.find((r) => r.value === (staffRole || "co_instructor"))?.label || "Staff";
+}
+
+export function staffCan(staffRole, permission) {
+  return (ROLE_PERMISSIONS[staffRole || "co_instructor"] || []).includes(permission);
+}
+
+/**
+ * fetchCoursePermissions
+ * - { [courseId]: [permission, ...] } for the signed-in user over `courseIds`
+ */
+export async function fetchCoursePermissions({ user, role }, courseIds) {
+  const ids = [].concat(courseIds || []).filter(Boolean);
+  if (!user || !ids.length) return {};
+  if (role === "admin") return Object.fromEntries(ids.map((id) => [id, ALL_PERMISSIONS]));
+
+  const [{ data: owned, error: ownErr }, { data: staffRows, error: staffErr }] = await Promise.all([
+    supabase.from("courses").select("id").in("id", ids).eq("created_by", user.id),
+    supabase.from("course_staff").select("course_id, role").in("course_id", ids).eq("user_id", user.id),
+  ]);
+  if (ownErr) throw ownErr;
+  if (staffErr) throw staffErr;
+
+  const perms = {};
+  (staffRows || []).forEach((r) => {
+    perms[r.course_id] = ROLE_PERMISSIONS[r.role || "co_instructor"] || [];
+  });
+  (owned || []).forEach((c) => {
+    perms[c.id] = ALL_PERMISSIONS;
+  });
+  return perms;
+}
+
+export function hasCoursePermission(perms, courseId, permission) {
+  return !!perms?.[courseId]?.includes(permission);
+}
+
+/**
+ * fetchCourseTeam
+ * - Staff of one course with their profiles, creator first as lead
+ * - Returns [{ id, user_id, role, profile, isCreator }]
+ */
+export async function fetchCourseTeam(courseId) {
+  const [{ data: course, error: cErr }, { data: rows, error }] = await Promise.all([
+    supabase
+      .from("courses")
+      .select("created_by, creator:profiles!created_by(id, full_name, email, avatar_url, bio)")
+      .eq("id", courseId)
+      .maybeSingle(),
+    supabase
+      .from("course_staff")
+      .select("id, user_id, role, created_at, profile:profiles!user_id(id, full_name, email, avatar_url, bio)")
+      .eq("course_id", courseId)
+      .order("created_at", { ascending: true }),
+  ]);
+  if (cErr) throw cErr;
+  if (error) throw error;
+
+  const team = (rows || [])
+    .filter((r) => r.user_id !== course?.created_by)
+    .map((r) => ({ ...r, role: r.role || "co_instructor", isCreator: false }));
+  if (course?.created_by) {
+    team.unshift({
+      id: `creator-${course.created_by}`,
+      user_id: course.created_by,
+      role: "lead",
+      profile: course.creator,
+      isCreator: true,
+    });
+  }
+  return team;
+}
+
+// user_id -> course staff role, for labelling staff posts
+export function teamRoleMap(team) {
+  return Object.fromEntries((team || []).map((m) => [m.user_id, m.role]));
+}
+
+// label shown next to a post author: their course role, "Admin", or null for students
+export function staffBadgeLabel(roleMap, userId, profileRole) {
+  if (roleMap?.[userId]) return courseStaffRoleLabel(roleMap[userId]);
+  return profileRole === "admin" ? "Admin" : null;
+}
+
+export async function addCourseStaff({ courseId, userId, role }) {
+  const { data, error } = await supabase
+    .from("course_staff")
+    .insert([{ course_id: courseId, user_id: userId, role }])
+    .select("id, user_id, role, created_at, profile:profiles!user_id(id, full_name, email, avatar_url)")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateCourseStaffRole(id, role) {
+  const { error } = await supabase.from("course_staff").update({ role }).eq("id", id);
+  if (error) throw error;
+}
+
+export async function removeCourseStaff(id) {
+  const { error } = await supabase.from("course_staff").delete().eq("id", id);
+  if (error) throw error;
+}
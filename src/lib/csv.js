@@ -0,0 +1,89 @@
+// src/lib/csv.js
+
+/**
+ * parseCsv
+ * - RFC 4180-ish: quoted fields, escaped quotes (""), CRLF or LF line endings
+ * - Returns an array of rows, each an array of strings (blank lines skipped)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.some((c) => c.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((c) => c.trim() !== "")) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * parseCsvObjects
+ * - First row is the header; keys are lower-cased with spaces turned into underscores
+ */
+export function parseCsvObjects(text) {
+  const [header, ...body] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  return body.map((cells) =>
+    keys.reduce((acc, key, idx) => {
+      acc[key] = (cells[idx] ?? "").trim();
+      return acc;
+    }, {})
+  );
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * toCsv
+ * - columns: [{ key, label }] or plain key strings
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c, label: c } : c));
+  const lines = [cols.map((c) => escapeCell(c.label)).join(",")];
+  for (const r of rows) lines.push(cols.map((c) => escapeCell(r[c.key])).join(","));
+  return lines.join("\r\n");
+}
+
+export function downloadFile(content, filename, type = "text/csv;charset=utf-8") {
+  const blob = new Blob([content], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
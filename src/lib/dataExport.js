@@ -0,0 +1,114 @@
+// src/lib/dataExport.js
+import JSZip from "jszip";
+import { supabase } from "./supabaseClient";
+import { toCsv, downloadFile } from "./csv";
+
+/**
+ * Student data export ("download my data")
+ * - One dataset per table the student owns rows in
+ * - Archive layout: data.json (everything) + csv/<dataset>.csv + README.txt
+ */
+const STUDENT_DATASETS = [
+  {
+    name: "enrollments",
+    query: (uid) => supabase.from("enrollments").select("*, courses(title, code)").eq("student_id", uid),
+  },
+  {
+    name: "attendance",
+    query: (uid) => supabase.from("attendance").select("*, courses(title)").eq("student_id", uid),
+  },
+  {
+    name: "submissions",
+    query: (uid) => supabase.from("submissions").select("*, assignments(title)").eq("student_id", uid),
+  },
+  {
+    name: "quiz_scores",
+    query: (uid) => supabase.from("quiz_scores").select("*").eq("student_id", uid),
+  },
+  {
+    name: "notes",
+    query: (uid) => supabase.from("notes").select("*").eq("student_id", uid),
+  },
+  {
+    name: "student_tasks",
+    query: (uid) => supabase.from("student_tasks").select("*").eq("created_by", uid),
+  },
+  {
+    name: "student_links",
+    query: (uid) => supabase.from("student_links").select("*").eq("student_id", uid),
+  },
+  {
+    name: "badges",
+    query: (uid) => supabase.from("student_badges").select("*, badges(*)").eq("student_id", uid),
+  },
+];
+
+// nested objects (joined rows) are flattened to "parent.child" columns for CSV
+function flatten(row, prefix = "", out = {}) {
+  Object.entries(row || {}).forEach(([key, value]) => {
+    const col = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) flatten(value, col, out);
+    else out[col] = value;
+  });
+  return out;
+}
+
+function rowsToCsv(rows) {
+  const flat = rows.map((r) => flatten(r));
+  const columns = [...new Set(flat.flatMap((r) => Object.keys(r)))];
+  return columns.length ? toCsv(flat, columns) : "";
+}
+
+/**
+ * collectStudentData
+ * - Returns { profile, datasets: { [name]: rows[] }, errors: { [name]: message } }
+ * - A failing table is reported in `errors` instead of aborting the whole export
+ */
+export async function collectStudentData(profile) {
+  const results = await Promise.all(STUDENT_DATASETS.map((d) => d.query(profile.id)));
+
+  const datasets = {};
+  const errors = {};
+  results.forEach(({ data, error }, idx) => {
+    const { name } = STUDENT_DATASETS[idx];
+    if (error) {
+      console.error(`export ${name} error:`, error);
+      errors[name] = error.message;
+    }
+    datasets[name] = data || [];
+  });
+
+  return { profile, datasets, errors };
+}
+
+export async function downloadStudentArchive(profile) {
+  const { datasets, errors } = await collectStudentData(profile);
+  const exportedAt = new Date().toISOString();
+
+  const zip = new JSZip();
+  zip.file(
+    "data.json",
+    JSON.stringify({ exported_at: exportedAt, profile, ...datasets, errors }, null, 2)
+  );
+  Object.entries(datasets).forEach(([name, rows]) => {
+    zip.file(`csv/${name}.csv`, rowsToCsv(rows));
+  });
+  zip.file("csv/profile.csv", rowsToCsv([profile]));
+  zip.file(
+    "README.txt",
+    [
+      `Data export for ${profile.email}`,
+      `Exported at ${exportedAt}`,
+      "",
+      "data.json  - everything in one file",
+      "csv/       - one spreadsheet per dataset",
+      ...(Object.keys(errors).length
+        ? ["", `Could not export: ${Object.keys(errors).join(", ")}`]
+        : []),
+    ].join("\n")
+  );
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadFile(blob, `my-data-${exportedAt.slice(0, 10)}.zip`, "application/zip");
+  return { errors };
+}
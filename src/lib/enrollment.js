@@ -0,0 +1,92 @@
+// src/lib/enrollment.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Enrollment policy
+ * - courses.enrollment_mode: "open" (instant), "approval" (staff approve requests) or "invite" (staff/roster only)
+ * - courses.capacity: seat limit (null = unlimited); once full, new requests are waitlisted
+ * - courses.enrollment_opens_at / enrollment_closes_at: optional self-enrollment window
+ * - enrollment_requests rows carry status "pending" | "waitlisted" | "approved" | "rejected"
+ * - Seats are handed out by database functions (supabase/migrations/*_enrollment_seats.sql) that
+ *   lock the course while counting; the waitlist is promoted by a trigger whenever an
+ *   enrollment is deleted or the capacity is raised. In approval courses a pending request
+ *   holds its seat until it is decided
+ * - Students can't insert enrollments directly; staff with the course's "edit" permission can
+ */
+
+export const ENROLLMENT_MODES = [
+  { value: "open", label: "Open", hint: "Students are enrolled immediately" },
+  { value: "approval", label: "Approval required", hint: "Staff approve each request" },
+  { value: "invite", label: "Invite only", hint: "Only staff can add students" },
+];
+
+export const ENROLLMENT_COURSE_COLUMNS =
+  "enrollment_mode, capacity, enrollment_opens_at, enrollment_closes_at";
+
+export const OPEN_REQUEST_STATUSES = ["pending", "waitlisted"];
+
+export function enrollmentModeLabel(mode) {
+  return ENROLLMENT_MODES.find((m) => m.value === (mode || "open"))?.label || "Open";
+}
+
+// null when self-enrollment is allowed right now, otherwise the reason it isn't
+export function enrollmentBlockReason(course, now = new Date()) {
+  if (!course) return "Course not found";
+  if (course.enrollment_mode === "invite") return "Invite only";
+  if (course.enrollment_opens_at && now < new Date(course.enrollment_opens_at)) {
+    return `Opens ${new Date(course.enrollment_opens_at).toLocaleDateString()}`;
+  }
+  if (course.enrollment_closes_at && now > new Date(course.enrollment_closes_at)) {
+    return "Enrollment closed";
+  }
+  return null;
+}
+
+export async function countEnrolled(courseId) {
+  const { count, error } = await supabase
+    .from("enrollments")
+    .select("id", { count: "exact", head: true })
+    .eq("course_id", courseId);
+  if (error) throw error;
+  return count || 0;
+}
+
+export function isFull(course, enrolledCount) {
+  return course?.capacity != null && enrolledCount >= course.capacity;
+}
+
+/**
+ * requestEnrollment
+ * - Applies the course's mode, window, prerequisites and capacity to the signed-in student's
+ *   enroll click (enroll_student RPC)
+ * - Returns { status: "enrolled" | "pending" | "waitlisted" }; throws with the reason when not allowed
+ */
+export async function requestEnrollment({ course, sectionId = null }) {
+  const { data, error } = await supabase.rpc("enroll_student", {
+    p_course: course.id,
+    p_section: sectionId,
+  });
+  if (error) throw error;
+  return { status: data };
+}
+
+export async function cancelEnrollmentRequest(requestId) {
+  const { error } = await supabase.from("enrollment_requests").delete().eq("id", requestId);
+  if (error) throw error;
+}
+
+/**
+ * decideEnrollmentRequest
+ * - approve: creates the enrollment (seat permitting unless `force`) and marks the request approved
+ * - reject: marks the request rejected
+ * - Needs the course's "edit" permission; returns { status, decided_by, decided_at }
+ */
+export async function decideEnrollmentRequest(request, decision, { force = false } = {}) {
+  const { data, error } = await supabase.rpc("decide_enrollment_request", {
+    p_request: request.id,
+    p_decision: decision,
+    p_force: force,
+  });
+  if (error) throw error;
+  return { status: data.status, decided_by: data.decided_by, decided_at: data.decided_at };
+}
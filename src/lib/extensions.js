@@ -0,0 +1,149 @@
+// src/lib/extensions.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Deadline extensions
+ * - deadline_extensions: assessment_type, assessment_id, student_id or section_id, due_date,
+ *   reason, granted_by. One row extends one item for one student or a whole section
+ * - assessment_type: "assignment" (assignments.due_date), "module_assignment"
+ *   (module_assignments.due_date) or "quiz" (quizzes.closes_at)
+ * - A student's own extension wins over their section's; among several, the latest date wins.
+ *   withEffectiveDeadlines rewrites the deadline column so due checks and late rules
+ *   (lib/latePolicy) follow it without further changes, keeping the original alongside
+ */
+
+export const EXTENSION_TYPES = [
+  { value: "assignment", label: "Assignment", column: "due_date" },
+  { value: "module_assignment", label: "Module assignment", column: "due_date" },
+  { value: "quiz", label: "Quiz", column: "closes_at" },
+];
+
+const EXTENSION_COLUMNS =
+  "id, assessment_type, assessment_id, student_id, section_id, due_date, reason, granted_by, created_at";
+
+function deadlineColumn(type) {
+  return EXTENSION_TYPES.find((t) => t.value === type)?.column || "due_date";
+}
+
+/**
+ * fetchExtensions
+ * - Staff view: every extension on the given items, with the student's name
+ */
+export async function fetchExtensions(type, assessmentIds) {
+  const ids = [].concat(assessmentIds || []).filter(Boolean);
+  if (!ids.length) return [];
+  const { data, error } = await supabase
+    .from("deadline_extensions")
+    .select(`${EXTENSION_COLUMNS}, students(full_name, email)`)
+    .eq("assessment_type", type)
+    .in("assessment_id", ids)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * fetchStudentExtensions
+ * - Extensions that apply to a student: their own plus those of their sections
+ *   (`sectionOf` is the course_id -> section_id map from enrollments)
+ */
+export async function fetchStudentExtensions(studentId, sectionOf = {}) {
+  if (!studentId) return [];
+  const sectionIds = [...new Set(Object.values(sectionOf).filter(Boolean))];
+  const filter = sectionIds.length
+    ? `student_id.eq.${studentId},section_id.in.(${sectionIds.join(",")})`
+    : `student_id.eq.${studentId}`;
+  const { data, error } = await supabase.from("deadline_extensions").select(EXTENSION_COLUMNS).or(filter);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * effectiveDeadline
+ * - The deadline of one item for one student; `extension` is the row that set it, or null
+ */
+export function effectiveDeadline(base, extensions, { type, assessmentId, studentId, sectionId }) {
+  const mine = (extensions || []).filter((e) => e.assessment_type === type && e.assessment_id === assessmentId);
+  const pick = (rows) =>
+    rows.reduce((best, e) => (!best || new Date(e.due_date) > new Date(best.due_date) ? e : best), null);
+  const extension =
+    pick(mine.filter((e) => e.student_id && e.student_id === studentId)) ||
+    pick(mine.filter((e) => !e.student_id && e.section_id && e.section_id === sectionId));
+  return { deadline: extension ? extension.due_date : base ?? null, extension };
+}
+
+/**
+ * withEffectiveDeadlines
+ * - Returns `items` with their deadline column replaced by the student's effective one;
+ *   extended items also get original_deadline and extended_to
+ * - `sectionIdOf(item)` gives the student's section in that item's course
+ */
+export function withEffectiveDeadlines(items, type, extensions, { studentId, sectionIdOf = () => null }) {
+  const column = deadlineColumn(type);
+  return (items || []).map((item) => {
+    const { deadline, extension } = effectiveDeadline(item[column], extensions, {
+      type,
+      assessmentId: item.id,
+      studentId,
+      sectionId: sectionIdOf(item),
+    });
+    if (!extension) return item;
+    return { ...item, [column]: deadline, original_deadline: item[column] ?? null, extended_to: deadline };
+  });
+}
+
+// "Extended to 12 Mar, 23:59" for items run through withEffectiveDeadlines
+export function extendedLabel(item) {
+  if (!item?.extended_to) return null;
+  return `Extended to ${new Date(item.extended_to).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  })}`;
+}
+
+/**
+ * withStudentQuizWindows
+ * - `quizzes` with closes_at moved by the student's (or their section's) extension, ready for
+ *   isQuizClosed; if the extensions can't be loaded the quizzes keep their own closes_at
+ */
+export async function withStudentQuizWindows(quizzes, studentId, sectionOf = {}) {
+  const extensions = await fetchStudentExtensions(studentId, sectionOf).catch((err) => {
+    console.error("fetchStudentExtensions", err);
+    return [];
+  });
+  return withEffectiveDeadlines(quizzes, "quiz", extensions, {
+    studentId,
+    sectionIdOf: (q) => sectionOf[q.course_id],
+  });
+}
+
+// a quiz takes no more attempts once its (extended) closes_at has passed
+export function isQuizClosed(quiz, at = new Date()) {
+  return !!quiz?.closes_at && new Date(at) > new Date(quiz.closes_at);
+}
+
+export async function grantExtension({ type, assessmentId, studentId = null, sectionId = null, dueDate, reason, grantedBy }) {
+  if (!studentId === !sectionId) throw new Error("Pick either a student or a section");
+  const { data, error } = await supabase
+    .from("deadline_extensions")
+    .insert([
+      {
+        assessment_type: type,
+        assessment_id: assessmentId,
+        student_id: studentId,
+        section_id: sectionId,
+        due_date: new Date(dueDate).toISOString(),
+        reason: reason?.trim() || null,
+        granted_by: grantedBy,
+      },
+    ])
+    .select(`${EXTENSION_COLUMNS}, students(full_name, email)`)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function revokeExtension(id) {
+  const { error } = await supabase.from("deadline_extensions").delete().eq("id", id);
+  if (error) throw error;
+}
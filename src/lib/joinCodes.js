@@ -0,0 +1,102 @@
+// src/lib/joinCodes.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Course join codes (course_join_codes)
+ * - One active code per course, or per section of a course; regenerating revokes the old one
+ * - Optional expires_at and max_uses; use_count is bumped on every successful join
+ * - A code is a staff invitation, so it skips the approval/invite-only mode and the
+ *   enrollment window, but not the archive, prerequisites or capacity (full courses
+ *   waitlist the student)
+ */
+
+// no 0/O or 1/I/L, so codes survive being read off a projector
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const JOIN_CODE_LENGTH = 6;
+
+export function generateJoinCode(length = JOIN_CODE_LENGTH) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, (b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join("");
+}
+
+export function normalizeJoinCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+export function joinUrl(code) {
+  return `${window.location.origin}/join/${code}`;
+}
+
+// null when the code can be used, otherwise why not
+export function joinCodeProblem(row, now = new Date()) {
+  if (!row) return "This join code doesn't exist.";
+  if (row.revoked_at) return "This join code has been replaced or revoked.";
+  if (row.expires_at && now > new Date(row.expires_at)) return "This join code has expired.";
+  if (row.max_uses != null && (row.use_count || 0) >= row.max_uses) {
+    return "This join code has reached its usage limit.";
+  }
+  return null;
+}
+
+export async function fetchActiveJoinCodes(courseId) {
+  const { data, error } = await supabase
+    .from("course_join_codes")
+    .select("*")
+    .eq("course_id", courseId)
+    .is("revoked_at", null)
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function revokeJoinCode(id) {
+  const { error } = await supabase
+    .from("course_join_codes")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+/**
+ * createJoinCode
+ * - Revokes the current code for the same course/section, then inserts a fresh one
+ */
+export async function createJoinCode({ courseId, sectionId = null, expiresAt = null, maxUses = null, createdBy }) {
+  let revoke = supabase
+    .from("course_join_codes")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("course_id", courseId)
+    .is("revoked_at", null);
+  revoke = sectionId ? revoke.eq("section_id", sectionId) : revoke.is("section_id", null);
+  const { error: revokeErr } = await revoke;
+  if (revokeErr) throw revokeErr;
+
+  const { data, error } = await supabase
+    .from("course_join_codes")
+    .insert({
+      course_id: courseId,
+      section_id: sectionId,
+      code: generateJoinCode(),
+      expires_at: expiresAt,
+      max_uses: maxUses,
+      use_count: 0,
+      created_by: createdBy ?? null,
+    })
+    .select("*")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * redeemJoinCode
+ * - Enrolls the signed-in student through the redeem_join_code RPC, which locks the code and
+ *   the course so max_uses and capacity hold under concurrent joins
+ * - Returns { status: "enrolled" | "already" | "pending" | "waitlisted", course }; a student with an
+ *   open request gets its status back. Throws with a readable message
+ */
+export async function redeemJoinCode(code) {
+  const { data, error } = await supabase.rpc("redeem_join_code", { p_code: normalizeJoinCode(code) });
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,89 @@
+// src/lib/latePolicy.js
+
+/**
+ * Late submission policy (per assignment)
+ * - assignments.allow_late: accept work after due_date at all
+ * - late_grace_minutes: minutes after due_date that still count as on time
+ * - late_penalty_per_day: % taken off the grade per started day late (capped at 100)
+ * - late_cutoff: no submissions at all after this moment, late or not. An extension
+ *   (lib/extensions, original_deadline set) pushes the cutoff back by as much as it pushed
+ *   the due date, so the late window keeps its length
+ * - Lateness is measured from the end of the grace period to submissions.submitted_at.
+ *   Staff enter the raw grade; submissions.grade holds it after the penalty, with
+ *   raw_grade and late_penalty kept alongside
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export function latePolicy(assignment) {
+  return {
+    allowLate: !!assignment?.allow_late,
+    graceMinutes: Math.max(Number(assignment?.late_grace_minutes) || 0, 0),
+    penaltyPerDay: Math.max(Number(assignment?.late_penalty_per_day) || 0, 0),
+    cutoff: extendedCutoff(assignment),
+  };
+}
+
+function extendedCutoff(assignment) {
+  if (!assignment?.late_cutoff) return null;
+  const cutoff = new Date(assignment.late_cutoff);
+  if (!assignment.original_deadline || !assignment.due_date) return cutoff;
+  const shift = new Date(assignment.due_date) - new Date(assignment.original_deadline);
+  return shift > 0 ? new Date(cutoff.getTime() + shift) : cutoff;
+}
+
+/**
+ * lateness
+ * - How late submitting `assignment` at `at` is:
+ *   { late, daysLate, penaltyPct, closed } where `closed` means the submission is not accepted
+ */
+export function lateness(assignment, at = new Date()) {
+  const when = new Date(at);
+  const policy = latePolicy(assignment);
+  const due = assignment?.due_date ? new Date(assignment.due_date) : null;
+  const pastCutoff = !!policy.cutoff && when > policy.cutoff && !(due && when <= due);
+  if (!due) return { late: false, daysLate: 0, penaltyPct: 0, closed: pastCutoff };
+
+  const graceEnd = new Date(due.getTime() + policy.graceMinutes * MINUTE_MS);
+  if (when <= graceEnd) return { late: false, daysLate: 0, penaltyPct: 0, closed: pastCutoff };
+
+  const daysLate = Math.ceil((when - graceEnd) / DAY_MS);
+  return {
+    late: true,
+    daysLate,
+    penaltyPct: Math.min(daysLate * policy.penaltyPerDay, 100),
+    closed: !policy.allowLate || pastCutoff,
+  };
+}
+
+export function submissionLateness(assignment, submission) {
+  if (!submission?.submitted_at) return { late: false, daysLate: 0, penaltyPct: 0, closed: false };
+  return lateness(assignment, submission.submitted_at);
+}
+
+export function applyLatePenalty(rawGrade, penaltyPct) {
+  if (rawGrade == null) return null;
+  if (!penaltyPct) return rawGrade;
+  return Math.round(rawGrade * (1 - penaltyPct / 100) * 100) / 100;
+}
+
+// "2 days late · −20%"
+export function lateLabel({ late, daysLate, penaltyPct }) {
+  if (!late) return null;
+  const days = `${daysLate} day${daysLate === 1 ? "" : "s"} late`;
+  return penaltyPct ? `${days} · −${penaltyPct}%` : days;
+}
+
+// one-line summary of an assignment's policy for students and staff
+export function describeLatePolicy(assignment) {
+  const policy = latePolicy(assignment);
+  if (!policy.allowLate) {
+    return policy.graceMinutes ? `No late work after a ${policy.graceMinutes}-minute grace period` : "No late work";
+  }
+  const parts = ["Late work accepted"];
+  if (policy.graceMinutes) parts.push(`${policy.graceMinutes} min grace`);
+  if (policy.penaltyPerDay) parts.push(`−${policy.penaltyPerDay}% per day`);
+  if (policy.cutoff) parts.push(`until ${policy.cutoff.toLocaleString()}`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,201 @@
+// src/lib/notifications.js
+import emailjs from "emailjs-com";
+import { supabase } from "./supabaseClient";
+
+/**
+ * Notifications
+ * - Named templates render { subject, text } from a data object
+ * - A transport delivers the rendered message; pick one with VITE_NOTIFY_TRANSPORT:
+ *     "emailjs" — browser EmailJS (VITE_EMAILJS_SERVICE_ID / _TEMPLATE_ID / _PUBLIC_KEY)
+ *     "smtp"    — supabase edge function `send-email`, which holds the SMTP credentials
+ *     "console" — keeps messages in memory and logs them (local testing)
+ *     "off"     — sends nothing
+ *   Default is emailjs; an unknown transport or missing EmailJS keys turn notifications off
+ *   with a warning instead of breaking the pages that import this module. See README "Environment"
+ * - Users opt out per template via profiles.notification_prefs ({ grade_posted: false, ... })
+ */
+
+// ---------- Templates ---------- //
+export const NOTIFICATION_TEMPLATES = {
+  welcome: {
+    label: "Welcome email",
+    optional: false, // account emails always go out
+    render: ({ name }) => ({
+      subject: "Welcome to SVIT",
+      text: `Hi ${name || "there"},\n\nYour student account is ready. Sign in any time to see your courses, assignments and quizzes.`,
+    }),
+  },
+  assignment_due: {
+    label: "Assignment due reminders",
+    optional: true,
+    render: ({ name, assignmentTitle, courseTitle, dueDate }) => ({
+      subject: `Due soon: ${assignmentTitle}`,
+      text: `Hi ${name || "there"},\n\n"${assignmentTitle}"${courseTitle ? ` (${courseTitle})` : ""} is due ${
+        dueDate ? new Date(dueDate).toLocaleString() : "soon"
+      }.`,
+    }),
+  },
+  grade_posted: {
+    label: "Grade posted",
+    optional: true,
+    render: ({ name, assignmentTitle, grade, feedback }) => ({
+      subject: `Grade posted: ${assignmentTitle}`,
+      text: `Hi ${name || "there"},\n\nYour submission for "${assignmentTitle}" was graded: ${grade}.${
+        feedback ? `\n\nFeedback: ${feedback}` : ""
+      }`,
+    }),
+  },
+  deadline_extended: {
+    label: "Deadline extensions",
+    optional: true,
+    render: ({ name, itemTitle, courseTitle, dueDate, reason }) => ({
+      subject: `Deadline extended: ${itemTitle}`,
+      text: `Hi ${name || "there"},
+
+The deadline for "${itemTitle}"${courseTitle ? ` (${courseTitle})` : ""} has been extended to ${new Date(
+        dueDate
+      ).toLocaleString()}.${reason ? `
+
+Reason: ${reason}` : ""}`,
+    }),
+  },
+  announcement: {
+    label: "Course announcements",
+    optional: true,
+    render: ({ name, courseTitle, title, body }) => ({
+      subject: courseTitle ? `[${courseTitle}] ${title}` : title,
+      text: `Hi ${name || "there"},\n\n${body || ""}`,
+    }),
+  },
+};
+
+// ---------- Transports ---------- //
+const env = import.meta.env;
+
+const EMAILJS = {
+  serviceId: env.VITE_EMAILJS_SERVICE_ID,
+  templateId: env.VITE_EMAILJS_TEMPLATE_ID,
+  publicKey: env.VITE_EMAILJS_PUBLIC_KEY,
+};
+
+// messages delivered by the console transport, newest last
+export const outbox = [];
+
+const transports = {
+  emailjs: {
+    async send({ to, toName, subject, text }) {
+      await emailjs.send(
+        EMAILJS.serviceId,
+        EMAILJS.templateId,
+        // name/email kept for the original welcome template
+        { to_email: to, to_name: toName, subject, message: text, name: toName, email: to },
+        EMAILJS.publicKey
+      );
+    },
+  },
+  smtp: {
+    async send(message) {
+      const { error } = await supabase.functions.invoke("send-email", { body: message });
+      if (error) throw error;
+    },
+  },
+  console: {
+    async send(message) {
+      outbox.push({ ...message, sentAt: new Date().toISOString() });
+      console.info(`[notify] to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+  },
+  off: {
+    async send() {},
+  },
+};
+
+function configuredTransport() {
+  const name = env.VITE_NOTIFY_TRANSPORT || "emailjs";
+  if (!transports[name]) {
+    console.warn(`[notify] Unknown VITE_NOTIFY_TRANSPORT "${name}" – notifications are off`);
+    return "off";
+  }
+  if (name === "emailjs" && !(EMAILJS.serviceId && EMAILJS.templateId && EMAILJS.publicKey)) {
+    console.warn("[notify] VITE_EMAILJS_SERVICE_ID / _TEMPLATE_ID / _PUBLIC_KEY not set – notifications are off");
+    return "off";
+  }
+  return name;
+}
+
+let activeTransport = configuredTransport();
+// the console transport delivers nothing; never let a production build fall back to it silently
+if (activeTransport === "console" && env.PROD) {
+  console.error("[notify] VITE_NOTIFY_TRANSPORT=console in a production build – no emails will be sent");
+}
+
+export function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+export function setTransport(name) {
+  if (!transports[name]) throw new Error(`Unknown notification transport: ${name}`);
+  activeTransport = name;
+}
+
+// ---------- Preferences ---------- //
+export function isOptedOut(prefs, templateName) {
+  if (!NOTIFICATION_TEMPLATES[templateName]?.optional) return false;
+  return prefs?.[templateName] === false;
+}
+
+// ---------- Sending ---------- //
+/**
+ * notify
+ * - recipient: { email, full_name, notification_prefs }
+ * - Never throws; resolves to { sent: true } or { sent: false, reason }
+ */
+export async function notify(templateName, recipient, data = {}) {
+  const template = NOTIFICATION_TEMPLATES[templateName];
+  if (!template) return { sent: false, reason: `unknown template ${templateName}` };
+  if (!recipient?.email) return { sent: false, reason: "no email" };
+  if (isOptedOut(recipient.notification_prefs, templateName)) {
+    return { sent: false, reason: "opted out" };
+  }
+  if (activeTransport === "off") return { sent: false, reason: "notifications off" };
+
+  const { subject, text } = template.render({ name: recipient.full_name, ...data });
+  try {
+    await transports[activeTransport].send({
+      template: templateName,
+      to: recipient.email,
+      toName: recipient.full_name || "",
+      subject,
+      text,
+    });
+    return { sent: true };
+  } catch (err) {
+    console.warn(`notify(${templateName}) via ${activeTransport} failed:`, err);
+    return { sent: false, reason: err?.message || String(err) };
+  }
+}
+
+/**
+ * notifyUsers
+ * - Loads the recipients' profiles (skipping deactivated accounts) and notifies each
+ * - data can be an object or a function of the profile, for per-user fields
+ */
+export async function notifyUsers(templateName, userIds, data = {}) {
+  const ids = [...new Set((userIds || []).filter(Boolean))];
+  if (!ids.length) return [];
+
+  const { data: profiles, error } = await supabase
+    .from("profiles")
+    .select("id, email, full_name, notification_prefs, deactivated_at")
+    .in("id", ids);
+  if (error) {
+    console.error("notifyUsers profile fetch error:", error);
+    return [];
+  }
+
+  return Promise.all(
+    (profiles || [])
+      .filter((p) => !p.deactivated_at)
+      .map((p) => notify(templateName, p, typeof data === "function" ? data(p) : data))
+  );
+}
@@ -0,0 +1,250 @@
+// src/lib/outcomes.js
+import { supabase } from "./supabaseClient";
+import { scorePercent } from "./studentRecords";
+
+/**
+ * Course outcomes (COs) and attainment, for NBA/OBE reporting
+ * - course_outcomes: course_id, code ("CO1"), description, target (% a student must score to attain it)
+ * - outcome_mappings: outcome_id, assessment_type, assessment_id, question_index
+ *     "assignment"        -> assignments.id, scored from submissions.grade
+ *     "module_assignment" -> module_assignments.id, scored from module_submissions.grade
+ *     "quiz_question"     -> quizzes.id + question_index, scored from quiz_scores
+ * - Grades are read as percentages (0–100), except rubric-graded submissions, whose grade is the
+ *   rubric total and is scaled by rubric_scores.max. A quiz question scores 100/0 from
+ *   quiz_scores.question_results; older attempts without it fall back to the whole quiz score
+ * - A student's CO score is the mean of their scored items; the cohort level follows ATTAINMENT_LEVELS
+ */
+
+export const ASSESSMENT_TYPES = [
+  { value: "assignment", label: "Assignment" },
+  { value: "module_assignment", label: "Module assignment" },
+  { value: "quiz_question", label: "Quiz question" },
+];
+
+export const DEFAULT_OUTCOME_TARGET = 60;
+
+// share of assessed students attaining a CO -> attainment level (3 is highest)
+export const ATTAINMENT_LEVELS = [
+  { level: 3, min: 70 },
+  { level: 2, min: 60 },
+  { level: 1, min: 50 },
+];
+
+export function attainmentLevel(attainedPct) {
+  if (attainedPct == null) return null;
+  return ATTAINMENT_LEVELS.find((l) => attainedPct >= l.min)?.level ?? 0;
+}
+
+// key identifying one taggable item, e.g. "quiz_question:<quizId>:2"
+export function mappingKey(type, assessmentId, questionIndex = null) {
+  return [type, assessmentId, questionIndex ?? ""].join(":");
+}
+
+export async function fetchOutcomes(courseId) {
+  const { data, error } = await supabase
+    .from("course_outcomes")
+    .select("id, course_id, code, description, target, created_at")
+    .eq("course_id", courseId)
+    .order("code", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchOutcomeMappings(outcomeIds) {
+  const ids = [].concat(outcomeIds || []).filter(Boolean);
+  if (!ids.length) return [];
+  const { data, error } = await supabase
+    .from("outcome_mappings")
+    .select("id, outcome_id, assessment_type, assessment_id, question_index")
+    .in("outcome_id", ids);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * setItemOutcomes
+ * - Replaces the COs tagged on one item (an assignment, module assignment or quiz question)
+ * - `courseOutcomeIds` limits the delete to this course's outcomes
+ */
+export async function setItemOutcomes({ type, assessmentId, questionIndex = null, outcomeIds, courseOutcomeIds }) {
+  let del = supabase
+    .from("outcome_mappings")
+    .delete()
+    .eq("assessment_type", type)
+    .eq("assessment_id", assessmentId)
+    .in("outcome_id", courseOutcomeIds);
+  del = questionIndex == null ? del.is("question_index", null) : del.eq("question_index", questionIndex);
+  const { error: delErr } = await del;
+  if (delErr) throw delErr;
+
+  if (!outcomeIds.length) return [];
+  const { data, error } = await supabase
+    .from("outcome_mappings")
+    .insert(
+      outcomeIds.map((outcome_id) => ({
+        outcome_id,
+        assessment_type: type,
+        assessment_id: assessmentId,
+        question_index: questionIndex,
+      }))
+    )
+    .select("id, outcome_id, assessment_type, assessment_id, question_index");
+  if (error) throw error;
+  return data || [];
+}
+
+function clampPct(value) {
+  if (value == null || value === "" || Number.isNaN(Number(value))) return null;
+  return Math.min(Math.max(Number(value), 0), 100);
+}
+
+// a rubric grade is points out of the rubric's max; anything else is already a percentage
+function gradePct(sub) {
+  const max = Number(sub?.rubric_scores?.max);
+  if (sub?.grade != null && sub.grade !== "" && max > 0) return clampPct((Number(sub.grade) / max) * 100);
+  return clampPct(sub?.grade);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+/**
+ * fetchAssessments
+ * - Everything in a course that can be tagged: assignments, module assignments and quizzes (with questions)
+ */
+export async function fetchAssessments(courseId) {
+  const [{ data: assignments, error: aErr }, { data: modules, error: mErr }, { data: quizzes, error: qErr }] =
+    await Promise.all([
+      supabase.from("assignments").select("id, title, due_date").eq("course_id", courseId).order("created_at"),
+      supabase.from("modules").select("id, title, order_number").eq("course_id", courseId).order("order_number"),
+      supabase.from("quizzes").select("id, questions, created_at").eq("course_id", courseId).order("created_at"),
+    ]);
+  if (aErr) throw aErr;
+  if (mErr) throw mErr;
+  if (qErr) throw qErr;
+
+  let moduleAssignments = [];
+  const moduleIds = (modules || []).map((m) => m.id);
+  if (moduleIds.length) {
+    const { data, error } = await supabase
+      .from("module_assignments")
+      .select("id, title, module_id")
+      .in("module_id", moduleIds)
+      .order("created_at");
+    if (error) throw error;
+    const moduleTitle = Object.fromEntries((modules || []).map((m) => [m.id, m.title]));
+    moduleAssignments = (data || []).map((a) => ({ ...a, module_title: moduleTitle[a.module_id] }));
+  }
+
+  return {
+    assignments: assignments || [],
+    moduleAssignments,
+    quizzes: (quizzes || []).map((q, i) => ({
+      ...q,
+      label: `Quiz ${i + 1}`,
+      questions: Array.isArray(q.questions) ? q.questions : JSON.parse(q.questions || "[]"),
+    })),
+  };
+}
+
+/**
+ * computeAttainment
+ * - Pure: turns outcomes, mappings and raw scores into
+ *   { perStudent: { [studentId]: { [outcomeId]: pct | null } },
+ *     cohort: { [outcomeId]: { average, assessed, attained, attainedPct, level } } }
+ */
+export function computeAttainment({ outcomes, mappings, studentIds, submissions, moduleSubmissions, quizScores }) {
+  const latest = (rows, key, time) => {
+    const map = {};
+    (rows || []).forEach((r) => {
+      const k = `${r.student_id}:${r[key]}`;
+      if (!map[k] || new Date(r[time] || 0) > new Date(map[k][time] || 0)) map[k] = r;
+    });
+    return map;
+  };
+  const subs = latest(submissions, "assignment_id", "submitted_at");
+  const modSubs = latest(moduleSubmissions, "assignment_id", "submitted_at");
+  const quizzes = latest(quizScores, "quiz_id", "created_at");
+
+  const itemScore = (studentId, m) => {
+    if (m.assessment_type === "assignment") return gradePct(subs[`${studentId}:${m.assessment_id}`]);
+    if (m.assessment_type === "module_assignment") return gradePct(modSubs[`${studentId}:${m.assessment_id}`]);
+    const attempt = quizzes[`${studentId}:${m.assessment_id}`];
+    if (!attempt) return null;
+    const results = attempt.question_results;
+    if (Array.isArray(results) && results[m.question_index] != null) return results[m.question_index] ? 100 : 0;
+    return scorePercent(attempt.score);
+  };
+
+  const perStudent = {};
+  studentIds.forEach((sid) => {
+    perStudent[sid] = {};
+    outcomes.forEach((o) => {
+      const scores = mappings
+        .filter((m) => m.outcome_id === o.id)
+        .map((m) => itemScore(sid, m))
+        .filter((v) => v != null);
+      const avg = mean(scores);
+      perStudent[sid][o.id] = avg == null ? null : Math.round(avg);
+    });
+  });
+
+  const cohort = {};
+  outcomes.forEach((o) => {
+    const target = o.target ?? DEFAULT_OUTCOME_TARGET;
+    const scores = studentIds.map((sid) => perStudent[sid][o.id]).filter((v) => v != null);
+    const attained = scores.filter((v) => v >= target).length;
+    const attainedPct = scores.length ? Math.round((attained / scores.length) * 100) : null;
+    const avg = mean(scores);
+    cohort[o.id] = {
+      average: avg == null ? null : Math.round(avg),
+      assessed: scores.length,
+      attained,
+      attainedPct,
+      level: attainmentLevel(attainedPct),
+    };
+  });
+
+  return { perStudent, cohort };
+}
+
+/**
+ * fetchAttainmentReport
+ * - Loads the course's COs, mappings, roster and scores, then runs computeAttainment
+ * - Returns { outcomes, students: [{ id, full_name, email }], perStudent, cohort }
+ */
+export async function fetchAttainmentReport(courseId) {
+  const outcomes = await fetchOutcomes(courseId);
+  const mappings = await fetchOutcomeMappings(outcomes.map((o) => o.id));
+
+  const { data: roster, error: rErr } = await supabase
+    .from("enrollments")
+    .select("student_id, students(full_name, email)")
+    .eq("course_id", courseId);
+  if (rErr) throw rErr;
+  const students = (roster || [])
+    .map((e) => ({ id: e.student_id, full_name: e.students?.full_name, email: e.students?.email }))
+    .sort((a, b) => (a.full_name || "").localeCompare(b.full_name || ""));
+  const studentIds = students.map((s) => s.id);
+
+  const idsOf = (type) => [...new Set(mappings.filter((m) => m.assessment_type === type).map((m) => m.assessment_id))];
+  const load = async (table, column, ids, columns) => {
+    if (!ids.length || !studentIds.length) return [];
+    const { data, error } = await supabase.from(table).select(columns).in(column, ids).in("student_id", studentIds);
+    if (error) throw error;
+    return data || [];
+  };
+
+  const [submissions, moduleSubmissions, quizScores] = await Promise.all([
+    load("submissions", "assignment_id", idsOf("assignment"), "student_id, assignment_id, grade, rubric_scores, submitted_at"),
+    load("module_submissions", "assignment_id", idsOf("module_assignment"), "student_id, assignment_id, grade, rubric_scores, submitted_at"),
+    load("quiz_scores", "quiz_id", idsOf("quiz_question"), "student_id, quiz_id, score, question_results, created_at"),
+  ]);
+
+  return {
+    outcomes,
+    students,
+    ...computeAttainment({ outcomes, mappings, studentIds, submissions, moduleSubmissions, quizScores }),
+  };
+}
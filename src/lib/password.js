@@ -0,0 +1,17 @@
+// src/lib/password.js
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * validateNewPassword
+ * - Shared by the settings "change password" form and the reset-password screen
+ * - Returns an error message, or null when the pair is acceptable
+ */
+export function validateNewPassword(newPassword, confirmPassword) {
+  if (!newPassword || !confirmPassword) return "Please enter new password and confirm it";
+  if (newPassword !== confirmPassword) return "New passwords do not match";
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return `New password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
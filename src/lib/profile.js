@@ -0,0 +1,77 @@
+// src/lib/profile.js
+import { supabase } from "./supabaseClient";
+
+// Extended profile columns on `profiles`, in display order
+export const PROFILE_DETAIL_FIELDS = [
+  { key: "roll_number", label: "Roll number", placeholder: "e.g. 21A91A0501" },
+  { key: "department", label: "Department", placeholder: "e.g. CSE" },
+  { key: "semester", label: "Semester", placeholder: "e.g. 5" },
+  { key: "section", label: "Section", placeholder: "e.g. A" },
+  { key: "phone", label: "Phone", placeholder: "e.g. +91 98765 43210", type: "tel" },
+  // staff only: shown on the course catalog
+  { key: "bio", label: "Bio", placeholder: "A few lines about you and your teaching", multiline: true, staffOnly: true },
+];
+
+export const PROFILE_DETAIL_COLUMNS = "roll_number, department, semester, section, phone, bio, avatar_url";
+
+export const AVATAR_BUCKET = "avatars";
+export const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+export function getInitials(name, fallback = "U") {
+  const parts = (name || "").split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return fallback;
+  if (parts.length === 1) return parts[0].slice(0, 1).toUpperCase();
+  return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
+}
+
+// "CSE · Sem 5 · Sec A" — whatever parts are filled in
+export function formatClassInfo(p) {
+  if (!p) return "";
+  return [
+    p.department,
+    p.semester ? `Sem ${p.semester}` : null,
+    p.section ? `Sec ${p.section}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * uploadAvatar
+ * - Images only, up to AVATAR_MAX_BYTES
+ * - Stored as avatars/<userId>/<timestamp>.<ext> and returned as a public URL
+ */
+export async function uploadAvatar(userId, file) {
+  if (!file?.type?.startsWith("image/")) throw new Error("Please choose an image file");
+  if (file.size > AVATAR_MAX_BYTES) throw new Error("Image must be 2 MB or smaller");
+
+  const ext = file.name.split(".").pop();
+  const filePath = `${userId}/${Date.now()}.${ext}`;
+
+  const { error } = await supabase.storage
+    .from(AVATAR_BUCKET)
+    .upload(filePath, file, { upsert: true, contentType: file.type });
+  if (error) throw error;
+
+  const { data } = supabase.storage.from(AVATAR_BUCKET).getPublicUrl(filePath);
+  return data.publicUrl;
+}
+
+/**
+ * fetchProfileDetails
+ * - Extended profile fields for a list of user ids, as a Map keyed by id
+ * - Roster views join this onto rows that only carry full_name/email
+ */
+export async function fetchProfileDetails(ids) {
+  const unique = [...new Set((ids || []).filter(Boolean))];
+  if (!unique.length) return new Map();
+  const { data, error } = await supabase
+    .from("profiles")
+    .select(`id, ${PROFILE_DETAIL_COLUMNS}`)
+    .in("id", unique);
+  if (error) {
+    console.error("fetchProfileDetails error:", error);
+    return new Map();
+  }
+  return new Map((data || []).map((p) => [p.id, p]));
+}
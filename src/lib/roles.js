@@ -0,0 +1,81 @@
+// src/lib/roles.js
+import { supabase } from "./supabaseClient";
+import { applyCourseScope } from "./terms";
+import { staffCan } from "./courseStaff";
+
+// Roles that can sign in to the /admin area. Admins manage everything,
+// instructors only the courses they own or co-teach.
+export const STAFF_ROLES = ["admin", "instructor"];
+
+// Every role an admin can assign from the Users page.
+// Guardians get a read-only view of the students linked to them (guardian_students).
+export const ALL_ROLES = ["student", "guardian", "instructor", "admin"];
+
+export function isStaffRole(role) {
+  return STAFF_ROLES.includes(role);
+}
+
+export function homePathForRole(role) {
+  if (isStaffRole(role)) return "/admin";
+  if (role === "guardian") return "/guardian";
+  return "/student";
+}
+
+/**
+ * fetchManagedCourses
+ * - admin: every course
+ * - instructor: courses they created (courses.created_by) or are listed on in course_staff
+ * - scope: "current" (default, hides archived courses), "past" or "all" — see lib/terms
+ * - permission: only co-taught courses whose course_staff role grants it (e.g. "edit" leaves
+ *   out TAs); courses they created always count
+ * Returns the usual { data, error } pair.
+ */
+export async function fetchManagedCourses(
+  { user, role },
+  { columns = "id, title", orderBy, scope = "current", permission } = {}
+) {
+  if (!user) return { data: [], error: null };
+
+  let query = applyCourseScope(supabase.from("courses").select(columns), scope);
+
+  if (role !== "admin") {
+    const { data: staffRows, error: staffErr } = await supabase
+      .from("course_staff")
+      .select("course_id, role")
+      .eq("user_id", user.id);
+    if (staffErr) return { data: [], error: staffErr };
+
+    const coTaught = (staffRows || [])
+      .filter((r) => !permission || staffCan(r.role, permission))
+      .map((r) => r.course_id);
+    query = coTaught.length
+      ? query.or(`created_by.eq.${user.id},id.in.(${coTaught.join(",")})`)
+      : query.eq("created_by", user.id);
+  }
+
+  if (orderBy) query = query.order(orderBy.column, { ascending: orderBy.ascending ?? true });
+
+  return await query;
+}
+
+/**
+ * canManageCourse
+ * - Same rule as fetchManagedCourses, for a single course id, further limited by the
+ *   course_staff role: `permission` defaults to "edit" (lead / co-instructor, not TAs)
+ */
+export async function canManageCourse({ user, role }, courseId, permission = "edit") {
+  if (!user || !courseId) return false;
+  if (role === "admin") return true;
+
+  const [{ data: course }, { data: staffRow }] = await Promise.all([
+    supabase.from("courses").select("created_by").eq("id", courseId).maybeSingle(),
+    supabase
+      .from("course_staff")
+      .select("course_id, role")
+      .eq("course_id", courseId)
+      .eq("user_id", user.id)
+      .maybeSingle(),
+  ]);
+
+  return course?.created_by === user.id || (!!staffRow && staffCan(staffRow.role, permission));
+}
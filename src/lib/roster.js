@@ -0,0 +1,239 @@
+// src/lib/roster.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Bulk roster import
+ * - CSV columns: name, email, roll_number, course_codes ("CS101;CS102")
+ * - Existing student accounts are enrolled straight away
+ * - New emails get a roster_invites row plus an emailed sign-in link; their profile
+ *   and enrollments are created on first sign-in (claimRosterInvite), since auth
+ *   users can't be created from the browser
+ */
+
+export const ROSTER_TEMPLATE = "name,email,roll_number,course_codes\nJane Doe,jane@example.com,21A91A0501,CS101;CS102\n";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function splitCourseCodes(value) {
+  return String(value || "")
+    .split(/[;|\s]+/)
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * planRosterImport (dry run)
+ * - Loads the courses, profiles and enrollments the rows refer to
+ * - Returns one entry per CSV row: { line, name, email, roll_number, codes, errors, action, ... }
+ *   action is "invite" | "enroll" | "skip" | null (null when the row has errors)
+ */
+export async function planRosterImport(rows) {
+  const emails = [
+    ...new Set(rows.map((r) => (r.email || "").toLowerCase()).filter(Boolean)),
+  ];
+
+  const [{ data: courses, error: courseErr }, { data: profiles, error: profErr }] =
+    await Promise.all([
+      supabase.from("courses").select("id, title, code").is("archived_at", null),
+      emails.length
+        ? supabase.from("profiles").select("id, email, full_name, role, roll_number").in("email", emails)
+        : Promise.resolve({ data: [], error: null }),
+    ]);
+  if (courseErr) throw courseErr;
+  if (profErr) throw profErr;
+
+  const courseByCode = new Map(
+    (courses || []).filter((c) => c.code).map((c) => [c.code.toUpperCase(), c])
+  );
+  const profileByEmail = new Map((profiles || []).map((p) => [(p.email || "").toLowerCase(), p]));
+
+  const studentIds = (profiles || []).map((p) => p.id);
+  const enrolledByStudent = new Map();
+  if (studentIds.length) {
+    const { data: enr, error: enrErr } = await supabase
+      .from("enrollments")
+      .select("student_id, course_id")
+      .in("student_id", studentIds);
+    if (enrErr) throw enrErr;
+    (enr || []).forEach((e) => {
+      if (!enrolledByStudent.has(e.student_id)) enrolledByStudent.set(e.student_id, new Set());
+      enrolledByStudent.get(e.student_id).add(e.course_id);
+    });
+  }
+
+  const seen = new Set();
+  return rows.map((row, idx) => {
+    const name = (row.name || row.full_name || "").trim();
+    const email = (row.email || "").trim().toLowerCase();
+    const rollNumber = (row.roll_number || row.roll_no || "").trim();
+    const codes = splitCourseCodes(row.course_codes || row.courses);
+    const errors = [];
+
+    if (!name) errors.push("Name is required");
+    if (!email) errors.push("Email is required");
+    else if (!EMAIL_RE.test(email)) errors.push("Email is not valid");
+    else if (seen.has(email)) errors.push("Duplicate email in file");
+    if (email) seen.add(email);
+
+    const unknown = codes.filter((c) => !courseByCode.has(c));
+    if (unknown.length) errors.push(`Unknown course code: ${unknown.join(", ")}`);
+    const courseList = codes.map((c) => courseByCode.get(c)).filter(Boolean);
+
+    const existing = profileByEmail.get(email) || null;
+    if (existing && existing.role !== "student") {
+      errors.push(`Email belongs to an existing ${existing.role} account`);
+    }
+
+    let action = null;
+    let newCourses = courseList;
+    if (!errors.length) {
+      if (existing) {
+        const enrolled = enrolledByStudent.get(existing.id) || new Set();
+        newCourses = courseList.filter((c) => !enrolled.has(c.id));
+        action = newCourses.length ? "enroll" : "skip";
+      } else {
+        action = "invite";
+      }
+    }
+
+    return {
+      line: idx + 2, // header is line 1
+      name,
+      email,
+      roll_number: rollNumber,
+      codes,
+      courses: courseList,
+      newCourses,
+      existing,
+      errors,
+      action,
+    };
+  });
+}
+
+async function enrollStudent(studentId, courseIds) {
+  if (!courseIds.length) return;
+  const { error } = await supabase
+    .from("enrollments")
+    .insert(courseIds.map((course_id) => ({ course_id, student_id: studentId })));
+  if (error) throw error;
+}
+
+/**
+ * runRosterImport
+ * - Applies a plan from planRosterImport, row by row, so one failure doesn't stop the batch
+ * - Returns [{ ...entry, status: "invited" | "enrolled" | "skipped" | "failed", message }]
+ */
+export async function runRosterImport(plan, { invitedBy, onProgress } = {}) {
+  const results = [];
+  let done = 0;
+
+  for (const entry of plan) {
+    let status = "skipped";
+    let message = entry.errors.join("; ");
+
+    try {
+      if (entry.action === "enroll") {
+        await enrollStudent(entry.existing.id, entry.newCourses.map((c) => c.id));
+        if (entry.roll_number && !entry.existing.roll_number) {
+          await supabase
+            .from("profiles")
+            .update({ roll_number: entry.roll_number })
+            .eq("id", entry.existing.id);
+        }
+        status = "enrolled";
+        message = `Enrolled in ${entry.newCourses.map((c) => c.code).join(", ")}`;
+      } else if (entry.action === "skip") {
+        message = "Already enrolled in every listed course";
+      } else if (entry.action === "invite") {
+        const { error: inviteErr } = await supabase.from("roster_invites").upsert(
+          {
+            email: entry.email,
+            full_name: entry.name,
+            roll_number: entry.roll_number || null,
+            course_ids: entry.courses.map((c) => c.id),
+            invited_by: invitedBy || null,
+            invited_at: new Date().toISOString(),
+            claimed_at: null,
+          },
+          { onConflict: "email" }
+        );
+        if (inviteErr) throw inviteErr;
+
+        const { error: otpErr } = await supabase.auth.signInWithOtp({
+          email: entry.email,
+          options: {
+            shouldCreateUser: true,
+            data: { full_name: entry.name },
+            emailRedirectTo: `${window.location.origin}/login?view=magic-link`,
+          },
+        });
+        if (otpErr) throw otpErr;
+
+        status = "invited";
+        message = entry.courses.length
+          ? `Invite sent; will be enrolled in ${entry.courses.map((c) => c.code).join(", ")}`
+          : "Invite sent";
+      }
+    } catch (err) {
+      status = "failed";
+      message = err?.message || String(err);
+    }
+
+    results.push({ ...entry, status, message });
+    done += 1;
+    onProgress?.(done, plan.length);
+  }
+
+  return results;
+}
+
+/**
+ * claimRosterInvite
+ * - Called when a signed-in user has no profile yet
+ * - Turns a pending roster invite into a student profile plus enrollments
+ * - Returns true when an invite was claimed
+ */
+export async function claimRosterInvite(user) {
+  if (!user?.id || !user?.email) return false;
+
+  const { data: invite, error } = await supabase
+    .from("roster_invites")
+    .select("*")
+    .eq("email", user.email.toLowerCase())
+    .is("claimed_at", null)
+    .maybeSingle();
+  if (error) {
+    console.error("roster invite lookup error:", error);
+    return false;
+  }
+  if (!invite) return false;
+
+  const { error: profileErr } = await supabase.from("profiles").upsert(
+    {
+      id: user.id,
+      email: invite.email,
+      full_name: invite.full_name,
+      roll_number: invite.roll_number,
+      role: "student",
+    },
+    { onConflict: "id" }
+  );
+  if (profileErr) {
+    console.error("roster invite profile error:", profileErr);
+    return false;
+  }
+
+  try {
+    await enrollStudent(user.id, invite.course_ids || []);
+  } catch (enrollErr) {
+    console.error("roster invite enrollment error:", enrollErr);
+  }
+
+  await supabase
+    .from("roster_invites")
+    .update({ claimed_at: new Date().toISOString(), claimed_by: user.id })
+    .eq("id", invite.id);
+
+  return true;
+}
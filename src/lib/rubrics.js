@@ -0,0 +1,140 @@
+// src/lib/rubrics.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Grading rubrics
+ * - rubrics: title, description, criteria (jsonb), created_by. Reusable: assignments and
+ *   module_assignments point at one through rubric_id
+ * - criteria: [{ id, title, description, levels: [{ id, label, description, points }] }]
+ * - A graded submission keeps a snapshot in rubric_scores
+ *   ({ rubric_id, title, criteria, selections: { criterionId: levelId }, total, max }),
+ *   so later edits to the rubric never change what a student was shown. The total is the raw grade
+ */
+
+const RUBRIC_COLUMNS = "id, title, description, criteria, created_by, created_at, updated_at";
+
+const DEFAULT_LEVELS = [
+  { label: "Excellent", points: 4 },
+  { label: "Good", points: 3 },
+  { label: "Fair", points: 2 },
+  { label: "Poor", points: 1 },
+];
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+export function newLevel(label = "", points = 0) {
+  return { id: newId("lvl"), label, description: "", points };
+}
+
+export function newCriterion(title = "") {
+  return {
+    id: newId("crit"),
+    title,
+    description: "",
+    levels: DEFAULT_LEVELS.map((l) => newLevel(l.label, l.points)),
+  };
+}
+
+export function emptyRubric() {
+  return { title: "", description: "", criteria: [newCriterion()] };
+}
+
+// best level of each criterion, summed
+export function rubricMaxPoints(rubric) {
+  return (rubric?.criteria || []).reduce(
+    (sum, c) => sum + Math.max(0, ...(c.levels || []).map((l) => Number(l.points) || 0)),
+    0
+  );
+}
+
+export function rubricTotal(rubric, selections = {}) {
+  return (rubric?.criteria || []).reduce((sum, c) => {
+    const level = (c.levels || []).find((l) => l.id === selections[c.id]);
+    return sum + (level ? Number(level.points) || 0 : 0);
+  }, 0);
+}
+
+export function isRubricComplete(rubric, selections = {}) {
+  return (rubric?.criteria || []).every((c) => (c.levels || []).some((l) => l.id === selections[c.id]));
+}
+
+// snapshot stored on the submission
+export function rubricResult(rubric, selections) {
+  return {
+    rubric_id: rubric.id,
+    title: rubric.title,
+    criteria: rubric.criteria,
+    selections,
+    total: rubricTotal(rubric, selections),
+    max: rubricMaxPoints(rubric),
+  };
+}
+
+// message for the editor, or null when the rubric can be saved
+export function rubricError(rubric) {
+  if (!rubric?.title?.trim()) return "Give the rubric a title.";
+  if (!rubric.criteria?.length) return "Add at least one criterion.";
+  for (const c of rubric.criteria) {
+    if (!c.title?.trim()) return "Every criterion needs a title.";
+    if ((c.levels || []).length < 2) return `"${c.title}" needs at least two levels.`;
+    if (c.levels.some((l) => !l.label?.trim())) return `Every level of "${c.title}" needs a label.`;
+    if (c.levels.some((l) => Number.isNaN(Number(l.points)) || Number(l.points) < 0)) {
+      return `Points in "${c.title}" must be zero or more.`;
+    }
+  }
+  return null;
+}
+
+export async function fetchRubrics() {
+  const { data, error } = await supabase.from("rubrics").select(RUBRIC_COLUMNS).order("title");
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchRubric(id) {
+  if (!id) return null;
+  const { data, error } = await supabase.from("rubrics").select(RUBRIC_COLUMNS).eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * saveRubric
+ * - Inserts when `rubric.id` is empty, updates otherwise; points are stored as numbers
+ */
+export async function saveRubric(rubric, userId) {
+  const fields = {
+    title: rubric.title.trim(),
+    description: rubric.description?.trim() || null,
+    criteria: rubric.criteria.map((c) => ({
+      ...c,
+      title: c.title.trim(),
+      levels: c.levels.map((l) => ({ ...l, label: l.label.trim(), points: Number(l.points) || 0 })),
+    })),
+  };
+  const query = rubric.id
+    ? supabase
+        .from("rubrics")
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq("id", rubric.id)
+    : supabase.from("rubrics").insert([{ ...fields, created_by: userId }]);
+  const { data, error } = await query.select(RUBRIC_COLUMNS).single();
+  if (error) throw error;
+  return data;
+}
+
+// number of assignments and module assignments using a rubric
+export async function rubricUsage(id) {
+  const [a, m] = await Promise.all([
+    supabase.from("assignments").select("id", { count: "exact", head: true }).eq("rubric_id", id),
+    supabase.from("module_assignments").select("id", { count: "exact", head: true }).eq("rubric_id", id),
+  ]);
+  if (a.error) throw a.error;
+  if (m.error) throw m.error;
+  return (a.count || 0) + (m.count || 0);
+}
+
+export async function deleteRubric(id) {
+  const { error } = await supabase.from("rubrics").delete().eq("id", id);
+  if (error) throw error;
+}
@@ -0,0 +1,59 @@
+// src/lib/sections.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Course sections (course_sections)
+ * - A course can be split into sections (e.g. CSE-A, CSE-B); enrollments carry a section_id
+ * - Assignments, calendar events and discussion topics have an optional section_id:
+ *   null means the whole course, otherwise only that section sees it
+ */
+
+// value used by section filters for "every section"
+export const ALL_SECTIONS = "all";
+
+export async function fetchSections(courseIds) {
+  const ids = [].concat(courseIds || []).filter(Boolean);
+  if (!ids.length) return [];
+  const { data, error } = await supabase
+    .from("course_sections")
+    .select("id, course_id, name, created_at")
+    .in("course_id", ids)
+    .order("name", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// course_id -> [sections]
+export function groupSectionsByCourse(sections) {
+  return (sections || []).reduce((acc, s) => {
+    (acc[s.course_id] ||= []).push(s);
+    return acc;
+  }, {});
+}
+
+// course_id -> section_id (or null) for each of the student's enrollments
+export async function fetchStudentSectionMap(studentId) {
+  const { data, error } = await supabase
+    .from("enrollments")
+    .select("course_id, section_id")
+    .eq("student_id", studentId);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map((e) => [e.course_id, e.section_id || null]));
+}
+
+// whether a section-targeted row is visible to a student in `studentSectionId`;
+// unsectioned students see only whole-course rows
+export function isVisibleToSection(row, studentSectionId) {
+  return !row?.section_id || row.section_id === studentSectionId;
+}
+
+// whether a row matches a staff-side section filter (ALL_SECTIONS or a section id);
+// whole-course rows match every filter
+export function matchesSectionFilter(row, filter) {
+  return !filter || filter === ALL_SECTIONS || !row?.section_id || row.section_id === filter;
+}
+
+export function sectionName(sections, sectionId) {
+  if (!sectionId) return "All sections";
+  return (sections || []).find((s) => s.id === sectionId)?.name || "Unknown section";
+}
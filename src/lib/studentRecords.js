@@ -0,0 +1,134 @@
+// src/lib/studentRecords.js
+import { supabase } from "./supabaseClient";
+import { isVisibleToSection } from "./sections";
+import { fetchStudentExtensions, withEffectiveDeadlines } from "./extensions";
+
+/**
+ * Read-only student records
+ * - Shared by the student's own pages and the guardian portal, so both show the same data
+ * - Each takes the student's profile id and throws on query errors
+ */
+
+// attendance rows, newest first, with the name of whoever marked them
+export async function fetchAttendanceRecords(studentId) {
+  const { data: attendanceData, error } = await supabase
+    .from("attendance")
+    .select("id, date, status, courses(title), marked_by, created_at")
+    .eq("student_id", studentId)
+    .order("date", { ascending: false });
+  if (error) throw error;
+
+  const coordinatorIds = [
+    ...new Set(attendanceData.map((a) => a.marked_by).filter(Boolean).map(String)),
+  ];
+
+  let coordinatorMap = {};
+  if (coordinatorIds.length > 0) {
+    const { data: profilesData } = await supabase
+      .from("profiles")
+      .select("id, full_name")
+      .in("id", coordinatorIds);
+
+    if (profilesData) {
+      coordinatorMap = profilesData.reduce((acc, p) => {
+        acc[p.id] = p.full_name;
+        return acc;
+      }, {});
+    }
+  }
+
+  return attendanceData.map((a) => ({
+    ...a,
+    coordinator_name: a.marked_by ? coordinatorMap[a.marked_by] || "Unknown" : "—",
+  }));
+}
+
+// assignments of every enrolled course (whole-course or the student's section) plus the student's submissions;
+// due dates already include any extension granted to the student or their section
+export async function fetchAssignmentRecords(studentId) {
+  const { data: enrolledCourses, error: cErr } = await supabase
+    .from("enrollments")
+    .select("course_id, section_id, courses(id, title)")
+    .eq("student_id", studentId);
+  if (cErr) throw cErr;
+  if (!enrolledCourses?.length) return { assignments: [], submissions: [] };
+
+  const courseIds = enrolledCourses.map((e) => e.course_id);
+  const sectionOf = Object.fromEntries(enrolledCourses.map((e) => [e.course_id, e.section_id]));
+
+  const [{ data: assignments, error: aErr }, { data: submissions, error: sErr }, extensions] = await Promise.all([
+    supabase
+      .from("assignments")
+      .select(
+        "id, title, description, due_date, course_id, section_id, file_url, allowed_file_types, max_file_mb, max_files, allow_late, late_grace_minutes, late_penalty_per_day, late_cutoff, max_resubmissions, courses(title, archived_at)"
+      )
+      .in("course_id", courseIds)
+      .order("due_date", { ascending: true }),
+    supabase.from("submissions").select("*").eq("student_id", studentId),
+    // without extensions the plain due dates still show
+    fetchStudentExtensions(studentId, sectionOf).catch((err) => {
+      console.error("fetchStudentExtensions", err);
+      return [];
+    }),
+  ]);
+  if (aErr) throw aErr;
+  if (sErr) throw sErr;
+
+  const visible = (assignments || []).filter((a) => isVisibleToSection(a, sectionOf[a.course_id]));
+  return {
+    assignments: withEffectiveDeadlines(visible, "assignment", extensions, {
+      studentId,
+      sectionIdOf: (a) => sectionOf[a.course_id],
+    }),
+    submissions: submissions || [],
+  };
+}
+
+// quiz_scores with course title and a per-course "Quiz N" label (quizzes have no title)
+export async function fetchQuizScoreRecords(studentId) {
+  const { data, error } = await supabase
+    .from("quiz_scores")
+    .select("*, quizzes(id, created_at, course_id, courses(id, title))")
+    .eq("student_id", studentId);
+  if (error) throw error;
+
+  const courseIds = [...new Set((data || []).map((r) => r.quizzes?.course_id).filter(Boolean))];
+  let quizOrder = new Map();
+  if (courseIds.length) {
+    const { data: quizzes } = await supabase
+      .from("quizzes")
+      .select("id, course_id, created_at")
+      .in("course_id", courseIds)
+      .order("created_at", { ascending: true });
+    const counters = {};
+    quizOrder = new Map(
+      (quizzes || []).map((q) => {
+        counters[q.course_id] = (counters[q.course_id] || 0) + 1;
+        return [q.id, counters[q.course_id]];
+      })
+    );
+  }
+
+  return (data || []).map((r) => ({
+    ...r,
+    course_title: r.quizzes?.courses?.title || "Unknown Course",
+    quiz_label: quizOrder.has(r.quiz_id) ? `Quiz ${quizOrder.get(r.quiz_id)}` : "Quiz",
+  }));
+}
+
+// "3/5" -> 60; anything unparsable -> null
+export function scorePercent(score) {
+  const [num, den] = String(score || "").split("/").map(Number);
+  if (!den || Number.isNaN(num) || Number.isNaN(den)) return null;
+  return Math.round((num / den) * 100);
+}
+
+// students a guardian is linked to (guardian_students), as profile rows
+export async function fetchLinkedStudents(guardianId) {
+  const { data, error } = await supabase
+    .from("guardian_students")
+    .select("student_id, student:profiles!student_id(id, full_name, email, roll_number, department, semester, section, avatar_url)")
+    .eq("guardian_id", guardianId);
+  if (error) throw error;
+  return (data || []).map((r) => r.student).filter(Boolean);
+}
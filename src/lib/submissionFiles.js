@@ -0,0 +1,104 @@
+// src/lib/submissionFiles.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Student submission files
+ * - Stored in the private "submission-files" bucket as <assignmentId>/<studentId>/<timestamp>-<name>
+ *   and listed on the submission row in `attachments` ([{ path, name, size, type }])
+ * - Each assignment limits uploads with allowed_file_types (keys of SUBMISSION_FILE_KINDS),
+ *   max_file_mb and max_files; empty columns fall back to the defaults below
+ * - Files are read through short-lived signed URLs, never public ones
+ */
+
+export const SUBMISSION_BUCKET = "submission-files";
+export const DEFAULT_MAX_FILE_MB = 10;
+export const DEFAULT_MAX_FILES = 5;
+const SIGNED_URL_SECONDS = 60 * 10;
+
+export const SUBMISSION_FILE_KINDS = {
+  pdf: { label: "PDF", extensions: ["pdf"], accept: "application/pdf" },
+  image: { label: "Images", extensions: ["png", "jpg", "jpeg", "gif", "webp"], accept: "image/*" },
+  zip: { label: "Zip", extensions: ["zip"], accept: ".zip,application/zip" },
+};
+
+export function allowedKinds(assignment) {
+  const kinds = (assignment?.allowed_file_types || []).filter((k) => SUBMISSION_FILE_KINDS[k]);
+  return kinds.length ? kinds : Object.keys(SUBMISSION_FILE_KINDS);
+}
+
+export function uploadLimits(assignment) {
+  return {
+    kinds: allowedKinds(assignment),
+    maxFileMb: assignment?.max_file_mb || DEFAULT_MAX_FILE_MB,
+    maxFiles: assignment?.max_files || DEFAULT_MAX_FILES,
+  };
+}
+
+// value for <input accept>
+export function acceptAttribute(assignment) {
+  return allowedKinds(assignment)
+    .map((k) => SUBMISSION_FILE_KINDS[k].accept)
+    .join(",");
+}
+
+// "pdf" | "image" | "zip" | null, by extension
+export function fileKind(name) {
+  const ext = (name || "").split(".").pop().toLowerCase();
+  return Object.keys(SUBMISSION_FILE_KINDS).find((k) => SUBMISSION_FILE_KINDS[k].extensions.includes(ext)) || null;
+}
+
+export function formatFileSize(bytes) {
+  if (bytes == null) return "";
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * submissionFilesError
+ * - Checks new `files` against the assignment's limits, counting `keptCount` files already attached
+ * - Returns a message for the student, or null when everything is acceptable
+ */
+export function submissionFilesError(files, assignment, keptCount = 0) {
+  const { kinds, maxFileMb, maxFiles } = uploadLimits(assignment);
+  if (keptCount + files.length > maxFiles) return `You can attach at most ${maxFiles} file${maxFiles === 1 ? "" : "s"}.`;
+  for (const file of files) {
+    if (!kinds.includes(fileKind(file.name))) {
+      return `${file.name} is not allowed. Accepted: ${kinds.map((k) => SUBMISSION_FILE_KINDS[k].label).join(", ")}.`;
+    }
+    if (file.size > maxFileMb * 1024 * 1024) return `${file.name} is larger than ${maxFileMb} MB.`;
+  }
+  return null;
+}
+
+export async function uploadSubmissionFiles(assignmentId, studentId, files) {
+  const uploaded = [];
+  for (const file of files) {
+    const safeName = file.name.replace(/[^\w.-]+/g, "_");
+    const path = `${assignmentId}/${studentId}/${Date.now()}-${safeName}`;
+    const { error } = await supabase.storage
+      .from(SUBMISSION_BUCKET)
+      .upload(path, file, { upsert: false, contentType: file.type || undefined });
+    if (error) {
+      // don't leave half an upload behind
+      await removeSubmissionFiles(uploaded);
+      throw error;
+    }
+    uploaded.push({ path, name: file.name, size: file.size, type: file.type || null });
+  }
+  return uploaded;
+}
+
+export async function removeSubmissionFiles(attachments) {
+  const paths = (attachments || []).map((a) => a.path).filter(Boolean);
+  if (!paths.length) return;
+  const { error } = await supabase.storage.from(SUBMISSION_BUCKET).remove(paths);
+  if (error) console.error("removeSubmissionFiles", error);
+}
+
+export async function signedFileUrl(path, { download = false } = {}) {
+  const { data, error } = await supabase.storage
+    .from(SUBMISSION_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_SECONDS, download ? { download: true } : undefined);
+  if (error) throw error;
+  return data.signedUrl;
+}
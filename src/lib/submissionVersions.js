@@ -0,0 +1,143 @@
+// src/lib/submissionVersions.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Submission versions
+ * - Every save of a submission is kept in submission_versions (submission_id, assignment_id,
+ *   student_id, version, file_url, note, attachments, submitted_at); submissions.version is the
+ *   number of the current one. Files of older versions stay in storage while the submission exists
+ * - assignments.max_resubmissions caps how often work may be changed after the first
+ *   submission (null = no limit)
+ * - The database bumps the version, checks the limit and writes the history row whenever the
+ *   work changes (supabase/migrations/*_submission_history.sql); the helpers here only read
+ * - Submissions saved before versioning have no rows; they count as version 1
+ * - A resubmitted submission can't be deleted by its student, so neither its history nor its
+ *   resubmission count can be reset (supabase/migrations/*_submission_history.sql)
+ */
+
+const VERSION_COLUMNS =
+  "id, submission_id, assignment_id, student_id, version, file_url, note, attachments, submitted_at, created_at";
+
+export function resubmissionsUsed(submission) {
+  return submission ? Math.max((submission.version || 1) - 1, 0) : 0;
+}
+
+// Infinity when the assignment sets no limit
+export function resubmissionsLeft(assignment, submission) {
+  const limit = assignment?.max_resubmissions;
+  if (limit == null) return Infinity;
+  return Math.max(limit - resubmissionsUsed(submission), 0);
+}
+
+// "2 of 3 resubmissions left", or null without a limit
+export function describeResubmissions(assignment, submission) {
+  const limit = assignment?.max_resubmissions;
+  if (limit == null) return null;
+  if (limit === 0) return "No resubmissions allowed";
+  return `${resubmissionsLeft(assignment, submission)} of ${limit} resubmission${limit === 1 ? "" : "s"} left`;
+}
+
+/**
+ * fetchSubmissionVersions
+ * - Oldest first; a submission from before versioning comes back as its single current state
+ */
+export async function fetchSubmissionVersions(submission) {
+  const { data, error } = await supabase
+    .from("submission_versions")
+    .select(VERSION_COLUMNS)
+    .eq("submission_id", submission.id)
+    .order("version", { ascending: true });
+  if (error) throw error;
+  if (data?.length) return data;
+  return [
+    {
+      id: `current-${submission.id}`,
+      version: submission.version || 1,
+      file_url: submission.file_url ?? null,
+      note: submission.note ?? null,
+      attachments: submission.attachments || [],
+      submitted_at: submission.submitted_at,
+    },
+  ];
+}
+
+// every file any version of the submission points at (for cleanup on delete)
+export async function submissionVersionFiles(submissionId) {
+  const { data, error } = await supabase
+    .from("submission_versions")
+    .select("attachments")
+    .eq("submission_id", submissionId);
+  if (error) throw error;
+  return (data || []).flatMap((v) => v.attachments || []);
+}
+
+// ---------------------------------------------------------------------------
+// Diffs
+// ---------------------------------------------------------------------------
+
+// past this many token pairs the diff just shows old removed / new added
+const MAX_DIFF_CELLS = 250000;
+
+function diffTokens(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...(a.length ? [{ type: "removed", text: a.join("") }] : []),
+      ...(b.length ? [{ type: "added", text: b.join("") }] : []),
+    ];
+  }
+  // longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last?.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return ops;
+}
+
+/**
+ * diffText
+ * - [{ type: "same" | "added" | "removed", text }] turning `before` into `after`
+ * - Words for prose; links split on / ? & = # . so a changed path segment stands out
+ */
+export function diffText(before, after, { link = false } = {}) {
+  const split = (s) => (s || "").split(link ? /([/?&=#.]+)/ : /(\s+)/).filter((t) => t !== "");
+  return diffTokens(split(before), split(after));
+}
+
+/**
+ * versionChanges
+ * - What changed from `prev` to `next`: link and note diffs (null when unchanged) and
+ *   attachments added or removed (matched by storage path)
+ */
+export function versionChanges(prev, next) {
+  const prevFiles = prev?.attachments || [];
+  const nextFiles = next?.attachments || [];
+  return {
+    link: (prev?.file_url || "") !== (next?.file_url || "") ? diffText(prev?.file_url, next?.file_url, { link: true }) : null,
+    note: (prev?.note || "") !== (next?.note || "") ? diffText(prev?.note, next?.note) : null,
+    filesAdded: nextFiles.filter((f) => !prevFiles.some((p) => p.path === f.path)),
+    filesRemoved: prevFiles.filter((p) => !nextFiles.some((f) => f.path === p.path)),
+  };
+}
@@ -0,0 +1,65 @@
+// src/lib/terms.js
+import { supabase } from "./supabaseClient";
+
+/**
+ * Academic terms (academic_terms) and archived courses
+ * - courses.term_id points at the term a course runs in (null = no term)
+ * - courses.archived_at marks a finished course: it drops out of default course
+ *   selectors and is read-only for students, but stays reachable via the "past" scope
+ */
+
+export const COURSE_SCOPES = [
+  { value: "current", label: "Current" },
+  { value: "past", label: "Past terms" },
+  { value: "all", label: "All courses" },
+];
+
+export function isArchived(course) {
+  return !!course?.archived_at;
+}
+
+// narrows a courses query (or an embedded courses relation via `column`) to a scope
+export function applyCourseScope(query, scope = "current", column = "archived_at") {
+  if (scope === "current") return query.is(column, null);
+  if (scope === "past") return query.not(column, "is", null);
+  return query;
+}
+
+export async function fetchTerms() {
+  const { data, error } = await supabase
+    .from("academic_terms")
+    .select("id, name, starts_on, ends_on, created_at")
+    .order("starts_on", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export function termName(terms, termId) {
+  if (!termId) return "No term";
+  return (terms || []).find((t) => t.id === termId)?.name || "Unknown term";
+}
+
+// the term whose dates contain `now`, used as the default for new courses
+export function currentTerm(terms, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  return (terms || []).find((t) => t.starts_on <= today && (!t.ends_on || today <= t.ends_on)) || null;
+}
+
+export async function setCourseArchived(courseId, archived) {
+  const archived_at = archived ? new Date().toISOString() : null;
+  const { error } = await supabase.from("courses").update({ archived_at }).eq("id", courseId);
+  if (error) throw error;
+  return archived_at;
+}
+
+// archives every still-active course of a term; returns the archived course ids
+export async function archiveTermCourses(termId) {
+  const { data, error } = await supabase
+    .from("courses")
+    .update({ archived_at: new Date().toISOString() })
+    .eq("term_id", termId)
+    .is("archived_at", null)
+    .select("id");
+  if (error) throw error;
+  return (data || []).map((c) => c.id);
+}
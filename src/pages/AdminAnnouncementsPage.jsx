@@ -0,0 +1,434 @@
+// src/pages/AdminAnnouncementsPage.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import {
+  ANNOUNCEMENT_COLUMNS,
+  deliverAnnouncement,
+  fetchAnnouncements,
+  fetchReadCounts,
+  isPublished,
+  pendingDelivery,
+  publishedAt,
+  sortAnnouncements,
+} from "../lib/announcements";
+import { ALL_SECTIONS, fetchSections, sectionName } from "../lib/sections";
+import { toLocalInput } from "../lib/utils";
+import SectionSelect from "../components/course/SectionSelect";
+import { toast } from "sonner";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+import { Megaphone, ChevronLeft, Pin, PinOff, Pencil, Trash2, Loader2, Clock } from "lucide-react";
+
+const EMPTY_DRAFT = { title: "", body: "", sectionId: ALL_SECTIONS, pinned: false, publishAt: "" };
+
+/**
+ * Admin Announcements
+ * - Course staff with the "announce" permission post announcements to a course or one section
+ * - Pin keeps an announcement on top; "Publish at" schedules it for later
+ * - Shows how many students have read each one; emails go out through the "announcement" template
+ */
+export default function AdminAnnouncementsPage() {
+  const navigate = useNavigate();
+  const { user, role } = useAuth();
+
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState("");
+  const [sections, setSections] = useState([]);
+  const [announcements, setAnnouncements] = useState([]);
+  const [readCounts, setReadCounts] = useState({});
+  const [studentCount, setStudentCount] = useState(0);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const course = courses.find((c) => c.id === courseId);
+
+  // courses this user may announce in
+  useEffect(() => {
+    if (!user) return;
+    (async () => {
+      const { data, error } = await fetchManagedCourses({ user, role });
+      if (error) {
+        console.error("fetchManagedCourses", error);
+        return;
+      }
+      try {
+        const perms = await fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id));
+        const allowed = (data || []).filter((c) => hasCoursePermission(perms, c.id, "announce"));
+        setCourses(allowed);
+        if (allowed.length) setCourseId((prev) => prev || allowed[0].id);
+      } catch (err) {
+        console.error("fetchCoursePermissions", err);
+      }
+    })();
+  }, [user, role]);
+
+  useEffect(() => {
+    if (!courseId) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const [list, secs, { count }] = await Promise.all([
+          fetchAnnouncements(courseId),
+          fetchSections(courseId),
+          supabase.from("enrollments").select("id", { count: "exact", head: true }).eq("course_id", courseId),
+        ]);
+        setAnnouncements(list);
+        setSections(secs);
+        setStudentCount(count || 0);
+        setReadCounts(await fetchReadCounts(list.map((a) => a.id)));
+
+        // email scheduled announcements whose publish time has passed
+        const title = courses.find((c) => c.id === courseId)?.title;
+        for (const a of pendingDelivery(list)) {
+          const notified_at = await deliverAnnouncement(a, title);
+          setAnnouncements((prev) => prev.map((x) => (x.id === a.id ? { ...x, notified_at } : x)));
+        }
+      } catch (err) {
+        console.error("load announcements", err);
+        toast.error("Failed to load announcements");
+      } finally {
+        setLoading(false);
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId]);
+
+  const resetDraft = () => {
+    setDraft(EMPTY_DRAFT);
+    setEditingId(null);
+  };
+
+  const startEdit = (a) => {
+    setEditingId(a.id);
+    setDraft({
+      title: a.title,
+      body: a.body || "",
+      sectionId: a.section_id || ALL_SECTIONS,
+      pinned: !!a.pinned,
+      publishAt: isPublished(a) ? "" : toLocalInput(a.publish_at),
+    });
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!draft.title.trim() || !draft.body.trim()) {
+      toast.error("Title and message are required");
+      return;
+    }
+    if (draft.publishAt && new Date(draft.publishAt) <= new Date()) {
+      toast.error("Scheduled time must be in the future");
+      return;
+    }
+    setSaving(true);
+    try {
+      const fields = {
+        title: draft.title.trim(),
+        body: draft.body.trim(),
+        section_id: draft.sectionId === ALL_SECTIONS ? null : draft.sectionId,
+        pinned: draft.pinned,
+        publish_at: draft.publishAt ? new Date(draft.publishAt).toISOString() : null,
+      };
+
+      if (editingId) {
+        const before = announcements.find((a) => a.id === editingId);
+        const { data, error } = await supabase
+          .from("course_announcements")
+          // clearing the schedule of a pending announcement publishes it now
+          .update({ ...fields, publish_at: fields.publish_at || (isPublished(before) ? before.publish_at : null) })
+          .eq("id", editingId)
+          .select(ANNOUNCEMENT_COLUMNS)
+          .single();
+        if (error) throw error;
+        await logAudit({
+          actorId: user?.id,
+          action: "announcement.updated",
+          entityType: "announcement",
+          entityId: data.id,
+          before: { title: before.title, pinned: before.pinned, publish_at: before.publish_at },
+          after: { title: data.title, pinned: data.pinned, publish_at: data.publish_at },
+        });
+        let updated = data;
+        if (isPublished(data) && !data.notified_at) {
+          updated = { ...data, notified_at: await deliverAnnouncement(data, course?.title) };
+        }
+        setAnnouncements((prev) => sortAnnouncements(prev.map((a) => (a.id === updated.id ? updated : a))));
+        toast.success("Announcement updated");
+      } else {
+        const { data, error } = await supabase
+          .from("course_announcements")
+          .insert([{ ...fields, course_id: courseId, created_by: user.id }])
+          .select(ANNOUNCEMENT_COLUMNS)
+          .single();
+        if (error) throw error;
+        await logAudit({
+          actorId: user?.id,
+          action: "announcement.created",
+          entityType: "announcement",
+          entityId: data.id,
+          after: { course_id: courseId, title: data.title, section_id: data.section_id, publish_at: data.publish_at },
+        });
+        let created = data;
+        if (isPublished(data)) {
+          created = { ...data, notified_at: await deliverAnnouncement(data, course?.title) };
+        }
+        setAnnouncements((prev) => sortAnnouncements([created, ...prev]));
+        toast.success(isPublished(data) ? "Announcement posted" : "Announcement scheduled");
+      }
+      resetDraft();
+    } catch (err) {
+      console.error("save announcement", err);
+      toast.error("Failed to save announcement");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePin = async (a) => {
+    const { error } = await supabase.from("course_announcements").update({ pinned: !a.pinned }).eq("id", a.id);
+    if (error) {
+      toast.error("Failed to update announcement");
+      return;
+    }
+    setAnnouncements((prev) => sortAnnouncements(prev.map((x) => (x.id === a.id ? { ...x, pinned: !a.pinned } : x))));
+  };
+
+  const remove = async () => {
+    const a = confirmDelete;
+    setConfirmDelete(null);
+    const { error } = await supabase.from("course_announcements").delete().eq("id", a.id);
+    if (error) {
+      toast.error("Failed to delete announcement");
+      return;
+    }
+    await logAudit({
+      actorId: user?.id,
+      action: "announcement.deleted",
+      entityType: "announcement",
+      entityId: a.id,
+      before: { course_id: a.course_id, title: a.title },
+    });
+    setAnnouncements((prev) => prev.filter((x) => x.id !== a.id));
+    if (editingId === a.id) resetDraft();
+    toast.success("Announcement deleted");
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Megaphone className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Announcements</h1>
+              <p className="text-sm text-zinc-400">Broadcast a message to everyone in a course.</p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Select value={courseId} onValueChange={(v) => { setCourseId(v); resetDraft(); }}>
+              <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-64">
+                <SelectValue placeholder="Select course" />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 text-slate-100">
+                {courses.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>
+                    {c.title}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="ghost" onClick={() => navigate("/admin")}>
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back
+            </Button>
+          </div>
+        </div>
+
+        {courses.length === 0 ? (
+          <p className="text-zinc-500">You don't have any courses you can post announcements in.</p>
+        ) : (
+          <>
+            {/* Compose */}
+            <Card className="bg-zinc-900/60 border border-zinc-800">
+              <CardHeader>
+                <CardTitle className="text-emerald-300">
+                  {editingId ? "Edit announcement" : `New announcement${course ? ` · ${course.title}` : ""}`}
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={save} className="space-y-3">
+                  <Input
+                    value={draft.title}
+                    onChange={(e) => setDraft((p) => ({ ...p, title: e.target.value }))}
+                    placeholder="Title"
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                  <Textarea
+                    value={draft.body}
+                    onChange={(e) => setDraft((p) => ({ ...p, body: e.target.value }))}
+                    placeholder="Message"
+                    rows={5}
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                  <div className="flex flex-wrap items-end gap-4">
+                    <SectionSelect
+                      sections={sections}
+                      value={draft.sectionId}
+                      allLabel="Whole course"
+                      onChange={(v) => setDraft((p) => ({ ...p, sectionId: v }))}
+                    />
+                    <div>
+                      <label className="block text-xs text-zinc-400 mb-1">Publish at (optional)</label>
+                      <Input
+                        type="datetime-local"
+                        value={draft.publishAt}
+                        onChange={(e) => setDraft((p) => ({ ...p, publishAt: e.target.value }))}
+                        className="bg-zinc-800 border-zinc-700 text-white"
+                      />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-zinc-300 pb-2">
+                      <Switch
+                        checked={draft.pinned}
+                        onCheckedChange={(v) => setDraft((p) => ({ ...p, pinned: v }))}
+                      />
+                      Pin to top
+                    </label>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      type="submit"
+                      disabled={saving || !courseId}
+                      className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+                    >
+                      {saving ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : editingId ? (
+                        "Save changes"
+                      ) : draft.publishAt ? (
+                        "Schedule"
+                      ) : (
+                        "Post now"
+                      )}
+                    </Button>
+                    {editingId && (
+                      <Button type="button" variant="ghost" className="cursor-pointer" onClick={resetDraft}>
+                        Cancel
+                      </Button>
+                    )}
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+
+            {/* List */}
+            <Card className="bg-zinc-900/60 border border-zinc-800">
+              <CardHeader>
+                <CardTitle className="text-emerald-300">
+                  {announcements.length} announcement{announcements.length === 1 ? "" : "s"}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {loading ? (
+                  <div className="flex items-center gap-2 text-zinc-400">
+                    <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+                  </div>
+                ) : announcements.length === 0 ? (
+                  <p className="text-zinc-500">No announcements yet.</p>
+                ) : (
+                  announcements.map((a) => (
+                    <div key={a.id} className="rounded-lg border border-zinc-800 bg-zinc-950/50 p-4">
+                      <div className="flex flex-wrap items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <div className="flex flex-wrap items-center gap-2">
+                            {a.pinned && <Pin className="h-4 w-4 text-emerald-400" />}
+                            <h3 className="font-semibold text-emerald-200">{a.title}</h3>
+                            {!isPublished(a) && (
+                              <Badge className="bg-sky-700/40 text-sky-200">
+                                <Clock className="h-3 w-3 mr-1" /> Scheduled
+                              </Badge>
+                            )}
+                            {a.section_id && (
+                              <Badge className="bg-zinc-800 text-zinc-300">{sectionName(sections, a.section_id)}</Badge>
+                            )}
+                          </div>
+                          <p className="text-xs text-zinc-500 mt-1">
+                            {a.author?.full_name || "Staff"} · {new Date(publishedAt(a)).toLocaleString()}
+                            {isPublished(a) && ` · ${readCounts[a.id] || 0}/${studentCount} read`}
+                          </p>
+                        </div>
+                        <div className="flex gap-1">
+                          <Button size="icon" variant="ghost" className="cursor-pointer" title={a.pinned ? "Unpin" : "Pin"} onClick={() => togglePin(a)}>
+                            {a.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                          </Button>
+                          <Button size="icon" variant="ghost" className="cursor-pointer" title="Edit" onClick={() => startEdit(a)}>
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            size="icon"
+                            variant="ghost"
+                            className="cursor-pointer text-red-400 hover:text-red-300"
+                            title="Delete"
+                            onClick={() => setConfirmDelete(a)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </div>
+                      <p className="text-sm text-zinc-300 whitespace-pre-line mt-2">{a.body}</p>
+                    </div>
+                  ))
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+
+      <AlertDialog open={!!confirmDelete} onOpenChange={(open) => !open && setConfirmDelete(null)}>
+        <AlertDialogContent className="bg-zinc-900 border border-zinc-800 text-slate-100">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete announcement?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{confirmDelete?.title}" will disappear for every student in the course.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction className="bg-red-600 hover:bg-red-500" onClick={remove}>
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+// src/pages/AdminAuditLogPage.jsx
+import React, { Fragment, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { AUDIT_ENTITY_TYPES } from "../lib/audit";
+import { STAFF_ROLES } from "../lib/roles";
+import { toCsv, downloadFile } from "../lib/csv";
+import { toast } from "sonner";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+import {
+  History,
+  RefreshCw,
+  ChevronLeft,
+  ChevronDown,
+  ChevronRight,
+  FileDown,
+  Loader2,
+} from "lucide-react";
+
+const PAGE_LIMIT = 500;
+
+const CSV_COLUMNS = [
+  { key: "created_at", label: "timestamp" },
+  { key: "actor_name", label: "actor" },
+  { key: "actor_email", label: "actor_email" },
+  { key: "action", label: "action" },
+  { key: "entity_type", label: "entity_type" },
+  { key: "entity_id", label: "entity_id" },
+  { key: "before", label: "before" },
+  { key: "after", label: "after" },
+];
+
+function actionClass(action = "") {
+  if (action.endsWith(".deleted") || action.endsWith(".deactivated")) return "bg-red-700/40 text-red-200";
+  if (action.endsWith(".graded")) return "bg-sky-700/40 text-sky-200";
+  return "bg-emerald-700/40 text-emerald-200";
+}
+
+/**
+ * Admin Audit Log
+ * - Read-only view of audit_log (written via lib/audit)
+ * - Filters: actor, entity type, action text, date range — applied server side
+ * - Export the current result set as CSV
+ */
+export default function AdminAuditLogPage() {
+  const navigate = useNavigate();
+
+  const [entries, setEntries] = useState([]);
+  const [actors, setActors] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  const [actorFilter, setActorFilter] = useState("all");
+  const [entityFilter, setEntityFilter] = useState("all");
+  const [actionFilter, setActionFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  useEffect(() => {
+    fetchActors();
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [actorFilter, entityFilter, fromDate, toDate]);
+
+  async function fetchActors() {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("id, full_name, email")
+      .in("role", STAFF_ROLES)
+      .order("full_name");
+    if (error) console.error("fetchActors", error);
+    setActors(data || []);
+  }
+
+  async function fetchEntries() {
+    setLoading(true);
+    try {
+      let query = supabase
+        .from("audit_log")
+        .select("id, actor_id, action, entity_type, entity_id, before, after, created_at, actor:profiles(full_name, email)")
+        .order("created_at", { ascending: false })
+        .limit(PAGE_LIMIT);
+
+      if (actorFilter !== "all") query = query.eq("actor_id", actorFilter);
+      if (entityFilter !== "all") query = query.eq("entity_type", entityFilter);
+      if (actionFilter.trim()) query = query.ilike("action", `%${actionFilter.trim()}%`);
+      if (fromDate) query = query.gte("created_at", new Date(`${fromDate}T00:00:00`).toISOString());
+      if (toDate) query = query.lte("created_at", new Date(`${toDate}T23:59:59.999`).toISOString());
+
+      const { data, error } = await query;
+      if (error) throw error;
+      setEntries(data || []);
+    } catch (err) {
+      console.error("fetchEntries", err);
+      toast.error("Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function exportCsv() {
+    const rows = entries.map((e) => ({
+      ...e,
+      actor_name: e.actor?.full_name || "",
+      actor_email: e.actor?.email || "",
+    }));
+    downloadFile(toCsv(rows, CSV_COLUMNS), `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  function clearFilters() {
+    setActorFilter("all");
+    setEntityFilter("all");
+    setActionFilter("");
+    setFromDate("");
+    setToDate("");
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <History className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Audit Log</h1>
+              <p className="text-sm text-zinc-400">
+                Who deleted, graded or changed what, with before/after snapshots.
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={fetchEntries}>
+              <RefreshCw className="w-4 h-4 mr-1" /> Refresh
+            </Button>
+            <Button
+              onClick={exportCsv}
+              disabled={!entries.length}
+              className="bg-emerald-600 hover:bg-emerald-500"
+            >
+              <FileDown className="w-4 h-4 mr-1" /> Export CSV
+            </Button>
+            <Button variant="ghost" onClick={() => navigate("/admin")}>
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-end gap-3">
+          <Select value={actorFilter} onValueChange={setActorFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-52">
+              <SelectValue placeholder="Actor" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All actors</SelectItem>
+              {actors.map((a) => (
+                <SelectItem key={a.id} value={a.id}>
+                  {a.full_name || a.email}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={entityFilter} onValueChange={setEntityFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-48">
+              <SelectValue placeholder="Entity" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All entities</SelectItem>
+              {AUDIT_ENTITY_TYPES.map((t) => (
+                <SelectItem key={t} value={t}>
+                  {t}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            value={actionFilter}
+            onChange={(e) => setActionFilter(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && fetchEntries()}
+            placeholder="Action contains… (Enter)"
+            className="bg-zinc-900 border-zinc-800 w-56"
+          />
+          <div className="flex items-center gap-2 text-sm text-zinc-400">
+            From
+            <Input
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              className="bg-zinc-900 border-zinc-800 w-40"
+            />
+            to
+            <Input
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              className="bg-zinc-900 border-zinc-800 w-40"
+            />
+          </div>
+          <Button variant="ghost" onClick={clearFilters}>
+            Clear
+          </Button>
+        </div>
+
+        {/* Entries */}
+        <Card className="bg-zinc-900/60 border border-zinc-800">
+          <CardHeader>
+            <CardTitle className="text-emerald-300">
+              {entries.length} entr{entries.length === 1 ? "y" : "ies"}
+              {entries.length === PAGE_LIMIT && (
+                <span className="ml-2 text-xs text-zinc-500">(latest {PAGE_LIMIT}; narrow the filters to see older)</span>
+              )}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="flex items-center gap-2 text-zinc-400">
+                <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+              </div>
+            ) : entries.length === 0 ? (
+              <div className="text-center text-zinc-500 p-8">No audit entries match these filters.</div>
+            ) : (
+              <div className="overflow-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-8" />
+                      <TableHead>When</TableHead>
+                      <TableHead>Actor</TableHead>
+                      <TableHead>Action</TableHead>
+                      <TableHead>Entity</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {entries.map((e) => (
+                      <Fragment key={e.id}>
+                        <TableRow
+                          className="cursor-pointer"
+                          onClick={() => setExpanded((cur) => (cur === e.id ? null : e.id))}
+                        >
+                          <TableCell>
+                            {expanded === e.id ? (
+                              <ChevronDown className="w-4 h-4 text-zinc-400" />
+                            ) : (
+                              <ChevronRight className="w-4 h-4 text-zinc-400" />
+                            )}
+                          </TableCell>
+                          <TableCell className="text-xs text-zinc-400 whitespace-nowrap">
+                            {new Date(e.created_at).toLocaleString()}
+                          </TableCell>
+                          <TableCell>{e.actor?.full_name || e.actor?.email || "—"}</TableCell>
+                          <TableCell>
+                            <Badge className={actionClass(e.action)}>{e.action}</Badge>
+                          </TableCell>
+                          <TableCell className="text-xs text-zinc-300">
+                            {e.entity_type}
+                            <span className="text-zinc-500"> · {e.entity_id || "—"}</span>
+                          </TableCell>
+                        </TableRow>
+                        {expanded === e.id && (
+                          <TableRow className="bg-zinc-950/60">
+                            <TableCell colSpan={5}>
+                              <div className="grid md:grid-cols-2 gap-3">
+                                <div>
+                                  <div className="text-xs text-zinc-500 mb-1">Before</div>
+                                  <pre className="text-xs whitespace-pre-wrap break-all bg-zinc-900 border border-zinc-800 rounded p-2 max-h-64 overflow-auto">
+                                    {e.before ? JSON.stringify(e.before, null, 2) : "—"}
+                                  </pre>
+                                </div>
+                                <div>
+                                  <div className="text-xs text-zinc-500 mb-1">After</div>
+                                  <pre className="text-xs whitespace-pre-wrap break-all bg-zinc-900 border border-zinc-800 rounded p-2 max-h-64 overflow-auto">
+                                    {e.after ? JSON.stringify(e.after, null, 2) : "—"}
+                                  </pre>
+                                </div>
+                              </div>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </Fragment>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -13,6 +13,8 @@
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { ALL_SECTIONS, fetchSections, groupSectionsByCourse, matchesSectionFilter, sectionName } from "../lib/sections";
+import SectionSelect from "../components/course/SectionSelect";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -131,7 +133,10 @@ export default function AdminCalendarPage() {
     end_date: format(new Date(), "yyyy-MM-dd'T'HH:mm"),
     visibility: "public",
     course_id: "private",
+    section_id: ALL_SECTIONS,
   });
+  const [sectionsByCourse, setSectionsByCourse] = useState({});
+  const [selectedSection, setSelectedSection] = useState(ALL_SECTIONS);
 
   const topRef = useRef(null);
 
@@ -145,9 +150,11 @@ export default function AdminCalendarPage() {
 
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id, title");
+      const { data, error } = await supabase.from("courses").select("id, title").is("archived_at", null);
       if (error) throw error;
       setCourses((data || []).map((c) => ({ ...c, id: String(c.id) })));
+      const sections = await fetchSections((data || []).map((c) => c.id));
+      setSectionsByCourse(groupSectionsByCourse(sections));
     } catch (err) {
       console.error("fetchCourses", err);
       toast.error("Failed to load courses");
@@ -219,6 +226,8 @@ export default function AdminCalendarPage() {
         end_date: new Date(draft.end_date).toISOString(),
         visibility: draft.visibility,
         course_id: draft.course_id !== "private" ? draft.course_id : null,
+        section_id:
+          draft.course_id !== "private" && draft.section_id !== ALL_SECTIONS ? draft.section_id : null,
       };
       const { data, error } = await supabase.from("calendar_events").insert([payload]).select("*").single();
       if (error) throw error;
@@ -283,10 +292,11 @@ export default function AdminCalendarPage() {
     const q = (search || "").toLowerCase();
     return events.filter((e) => {
       if (selectedCourse !== "all" && String(e.course_id) !== selectedCourse) return false;
+      if (!matchesSectionFilter(e, selectedSection)) return false;
       if (!q) return true;
       return (e.title || "").toLowerCase().includes(q);
     });
-  }, [events, selectedCourse, search]);
+  }, [events, selectedCourse, selectedSection, search]);
 
   const agendaItems = useMemo(() => {
     const evs = filteredEvents.filter((e) => isSameDay(e.start_date_obj, selectedDate)).map((e) => ({ ...e, _kind: "event" }));
@@ -322,7 +332,7 @@ export default function AdminCalendarPage() {
               <Button size="sm" variant="outline" className="border-zinc-700 text-black cursor-pointer" onClick={goToday}>Today</Button>
               <Button size="sm" variant="outline" className="border-zinc-700 text-black cursor-pointer" onClick={goNext}><ChevronRight className="w-4 h-4" /></Button>
               <Separator orientation="vertical" className="mx-2 bg-zinc-700" />
-              <Select value={selectedCourse} onValueChange={(v) => setSelectedCourse(v || "all")}>
+              <Select value={selectedCourse} onValueChange={(v) => { setSelectedCourse(v || "all"); setSelectedSection(ALL_SECTIONS); }}>
                 <SelectTrigger className="w-48 bg-zinc-900/60 border border-zinc-700 cursor-pointer">
                   <SelectValue placeholder="All courses" />
                 </SelectTrigger>
@@ -334,6 +344,12 @@ export default function AdminCalendarPage() {
                   ))}
                 </SelectContent>
               </Select>
+              <SectionSelect
+                sections={sectionsByCourse[selectedCourse]}
+                value={selectedSection}
+                onChange={setSelectedSection}
+                className="w-40 bg-zinc-900/60 border border-zinc-700 cursor-pointer"
+              />
             </div>
 
             {/* Mobile toolbar */}
@@ -343,7 +359,7 @@ export default function AdminCalendarPage() {
                 <Button size="sm" variant="outline" className="border-zinc-700 text-black cursor-pointer" onClick={goToday}>Today</Button>
                 <Button size="sm" variant="outline" className="border-zinc-700 text-black cursor-pointer" onClick={goNext}><ChevronRight className="w-4 h-4" /></Button>
               </div>
-              <Select value={selectedCourse} onValueChange={(v) => setSelectedCourse(v || "all")}>
+              <Select value={selectedCourse} onValueChange={(v) => { setSelectedCourse(v || "all"); setSelectedSection(ALL_SECTIONS); }}>
                 <SelectTrigger className="ml-2 bg-zinc-900/60 border border-zinc-700 cursor-pointer w-full">
                   <SelectValue placeholder="Filter" />
                 </SelectTrigger>
@@ -539,6 +555,24 @@ export default function AdminCalendarPage() {
                   </SelectContent>
                 </Select>
               </div>
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <Select value={draft.course_id} onValueChange={(v)=>setDraft({...draft,course_id:v,section_id:ALL_SECTIONS})}>
+                  <SelectTrigger className="bg-zinc-900 border-zinc-700 cursor-pointer"><SelectValue/></SelectTrigger>
+                  <SelectContent className="bg-zinc-900 text-slate-200">
+                    <SelectItem className="cursor-pointer" value="private">No course</SelectItem>
+                    {courses.map((c) => (
+                      <SelectItem className="cursor-pointer" key={c.id} value={String(c.id)}>{c.title}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <SectionSelect
+                  sections={sectionsByCourse[draft.course_id]}
+                  value={draft.section_id}
+                  allLabel="Whole course"
+                  onChange={(v)=>setDraft({...draft,section_id:v})}
+                  className="bg-zinc-900 border-zinc-700 cursor-pointer w-full"
+                />
+              </div>
               <div className="grid grid-cols-2 gap-2 mb-4">
                 <Input type="datetime-local" value={draft.start_date} onChange={(e)=>setDraft({...draft,start_date:e.target.value})} className="bg-zinc-900 border-zinc-700" />
                 <Input type="datetime-local" value={draft.end_date} onChange={(e)=>setDraft({...draft,end_date:e.target.value})} className="bg-zinc-900 border-zinc-700" />
@@ -561,6 +595,11 @@ export default function AdminCalendarPage() {
               <p className="text-sm text-zinc-400 mb-2">{detailEvent.description}</p>
               <p className="text-xs text-zinc-500">When: {detailEvent.start_date_obj ? format(detailEvent.start_date_obj,"PPP p") : "—"}</p>
               <p className="text-xs text-zinc-500">Visibility: {detailEvent.visibility}</p>
+              {detailEvent.section_id && (
+                <p className="text-xs text-zinc-500">
+                  Section: {sectionName(sectionsByCourse[detailEvent.course_id], detailEvent.section_id)}
+                </p>
+              )}
               <div className="flex justify-end gap-2 mt-4">
                 <Button variant="outline" className="cursor-pointer text-black" onClick={()=>setShowDetail(false)}>Close</Button>
               </div>
@@ -1,6 +1,8 @@
 // src/pages/AdminLinksManager.jsx
 import React, { useEffect, useMemo, useState, useRef } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { logAudit } from "../lib/audit";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -152,7 +154,7 @@ export default function AdminLinksManager() {
   }, [links]);
 
   // user profile (to conditionally show admin actions)
-  const [profile, setProfile] = useState(null);
+  const { user, profile } = useAuth();
 
   // pagination
   const PAGE_SIZE = 25;
@@ -181,7 +183,6 @@ export default function AdminLinksManager() {
 
   // initial fetch
   useEffect(() => {
-    fetchProfile();
     fetchCourses();
     fetchTags();
     refreshAll();
@@ -215,36 +216,9 @@ export default function AdminLinksManager() {
      Data fetching helpers
      ----------------------- */
 
-  // fetch current user's profile using supabase v2 API
-  async function fetchProfile() {
-    try {
-      const { data: userData, error: userErr } = await supabase.auth.getUser();
-      if (userErr) {
-        console.error("auth.getUser error:", userErr);
-        return;
-      }
-      const user = userData?.user;
-      if (!user) return;
-
-      const { data, error } = await supabase
-        .from("profiles")
-        .select("id,full_name,role,email")
-        .eq("id", user.id)
-        .single();
-
-      if (error) {
-        console.error("fetchProfile error:", error);
-        return;
-      }
-      setProfile(data);
-    } catch (err) {
-      console.error("fetchProfile", err);
-    }
-  }
-
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title").order("title", { ascending: true });
+      const { data, error } = await supabase.from("courses").select("id,title").is("archived_at", null).order("title", { ascending: true });
       if (error) throw error;
       setCourses(data || []);
     } catch (err) {
@@ -606,8 +580,18 @@ const CustomPieTooltip = ({ active, payload }) => {
     if (selectedIds.size === 0) return;
     try {
       const ids = Array.from(selectedIds);
+      const removed = links.filter((l) => selectedIds.has(l.id));
       const { error } = await supabase.from("course_links").delete().in("id", ids);
       if (error) throw error;
+      await logAudit(
+        removed.map((l) => ({
+          actorId: user?.id,
+          action: "course_link.deleted",
+          entityType: "course_link",
+          entityId: l.id,
+          before: l,
+        }))
+      );
       toast.success("Deleted selected");
       setSelectedIds(new Set());
       setSelectAll(false);
@@ -637,10 +621,6 @@ const CustomPieTooltip = ({ active, payload }) => {
       // open link immediately
       window.open(link.url, "_blank");
 
-      // get user
-      const { data: userData } = await supabase.auth.getUser();
-      const user = userData?.user;
-
       // insert click
       await supabase.from("link_clicks").insert([{ link_id: link.id, user_id: user?.id || null }]);
 
@@ -653,8 +633,6 @@ const CustomPieTooltip = ({ active, payload }) => {
 
   async function handleVote(linkId, voteValue) {
     try {
-      const { data: userData } = await supabase.auth.getUser();
-      const user = userData?.user;
       if (!user) {
         toast.error("Please sign in to vote");
         return;
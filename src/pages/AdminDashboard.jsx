@@ -1,6 +1,8 @@
 // src/pages/AdminDashboardPage.jsx
 import React, { useEffect, useState, useRef } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
 import { motion, AnimatePresence } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 
@@ -43,6 +45,11 @@ import {
   Calendar,
   StickyNote,
   Route,
+  FileSpreadsheet,
+  History,
+  UserPlus,
+  Megaphone,
+  Target,
 } from "lucide-react";
 
 import {
@@ -75,6 +82,8 @@ export default function AdminDashboardPage() {
 
   const searchRef = useRef(null);
   const navigate = useNavigate();
+  const { user, role } = useAuth();
+  const isAdmin = role === "admin";
 
   useEffect(() => {
     const fetchData = async () => {
@@ -88,10 +97,11 @@ export default function AdminDashboardPage() {
         setStudents(studentsData || []);
       }
 
-      // Courses
-      const { data: coursesData, error: coursesError } = await supabase
-        .from("courses")
-        .select("id, title, created_at");
+      // Courses (instructors: only the ones they own or co-teach)
+      const { data: coursesData, error: coursesError } = await fetchManagedCourses(
+        { user, role },
+        { columns: "id, title, created_at" }
+      );
       if (coursesError) {
         console.error("Error fetching courses:", coursesError);
       } else {
@@ -129,7 +139,7 @@ export default function AdminDashboardPage() {
     };
 
     fetchData();
-  }, []);
+  }, [user, role]);
 
   // Helpers
   const formatDate = (d) => {
@@ -157,7 +167,7 @@ export default function AdminDashboardPage() {
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
           <div className="flex items-center gap-2">
             <GraduationCap className="h-7 w-7 text-emerald-400" />
-            <h1 className="text-xl font-semibold">Admin Dashboard</h1>
+            <h1 className="text-xl font-semibold">{isAdmin ? "Admin Dashboard" : "Instructor Dashboard"}</h1>
           </div>
 
           <div className="flex items-center gap-2">
@@ -215,7 +225,7 @@ export default function AdminDashboardPage() {
                   <div className="bg-zinc-900/40 backdrop-blur-md border border-zinc-800 rounded-2xl p-4 shadow-inner flex items-center gap-3">
                     <GraduationCap className="h-6 w-6 text-emerald-300" />
                     <div>
-                      <h3 className="text-lg font-semibold">SVIT Admin</h3>
+                      <h3 className="text-lg font-semibold">{isAdmin ? "SVIT Admin" : "SVIT Instructor"}</h3>
                       <p className="text-xs text-zinc-400">Manage system</p>
                     </div>
                     <button
@@ -233,12 +243,18 @@ export default function AdminDashboardPage() {
                       <SidebarLink icon={<CheckSquare />} label="Attendance" onClick={() => navigate("/admin/attendance")} />
                       <SidebarLink icon={<Route />} label="Make RoadMap" onClick={() => navigate("/admin/roadmaps")} />
                       <SidebarLink icon={<ClipboardList />} label="Assignments" onClick={() => navigate("/admin/assignments")} />
+                      <SidebarLink icon={<UserPlus />} label="Enrollment Requests" onClick={() => navigate("/admin/enrollment-requests")} />
+                      <SidebarLink icon={<Megaphone />} label="Announcements" onClick={() => navigate("/admin/announcements")} />
+                      <SidebarLink icon={<Target />} label="Outcomes" onClick={() => navigate("/admin/outcomes")} />
                       <SidebarLink icon={<FileQuestion />} label="Make Quiz" onClick={() => navigate("/admin/generate-quiz")} />
-                      <SidebarLink icon={<Trophy />} label="Quiz Results" onClick={() => navigate("/admin/quiz-results")} />
+                      {isAdmin && <SidebarLink icon={<Trophy />} label="Quiz Results" onClick={() => navigate("/admin/quiz-results")} />}
                       <SidebarLink icon={<MessageCircle />} label="Discussions" onClick={() => navigate("/admin/discussions")} />
-                      <SidebarLink icon={<Calendar />} label="Calendar" onClick={() => navigate("/admin/calendar")} />
+                      {isAdmin && <SidebarLink icon={<Calendar />} label="Calendar" onClick={() => navigate("/admin/calendar")} />}
                       <SidebarLink icon={<StickyNote />} label="Notes" onClick={() => navigate("/admin/notes")} />
-                      <SidebarLink icon={<Link2 />} label="Course Links" onClick={() => navigate("/admin/course-links")} />
+                      {isAdmin && <SidebarLink icon={<Link2 />} label="Course Links" onClick={() => navigate("/admin/course-links")} />}
+                      {isAdmin && <SidebarLink icon={<Users />} label="Users" onClick={() => navigate("/admin/users")} />}
+                      {isAdmin && <SidebarLink icon={<History />} label="Audit Log" onClick={() => navigate("/admin/audit-log")} />}
+                      {isAdmin && <SidebarLink icon={<FileSpreadsheet />} label="Import Roster" onClick={() => navigate("/admin/roster-import")} />}
                       <SidebarLink icon={<Settings />} label="Settings" onClick={() => navigate("/admin/settings")} />
                     </ul>
                   </nav>
@@ -362,7 +378,7 @@ export default function AdminDashboardPage() {
             >
               <div className="flex items-center gap-3 mb-6">
                 <GraduationCap className="h-6 w-6 text-emerald-300" />
-                <h4 className="text-lg font-semibold">SVIT Admin</h4>
+                <h4 className="text-lg font-semibold">{isAdmin ? "SVIT Admin" : "SVIT Instructor"}</h4>
                 <button className="ml-auto text-zinc-400 hover:text-emerald-300" onClick={() => setMobileNavOpen(false)}>
                   <ChevronLeft className="h-5 w-5" />
                 </button>
@@ -372,12 +388,18 @@ export default function AdminDashboardPage() {
                 <SidebarLink icon={<Route />} label="Make RoadMap" onClick={() => { navigate("/admin/roadmaps"); setMobileNavOpen(false); }} />
                 <SidebarLink icon={<CheckSquare />} label="Attendance" onClick={() => { navigate("/admin/attendance"); setMobileNavOpen(false); }} />
                 <SidebarLink icon={<ClipboardList />} label="Assignments" onClick={() => { navigate("/admin/assignments"); setMobileNavOpen(false); }} />
+                <SidebarLink icon={<UserPlus />} label="Enrollment Requests" onClick={() => { navigate("/admin/enrollment-requests"); setMobileNavOpen(false); }} />
+                <SidebarLink icon={<Megaphone />} label="Announcements" onClick={() => { navigate("/admin/announcements"); setMobileNavOpen(false); }} />
+                <SidebarLink icon={<Target />} label="Outcomes" onClick={() => { navigate("/admin/outcomes"); setMobileNavOpen(false); }} />
                 <SidebarLink icon={<FileQuestion />} label="Make Quiz" onClick={() => { navigate("/admin/generate-quiz"); setMobileNavOpen(false); }} />
-                <SidebarLink icon={<Trophy />} label="Quiz Results" onClick={() => { navigate("/admin/quiz-results"); setMobileNavOpen(false); }} />
+                {isAdmin && <SidebarLink icon={<Trophy />} label="Quiz Results" onClick={() => { navigate("/admin/quiz-results"); setMobileNavOpen(false); }} />}
                 <SidebarLink icon={<MessageCircle />} label="Discussions" onClick={() => { navigate("/admin/discussions"); setMobileNavOpen(false); }} />
-                <SidebarLink icon={<Calendar />} label="Calendar" onClick={() => { navigate("/admin/calendar"); setMobileNavOpen(false); }} />
+                {isAdmin && <SidebarLink icon={<Calendar />} label="Calendar" onClick={() => { navigate("/admin/calendar"); setMobileNavOpen(false); }} />}
                 <SidebarLink icon={<StickyNote />} label="Notes" onClick={() => { navigate("/admin/notes"); setMobileNavOpen(false); }} />
-                <SidebarLink icon={<Link2 />} label="Course Links" onClick={() => { navigate("/admin/course-links"); setMobileNavOpen(false); }} />
+                {isAdmin && <SidebarLink icon={<Link2 />} label="Course Links" onClick={() => { navigate("/admin/course-links"); setMobileNavOpen(false); }} />}
+                {isAdmin && <SidebarLink icon={<Users />} label="Users" onClick={() => { navigate("/admin/users"); setMobileNavOpen(false); }} />}
+                {isAdmin && <SidebarLink icon={<History />} label="Audit Log" onClick={() => { navigate("/admin/audit-log"); setMobileNavOpen(false); }} />}
+                {isAdmin && <SidebarLink icon={<FileSpreadsheet />} label="Import Roster" onClick={() => { navigate("/admin/roster-import"); setMobileNavOpen(false); }} />}
                 <SidebarLink icon={<Settings />} label="Settings" onClick={() => { navigate("/admin/settings"); setMobileNavOpen(false); }} />
               </nav>
               <Separator className="my-4" />
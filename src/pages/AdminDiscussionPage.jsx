@@ -1,5 +1,16 @@
 import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import {
+  fetchCoursePermissions,
+  fetchCourseTeam,
+  hasCoursePermission,
+  staffBadgeLabel,
+  teamRoleMap,
+} from "../lib/courseStaff";
+import { ALL_SECTIONS, fetchSections, matchesSectionFilter, sectionName } from "../lib/sections";
+import SectionSelect from "../components/course/SectionSelect";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
 
@@ -12,6 +23,7 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
 import {
   Select,
   SelectTrigger,
@@ -57,10 +69,14 @@ import {
 export default function AdminDiscussionPage() {
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
-  const [profile, setProfile] = useState(null);
+  const { user, role, profile } = useAuth();
+  const [coursePerms, setCoursePerms] = useState({});
+  const [staffRoles, setStaffRoles] = useState({}); // user_id -> course staff role
   const [discussions, setDiscussions] = useState([]);
   const [filteredDiscussions, setFilteredDiscussions] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
+  const [sections, setSections] = useState([]);
+  const [sectionFilter, setSectionFilter] = useState(ALL_SECTIONS);
 
   // dialogs
   const [replyOpen, setReplyOpen] = useState(null); // discussion_id
@@ -69,43 +85,47 @@ export default function AdminDiscussionPage() {
   // form state
   const [replyContent, setReplyContent] = useState("");
 
-  // load profile
-  useEffect(() => {
-    (async () => {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) return;
-      const { data } = await supabase
-        .from("profiles")
-        .select("id, full_name, role")
-        .eq("id", user.id)
-        .single();
-      if (data) setProfile(data);
-    })();
-  }, []);
-
-  // load courses
+  // load courses (instructors: the ones they teach) and what they may do in each
   useEffect(() => {
     (async () => {
-      const { data } = await supabase.from("courses").select("id, title");
+      const { data } = await fetchManagedCourses({ user, role });
       setCourses(data || []);
+      try {
+        setCoursePerms(await fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id)));
+      } catch (err) {
+        console.error("fetchCoursePermissions", err);
+      }
     })();
-  }, []);
+  }, [user, role]);
+
+  const canReply = hasCoursePermission(coursePerms, selectedCourse, "reply");
 
   // load discussions
   useEffect(() => {
     if (!selectedCourse) return;
     fetchDiscussions(selectedCourse);
+    setSectionFilter(ALL_SECTIONS);
+    fetchSections(selectedCourse)
+      .then(setSections)
+      .catch((err) => {
+        console.error("fetchSections", err);
+        setSections([]);
+      });
+    fetchCourseTeam(selectedCourse)
+      .then((team) => setStaffRoles(teamRoleMap(team)))
+      .catch((err) => console.error("fetchCourseTeam", err));
   }, [selectedCourse]);
 
   // filter discussions
   useEffect(() => {
     const filtered = discussions.filter(
       (d) =>
-        d.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        d.content.toLowerCase().includes(searchQuery.toLowerCase())
+        matchesSectionFilter(d, sectionFilter) &&
+        (d.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
+          d.content.toLowerCase().includes(searchQuery.toLowerCase()))
     );
     setFilteredDiscussions(filtered);
-  }, [searchQuery, discussions]);
+  }, [searchQuery, discussions, sectionFilter]);
 
   const fetchDiscussions = async (courseId) => {
     const { data } = await supabase
@@ -120,6 +140,10 @@ export default function AdminDiscussionPage() {
   // Post reply
   const handlePostReply = async (discussionId) => {
     if (!replyContent.trim()) return;
+    if (!canReply) {
+      toast.error("Only this course's staff can reply");
+      return;
+    }
     const { error } = await supabase.from("discussion_replies").insert([{
       discussion_id: discussionId,
       user_id: profile.id,
@@ -231,6 +255,11 @@ export default function AdminDiscussionPage() {
                 ))}
               </SelectContent>
             </Select>
+            {sections.length > 0 && (
+              <div className="mt-3">
+                <SectionSelect sections={sections} value={sectionFilter} onChange={setSectionFilter} />
+              </div>
+            )}
           </CardContent>
         </Card>
 
@@ -259,6 +288,7 @@ export default function AdminDiscussionPage() {
                             <h3 className="font-semibold text-emerald-200">{d.title}</h3>
                             <p className="text-xs text-zinc-400">
                               {d.students?.full_name || "Unknown"} • {new Date(d.created_at).toLocaleString()}
+                              {d.section_id && ` • ${sectionName(sections, d.section_id)}`}
                             </p>
                           </div>
                           <AlertDialog>
@@ -292,9 +322,17 @@ export default function AdminDiscussionPage() {
                             {d.discussion_replies?.map((r) => (
                               <div key={r.id} className="bg-zinc-800/40 p-2 rounded-md text-sm flex justify-between items-center">
                                 <span>
-                                  <span className="text-emerald-300 font-medium">{r.profiles?.full_name}</span> <span className="text-gray-300"> : {r.content}</span>
+                                  <span className="text-emerald-300 font-medium">{r.profiles?.full_name}</span>
+                                  {staffBadgeLabel(staffRoles, r.user_id, r.profiles?.role) && (
+                                    <Badge className="ml-1 bg-emerald-600/20 text-emerald-300 border border-emerald-600/40 text-[10px]">
+                                      {staffBadgeLabel(staffRoles, r.user_id, r.profiles?.role)}
+                                    </Badge>
+                                  )}
+                                  <span className="text-gray-300"> : {r.content}</span>
                                 </span>
-                                {r.profiles?.role === "admin" && (
+                                {/* staff manage their own replies; admins any staff reply */}
+                                {(r.user_id === user?.id ||
+                                  (role === "admin" && staffBadgeLabel(staffRoles, r.user_id, r.profiles?.role))) && (
                                   <div className="flex items-center gap-2">
                                     <Button
                                       size="icon"
@@ -336,13 +374,15 @@ export default function AdminDiscussionPage() {
                               </div>
                             ))}
                           </div>
-                          <Button
-                            size="sm"
-                            className="bg-emerald-600 hover:bg-emerald-500 cursor-pointer text-slate-100"
-                            onClick={() => setReplyOpen(d.id)}
-                          >
-                            <MessageSquare className="h-4 w-4 mr-2" /> Reply
-                          </Button>
+                          {canReply && (
+                            <Button
+                              size="sm"
+                              className="bg-emerald-600 hover:bg-emerald-500 cursor-pointer text-slate-100"
+                              onClick={() => setReplyOpen(d.id)}
+                            >
+                              <MessageSquare className="h-4 w-4 mr-2" /> Reply
+                            </Button>
+                          )}
                         </CardContent>
                       </Card>
                     </motion.div>
@@ -0,0 +1,325 @@
+// src/pages/AdminEnrollmentRequests.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { logAudit } from "../lib/audit";
+import {
+  ENROLLMENT_COURSE_COLUMNS,
+  OPEN_REQUEST_STATUSES,
+  countEnrolled,
+  decideEnrollmentRequest,
+  enrollmentModeLabel,
+  isFull,
+} from "../lib/enrollment";
+import { fetchSections, groupSectionsByCourse, sectionName } from "../lib/sections";
+import { toast } from "sonner";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+
+import { UserPlus, RefreshCw, ChevronLeft, Check, X, Loader2 } from "lucide-react";
+
+const STATUS_CLASSES = {
+  pending: "bg-sky-700/40 text-sky-200",
+  waitlisted: "bg-amber-700/40 text-amber-200",
+};
+
+/**
+ * Admin Enrollment Requests
+ * - Queue of pending and waitlisted enrollment_requests for the courses the user manages
+ * - Approve enrolls the student (blocked when the course is full unless confirmed), reject closes the request
+ * - Decisions are written to audit_log
+ */
+export default function AdminEnrollmentRequests() {
+  const navigate = useNavigate();
+  const { user, role } = useAuth();
+
+  const [courses, setCourses] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [seats, setSeats] = useState({});
+  const [sectionsByCourse, setSectionsByCourse] = useState({});
+  const [courseFilter, setCourseFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [loading, setLoading] = useState(false);
+  const [workingId, setWorkingId] = useState(null);
+  const [overCapacity, setOverCapacity] = useState(null); // request awaiting "approve anyway"
+
+  useEffect(() => {
+    fetchQueue();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, role]);
+
+  async function fetchQueue() {
+    if (!user) return;
+    setLoading(true);
+    try {
+      const { data: managed, error: cErr } = await fetchManagedCourses(
+        { user, role },
+        { columns: `id, title, code, ${ENROLLMENT_COURSE_COLUMNS}` }
+      );
+      if (cErr) throw cErr;
+      setCourses(managed || []);
+
+      const courseIds = (managed || []).map((c) => c.id);
+      if (!courseIds.length) {
+        setRequests([]);
+        return;
+      }
+
+      const [{ data, error }, sections, counts] = await Promise.all([
+        supabase
+          .from("enrollment_requests")
+          .select("*, student:profiles!student_id(id, full_name, email, roll_number)")
+          .in("course_id", courseIds)
+          .in("status", OPEN_REQUEST_STATUSES)
+          .order("created_at", { ascending: true }),
+        fetchSections(courseIds),
+        Promise.all(courseIds.map((id) => countEnrolled(id))),
+      ]);
+      if (error) throw error;
+
+      setRequests(data || []);
+      setSectionsByCourse(groupSectionsByCourse(sections));
+      setSeats(Object.fromEntries(courseIds.map((id, i) => [id, counts[i]])));
+    } catch (err) {
+      console.error("fetchQueue", err);
+      toast.error("Failed to load enrollment requests");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const courseById = useMemo(() => Object.fromEntries(courses.map((c) => [c.id, c])), [courses]);
+
+  const filtered = requests.filter(
+    (r) =>
+      (courseFilter === "all" || r.course_id === courseFilter) &&
+      (statusFilter === "all" || r.status === statusFilter)
+  );
+
+  async function decide(request, decision, force = false) {
+    const course = courseById[request.course_id];
+    if (decision === "approve" && !force && isFull(course, seats[request.course_id] || 0)) {
+      setOverCapacity(request);
+      return;
+    }
+
+    setWorkingId(request.id);
+    try {
+      const patch = await decideEnrollmentRequest(request, decision, { force });
+      await logAudit({
+        actorId: user?.id,
+        action: decision === "approve" ? "enrollment_request.approved" : "enrollment_request.rejected",
+        entityType: "enrollment_request",
+        entityId: request.id,
+        before: { status: request.status },
+        after: { ...patch, course_id: request.course_id, student_id: request.student_id },
+      });
+      setRequests((prev) => prev.filter((r) => r.id !== request.id));
+      if (decision === "approve") {
+        setSeats((prev) => ({ ...prev, [request.course_id]: (prev[request.course_id] || 0) + 1 }));
+      }
+      toast.success(decision === "approve" ? "Student enrolled" : "Request rejected");
+    } catch (err) {
+      console.error("decide", err);
+      toast.error(err.message || "Failed to update request");
+    } finally {
+      setWorkingId(null);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <UserPlus className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Enrollment Requests</h1>
+              <p className="text-sm text-zinc-400">
+                Approve or reject students waiting to join your courses.
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={fetchQueue}>
+              <RefreshCw className="w-4 h-4 mr-1" /> Refresh
+            </Button>
+            <Button variant="ghost" onClick={() => navigate("/admin")}>
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-end gap-3">
+          <Select value={courseFilter} onValueChange={setCourseFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-64">
+              <SelectValue placeholder="Course" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All courses</SelectItem>
+              {courses.map((c) => (
+                <SelectItem key={c.id} value={c.id}>
+                  {c.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-40">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All statuses</SelectItem>
+              <SelectItem value="pending">Pending</SelectItem>
+              <SelectItem value="waitlisted">Waitlisted</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Queue */}
+        <Card className="bg-zinc-900/60 border border-zinc-800">
+          <CardHeader>
+            <CardTitle className="text-emerald-300">
+              {filtered.length} request{filtered.length === 1 ? "" : "s"}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="flex items-center gap-2 text-zinc-400">
+                <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+              </div>
+            ) : filtered.length === 0 ? (
+              <p className="text-zinc-500">Nothing waiting for a decision.</p>
+            ) : (
+              <div className="overflow-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Student</TableHead>
+                      <TableHead>Course</TableHead>
+                      <TableHead>Section</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Seats</TableHead>
+                      <TableHead>Requested</TableHead>
+                      <TableHead className="text-right">Decision</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {filtered.map((r) => {
+                      const course = courseById[r.course_id];
+                      return (
+                        <TableRow key={r.id}>
+                          <TableCell>
+                            <div className="text-zinc-200">{r.student?.full_name || "Unknown"}</div>
+                            <div className="text-xs text-zinc-500">
+                              {[r.student?.roll_number, r.student?.email].filter(Boolean).join(" · ")}
+                            </div>
+                          </TableCell>
+                          <TableCell>
+                            <div>{course?.title || r.course_id}</div>
+                            <div className="text-xs text-zinc-500">
+                              {enrollmentModeLabel(course?.enrollment_mode)}
+                            </div>
+                          </TableCell>
+                          <TableCell className="text-zinc-400">
+                            {r.section_id ? sectionName(sectionsByCourse[r.course_id], r.section_id) : "—"}
+                          </TableCell>
+                          <TableCell>
+                            <Badge className={STATUS_CLASSES[r.status]}>{r.status}</Badge>
+                          </TableCell>
+                          <TableCell className="text-zinc-400">
+                            {seats[r.course_id] ?? 0}
+                            {course?.capacity != null ? `/${course.capacity}` : ""}
+                          </TableCell>
+                          <TableCell className="text-xs text-zinc-400">
+                            {new Date(r.created_at).toLocaleString()}
+                          </TableCell>
+                          <TableCell className="text-right space-x-2 whitespace-nowrap">
+                            <Button
+                              size="sm"
+                              className="bg-emerald-600 hover:bg-emerald-500 cursor-pointer"
+                              disabled={workingId === r.id}
+                              onClick={() => decide(r, "approve")}
+                            >
+                              <Check className="w-4 h-4 mr-1" /> Approve
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="destructive"
+                              className="cursor-pointer"
+                              disabled={workingId === r.id}
+                              onClick={() => decide(r, "reject")}
+                            >
+                              <X className="w-4 h-4 mr-1" /> Reject
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <AlertDialog open={!!overCapacity} onOpenChange={(open) => !open && setOverCapacity(null)}>
+        <AlertDialogContent className="bg-zinc-900 border border-zinc-800 text-slate-100">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Course is full</AlertDialogTitle>
+            <AlertDialogDescription>
+              {courseById[overCapacity?.course_id]?.title} already has{" "}
+              {courseById[overCapacity?.course_id]?.capacity} students. Approve{" "}
+              {overCapacity?.student?.full_name || "this student"} over capacity?
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className="bg-emerald-600 hover:bg-emerald-500"
+              onClick={() => {
+                const request = overCapacity;
+                setOverCapacity(null);
+                decide(request, "approve", true);
+              }}
+            >
+              Approve anyway
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -11,6 +11,9 @@
 /* eslint-disable react/no-danger */
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses, isStaffRole } from "../lib/roles";
+import { logAudit } from "../lib/audit";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -169,8 +172,8 @@ export default function AdminNoteManager() {
   const [notes, setNotes] = useState([]);
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [role, setRole] = useState(null);
-  const [userId, setUserId] = useState(null);
+  const { user, role } = useAuth();
+  const userId = user?.id ?? null;
 
   // UI state
   const [query, setQuery] = useState("");
@@ -224,26 +227,10 @@ export default function AdminNoteManager() {
 
   // -------------------- Init --------------------
   useEffect(() => {
-    let mounted = true;
-    (async () => {
-      try {
-        const { data: { user }, error: userErr } = await supabase.auth.getUser();
-        if (userErr) console.error("getUserErr", userErr);
-        if (user && mounted) {
-          setUserId(user.id);
-          const { data: profile, error: profileErr } = await supabase.from("profiles").select("role").eq("id", user.id).single();
-          if (!profileErr && profile) setRole(profile.role);
-        }
-      } catch (err) {
-        console.error("init user err", err);
-      } finally {
-        fetchCourses();
-        fetchNotes(true);
-      }
-    })();
+    fetchCourses();
+    fetchNotes(true);
 
     return () => {
-      mounted = false;
       if (undoTimerRef.current) clearTimeout(undoTimerRef.current);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -304,7 +291,11 @@ export default function AdminNoteManager() {
 
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title").order("title");
+      // notes are course content, so TAs (no "edit" permission) don't get to post them
+      const { data, error } = await fetchManagedCourses(
+        { user, role },
+        { columns: "id,title", orderBy: { column: "title" }, permission: "edit" }
+      );
       if (error) throw error;
       setCourses(data || []);
     } catch (err) {
@@ -312,6 +303,13 @@ export default function AdminNoteManager() {
     }
   }
 
+  // admins edit any note; instructors their own notes and notes of courses they manage
+  function canEditNote(note) {
+    if (role === "admin") return true;
+    if (note.author_id && note.author_id === userId) return true;
+    return !!note.course_id && courses.some((c) => String(c.id) === String(note.course_id));
+  }
+
   // load more
   async function loadMore() {
     setPage((p) => p + 1);
@@ -390,8 +388,6 @@ export default function AdminNoteManager() {
     }
     setLoading(true);
     try {
-      const { data: { user }, error: userErr } = await supabase.auth.getUser();
-      if (userErr) throw userErr;
       if (!user) throw new Error("Not authenticated");
 
       if (editingNote) {
@@ -477,11 +473,23 @@ export default function AdminNoteManager() {
 
   async function bulkDelete() {
     if (!selectedIds.size) return;
-    const ids = Array.from(selectedIds);
+    const ids = notes.filter((n) => selectedIds.has(n.id) && canEditNote(n)).map((n) => n.id);
+    if (ids.length < selectedIds.size) toast.info("Skipping notes you don't manage");
+    if (!ids.length) return;
+    const removed = notes.filter((n) => ids.includes(n.id));
     try {
       const { error } = await supabase.from("teacher_notes").delete().in("id", ids);
       if (error) throw error;
-      setNotes((p) => p.filter((n) => !selectedIds.has(n.id)));
+      await logAudit(
+        removed.map((n) => ({
+          actorId: userId,
+          action: "teacher_note.deleted",
+          entityType: "teacher_note",
+          entityId: n.id,
+          before: n,
+        }))
+      );
+      setNotes((p) => p.filter((n) => !ids.includes(n.id)));
       setSelectedIds(new Set());
       setBulkMode(false);
       toast.success("Bulk delete successful");
@@ -493,11 +501,13 @@ export default function AdminNoteManager() {
 
   async function bulkTogglePinned(value) {
     if (!selectedIds.size) return;
-    const ids = Array.from(selectedIds);
+    const ids = notes.filter((n) => selectedIds.has(n.id) && canEditNote(n)).map((n) => n.id);
+    if (ids.length < selectedIds.size) toast.info("Skipping notes you don't manage");
+    if (!ids.length) return;
     try {
       const { error } = await supabase.from("teacher_notes").update({ pinned: value }).in("id", ids);
       if (error) throw error;
-      setNotes((p) => p.map((n) => selectedIds.has(n.id) ? { ...n, pinned: value } : n));
+      setNotes((p) => p.map((n) => ids.includes(n.id) ? { ...n, pinned: value } : n));
       setSelectedIds(new Set());
       setBulkMode(false);
       toast.success("Bulk update saved");
@@ -705,7 +715,7 @@ function Header() {
             </Button>
 
             <div>
-              {role === "admin" ? (
+              {isStaffRole(role) ? (
                 <Dialog open={showDialog} onOpenChange={setShowDialog}>
                   <DialogTrigger asChild>
                     <Button
@@ -946,9 +956,9 @@ function toggleTagInForm(tag) {
               <PopoverContent className="bg-zinc-900 border border-zinc-800">
                 <div className="flex flex-col min-w-[180px]">
                   <button onClick={() => openPreview(note)} className="text-left px-3 py-2 hover:bg-zinc-800 cursor-pointer text-emerald-400"><Eye className="inline w-4 h-4 mr-2" /> Preview</button>
-                  {role === "admin" && <button onClick={() => { openEditDialog(note); setShowDialog(true); }} className="text-left px-3 py-2 hover:bg-zinc-800 text-emerald-400 cursor-pointer"><Edit className="inline w-4 h-4 mr-2" /> Edit</button>}
-                  {role === "admin" && <button onClick={() => { loadVersions(note.id); }} className="text-left px-3 py-2 hover:bg-zinc-800 text-emerald-400 cursor-pointer"><Archive className="inline w-4 h-4 mr-2" /> Versions</button>}
-                  {role === "admin" && <button onClick={() => handleDelete(note)} className="text-left px-3 py-2 hover:bg-zinc-800 cursor-pointer text-red-400"><Trash className="inline w-4 h-4 mr-2" /> Delete</button>}
+                  {canEditNote(note) && <button onClick={() => { openEditDialog(note); setShowDialog(true); }} className="text-left px-3 py-2 hover:bg-zinc-800 text-emerald-400 cursor-pointer"><Edit className="inline w-4 h-4 mr-2" /> Edit</button>}
+                  {canEditNote(note) && <button onClick={() => { loadVersions(note.id); }} className="text-left px-3 py-2 hover:bg-zinc-800 text-emerald-400 cursor-pointer"><Archive className="inline w-4 h-4 mr-2" /> Versions</button>}
+                  {canEditNote(note) && <button onClick={() => handleDelete(note)} className="text-left px-3 py-2 hover:bg-zinc-800 cursor-pointer text-red-400"><Trash className="inline w-4 h-4 mr-2" /> Delete</button>}
                 </div>
               </PopoverContent>
             </Popover>
@@ -1092,7 +1102,7 @@ function toggleTagInForm(tag) {
                   <div className="col-span-full text-center text-zinc-500 p-8 rounded-xl bg-zinc-900/40 border border-zinc-800">
                     <div className="text-xl font-semibold text-slate-100 mb-2">No notes found</div>
                     <p className="text-sm text-zinc-400 mb-4">Try adjusting filters or add a new note.</p>
-                    {role === "admin" && <Button className="bg-emerald-500 text-black" onClick={openNewDialog}><PlusCircle className="w-4 h-4 mr-2" /> Add First Note</Button>}
+                    {isStaffRole(role) && <Button className="bg-emerald-500 text-black" onClick={openNewDialog}><PlusCircle className="w-4 h-4 mr-2" /> Add First Note</Button>}
                   </div>
                 ) : filtered.map((note) => <NoteCard key={note.id} note={note} />)
               }
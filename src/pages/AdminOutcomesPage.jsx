@@ -0,0 +1,620 @@
+// src/pages/AdminOutcomesPage.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import { toCsv, downloadFile } from "../lib/csv";
+import {
+  ATTAINMENT_LEVELS,
+  DEFAULT_OUTCOME_TARGET,
+  fetchAssessments,
+  fetchAttainmentReport,
+  fetchOutcomeMappings,
+  fetchOutcomes,
+  mappingKey,
+  setItemOutcomes,
+} from "../lib/outcomes";
+import { toast } from "sonner";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+import { Target, ChevronLeft, Trash2, Loader2, Download, RefreshCw } from "lucide-react";
+
+/**
+ * Admin Outcomes (NBA/OBE)
+ * - Define course outcomes (CO1, CO2, ...) with an attainment target per course
+ * - Tag assignments, module assignments and individual quiz questions with COs
+ * - Attainment report per cohort (average, % attained, level) and per student, exportable as CSV
+ */
+export default function AdminOutcomesPage() {
+  const navigate = useNavigate();
+  const { user, role } = useAuth();
+
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState("");
+  const [outcomes, setOutcomes] = useState([]);
+  const [mappings, setMappings] = useState([]);
+  const [assessments, setAssessments] = useState({ assignments: [], moduleAssignments: [], quizzes: [] });
+  const [report, setReport] = useState(null);
+  const [draft, setDraft] = useState({ code: "", description: "", target: DEFAULT_OUTCOME_TARGET });
+  const [loading, setLoading] = useState(false);
+  const [reportLoading, setReportLoading] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const course = courses.find((c) => c.id === courseId);
+
+  // courses this user may edit
+  useEffect(() => {
+    if (!user) return;
+    (async () => {
+      const { data, error } = await fetchManagedCourses({ user, role }, { columns: "id, title, code" });
+      if (error) {
+        console.error("fetchManagedCourses", error);
+        return;
+      }
+      try {
+        const perms = await fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id));
+        const allowed = (data || []).filter((c) => hasCoursePermission(perms, c.id, "edit"));
+        setCourses(allowed);
+        if (allowed.length) setCourseId((prev) => prev || allowed[0].id);
+      } catch (err) {
+        console.error("fetchCoursePermissions", err);
+      }
+    })();
+  }, [user, role]);
+
+  useEffect(() => {
+    if (!courseId) return;
+    (async () => {
+      setLoading(true);
+      setReport(null);
+      try {
+        const [cos, items] = await Promise.all([fetchOutcomes(courseId), fetchAssessments(courseId)]);
+        setOutcomes(cos);
+        setAssessments(items);
+        setMappings(await fetchOutcomeMappings(cos.map((o) => o.id)));
+      } catch (err) {
+        console.error("load outcomes", err);
+        toast.error("Failed to load course outcomes");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [courseId]);
+
+  // mapping key -> tagged outcome ids
+  const tagged = useMemo(() => {
+    const map = {};
+    mappings.forEach((m) => {
+      const key = mappingKey(m.assessment_type, m.assessment_id, m.question_index);
+      (map[key] ||= []).push(m.outcome_id);
+    });
+    return map;
+  }, [mappings]);
+
+  const addOutcome = async (e) => {
+    e.preventDefault();
+    const code = draft.code.trim().toUpperCase();
+    if (!code || !draft.description.trim()) {
+      toast.error("Code and description are required");
+      return;
+    }
+    if (outcomes.some((o) => o.code === code)) {
+      toast.error(`${code} already exists`);
+      return;
+    }
+    try {
+      const { data, error } = await supabase
+        .from("course_outcomes")
+        .insert([
+          {
+            course_id: courseId,
+            code,
+            description: draft.description.trim(),
+            target: Math.min(Math.max(Number(draft.target) || DEFAULT_OUTCOME_TARGET, 0), 100),
+          },
+        ])
+        .select("id, course_id, code, description, target, created_at")
+        .single();
+      if (error) throw error;
+      await logAudit({
+        actorId: user?.id,
+        action: "course_outcome.created",
+        entityType: "course_outcome",
+        entityId: data.id,
+        after: data,
+      });
+      setOutcomes((prev) => [...prev, data].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true })));
+      setDraft({ code: "", description: "", target: DEFAULT_OUTCOME_TARGET });
+    } catch (err) {
+      console.error("addOutcome", err);
+      toast.error("Failed to add outcome");
+    }
+  };
+
+  const updateTarget = async (outcome, value) => {
+    const target = Math.min(Math.max(Number(value) || 0, 0), 100);
+    if (target === outcome.target) return;
+    const { error } = await supabase.from("course_outcomes").update({ target }).eq("id", outcome.id);
+    if (error) {
+      toast.error("Failed to update target");
+      return;
+    }
+    setOutcomes((prev) => prev.map((o) => (o.id === outcome.id ? { ...o, target } : o)));
+  };
+
+  const removeOutcome = async () => {
+    const outcome = confirmDelete;
+    setConfirmDelete(null);
+    try {
+      const { error: mapErr } = await supabase.from("outcome_mappings").delete().eq("outcome_id", outcome.id);
+      if (mapErr) throw mapErr;
+      const { error } = await supabase.from("course_outcomes").delete().eq("id", outcome.id);
+      if (error) throw error;
+      await logAudit({
+        actorId: user?.id,
+        action: "course_outcome.deleted",
+        entityType: "course_outcome",
+        entityId: outcome.id,
+        before: outcome,
+      });
+      setOutcomes((prev) => prev.filter((o) => o.id !== outcome.id));
+      setMappings((prev) => prev.filter((m) => m.outcome_id !== outcome.id));
+    } catch (err) {
+      console.error("removeOutcome", err);
+      toast.error("Failed to delete outcome");
+    }
+  };
+
+  const toggleTag = async (type, assessmentId, questionIndex, outcomeId) => {
+    const key = mappingKey(type, assessmentId, questionIndex);
+    const current = tagged[key] || [];
+    const next = current.includes(outcomeId) ? current.filter((id) => id !== outcomeId) : [...current, outcomeId];
+    try {
+      const rows = await setItemOutcomes({
+        type,
+        assessmentId,
+        questionIndex,
+        outcomeIds: next,
+        courseOutcomeIds: outcomes.map((o) => o.id),
+      });
+      setMappings((prev) => [
+        ...prev.filter((m) => mappingKey(m.assessment_type, m.assessment_id, m.question_index) !== key),
+        ...rows,
+      ]);
+    } catch (err) {
+      console.error("setItemOutcomes", err);
+      toast.error("Failed to update mapping");
+    }
+  };
+
+  const loadReport = async () => {
+    setReportLoading(true);
+    try {
+      setReport(await fetchAttainmentReport(courseId));
+    } catch (err) {
+      console.error("fetchAttainmentReport", err);
+      toast.error("Failed to compute attainment");
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  const exportCohort = () => {
+    const rows = report.outcomes.map((o) => ({ code: o.code, description: o.description, target: o.target, ...report.cohort[o.id] }));
+    downloadFile(
+      toCsv(rows, [
+        { key: "code", label: "CO" },
+        { key: "description", label: "Description" },
+        { key: "target", label: "Target %" },
+        { key: "assessed", label: "Students assessed" },
+        { key: "average", label: "Average %" },
+        { key: "attainedPct", label: "% attained" },
+        { key: "level", label: "Attainment level" },
+      ]),
+      `${course?.code || "course"}-co-attainment.csv`
+    );
+  };
+
+  const exportStudents = () => {
+    const rows = report.students.map((s) => ({
+      name: s.full_name || "",
+      email: s.email || "",
+      ...Object.fromEntries(report.outcomes.map((o) => [o.code, report.perStudent[s.id]?.[o.id] ?? ""])),
+    }));
+    downloadFile(
+      toCsv(rows, [
+        { key: "name", label: "Student" },
+        { key: "email", label: "Email" },
+        ...report.outcomes.map((o) => ({ key: o.code, label: `${o.code} %` })),
+      ]),
+      `${course?.code || "course"}-co-attainment-students.csv`
+    );
+  };
+
+  const renderTags = (type, assessmentId, questionIndex = null) => {
+    const current = tagged[mappingKey(type, assessmentId, questionIndex)] || [];
+    return (
+      <div className="flex flex-wrap gap-1">
+        {outcomes.map((o) => (
+          <button
+            key={o.id}
+            type="button"
+            title={o.description}
+            onClick={() => toggleTag(type, assessmentId, questionIndex, o.id)}
+            className={`px-2 py-0.5 rounded-full text-xs border cursor-pointer transition ${
+              current.includes(o.id)
+                ? "bg-emerald-500 text-black border-emerald-400"
+                : "bg-zinc-900 text-zinc-400 border-zinc-700 hover:border-emerald-600"
+            }`}
+          >
+            {o.code}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const scoreClass = (value, target) =>
+    value == null ? "text-zinc-600" : value >= target ? "text-emerald-300" : "text-amber-300";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Target className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Course Outcomes</h1>
+              <p className="text-sm text-zinc-400">Map assessments to COs and report attainment for accreditation.</p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Select value={courseId} onValueChange={setCourseId}>
+              <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-64">
+                <SelectValue placeholder="Select course" />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 text-slate-100">
+                {courses.map((c) => (
+                  <SelectItem key={c.id} value={c.id}>
+                    {c.code ? `${c.code} · ${c.title}` : c.title}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="ghost" onClick={() => navigate("/admin")}>
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back
+            </Button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+          </div>
+        ) : !courseId ? (
+          <p className="text-zinc-500">You don't have any courses you can edit.</p>
+        ) : (
+          <Tabs defaultValue="outcomes">
+            <TabsList className="bg-emerald-500 border border-zinc-800">
+              <TabsTrigger className="cursor-pointer" value="outcomes">Outcomes</TabsTrigger>
+              <TabsTrigger className="cursor-pointer" value="mapping">Mapping</TabsTrigger>
+              <TabsTrigger className="cursor-pointer" value="report" onClick={() => !report && loadReport()}>
+                Attainment
+              </TabsTrigger>
+            </TabsList>
+
+            {/* Outcomes */}
+            <TabsContent value="outcomes" className="mt-6">
+              <Card className="bg-zinc-900/60 border border-zinc-800">
+                <CardHeader>
+                  <CardTitle className="text-emerald-300">Outcomes of {course?.title}</CardTitle>
+                  <p className="text-xs text-zinc-400">
+                    Target is the score a student needs on a CO to count as having attained it.
+                  </p>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <form onSubmit={addOutcome} className="grid grid-cols-1 sm:grid-cols-[7rem_1fr_7rem_auto] gap-2 items-end">
+                    <Input
+                      value={draft.code}
+                      onChange={(e) => setDraft((p) => ({ ...p, code: e.target.value }))}
+                      placeholder={`CO${outcomes.length + 1}`}
+                      className="bg-zinc-800 border-zinc-700 text-white uppercase"
+                    />
+                    <Input
+                      value={draft.description}
+                      onChange={(e) => setDraft((p) => ({ ...p, description: e.target.value }))}
+                      placeholder="Students will be able to..."
+                      className="bg-zinc-800 border-zinc-700 text-white"
+                    />
+                    <Input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={draft.target}
+                      onChange={(e) => setDraft((p) => ({ ...p, target: e.target.value }))}
+                      title="Target %"
+                      className="bg-zinc-800 border-zinc-700 text-white"
+                    />
+                    <Button type="submit" className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white">
+                      Add
+                    </Button>
+                  </form>
+
+                  {outcomes.length === 0 ? (
+                    <p className="text-sm text-zinc-500">No outcomes yet.</p>
+                  ) : (
+                    <ul className="divide-y divide-zinc-800">
+                      {outcomes.map((o) => (
+                        <li key={o.id} className="flex items-center gap-3 py-2">
+                          <Badge className="bg-emerald-600/20 text-emerald-300 border border-emerald-600/40 font-mono">
+                            {o.code}
+                          </Badge>
+                          <span className="flex-1 text-sm text-zinc-300">{o.description}</span>
+                          <div className="flex items-center gap-1 text-xs text-zinc-400">
+                            Target
+                            <Input
+                              type="number"
+                              min="0"
+                              max="100"
+                              defaultValue={o.target ?? DEFAULT_OUTCOME_TARGET}
+                              onBlur={(e) => updateTarget(o, e.target.value)}
+                              className="bg-zinc-800 border-zinc-700 text-white w-20 h-8"
+                            />
+                            %
+                          </div>
+                          <Button
+                            size="icon"
+                            variant="ghost"
+                            className="cursor-pointer text-red-400 hover:text-red-300"
+                            onClick={() => setConfirmDelete(o)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            {/* Mapping */}
+            <TabsContent value="mapping" className="mt-6 space-y-6">
+              {outcomes.length === 0 ? (
+                <p className="text-zinc-500">Add outcomes first, then tag assessments here.</p>
+              ) : (
+                <>
+                  <Card className="bg-zinc-900/60 border border-zinc-800">
+                    <CardHeader>
+                      <CardTitle className="text-emerald-300 text-base">Assignments</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                      {assessments.assignments.length === 0 && <p className="text-sm text-zinc-500">None.</p>}
+                      {assessments.assignments.map((a) => (
+                        <div key={a.id} className="flex flex-wrap items-center justify-between gap-2 py-1">
+                          <span className="text-sm text-zinc-200">{a.title}</span>
+                          {renderTags("assignment", a.id)}
+                        </div>
+                      ))}
+                    </CardContent>
+                  </Card>
+
+                  <Card className="bg-zinc-900/60 border border-zinc-800">
+                    <CardHeader>
+                      <CardTitle className="text-emerald-300 text-base">Roadmap module assignments</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                      {assessments.moduleAssignments.length === 0 && <p className="text-sm text-zinc-500">None.</p>}
+                      {assessments.moduleAssignments.map((a) => (
+                        <div key={a.id} className="flex flex-wrap items-center justify-between gap-2 py-1">
+                          <span className="text-sm text-zinc-200">
+                            {a.title} <span className="text-xs text-zinc-500">· {a.module_title}</span>
+                          </span>
+                          {renderTags("module_assignment", a.id)}
+                        </div>
+                      ))}
+                    </CardContent>
+                  </Card>
+
+                  <Card className="bg-zinc-900/60 border border-zinc-800">
+                    <CardHeader>
+                      <CardTitle className="text-emerald-300 text-base">Quiz questions</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      {assessments.quizzes.length === 0 && <p className="text-sm text-zinc-500">None.</p>}
+                      {assessments.quizzes.map((q) => (
+                        <div key={q.id} className="space-y-1">
+                          <div className="text-sm font-medium text-emerald-200">{q.label}</div>
+                          {q.questions.map((question, idx) => (
+                            <div key={idx} className="flex flex-wrap items-center justify-between gap-2 py-1 pl-3">
+                              <span className="text-sm text-zinc-300 max-w-xl">
+                                {idx + 1}. {question.question}
+                              </span>
+                              {renderTags("quiz_question", q.id, idx)}
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </CardContent>
+                  </Card>
+                </>
+              )}
+            </TabsContent>
+
+            {/* Attainment */}
+            <TabsContent value="report" className="mt-6 space-y-6">
+              <div className="flex flex-wrap gap-2">
+                <Button variant="ghost" className="cursor-pointer" disabled={reportLoading} onClick={loadReport}>
+                  <RefreshCw className="w-4 h-4 mr-1" /> Recompute
+                </Button>
+                {report && (
+                  <>
+                    <Button variant="ghost" className="cursor-pointer" onClick={exportCohort}>
+                      <Download className="w-4 h-4 mr-1" /> Cohort CSV
+                    </Button>
+                    <Button variant="ghost" className="cursor-pointer" onClick={exportStudents}>
+                      <Download className="w-4 h-4 mr-1" /> Student CSV
+                    </Button>
+                  </>
+                )}
+              </div>
+
+              {reportLoading || !report ? (
+                <div className="flex items-center gap-2 text-zinc-400">
+                  <Loader2 className="w-4 h-4 animate-spin" /> Computing attainment...
+                </div>
+              ) : report.outcomes.length === 0 ? (
+                <p className="text-zinc-500">No outcomes defined for this course.</p>
+              ) : (
+                <>
+                  <Card className="bg-zinc-900/60 border border-zinc-800">
+                    <CardHeader>
+                      <CardTitle className="text-emerald-300 text-base">Cohort attainment</CardTitle>
+                      <p className="text-xs text-zinc-400">
+                        Level{" "}
+                        {ATTAINMENT_LEVELS.map((l) => `${l.level}: ≥${l.min}% of students attain`).join(" · ")}
+                      </p>
+                    </CardHeader>
+                    <CardContent className="overflow-auto">
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>CO</TableHead>
+                            <TableHead>Description</TableHead>
+                            <TableHead>Target</TableHead>
+                            <TableHead>Assessed</TableHead>
+                            <TableHead>Average</TableHead>
+                            <TableHead>% attained</TableHead>
+                            <TableHead>Level</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {report.outcomes.map((o) => {
+                            const c = report.cohort[o.id];
+                            return (
+                              <TableRow key={o.id}>
+                                <TableCell className="font-mono text-emerald-300">{o.code}</TableCell>
+                                <TableCell className="text-zinc-300">{o.description}</TableCell>
+                                <TableCell>{o.target ?? DEFAULT_OUTCOME_TARGET}%</TableCell>
+                                <TableCell>
+                                  {c.assessed}/{report.students.length}
+                                </TableCell>
+                                <TableCell>{c.average == null ? "—" : `${c.average}%`}</TableCell>
+                                <TableCell>{c.attainedPct == null ? "—" : `${c.attainedPct}%`}</TableCell>
+                                <TableCell>
+                                  {c.level == null ? (
+                                    "—"
+                                  ) : (
+                                    <Badge className={c.level >= 2 ? "bg-emerald-600 text-black" : "bg-amber-700/40 text-amber-200"}>
+                                      {c.level}
+                                    </Badge>
+                                  )}
+                                </TableCell>
+                              </TableRow>
+                            );
+                          })}
+                        </TableBody>
+                      </Table>
+                    </CardContent>
+                  </Card>
+
+                  <Card className="bg-zinc-900/60 border border-zinc-800">
+                    <CardHeader>
+                      <CardTitle className="text-emerald-300 text-base">Per student</CardTitle>
+                    </CardHeader>
+                    <CardContent className="overflow-auto">
+                      {report.students.length === 0 ? (
+                        <p className="text-sm text-zinc-500">No students enrolled.</p>
+                      ) : (
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>Student</TableHead>
+                              {report.outcomes.map((o) => (
+                                <TableHead key={o.id} className="font-mono">
+                                  {o.code}
+                                </TableHead>
+                              ))}
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {report.students.map((s) => (
+                              <TableRow key={s.id}>
+                                <TableCell>
+                                  <div className="text-zinc-200">{s.full_name || "Unknown"}</div>
+                                  <div className="text-xs text-zinc-500">{s.email}</div>
+                                </TableCell>
+                                {report.outcomes.map((o) => {
+                                  const value = report.perStudent[s.id]?.[o.id];
+                                  return (
+                                    <TableCell key={o.id} className={scoreClass(value, o.target ?? DEFAULT_OUTCOME_TARGET)}>
+                                      {value == null ? "—" : `${value}%`}
+                                    </TableCell>
+                                  );
+                                })}
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      )}
+                    </CardContent>
+                  </Card>
+                </>
+              )}
+            </TabsContent>
+          </Tabs>
+        )}
+      </div>
+
+      <AlertDialog open={!!confirmDelete} onOpenChange={(open) => !open && setConfirmDelete(null)}>
+        <AlertDialogContent className="bg-zinc-900 border border-zinc-800 text-slate-100">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {confirmDelete?.code}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Its mappings to assignments and quiz questions are removed too. Grades are not affected.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction className="bg-red-600 hover:bg-red-500" onClick={removeOutcome}>
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -3,6 +3,14 @@
 /* eslint-disable react/no-danger */
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import DeadlineExtensionsDialog from "../components/course/DeadlineExtensionsDialog";
+import RubricPicker from "../components/course/RubricPicker";
+import RubricGradeDialog from "../components/course/RubricGradeDialog";
+import { fetchRubric } from "../lib/rubrics";
 import { motion, AnimatePresence } from "framer-motion";
 import DOMPurify from "dompurify";
 import { format, isAfter, isBefore } from "date-fns";
@@ -62,6 +70,8 @@ import {
   Info,
   AlertTriangle,
   Upload,
+  CalendarClock,
+  ClipboardCheck,
 } from "lucide-react";
 
 import {
@@ -148,7 +158,7 @@ function ConfirmDialog({ open, title, description, onClose, onConfirm }) {
 }
 
 // -------------- Sortable module card (dnd-kit) --------------
-function AdminSortableModule({ module, stats = {}, assignments = [], onEdit, onDelete, onOpenAssignments, onMoveUp, onMoveDown }) {
+function AdminSortableModule({ module, stats = {}, assignments = [], canEdit = true, onEdit, onDelete, onOpenAssignments, onMoveUp, onMoveDown }) {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: module.id });
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -163,9 +173,11 @@ function AdminSortableModule({ module, stats = {}, assignments = [], onEdit, onD
     <motion.div ref={setNodeRef} style={style} layout initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -6 }} className="p-4 rounded-2xl bg-zinc-900/50 border border-zinc-800 shadow-sm">
       <div className="flex items-start flex-col sm:flex-row justify-between gap-4">
         <div className="flex items-start gap-3">
-          <div {...attributes} {...listeners} className="p-2 rounded-md bg-zinc-800/40 cursor-grab">
-            <Move className="w-5 h-5 text-emerald-300" />
-          </div>
+          {canEdit && (
+            <div {...attributes} {...listeners} className="p-2 rounded-md bg-zinc-800/40 cursor-grab">
+              <Move className="w-5 h-5 text-emerald-300" />
+            </div>
+          )}
           <div className="min-w-0">
             <div className="flex items-center gap-3">
               <div className={`text-lg font-semibold ${stats.percent === 100 ? "text-emerald-300" : "text-slate-100"} truncate`}>{module.title}</div>
@@ -187,23 +199,29 @@ function AdminSortableModule({ module, stats = {}, assignments = [], onEdit, onD
     <Button size="sm" variant="ghost" className='cursor-pointer' onClick={() => onOpenAssignments(module)}>
       <FileText className="w-4 h-4 text-emerald-300" />
     </Button>
-    <Button size="sm" variant="ghost" className='cursor-pointer' onClick={() => onEdit(module)}>
-      <Edit className="w-4 h-4 text-amber-400" />
-    </Button>
-    <Button size="sm" variant="ghost" className='cursor-pointer' onClick={() => onDelete(module.id)}>
-      <Trash className="w-4 h-4 text-rose-400" />
-    </Button>
+    {canEdit && (
+      <>
+        <Button size="sm" variant="ghost" className='cursor-pointer' onClick={() => onEdit(module)}>
+          <Edit className="w-4 h-4 text-amber-400" />
+        </Button>
+        <Button size="sm" variant="ghost" className='cursor-pointer' onClick={() => onDelete(module.id)}>
+          <Trash className="w-4 h-4 text-rose-400" />
+        </Button>
+      </>
+    )}
   </div>
 
   {/* Move up/down buttons */}
-  <div className="flex flex-wrap gap-2 justify-end w-full sm:w-auto">
-    <Button size="sm"  variant="outline" className='cursor-pointer' onClick={() => onMoveUp(module)}>
-      <ArrowUp className="w-4 h-4 text-black" />
-    </Button>
-    <Button size="sm" variant="outline" className='cursor-pointer' onClick={() => onMoveDown(module)}>
-      <ArrowDown className="w-4 h-4 text-black" />
-    </Button>
-  </div>
+  {canEdit && (
+    <div className="flex flex-wrap gap-2 justify-end w-full sm:w-auto">
+      <Button size="sm"  variant="outline" className='cursor-pointer' onClick={() => onMoveUp(module)}>
+        <ArrowUp className="w-4 h-4 text-black" />
+      </Button>
+      <Button size="sm" variant="outline" className='cursor-pointer' onClick={() => onMoveDown(module)}>
+        <ArrowDown className="w-4 h-4 text-black" />
+      </Button>
+    </div>
+  )}
 </div>
 
       </div>
@@ -213,6 +231,8 @@ function AdminSortableModule({ module, stats = {}, assignments = [], onEdit, onD
 
 // -------------- Main AdminRoadmap --------------
 export default function AdminRoadmap() {
+  const { user, role } = useAuth();
+
   // data
   const [courses, setCourses] = useState([]);
   const [courseId, setCourseId] = useState(""); // do not auto-select
@@ -230,7 +250,7 @@ export default function AdminRoadmap() {
 
   const [showAssignmentDialog, setShowAssignmentDialog] = useState(false);
   const [editingAssignment, setEditingAssignment] = useState(null);
-  const [assignmentForm, setAssignmentForm] = useState({ title: "", description: "", link_url: "", module_id: "", due_date: "", file_url: "" });
+  const [assignmentForm, setAssignmentForm] = useState({ title: "", description: "", link_url: "", module_id: "", due_date: "", file_url: "", rubric_id: null });
 
   // file upload state for assignments (hidden input + styled button)
   const [pdfFile, setPdfFile] = useState(null);
@@ -240,7 +260,14 @@ export default function AdminRoadmap() {
   const [showSubmissionsDrawer, setShowSubmissionsDrawer] = useState(false);
   const [activeAssignment, setActiveAssignment] = useState(null);
   const [activeSubmission, setActiveSubmission] = useState(null);
-  const [gradingForm, setGradingForm] = useState({ grade: "", feedback: "", awardBadgeToStudent: false, badgeIdToAward: "" });
+  const [gradingForm, setGradingForm] = useState({ grade: "", feedback: "", awardBadgeToStudent: false, badgeIdToAward: "", rubric_scores: null });
+  // assignments with a rubric are graded by filling it in; its total becomes the grade
+  const [activeRubric, setActiveRubric] = useState(null);
+  const [showRubricGrading, setShowRubricGrading] = useState(false);
+
+  // per-student / per-section deadline extensions for one module assignment
+  const [extensionsFor, setExtensionsFor] = useState(null);
+  const [coursePerms, setCoursePerms] = useState({}); // course_id -> course_staff permissions
 
   // analytics page view (rendered as full page)
   const [showAnalyticsPage, setShowAnalyticsPage] = useState(false);
@@ -254,15 +281,23 @@ export default function AdminRoadmap() {
   const [dragActiveId, setDragActiveId] = useState(null);
 
   // lifecycle
-  useEffect(() => { fetchCourses(); }, []);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { fetchCourses(); }, [user, role]);
   useEffect(() => { if (courseId) fetchAllForCourse(courseId); else { /* clear views */ setModules([]); setAssignmentsMap({}); setSubmissionsMap({}); setProgressMap({}); setBadges([]); } }, [courseId]);
 
+  // TAs grade here but changing modules and assignments needs the course's "edit" permission
+  const canEditCourse = hasCoursePermission(coursePerms, courseId, "edit");
+
   // -------------- Fetchers --------------
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title").order("title");
+      // instructors only see courses they own or co-teach
+      const { data, error } = await fetchManagedCourses({ user, role }, { columns: "id,title", orderBy: { column: "title" } });
       if (error) throw error;
       setCourses(data || []);
+      fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id))
+        .then(setCoursePerms)
+        .catch((err) => console.error("fetchCoursePermissions", err));
     } catch (err) {
       console.error("fetchCourses", err);
       toast.error("Could not load courses");
@@ -375,6 +410,7 @@ export default function AdminRoadmap() {
   // -------------- Module CRUD --------------
   function openNewModule() {
     if (!courseId) { toast.info("Please select a course first"); return; }
+    if (!canEditCourse) { toast.error("Your role in this course can't change modules."); return; }
     setEditingModule(null);
     setModuleForm({
       title: "",
@@ -404,6 +440,7 @@ export default function AdminRoadmap() {
   async function saveModule() {
     if (!moduleForm.title || !moduleForm.title.trim()) { toast.error("Title required"); return; }
     if (!courseId) { toast.error("No course selected"); return; }
+    if (!canEditCourse) { toast.error("Your role in this course can't change modules."); return; }
     setLoading(true);
     try {
       const payload = {
@@ -472,6 +509,7 @@ export default function AdminRoadmap() {
   }
 
   async function deleteModule(id) {
+    if (!canEditCourse) { toast.error("Your role in this course can't change modules."); return; }
     try {
       setLoading(true);
       const { error } = await supabase.from("modules").delete().eq("id", id);
@@ -489,14 +527,15 @@ export default function AdminRoadmap() {
   // -------------- Assignment CRUD (with PDF upload) --------------
   function openNewAssignment(moduleId) {
     if (!courseId) { toast.info("Please select a course first"); return; }
+    if (!canEditCourse) { toast.error("Your role in this course can't change assignments."); return; }
     setEditingAssignment(null);
-    setAssignmentForm({ title: "", description: "", link_url: "", module_id: moduleId || "", due_date: "", file_url: "" });
+    setAssignmentForm({ title: "", description: "", link_url: "", module_id: moduleId || "", due_date: "", file_url: "", rubric_id: null });
     setPdfFile(null);
     setShowAssignmentDialog(true);
   }
   function openEditAssignment(assign) {
     setEditingAssignment(assign);
-    setAssignmentForm({ title: assign.title || "", description: assign.description || "", link_url: assign.link_url || "", module_id: assign.module_id, due_date: assign.due_date || "", file_url: assign.file_url || "" });
+    setAssignmentForm({ title: assign.title || "", description: assign.description || "", link_url: assign.link_url || "", module_id: assign.module_id, due_date: assign.due_date || "", file_url: assign.file_url || "", rubric_id: assign.rubric_id || null });
     setPdfFile(null);
     setShowAssignmentDialog(true);
   }
@@ -535,6 +574,7 @@ export default function AdminRoadmap() {
 
   async function saveAssignment() {
     if (!assignmentForm.title || !assignmentForm.module_id) { toast.error("Title & module required"); return; }
+    if (!canEditCourse) { toast.error("Your role in this course can't change assignments."); return; }
     setLoading(true);
     try {
       let file_url = assignmentForm.file_url || null;
@@ -556,7 +596,7 @@ export default function AdminRoadmap() {
         }
       }
 
-      const payload = { title: assignmentForm.title.trim(), description: assignmentForm.description || null, link_url: assignmentForm.link_url || null, module_id: assignmentForm.module_id, due_date: assignmentForm.due_date || null, file_url };
+      const payload = { title: assignmentForm.title.trim(), description: assignmentForm.description || null, link_url: assignmentForm.link_url || null, module_id: assignmentForm.module_id, due_date: assignmentForm.due_date || null, file_url, rubric_id: assignmentForm.rubric_id || null };
 
       if (editingAssignment) {
         const { error } = await supabase.from("module_assignments").update(payload).eq("id", editingAssignment.id);
@@ -588,6 +628,7 @@ export default function AdminRoadmap() {
   }
 
   async function deleteAssignment(id) {
+    if (!canEditCourse) { toast.error("Your role in this course can't change assignments."); return; }
     try {
       const { error } = await supabase.from("module_assignments").delete().eq("id", id);
       if (error) throw error;
@@ -612,6 +653,7 @@ export default function AdminRoadmap() {
       feedback: submission.feedback ?? "",
       awardBadgeToStudent: false,
       badgeIdToAward: badges.length ? badges[0].id : "",
+      rubric_scores: submission.rubric_scores ?? null,
     });
   }
 
@@ -623,9 +665,26 @@ export default function AdminRoadmap() {
       toast.error("Enter a valid numeric grade");
       return;
     }
+    if (activeRubric && gradeVal !== null && !gradingForm.rubric_scores) {
+      toast.error("Fill in the rubric to grade this assignment");
+      return;
+    }
     try {
-      const { error } = await supabase.from("module_submissions").update({ grade: gradeVal, feedback: gradingForm.feedback }).eq("id", activeSubmission.id);
+      const rubricFields = activeRubric ? { rubric_scores: gradingForm.rubric_scores } : {};
+      const { error } = await supabase.from("module_submissions").update({ grade: gradeVal, feedback: gradingForm.feedback, ...rubricFields }).eq("id", activeSubmission.id);
       if (error) throw error;
+      await logAudit({
+        actorId: user?.id,
+        action: "module_submission.graded",
+        entityType: "module_submission",
+        entityId: activeSubmission.id,
+        before: {
+          grade: activeSubmission.grade ?? null,
+          feedback: activeSubmission.feedback ?? null,
+          ...(activeRubric && { rubric_scores: activeSubmission.rubric_scores ?? null }),
+        },
+        after: { grade: gradeVal, feedback: gradingForm.feedback, ...rubricFields },
+      });
 
       // optionally award badge to that student
       if (gradingForm.awardBadgeToStudent && gradingForm.badgeIdToAward) {
@@ -662,6 +721,7 @@ export default function AdminRoadmap() {
 
   // -------------- Ordering (drag & drop) --------------
   async function persistOrder(newArr) {
+    if (!canEditCourse) { toast.error("Your role in this course can't change modules."); return; }
     try {
       for (let i = 0; i < newArr.length; i++) {
         const id = newArr[i].id;
@@ -711,6 +771,17 @@ export default function AdminRoadmap() {
   }, [modules, progressMap]);
 
   // -------------- Helpers for UI --------------
+  useEffect(() => {
+    let mounted = true;
+    setActiveRubric(null);
+    if (activeAssignment?.rubric_id) {
+      fetchRubric(activeAssignment.rubric_id)
+        .then((r) => mounted && setActiveRubric(r))
+        .catch((err) => console.error("fetchRubric", err));
+    }
+    return () => { mounted = false; };
+  }, [activeAssignment?.rubric_id]);
+
   function openAssignmentSubmissions(a) {
     setActiveAssignment(a);
     setShowSubmissionsDrawer(true);
@@ -723,6 +794,7 @@ export default function AdminRoadmap() {
       feedback: sub.feedback ?? "",
       awardBadgeToStudent: false,
       badgeIdToAward: badges.length ? badges[0].id : "",
+      rubric_scores: sub.rubric_scores ?? null,
     });
   }
 
@@ -768,9 +840,11 @@ export default function AdminRoadmap() {
 
             {/* Responsive action buttons: stacked on mobile, inline on desktop */}
             <div className="flex flex-col sm:flex-row flex-wrap gap-2 w-full sm:w-auto">
-              <Button className="bg-emerald-500 hover:bg-emerald-400 cursor-pointer text-slate-100 w-full sm:w-auto" onClick={openNewModule}>
-                <PlusCircle className="w-4 h-4 mr-2 text-slate-100" /> New module
-              </Button>
+              {(!courseId || canEditCourse) && (
+                <Button className="bg-emerald-500 hover:bg-emerald-400 cursor-pointer text-slate-100 w-full sm:w-auto" onClick={openNewModule}>
+                  <PlusCircle className="w-4 h-4 mr-2 text-slate-100" /> New module
+                </Button>
+              )}
 
               <Button variant="outline" className="w-full sm:w-auto cursor-pointer text-black" onClick={() => setShowAnalyticsPage(true)}>
                 <BarChart2 className="w-4 h-4 mr-2 text-amber-400" /> Analytics
@@ -808,6 +882,7 @@ export default function AdminRoadmap() {
                                   module={m}
                                   stats={progressMap[m.id] || {}}
                                   assignments={assignmentsMap[m.id] || []}
+                                  canEdit={canEditCourse}
                                   onEdit={(mod) => openEditModule(mod)}
                                   onDelete={(id) => requestDeleteModule(id)}
                                   onOpenAssignments={(mod) => {
@@ -833,9 +908,11 @@ export default function AdminRoadmap() {
                                 <div id={`assignments-${m.id}`} className="mt-1 p-3 rounded-lg bg-zinc-900/30 border border-zinc-800">
                                   <div className="flex items-center justify-between">
                                     <div className="text-sm text-slate-100 font-medium">Assignments ({(assignmentsMap[m.id] || []).length})</div>
-                                    <div className="flex gap-2">
-                                      <Button size="sm" variant="outline" onClick={() => openNewAssignment(m.id)}>Add assignment</Button>
-                                    </div>
+                                    {canEditCourse && (
+                                      <div className="flex gap-2">
+                                        <Button size="sm" variant="outline" onClick={() => openNewAssignment(m.id)}>Add assignment</Button>
+                                      </div>
+                                    )}
                                   </div>
 
                                   {/* assignments list responsive: cards on mobile, grid/table on larger */}
@@ -853,8 +930,13 @@ export default function AdminRoadmap() {
                                           </div>
                                           <div className="flex items-center gap-2 ml-3">
                                             <Button size="sm" className="cursor-pointer" variant="ghost" onClick={() => openAssignmentSubmissions(a)}><FileText className="w-4 h-4 text-emerald-300" /></Button>
-                                            <Button size="sm"   className="cursor-pointer" variant="ghost" onClick={() => openEditAssignment(a)}><Edit className="w-4 h-4 text-amber-400" /></Button>
-                                            <Button size="sm"  className="cursor-pointer" variant="ghost" onClick={() => requestDeleteAssignment(a.id)}><Trash className="w-4 h-4 text-rose-400" /></Button>
+                                            <Button size="sm" className="cursor-pointer" variant="ghost" title="Extensions" onClick={() => setExtensionsFor(a)}><CalendarClock className="w-4 h-4 text-cyan-300" /></Button>
+                                            {canEditCourse && (
+                                              <>
+                                                <Button size="sm"   className="cursor-pointer" variant="ghost" onClick={() => openEditAssignment(a)}><Edit className="w-4 h-4 text-amber-400" /></Button>
+                                                <Button size="sm"  className="cursor-pointer" variant="ghost" onClick={() => requestDeleteAssignment(a.id)}><Trash className="w-4 h-4 text-rose-400" /></Button>
+                                              </>
+                                            )}
                                           </div>
                                         </div>
                                       ))}
@@ -889,8 +971,13 @@ export default function AdminRoadmap() {
                                               <td className="p-2">
                                                 <div className="flex items-center gap-2">
                                                   <Button size="sm" variant="ghost" onClick={() => openAssignmentSubmissions(a)}><FileText className="w-4 h-4 text-emerald-300" /></Button>
-                                                  <Button size="sm" variant="ghost" onClick={() => openEditAssignment(a)}><Edit className="w-4 h-4 text-amber-400" /></Button>
-                                                  <Button size="sm" variant="ghost" onClick={() => requestDeleteAssignment(a.id)}><Trash className="w-4 h-4 text-rose-400" /></Button>
+                                                  <Button size="sm" variant="ghost" title="Extensions" onClick={() => setExtensionsFor(a)}><CalendarClock className="w-4 h-4 text-cyan-300" /></Button>
+                                                  {canEditCourse && (
+                                                    <>
+                                                      <Button size="sm" variant="ghost" onClick={() => openEditAssignment(a)}><Edit className="w-4 h-4 text-amber-400" /></Button>
+                                                      <Button size="sm" variant="ghost" onClick={() => requestDeleteAssignment(a.id)}><Trash className="w-4 h-4 text-rose-400" /></Button>
+                                                    </>
+                                                  )}
                                                 </div>
                                               </td>
                                             </tr>
@@ -1128,7 +1215,7 @@ export default function AdminRoadmap() {
                         <div className="text-sm text-slate-100 font-medium">Student: <span className="text-slate-200">{s.student_id}</span></div>
                         <div className="text-xs text-zinc-400">Submitted: {shortDate(s.submitted_at)}</div>
                         <div className="text-xs mt-2 text-white">Link: <a className="text-emerald-300 underline" href={s.file_url} target="_blank" rel="noreferrer">{s.file_url}</a></div>
-                        <div className="text-xs mt-2 text-gray-200">Grade: <span className="text-slate-100">{s.grade ?? "—"}</span> • Feedback: <span className="text-zinc-300">{s.feedback ?? "—"}</span></div>
+                        <div className="text-xs mt-2 text-gray-200">Grade: <span className="text-slate-100">{s.grade ?? "—"}{s.rubric_scores && ` / ${s.rubric_scores.max} (rubric)`}</span> • Feedback: <span className="text-zinc-300">{s.feedback ?? "—"}</span></div>
                       </div>
 
                       <div className="flex flex-col items-end gap-2">
@@ -1151,10 +1238,20 @@ export default function AdminRoadmap() {
                 {activeSubmission ? (
                   <>
                     <div className="text-xs text-zinc-400">Student: <span className="text-slate-200">{activeSubmission.student_id}</span></div>
-                    <div className="mt-2">
-                      <Label className="text-zinc-400 text-xs mb-2">Grade (numeric)</Label>
-                      <Input value={gradingForm.grade} onChange={(e) => setGradingForm(s => ({ ...s, grade: e.target.value }))} className="bg-zinc-900 border text-emerald-200 border-zinc-800" />
-                    </div>
+                    {activeRubric ? (
+                      <div className="mt-2">
+                        <Label className="text-zinc-400 text-xs mb-2">Grade (rubric: {activeRubric.title})</Label>
+                        <Button variant="outline" className="w-full cursor-pointer border-emerald-700/60 text-emerald-200 hover:bg-emerald-900/30" onClick={() => setShowRubricGrading(true)}>
+                          <ClipboardCheck className="w-4 h-4 mr-1" />
+                          {gradingForm.rubric_scores ? `${gradingForm.rubric_scores.total} / ${gradingForm.rubric_scores.max}` : "Fill in rubric"}
+                        </Button>
+                      </div>
+                    ) : (
+                      <div className="mt-2">
+                        <Label className="text-zinc-400 text-xs mb-2">Grade (numeric)</Label>
+                        <Input value={gradingForm.grade} onChange={(e) => setGradingForm(s => ({ ...s, grade: e.target.value }))} className="bg-zinc-900 border text-emerald-200 border-zinc-800" />
+                      </div>
+                    )}
                     <div className="mt-2">
                       <Label className="text-zinc-400 text-xs">Feedback</Label>
                       <Textarea value={gradingForm.feedback} onChange={(e) => setGradingForm(s => ({ ...s, feedback: e.target.value }))} className="bg-zinc-900 border text-emerald-200 border-zinc-800" />
@@ -1174,7 +1271,7 @@ export default function AdminRoadmap() {
                     </div>
 
                     <div className="mt-4 flex justify-end gap-2">
-                      <Button variant="outline" className="cursor-pointer" onClick={() => { setActiveSubmission(null); setGradingForm({ grade: "", feedback: "", awardBadgeToStudent: false, badgeIdToAward: badges.length ? badges[0].id : "" }); }}>Reset</Button>
+                      <Button variant="outline" className="cursor-pointer" onClick={() => { setActiveSubmission(null); setGradingForm({ grade: "", feedback: "", awardBadgeToStudent: false, badgeIdToAward: badges.length ? badges[0].id : "", rubric_scores: null }); }}>Reset</Button>
                       <Button className="bg-emerald-500 hover:bg-emerald-400 cursor-pointer text-slate-100" onClick={submitGrade}>Submit grade</Button>
                     </div>
                   </>
@@ -1187,6 +1284,24 @@ export default function AdminRoadmap() {
         </Dialog>
 
         {/* Confirm dialog instance */}
+        <RubricGradeDialog
+          open={showRubricGrading}
+          onOpenChange={setShowRubricGrading}
+          rubric={activeRubric}
+          scores={gradingForm.rubric_scores}
+          feedback={gradingForm.feedback}
+          subtitle={activeSubmission ? `Student: ${activeSubmission.student_id}` : undefined}
+          onSave={(result, feedback) => setGradingForm(s => ({ ...s, grade: result.total, feedback, rubric_scores: result }))}
+        />
+        <DeadlineExtensionsDialog
+          open={!!extensionsFor}
+          onOpenChange={(v) => !v && setExtensionsFor(null)}
+          type="module_assignment"
+          item={extensionsFor}
+          courseId={courseId}
+          courseTitle={courses.find((c) => c.id === courseId)?.title}
+          deadline={extensionsFor?.due_date}
+        />
         <ConfirmDialog open={confirmOpen} title={confirmMeta.title} description={confirmMeta.desc} onClose={() => setConfirmOpen(false)} onConfirm={() => { if (confirmMeta.onConfirm) confirmMeta.onConfirm(); }} />
 
         {/* assignment dialog */}
@@ -1214,6 +1329,13 @@ export default function AdminRoadmap() {
                     <div></div>
                   </div>
 
+                  <div>
+                    <Label className="text-zinc-400 text-xs">Grading rubric (optional)</Label>
+                    <div className="mt-2">
+                      <RubricPicker value={assignmentForm.rubric_id} onChange={(id) => setAssignmentForm(s => ({ ...s, rubric_id: id }))} />
+                    </div>
+                  </div>
+
                   {/* Styled file upload (hidden input + label) */}
                   <div>
                     <Label className="text-zinc-400 text-xs">Attach PDF (optional)</Label>
@@ -0,0 +1,328 @@
+// src/pages/AdminRosterImport.jsx
+import React, { useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { toast } from "sonner";
+import { useAuth } from "../hooks/useAuth";
+import { parseCsvObjects, toCsv, downloadFile } from "../lib/csv";
+import { ROSTER_TEMPLATE, planRosterImport, runRosterImport } from "../lib/roster";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+import {
+  Upload,
+  FileDown,
+  FileSpreadsheet,
+  ChevronLeft,
+  Loader2,
+  PlayCircle,
+  AlertTriangle,
+} from "lucide-react";
+
+const ACTION_LABELS = {
+  invite: { label: "Invite + enroll", className: "bg-emerald-700/40 text-emerald-200" },
+  enroll: { label: "Enroll existing", className: "bg-sky-700/40 text-sky-200" },
+  skip: { label: "Nothing to do", className: "bg-zinc-700/60 text-zinc-300" },
+};
+
+const STATUS_CLASSES = {
+  invited: "bg-emerald-700/40 text-emerald-200",
+  enrolled: "bg-sky-700/40 text-sky-200",
+  skipped: "bg-zinc-700/60 text-zinc-300",
+  failed: "bg-red-700/40 text-red-200",
+};
+
+const REPORT_COLUMNS = [
+  { key: "line", label: "line" },
+  { key: "name", label: "name" },
+  { key: "email", label: "email" },
+  { key: "roll_number", label: "roll_number" },
+  { key: "course_codes", label: "course_codes" },
+  { key: "status", label: "status" },
+  { key: "message", label: "message" },
+];
+
+/**
+ * Admin Roster Import
+ * - Upload CSV (name, email, roll_number, course_codes)
+ * - Dry run: validates every row and shows what would happen, nothing is written
+ * - Import: enrolls existing students, invites new ones, then offers a CSV report
+ */
+export default function AdminRosterImport() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const fileRef = useRef(null);
+
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState([]);
+  const [planning, setPlanning] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+
+  const summary = useMemo(() => {
+    const counts = { total: plan.length, invalid: 0, invite: 0, enroll: 0, skip: 0 };
+    plan.forEach((p) => {
+      if (p.errors.length) counts.invalid += 1;
+      else counts[p.action] += 1;
+    });
+    return counts;
+  }, [plan]);
+
+  const actionable = summary.invite + summary.enroll;
+
+  // ---------- Dry run ---------- //
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResults(null);
+    setPlan([]);
+    setPlanning(true);
+    try {
+      const rows = parseCsvObjects(await file.text());
+      if (!rows.length) {
+        toast.error("The file has no data rows");
+        return;
+      }
+      if (!("email" in rows[0])) {
+        toast.error("Missing required column: email");
+        return;
+      }
+      setPlan(await planRosterImport(rows));
+    } catch (err) {
+      console.error("roster dry run", err);
+      toast.error("Could not read roster: " + (err.message || err));
+    } finally {
+      setPlanning(false);
+      if (fileRef.current) fileRef.current.value = "";
+    }
+  }
+
+  // ---------- Import ---------- //
+  async function handleImport() {
+    if (!actionable) return;
+    setImporting(true);
+    setProgress(0);
+    try {
+      const out = await runRosterImport(plan, {
+        invitedBy: user?.id,
+        onProgress: (done, total) => setProgress(Math.round((done / total) * 100)),
+      });
+      setResults(out);
+      const failed = out.filter((r) => r.status === "failed").length;
+      if (failed) toast.warning(`Import finished with ${failed} failed row(s)`);
+      else toast.success("Roster imported");
+    } catch (err) {
+      console.error("roster import", err);
+      toast.error("Import failed");
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  function downloadReport() {
+    const rows = (results || []).map((r) => ({ ...r, course_codes: r.codes.join(";") }));
+    downloadFile(toCsv(rows, REPORT_COLUMNS), `roster-import-${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  function reset() {
+    setPlan([]);
+    setResults(null);
+    setFileName("");
+    setProgress(0);
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <FileSpreadsheet className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Import Student Roster</h1>
+              <p className="text-sm text-zinc-400">
+                Create student accounts, send invites and enroll them into courses from a CSV file.
+              </p>
+            </div>
+          </div>
+          <Button variant="ghost" onClick={() => navigate("/admin")}>
+            <ChevronLeft className="w-4 h-4 mr-1" /> Back
+          </Button>
+        </div>
+
+        {/* Upload */}
+        <Card className="bg-zinc-900/60 border border-zinc-800">
+          <CardHeader>
+            <CardTitle className="text-emerald-300">1. Upload CSV</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <p className="text-sm text-zinc-400">
+              Columns: <code>name</code>, <code>email</code>, <code>roll_number</code>,{" "}
+              <code>course_codes</code> (separate several codes with <code>;</code>). Course codes
+              are set on each course in the Courses page.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <Input
+                ref={fileRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFile}
+                disabled={planning || importing}
+                className="bg-zinc-950 border-zinc-800 max-w-sm"
+              />
+              <Button
+                variant="outline"
+                onClick={() => downloadFile(ROSTER_TEMPLATE, "roster-template.csv")}
+              >
+                <FileDown className="w-4 h-4 mr-1" /> Template
+              </Button>
+              {planning && (
+                <span className="flex items-center gap-2 text-sm text-zinc-400">
+                  <Loader2 className="w-4 h-4 animate-spin" /> Checking rows...
+                </span>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Dry-run preview */}
+        {plan.length > 0 && !results && (
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <Card className="bg-zinc-900/60 border border-zinc-800">
+              <CardHeader className="flex flex-row items-center justify-between">
+                <CardTitle className="text-emerald-300">2. Preview — {fileName}</CardTitle>
+                <div className="flex gap-2">
+                  <Button variant="ghost" onClick={reset} disabled={importing}>
+                    Clear
+                  </Button>
+                  <Button
+                    onClick={handleImport}
+                    disabled={!actionable || importing}
+                    className="bg-emerald-600 hover:bg-emerald-500"
+                  >
+                    {importing ? (
+                      <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                    ) : (
+                      <PlayCircle className="w-4 h-4 mr-1" />
+                    )}
+                    Import {actionable} row(s)
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <Badge className="bg-zinc-800 text-zinc-200">{summary.total} rows</Badge>
+                  <Badge className={ACTION_LABELS.invite.className}>{summary.invite} new</Badge>
+                  <Badge className={ACTION_LABELS.enroll.className}>{summary.enroll} existing</Badge>
+                  <Badge className={ACTION_LABELS.skip.className}>{summary.skip} unchanged</Badge>
+                  <Badge className="bg-red-700/40 text-red-200">{summary.invalid} with errors</Badge>
+                </div>
+                {summary.invalid > 0 && (
+                  <p className="flex items-center gap-2 text-sm text-amber-300">
+                    <AlertTriangle className="w-4 h-4" />
+                    Rows with errors are skipped. Fix them in the file and upload again to include them.
+                  </p>
+                )}
+                {importing && <Progress value={progress} />}
+
+                <div className="overflow-auto max-h-[520px]">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Line</TableHead>
+                        <TableHead>Name</TableHead>
+                        <TableHead>Email</TableHead>
+                        <TableHead>Roll No.</TableHead>
+                        <TableHead>Courses</TableHead>
+                        <TableHead>Result</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {plan.map((p) => (
+                        <TableRow key={p.line} className={p.errors.length ? "bg-red-950/20" : ""}>
+                          <TableCell className="text-zinc-500">{p.line}</TableCell>
+                          <TableCell>{p.name || "—"}</TableCell>
+                          <TableCell className="text-zinc-300">{p.email || "—"}</TableCell>
+                          <TableCell>{p.roll_number || "—"}</TableCell>
+                          <TableCell className="text-xs">{p.codes.join(", ") || "—"}</TableCell>
+                          <TableCell>
+                            {p.errors.length ? (
+                              <span className="text-xs text-red-300">{p.errors.join("; ")}</span>
+                            ) : (
+                              <Badge className={ACTION_LABELS[p.action].className}>
+                                {ACTION_LABELS[p.action].label}
+                              </Badge>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+          </motion.div>
+        )}
+
+        {/* Results */}
+        {results && (
+          <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}>
+            <Card className="bg-zinc-900/60 border border-zinc-800">
+              <CardHeader className="flex flex-row items-center justify-between">
+                <CardTitle className="text-emerald-300">3. Results</CardTitle>
+                <div className="flex gap-2">
+                  <Button variant="ghost" onClick={reset}>
+                    <Upload className="w-4 h-4 mr-1" /> New import
+                  </Button>
+                  <Button onClick={downloadReport} className="bg-emerald-600 hover:bg-emerald-500">
+                    <FileDown className="w-4 h-4 mr-1" /> Download report
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="overflow-auto max-h-[520px]">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Line</TableHead>
+                        <TableHead>Email</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead>Details</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {results.map((r) => (
+                        <TableRow key={r.line}>
+                          <TableCell className="text-zinc-500">{r.line}</TableCell>
+                          <TableCell>{r.email || "—"}</TableCell>
+                          <TableCell>
+                            <Badge className={STATUS_CLASSES[r.status]}>{r.status}</Badge>
+                          </TableCell>
+                          <TableCell className="text-xs text-zinc-300">{r.message}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 // src/pages/AdminSettingsPage.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import ProfileAvatar from "../components/profile/ProfileAvatar";
+import ProfileDetailsCard from "../components/profile/ProfileDetailsCard";
 import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
@@ -30,8 +33,7 @@ import { Shield, User, Key, LogOut, Check } from "lucide-react";
 export default function AdminSettingsPage() {
   const navigate = useNavigate();
 
-  const [profile, setProfile] = useState(null);
-  const [loadingProfile, setLoadingProfile] = useState(true);
+  const { profile, loading: loadingProfile, refreshProfile } = useAuth();
 
   // name
   const [editingName, setEditingName] = useState(false);
@@ -46,45 +48,8 @@ export default function AdminSettingsPage() {
   const [changingPassword, setChangingPassword] = useState(false);
 
   useEffect(() => {
-    (async () => {
-      setLoadingProfile(true);
-      try {
-        const {
-          data: { user },
-        } = await supabase.auth.getUser();
-
-        if (!user) {
-          setProfile(null);
-          setLoadingProfile(false);
-          return;
-        }
-
-        const { data, error } = await supabase
-          .from("profiles")
-          .select("id, email, full_name, role")
-          .eq("id", user.id)
-          .single();
-
-        if (!error && data) {
-          setProfile(data);
-          setFullName(data.full_name || "");
-        }
-      } catch (err) {
-        console.error("Profile fetch error:", err);
-      } finally {
-        setLoadingProfile(false);
-      }
-    })();
-  }, []);
-
-  // avatar initials
-  const initials = useMemo(() => {
-    const name = profile?.full_name || profile?.email || "";
-    const parts = name.split(/\s+/).filter(Boolean);
-    if (parts.length === 0) return "A";
-    if (parts.length === 1) return parts[0].slice(0, 1).toUpperCase();
-    return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
-  }, [profile]);
+    setFullName(profile?.full_name || "");
+  }, [profile?.full_name]);
 
   // update name (admins don’t exist in students table, so only profiles update)
   const saveName = async () => {
@@ -105,7 +70,7 @@ export default function AdminSettingsPage() {
         console.error("Save name error:", error);
         toast.error("Failed to update name");
       } else {
-        setProfile((p) => ({ ...p, full_name: trimmed }));
+        await refreshProfile();
         toast.success("Name updated");
         setEditingName(false);
       }
@@ -223,9 +188,7 @@ export default function AdminSettingsPage() {
           {/* Profile */}
           <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-6 backdrop-blur-sm">
             <CardHeader className="flex items-center gap-4 px-0">
-              <div className="w-14 h-14 rounded-full bg-emerald-700/10 flex items-center justify-center text-emerald-200 font-bold text-lg">
-                {initials}
-              </div>
+              <ProfileAvatar profile={profile} className="size-14" fallbackClassName="font-bold text-lg" />
               <div>
                 <CardTitle className="text-emerald-300 flex items-center gap-2">
                   <User className="h-5 w-5" /> Profile
@@ -384,6 +347,9 @@ export default function AdminSettingsPage() {
             </CardContent>
           </Card>
         </div>
+
+        {/* Profile details (staff: department and phone) */}
+        <ProfileDetailsCard fields={["department", "phone", "bio"]} />
       </div>
     </div>
   );
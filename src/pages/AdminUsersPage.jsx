@@ -0,0 +1,674 @@
+// src/pages/AdminUsersPage.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { ALL_ROLES } from "../lib/roles";
+import { logAudit } from "../lib/audit";
+import { fetchLinkedStudents } from "../lib/studentRecords";
+import { toast } from "sonner";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+
+import {
+  Users,
+  Search,
+  RefreshCw,
+  ChevronLeft,
+  Eye,
+  UserX,
+  UserCheck,
+  KeyRound,
+  Loader2,
+  Link2,
+  Unlink,
+  Trash2,
+} from "lucide-react";
+
+const PROFILE_COLUMNS =
+  "id, email, full_name, role, created_at, deactivated_at, password_reset_required, deletion_requested_at, deletion_scheduled_for";
+
+function formatDate(value) {
+  if (!value) return "—";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString();
+}
+
+/**
+ * Admin Users Page
+ * - Lists every profile with search and role/status filters
+ * - Change role, deactivate/reactivate, force a password reset
+ * - Deletion queue: accounts students scheduled for deletion; a nightly job
+ *   (supabase/migrations, purge_due_account_deletions) purges them; once the grace period is
+ *   over admins can purge without waiting for it
+ * - Link guardians to the students they may view (guardian_students)
+ * - Each change is written to audit_log (see lib/audit)
+ */
+export default function AdminUsersPage() {
+  const navigate = useNavigate();
+  const { user: me } = useAuth();
+
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  const [roleFilter, setRoleFilter] = useState("all");
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  // { type: "role" | "deactivate" | "reactivate" | "reset" | "purge", target, nextRole? }
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  // detail dialog
+  const [selected, setSelected] = useState(null);
+  const [enrollments, setEnrollments] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loadingDetail, setLoadingDetail] = useState(false);
+  const [linkedStudents, setLinkedStudents] = useState([]);
+  const [linkEmail, setLinkEmail] = useState("");
+  const [linking, setLinking] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  async function fetchUsers() {
+    setLoading(true);
+    try {
+      const { data, error } = await supabase
+        .from("profiles")
+        .select(PROFILE_COLUMNS)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      setUsers(data || []);
+    } catch (err) {
+      console.error("fetchUsers", err);
+      toast.error("Failed to load users");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return users.filter((u) => {
+      if (roleFilter !== "all" && u.role !== roleFilter) return false;
+      if (statusFilter === "active" && u.deactivated_at) return false;
+      if (statusFilter === "deactivated" && !u.deactivated_at) return false;
+      if (statusFilter === "deletion" && !u.deletion_scheduled_for) return false;
+      if (!q) return true;
+      return (
+        (u.full_name || "").toLowerCase().includes(q) ||
+        (u.email || "").toLowerCase().includes(q)
+      );
+    });
+  }, [users, search, roleFilter, statusFilter]);
+
+  // ---------- Detail ---------- //
+  async function openDetail(target) {
+    setSelected(target);
+    setEnrollments([]);
+    setHistory([]);
+    setLinkedStudents([]);
+    setLinkEmail("");
+    setLoadingDetail(true);
+    try {
+      const [{ data: enr, error: enrErr }, { data: log, error: logErr }] = await Promise.all([
+        supabase
+          .from("enrollments")
+          .select("id, course_id, courses(id, title, code)")
+          .eq("student_id", target.id),
+        supabase
+          .from("audit_log")
+          .select("id, action, before, after, created_at, actor:profiles(full_name, email)")
+          .eq("entity_type", "profile")
+          .eq("entity_id", target.id)
+          .order("created_at", { ascending: false })
+          .limit(20),
+      ]);
+      if (enrErr) throw enrErr;
+      if (logErr) throw logErr;
+      setEnrollments(enr || []);
+      setHistory(log || []);
+      if (target.role === "guardian") setLinkedStudents(await fetchLinkedStudents(target.id));
+    } catch (err) {
+      console.error("openDetail", err);
+      toast.error("Failed to load user details");
+    } finally {
+      setLoadingDetail(false);
+    }
+  }
+
+  // ---------- Guardian links ---------- //
+  async function linkStudent() {
+    if (!selected) return;
+    const email = linkEmail.trim().toLowerCase();
+    const student = users.find((u) => (u.email || "").toLowerCase() === email);
+    if (!student) return toast.error("No account with that email");
+    if (student.role !== "student") return toast.error("Only student accounts can be linked");
+    if (linkedStudents.some((s) => s.id === student.id)) return toast.info("Already linked");
+
+    setLinking(true);
+    try {
+      const { error } = await supabase
+        .from("guardian_students")
+        .insert({ guardian_id: selected.id, student_id: student.id });
+      if (error) throw error;
+      await logAudit({
+        actorId: me?.id,
+        action: "guardian.student_linked",
+        entityType: "profile",
+        entityId: selected.id,
+        after: { student_id: student.id, student_email: student.email },
+      });
+      setLinkedStudents((prev) => [...prev, student]);
+      setLinkEmail("");
+      toast.success(`Linked ${student.full_name || student.email}`);
+    } catch (err) {
+      console.error("linkStudent", err);
+      toast.error("Failed to link student: " + (err.message || err));
+    } finally {
+      setLinking(false);
+    }
+  }
+
+  async function unlinkStudent(student) {
+    if (!selected) return;
+    setLinking(true);
+    try {
+      const { error } = await supabase
+        .from("guardian_students")
+        .delete()
+        .eq("guardian_id", selected.id)
+        .eq("student_id", student.id);
+      if (error) throw error;
+      await logAudit({
+        actorId: me?.id,
+        action: "guardian.student_unlinked",
+        entityType: "profile",
+        entityId: selected.id,
+        before: { student_id: student.id, student_email: student.email },
+      });
+      setLinkedStudents((prev) => prev.filter((s) => s.id !== student.id));
+      toast.success("Student unlinked");
+    } catch (err) {
+      console.error("unlinkStudent", err);
+      toast.error("Failed to unlink student");
+    } finally {
+      setLinking(false);
+    }
+  }
+
+  // ---------- Actions ---------- //
+  async function applyAction() {
+    if (!confirmAction) return;
+    const { type, target, nextRole } = confirmAction;
+    setWorking(true);
+
+    try {
+      // the purge runs server-side (it removes the auth user) and writes its own audit row
+      if (type === "purge") {
+        const { error } = await supabase.rpc("purge_account", { target: target.id });
+        if (error) throw error;
+        setUsers((prev) => prev.filter((u) => u.id !== target.id));
+        toast.success("Account deleted");
+        return;
+      }
+
+      // admin-only functions: they also ban / sign out at the auth level and write the audit row
+      const { data: updated, error } =
+        type === "role"
+          ? await supabase.rpc("admin_set_role", { p_user: target.id, p_role: nextRole })
+          : type === "reset"
+            ? await supabase.rpc("admin_require_password_reset", { p_user: target.id })
+            : await supabase.rpc("admin_set_deactivated", {
+                p_user: target.id,
+                p_deactivated: type === "deactivate",
+              });
+      if (error) throw error;
+
+      if (type === "reset") {
+        const { error: mailErr } = await supabase.auth.resetPasswordForEmail(target.email, {
+          redirectTo: `${window.location.origin}/login?view=reset-password`,
+        });
+        if (mailErr) throw mailErr;
+      }
+
+      const patch = {
+        role: updated.role,
+        deactivated_at: updated.deactivated_at,
+        password_reset_required: updated.password_reset_required,
+      };
+      setUsers((prev) => prev.map((u) => (u.id === target.id ? { ...u, ...patch } : u)));
+      toast.success(
+        type === "role"
+          ? `${target.full_name || target.email} is now ${nextRole}`
+          : type === "deactivate"
+            ? "Account deactivated"
+            : type === "reactivate"
+              ? "Account reactivated"
+              : "Password reset email sent"
+      );
+    } catch (err) {
+      console.error("applyAction", err);
+      toast.error("Update failed: " + (err.message || err));
+    } finally {
+      setWorking(false);
+      setConfirmAction(null);
+    }
+  }
+
+  function confirmCopy() {
+    if (!confirmAction) return { title: "", description: "" };
+    const { type, target, nextRole } = confirmAction;
+    const who = target.full_name || target.email;
+    switch (type) {
+      case "role":
+        return {
+          title: "Change role?",
+          description: `${who} will change from ${target.role} to ${nextRole}. Their access changes on their next page load.`,
+        };
+      case "deactivate":
+        return {
+          title: "Deactivate account?",
+          description: `${who} will be signed out everywhere and can't log in until reactivated. Their data is kept.`,
+        };
+      case "reactivate":
+        return { title: "Reactivate account?", description: `${who} will be able to log in again.` };
+      case "purge":
+        return {
+          title: "Delete account now?",
+          description: `${who} asked for deletion (scheduled ${formatDate(target.deletion_scheduled_for)}). Their account and data are removed permanently. This cannot be undone.`,
+        };
+      default:
+        return {
+          title: "Force password reset?",
+          description: `${who} will be signed out, get a reset email and must choose a new password before using the app again.`,
+        };
+    }
+  }
+
+  const copy = confirmCopy();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0a0f0f] to-[#000] text-slate-100 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Users className="w-7 h-7 text-emerald-400" />
+            <div>
+              <h1 className="text-2xl font-semibold text-emerald-300">Users</h1>
+              <p className="text-sm text-zinc-400">
+                Search accounts, change roles, deactivate access, force password resets and handle deletion requests.
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={fetchUsers}>
+              <RefreshCw className="w-4 h-4 mr-1" /> Refresh
+            </Button>
+            <Button variant="ghost" onClick={() => navigate("/admin")}>
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap gap-3">
+          <div className="relative flex-1 min-w-[220px]">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-zinc-500" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name or email"
+              className="pl-9 bg-zinc-900 border-zinc-800"
+            />
+          </div>
+          <Select value={roleFilter} onValueChange={setRoleFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-40">
+              <SelectValue placeholder="Role" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All roles</SelectItem>
+              {ALL_ROLES.map((r) => (
+                <SelectItem key={r} value={r}>
+                  {r}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-40">
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 text-slate-100">
+              <SelectItem value="all">All statuses</SelectItem>
+              <SelectItem value="active">Active</SelectItem>
+              <SelectItem value="deactivated">Deactivated</SelectItem>
+              <SelectItem value="deletion">Deletion scheduled</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Users table */}
+        <Card className="bg-zinc-900/60 border border-zinc-800">
+          <CardHeader>
+            <CardTitle className="text-emerald-300">
+              {filtered.length} of {users.length} users
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading ? (
+              <div className="flex items-center gap-2 text-zinc-400">
+                <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+              </div>
+            ) : filtered.length === 0 ? (
+              <div className="text-center text-zinc-500 p-8">No users match these filters.</div>
+            ) : (
+              <div className="overflow-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Name</TableHead>
+                      <TableHead>Email</TableHead>
+                      <TableHead>Role</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Joined</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {filtered.map((u) => {
+                      const isSelf = u.id === me?.id;
+                      return (
+                        <TableRow key={u.id}>
+                          <TableCell className="font-medium">{u.full_name || "—"}</TableCell>
+                          <TableCell className="text-zinc-300">{u.email}</TableCell>
+                          <TableCell>
+                            <Select
+                              value={u.role}
+                              disabled={isSelf}
+                              onValueChange={(nextRole) =>
+                                nextRole !== u.role &&
+                                setConfirmAction({ type: "role", target: u, nextRole })
+                              }
+                            >
+                              <SelectTrigger className="bg-zinc-950 border-zinc-800 w-32 h-8">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent className="bg-zinc-900 text-slate-100">
+                                {ALL_ROLES.map((r) => (
+                                  <SelectItem key={r} value={r}>
+                                    {r}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex flex-wrap gap-1">
+                              {u.deactivated_at ? (
+                                <Badge className="bg-red-700/40 text-red-200">Deactivated</Badge>
+                              ) : (
+                                <Badge className="bg-emerald-700/40 text-emerald-200">Active</Badge>
+                              )}
+                              {u.password_reset_required && (
+                                <Badge className="bg-amber-700/40 text-amber-200">Reset pending</Badge>
+                              )}
+                              {u.deletion_scheduled_for && (
+                                <Badge className="bg-red-900/50 text-red-200">
+                                  Deletes {new Date(u.deletion_scheduled_for).toLocaleDateString()}
+                                </Badge>
+                              )}
+                            </div>
+                          </TableCell>
+                          <TableCell className="text-xs text-zinc-400">
+                            {formatDate(u.created_at)}
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex justify-end gap-1">
+                              <Button size="sm" variant="ghost" title="Details" onClick={() => openDetail(u)}>
+                                <Eye className="w-4 h-4" />
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                title="Force password reset"
+                                disabled={isSelf}
+                                onClick={() => setConfirmAction({ type: "reset", target: u })}
+                              >
+                                <KeyRound className="w-4 h-4 text-amber-300" />
+                              </Button>
+                              {u.deactivated_at ? (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  title="Reactivate"
+                                  onClick={() => setConfirmAction({ type: "reactivate", target: u })}
+                                >
+                                  <UserCheck className="w-4 h-4 text-emerald-400" />
+                                </Button>
+                              ) : (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  title="Deactivate"
+                                  disabled={isSelf}
+                                  onClick={() => setConfirmAction({ type: "deactivate", target: u })}
+                                >
+                                  <UserX className="w-4 h-4 text-red-400" />
+                                </Button>
+                              )}
+                              {u.deletion_scheduled_for && (
+                                <Button
+                                  size="sm"
+                                  variant="ghost"
+                                  title={
+                                    new Date(u.deletion_scheduled_for) > new Date()
+                                      ? `Grace period until ${formatDate(u.deletion_scheduled_for)}`
+                                      : "Delete now"
+                                  }
+                                  disabled={isSelf || new Date(u.deletion_scheduled_for) > new Date()}
+                                  onClick={() => setConfirmAction({ type: "purge", target: u })}
+                                >
+                                  <Trash2 className="w-4 h-4 text-red-500" />
+                                </Button>
+                              )}
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Confirm */}
+      <AlertDialog open={!!confirmAction} onOpenChange={(open) => !open && !working && setConfirmAction(null)}>
+        <AlertDialogContent className="bg-zinc-900 border border-zinc-800 text-slate-100">
+          <AlertDialogHeader>
+            <AlertDialogTitle>{copy.title}</AlertDialogTitle>
+            <AlertDialogDescription className="text-zinc-400">{copy.description}</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={working}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={working}
+              onClick={(e) => {
+                e.preventDefault();
+                applyAction();
+              }}
+              className="bg-emerald-600 hover:bg-emerald-500"
+            >
+              {working && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              Confirm
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Detail */}
+      <Dialog open={!!selected} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="bg-zinc-900 border border-zinc-800 text-slate-100 max-w-2xl">
+          <DialogHeader>
+            <DialogTitle className="text-emerald-300">
+              {selected?.full_name || selected?.email}
+            </DialogTitle>
+          </DialogHeader>
+          {selected && (
+            <div className="space-y-5 text-sm">
+              <div className="grid grid-cols-2 gap-2 text-zinc-300">
+                <div>
+                  <span className="text-zinc-500">Email:</span> {selected.email}
+                </div>
+                <div>
+                  <span className="text-zinc-500">Role:</span> {selected.role}
+                </div>
+                <div>
+                  <span className="text-zinc-500">Joined:</span> {formatDate(selected.created_at)}
+                </div>
+                <div>
+                  <span className="text-zinc-500">Deactivated:</span>{" "}
+                  {formatDate(selected.deactivated_at)}
+                </div>
+                {selected.deletion_scheduled_for && (
+                  <div>
+                    <span className="text-zinc-500">Deletion requested:</span>{" "}
+                    {formatDate(selected.deletion_requested_at)}, purged after{" "}
+                    {formatDate(selected.deletion_scheduled_for)}
+                  </div>
+                )}
+              </div>
+
+              {loadingDetail ? (
+                <div className="flex items-center gap-2 text-zinc-400">
+                  <Loader2 className="w-4 h-4 animate-spin" /> Loading...
+                </div>
+              ) : (
+                <>
+                  {selected.role === "guardian" && (
+                    <div>
+                      <h3 className="font-semibold mb-2">Linked students ({linkedStudents.length})</h3>
+                      {linkedStudents.length === 0 ? (
+                        <p className="text-zinc-500 mb-2">No students linked yet.</p>
+                      ) : (
+                        <ul className="space-y-1 mb-2">
+                          {linkedStudents.map((s) => (
+                            <li key={s.id} className="flex items-center justify-between gap-2">
+                              <span>
+                                {s.full_name || s.email}{" "}
+                                <span className="text-zinc-500">{s.email}</span>
+                              </span>
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                className="cursor-pointer text-red-300 hover:text-red-200"
+                                disabled={linking}
+                                onClick={() => unlinkStudent(s)}
+                              >
+                                <Unlink className="w-4 h-4" />
+                              </Button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <div className="flex gap-2">
+                        <Input
+                          value={linkEmail}
+                          onChange={(e) => setLinkEmail(e.target.value)}
+                          onKeyDown={(e) => e.key === "Enter" && linkStudent()}
+                          placeholder="Student email"
+                          className="bg-zinc-800 border-zinc-700"
+                        />
+                        <Button
+                          className="bg-emerald-600 hover:bg-emerald-500 cursor-pointer"
+                          disabled={linking || !linkEmail.trim()}
+                          onClick={linkStudent}
+                        >
+                          <Link2 className="w-4 h-4 mr-1" /> Link
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+
+                  <div>
+                    <h3 className="font-semibold mb-2">Enrollments ({enrollments.length})</h3>
+                    {enrollments.length === 0 ? (
+                      <p className="text-zinc-500">Not enrolled in any course.</p>
+                    ) : (
+                      <ul className="space-y-1">
+                        {enrollments.map((e) => (
+                          <li key={e.id} className="flex items-center gap-2">
+                            {e.courses?.code && (
+                              <Badge className="bg-zinc-800 text-zinc-200">{e.courses.code}</Badge>
+                            )}
+                            {e.courses?.title || e.course_id}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div>
+                    <h3 className="font-semibold mb-2">Account history</h3>
+                    {history.length === 0 ? (
+                      <p className="text-zinc-500">No admin changes recorded.</p>
+                    ) : (
+                      <ul className="space-y-1 max-h-48 overflow-auto">
+                        {history.map((h) => (
+                          <li key={h.id} className="text-xs text-zinc-300">
+                            <span className="text-zinc-500">{formatDate(h.created_at)}</span> —{" "}
+                            <span className="text-emerald-300">{h.action}</span> by{" "}
+                            {h.actor?.full_name || h.actor?.email || "unknown"}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
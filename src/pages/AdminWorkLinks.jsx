@@ -44,7 +44,7 @@ export default function AdminWorkLinks() {
 
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title");
+      const { data, error } = await supabase.from("courses").select("id,title").is("archived_at", null);
       if (error) throw error;
       setCourses(data || []);
     } catch (err) {
@@ -10,6 +10,25 @@
 
 import React, { useEffect, useMemo, useRef, useState, useCallback, memo } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import { notifyUsers } from "../lib/notifications";
+import { fetchProfileDetails } from "../lib/profile";
+import StudentIdentity from "../components/profile/StudentIdentity";
+import { ALL_SECTIONS, fetchSections, groupSectionsByCourse, sectionName } from "../lib/sections";
+import SectionSelect from "../components/course/SectionSelect";
+import SubmissionAttachments from "../components/course/SubmissionAttachments";
+import DeadlineExtensionsDialog from "../components/course/DeadlineExtensionsDialog";
+import RubricPicker from "../components/course/RubricPicker";
+import RubricGradeDialog from "../components/course/RubricGradeDialog";
+import SubmissionHistoryDialog from "../components/course/SubmissionHistoryDialog";
+import { fetchRubric } from "../lib/rubrics";
+import { DEFAULT_MAX_FILE_MB, DEFAULT_MAX_FILES, SUBMISSION_FILE_KINDS } from "../lib/submissionFiles";
+import { applyLatePenalty, describeLatePolicy, lateLabel, submissionLateness } from "../lib/latePolicy";
+import { effectiveDeadline, extendedLabel, fetchExtensions } from "../lib/extensions";
+import { toLocalInput } from "../lib/utils";
 import { useNavigate } from "react-router-dom";
 import { format } from "date-fns";
 import { motion } from "framer-motion";
@@ -28,6 +47,8 @@ import {
 } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Switch } from "@/components/ui/switch";
 import { Button } from "@/components/ui/button";
 import {
   Select as ShadcnSelect,
@@ -68,6 +89,9 @@ import {
   BarChart3,
   ChevronRight,
   ChevronUp,
+  CalendarClock,
+  ClipboardCheck,
+  History,
 } from "lucide-react";
 
 // charts
@@ -87,6 +111,27 @@ import {
 
 const COLORS = ["#10B981", "#34D399", "#059669", "#047857", "#065F46", "#06b6d4", "#8b5cf6"];
 
+// empty upload limits fall back to the defaults in lib/submissionFiles; late rules see lib/latePolicy;
+// with a rubric (lib/rubrics) the grade is the rubric total; blank max_resubmissions = no limit
+const EMPTY_ASSIGNMENT_FORM = {
+  course_id: "",
+  section_id: ALL_SECTIONS,
+  title: "",
+  description: "",
+  due_date: "",
+  allowed_file_types: [],
+  max_file_mb: "",
+  max_files: "",
+  allow_late: false,
+  late_grace_minutes: "",
+  late_penalty_per_day: "",
+  late_cutoff: "",
+  rubric_id: null,
+  max_resubmissions: "",
+};
+
+const positiveIntOrNull = (v) => (parseInt(v, 10) > 0 ? parseInt(v, 10) : null);
+
 function formatDateDisplay(d) {
   try {
     if (!d) return "N/A";
@@ -160,21 +205,25 @@ export const ThemedSelect = Object.assign(ThemedSelectRoot, {
 
 export default function AssignmentPage() {
   const navigate = useNavigate();
+  const { user, role } = useAuth();
   const topRef = useRef(null);
 
   // Data
   const [courses, setCourses] = useState([]);
+  const [coursePerms, setCoursePerms] = useState({}); // course_id -> course_staff permissions
   const [assignments, setAssignments] = useState([]);
   const [selectedAssignment, setSelectedAssignment] = useState(null);
   const [submissions, setSubmissions] = useState([]);
-
-  // Form
-  const [newAssignment, setNewAssignment] = useState({
-    course_id: "",
-    title: "",
-    description: "",
-    due_date: "",
-  });
+  const [sectionsByCourse, setSectionsByCourse] = useState({});
+  const [submissionSection, setSubmissionSection] = useState(ALL_SECTIONS);
+  const [extensions, setExtensions] = useState([]); // deadline_extensions on the selected assignment
+  const [extensionsOpen, setExtensionsOpen] = useState(false);
+  const [selectedRubric, setSelectedRubric] = useState(null); // rubric of the selected assignment
+  const [rubricGrading, setRubricGrading] = useState(null); // submission being graded with it
+  const [historyFor, setHistoryFor] = useState(null); // submission whose versions are shown
+
+  // Form (section_id: ALL_SECTIONS = whole course)
+  const [newAssignment, setNewAssignment] = useState(EMPTY_ASSIGNMENT_FORM);
   const [editingAssignment, setEditingAssignment] = useState(null);
 
   // UI
@@ -199,32 +248,47 @@ export default function AssignmentPage() {
   // ---------------------------------------------------------------------------
   useEffect(() => {
     (async () => {
-      await fetchCourses();
-      await fetchAssignments();
+      const managed = await fetchCourses();
+      await fetchAssignments(managed);
     })();
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, role]);
+
+  // creating, editing and deleting assignments needs the course's "edit" permission (not TAs)
+  const canEditCourse = (courseId) => hasCoursePermission(coursePerms, courseId, "edit");
 
-  // fetch courses
+  // fetch courses (admins: all, instructors: owned or co-taught)
   const fetchCourses = async () => {
     try {
-      const { data, error } = await supabase.from("courses").select("id, title");
+      const { data, error } = await fetchManagedCourses({ user, role });
       if (error) throw error;
       setCourses(data || []);
+      fetchSections((data || []).map((c) => c.id))
+        .then((rows) => setSectionsByCourse(groupSectionsByCourse(rows)))
+        .catch((err) => console.error("fetchSections error", err));
+      fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id))
+        .then(setCoursePerms)
+        .catch((err) => console.error("fetchCoursePermissions error", err));
+      return data || [];
     } catch (err) {
       console.error("fetchCourses error", err);
       toast.error("Failed to load courses");
+      return [];
     }
   };
 
   // fetch assignments and join profiles to get creator name
-  const fetchAssignments = async () => {
+  const fetchAssignments = async (managed = courses) => {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from("assignments")
         .select(
-          "id, course_id, title, description, due_date, created_at, created_by, file_url, profiles!created_by(full_name, id)"
+          "id, course_id, section_id, title, description, due_date, created_at, created_by, file_url, allowed_file_types, max_file_mb, max_files, allow_late, late_grace_minutes, late_penalty_per_day, late_cutoff, rubric_id, max_resubmissions, profiles!created_by(full_name, id)"
         )
         .order("created_at", { ascending: false });
+      if (role !== "admin") query = query.in("course_id", managed.map((c) => c.id));
+
+      const { data, error } = await query;
 
       if (error) throw error;
 
@@ -260,29 +324,67 @@ export default function AssignmentPage() {
     })();
   }, [assignments]);
 
+  // rubric used to grade the selected assignment, if any
+  useEffect(() => {
+    let mounted = true;
+    setSelectedRubric(null);
+    if (selectedAssignment?.rubric_id) {
+      fetchRubric(selectedAssignment.rubric_id)
+        .then((r) => mounted && setSelectedRubric(r))
+        .catch((err) => console.error("fetchRubric error", err));
+    }
+    return () => {
+      mounted = false;
+    };
+  }, [selectedAssignment?.rubric_id]);
+
   // ---------------------------------------------------------------------------
   // Fetch submissions for currently selected assignment
   // ---------------------------------------------------------------------------
   useEffect(() => {
     if (!selectedAssignment) {
       setSubmissions([]);
+      setExtensions([]);
       return;
     }
     let mounted = true;
+    setSubmissionSection(ALL_SECTIONS);
     (async () => {
       setLoading(true);
       try {
-        const { data, error } = await supabase
-          .from("submissions")
-          .select("*, students(id, full_name, email)")
-          .eq("assignment_id", selectedAssignment.id)
-          .order("submitted_at", { ascending: true });
+        const [{ data, error }, { data: enrolled }, assignmentExtensions] = await Promise.all([
+          supabase
+            .from("submissions")
+            .select("*, students(id, full_name, email)")
+            .eq("assignment_id", selectedAssignment.id)
+            .order("submitted_at", { ascending: true }),
+          supabase
+            .from("enrollments")
+            .select("student_id, section_id")
+            .eq("course_id", selectedAssignment.course_id),
+          fetchExtensions("assignment", [selectedAssignment.id]).catch((err) => {
+            console.error("fetchExtensions error", err);
+            return [];
+          }),
+        ]);
+        if (mounted) setExtensions(assignmentExtensions);
+        const sectionOf = Object.fromEntries((enrolled || []).map((e) => [e.student_id, e.section_id]));
 
         if (error) {
           console.error("fetchSubmissions error", error);
           toast.error("Failed to fetch submissions");
-        } else if (mounted) {
-          setSubmissions(data || []);
+        } else {
+          // roll number, class and photo live on profiles
+          const details = await fetchProfileDetails((data || []).map((s) => s.student_id));
+          if (mounted) {
+            setSubmissions(
+              (data || []).map((s) => ({
+                ...s,
+                section_id: sectionOf[s.student_id] || null,
+                students: { ...s.students, ...details.get(s.student_id) },
+              }))
+            );
+          }
         }
       } catch (err) {
         console.error("fetchSubmissions error", err);
@@ -304,9 +406,19 @@ export default function AssignmentPage() {
     setEditingAssignment(assignment);
     setNewAssignment({
       course_id: assignment.course_id || "",
+      section_id: assignment.section_id || ALL_SECTIONS,
       title: assignment.title || "",
       description: assignment.description || "",
       due_date: assignment.due_date || "",
+      allowed_file_types: assignment.allowed_file_types || [],
+      max_file_mb: assignment.max_file_mb ?? "",
+      max_files: assignment.max_files ?? "",
+      allow_late: !!assignment.allow_late,
+      late_grace_minutes: assignment.late_grace_minutes ?? "",
+      late_penalty_per_day: assignment.late_penalty_per_day ?? "",
+      late_cutoff: toLocalInput(assignment.late_cutoff),
+      rubric_id: assignment.rubric_id || null,
+      max_resubmissions: assignment.max_resubmissions ?? "",
     });
 
     try {
@@ -364,12 +476,29 @@ export default function AssignmentPage() {
       toast.error("Please select a course and provide a title.");
       return;
     }
+    // TAs see their courses here but may only grade, not change assignments
+    if (!canEditCourse(newAssignment.course_id) || (editingAssignment && !canEditCourse(editingAssignment.course_id))) {
+      toast.error("Your role in this course can't create or change assignments.");
+      return;
+    }
+    if (
+      newAssignment.allow_late &&
+      newAssignment.late_cutoff &&
+      newAssignment.due_date &&
+      new Date(newAssignment.late_cutoff) < new Date(newAssignment.due_date)
+    ) {
+      toast.error("The late cutoff must be after the due date.");
+      return;
+    }
+    // a section picked for another course (before switching course) falls back to whole course
+    const sectionIdForSave = (sectionsByCourse[newAssignment.course_id] || []).some(
+      (s) => s.id === newAssignment.section_id
+    )
+      ? newAssignment.section_id
+      : null;
+
     setLoading(true);
     try {
-      const {
-        data: { user },
-      } = await supabase.auth.getUser();
-
       // If a PDF file selected, upload first and get URL
       let file_url = editingAssignment?.file_url || null;
       if (pdfFile) {
@@ -388,13 +517,30 @@ export default function AssignmentPage() {
         }
       }
 
+      const policyFields = {
+        allowed_file_types: newAssignment.allowed_file_types.length ? newAssignment.allowed_file_types : null,
+        max_file_mb: positiveIntOrNull(newAssignment.max_file_mb),
+        max_files: positiveIntOrNull(newAssignment.max_files),
+        allow_late: newAssignment.allow_late,
+        late_grace_minutes: positiveIntOrNull(newAssignment.late_grace_minutes),
+        late_penalty_per_day: Math.min(Math.max(Number(newAssignment.late_penalty_per_day) || 0, 0), 100) || null,
+        late_cutoff:
+          newAssignment.allow_late && newAssignment.late_cutoff ? new Date(newAssignment.late_cutoff).toISOString() : null,
+        rubric_id: newAssignment.rubric_id || null,
+        // 0 is a real limit (submit once); blank means unlimited
+        max_resubmissions:
+          newAssignment.max_resubmissions === "" ? null : Math.max(parseInt(newAssignment.max_resubmissions, 10) || 0, 0),
+      };
+
       if (editingAssignment) {
         const updates = {
           course_id: newAssignment.course_id,
+          section_id: sectionIdForSave,
           title: newAssignment.title,
           description: newAssignment.description,
           due_date: newAssignment.due_date || null,
           file_url: file_url || null,
+          ...policyFields,
         };
 
         const { error } = await supabase
@@ -427,11 +573,13 @@ export default function AssignmentPage() {
       } else {
         const payload = {
           course_id: newAssignment.course_id,
+          section_id: sectionIdForSave,
           title: newAssignment.title,
           description: newAssignment.description,
           due_date: newAssignment.due_date || null,
           created_by: user?.id ?? null,
           file_url: file_url || null,
+          ...policyFields,
         };
 
         const { data, error } = await supabase
@@ -450,7 +598,7 @@ export default function AssignmentPage() {
         }
       }
 
-      setNewAssignment({ course_id: "", title: "", description: "", due_date: "" });
+      setNewAssignment(EMPTY_ASSIGNMENT_FORM);
       setEditingAssignment(null);
       setPdfFile(null);
     } catch (err) {
@@ -465,12 +613,22 @@ export default function AssignmentPage() {
   // Delete assignment (confirm)
   // ---------------------------------------------------------------------------
   const handleConfirmDelete = (assignment) => {
+    if (!canEditCourse(assignment.course_id)) {
+      toast.error("Your role in this course can't delete assignments.");
+      return;
+    }
     setDeleteTarget(assignment);
     setShowConfirmDelete(true);
   };
 
   const handleDelete = async () => {
     if (!deleteTarget) return;
+    if (!canEditCourse(deleteTarget.course_id)) {
+      toast.error("Your role in this course can't delete assignments.");
+      setShowConfirmDelete(false);
+      setDeleteTarget(null);
+      return;
+    }
     setLoading(true);
     try {
       const { error } = await supabase.from("assignments").delete().eq("id", deleteTarget.id);
@@ -495,7 +653,32 @@ export default function AssignmentPage() {
   // ---------------------------------------------------------------------------
   // Grade submission (persist only on Save)
   // ---------------------------------------------------------------------------
-  const persistGradeFeedback = useCallback(async (submissionId, grade, feedback) => {
+  // course staff roles decide who may grade the selected assignment
+  const canGrade = hasCoursePermission(coursePerms, selectedAssignment?.course_id, "grade");
+
+  // the selected assignment as one student sees it, i.e. with their extension applied
+  const assignmentFor = useCallback(
+    (studentId, sectionId) => {
+      if (!selectedAssignment) return null;
+      const { deadline, extension } = effectiveDeadline(selectedAssignment.due_date, extensions, {
+        type: "assignment",
+        assessmentId: selectedAssignment.id,
+        studentId,
+        sectionId,
+      });
+      return extension
+        ? { ...selectedAssignment, due_date: deadline, original_deadline: selectedAssignment.due_date, extended_to: deadline }
+        : selectedAssignment;
+    },
+    [selectedAssignment, extensions]
+  );
+
+  // rubricScores: the filled rubric snapshot when graded with one (left untouched when undefined)
+  const persistGradeFeedback = useCallback(async (submissionId, grade, feedback, rubricScores) => {
+    if (!canGrade) {
+      toast.error("You don't have grading rights on this course");
+      return;
+    }
     setLoading(true);
     try {
       const parsedGrade =
@@ -505,20 +688,72 @@ export default function AssignmentPage() {
           ? null
           : Number(grade);
 
+      const { data: before } = await supabase
+        .from("submissions")
+        .select(
+          "grade, raw_grade, late_penalty, feedback, rubric_scores, student_id, submitted_at, assignments(title, due_date, allow_late, late_grace_minutes, late_penalty_per_day, late_cutoff)"
+        )
+        .eq("id", submissionId)
+        .maybeSingle();
+
+      // the entered grade is the raw one; the late penalty applies on top, counted from
+      // the student's extended deadline when they have one
+      const sectionId = submissions.find((s) => s.id === submissionId)?.section_id || null;
+      const extended = assignmentFor(before?.student_id, sectionId);
+      const { penaltyPct } = submissionLateness(
+        before?.assignments && {
+          ...before.assignments,
+          due_date: extended?.due_date ?? before.assignments.due_date,
+          original_deadline: extended?.original_deadline,
+        },
+        before
+      );
+      const gradeFields = {
+        raw_grade: parsedGrade,
+        late_penalty: parsedGrade === null ? null : penaltyPct,
+        grade: applyLatePenalty(parsedGrade, penaltyPct),
+        ...(rubricScores !== undefined && { rubric_scores: rubricScores }),
+      };
+
       const { error } = await supabase
         .from("submissions")
-        .update({ grade: parsedGrade, feedback })
+        .update({ ...gradeFields, feedback })
         .eq("id", submissionId);
 
       if (error) {
         console.error("grade update error", error);
         toast.error("Failed to update grade/feedback");
       } else {
-        toast.success("Saved");
+        await logAudit({
+          actorId: user?.id,
+          action: "submission.graded",
+          entityType: "submission",
+          entityId: submissionId,
+          before: before && {
+            grade: before.grade,
+            raw_grade: before.raw_grade,
+            late_penalty: before.late_penalty,
+            feedback: before.feedback,
+            ...(rubricScores !== undefined && { rubric_scores: before.rubric_scores }),
+          },
+          after: { ...gradeFields, feedback },
+        });
+        if (gradeFields.grade !== null && gradeFields.grade !== before?.grade) {
+          notifyUsers("grade_posted", [before?.student_id], {
+            assignmentTitle: before?.assignments?.title || "your assignment",
+            grade: gradeFields.grade,
+            feedback,
+          });
+        }
+        toast.success(
+          penaltyPct && parsedGrade !== null
+            ? `Saved – ${gradeFields.grade} after a ${penaltyPct}% late penalty`
+            : "Saved"
+        );
         // Optimistic patch in parent cache (without replacing objects to avoid remounting)
         setSubmissions((prev) =>
           prev.map((s) =>
-            s.id === submissionId ? { ...s, grade: parsedGrade, feedback } : s
+            s.id === submissionId ? { ...s, ...gradeFields, feedback } : s
           )
         );
       }
@@ -528,7 +763,7 @@ export default function AssignmentPage() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [user?.id, canGrade, submissions, assignmentFor]);
 
   // ---------------------------------------------------------------------------
   // Analytics per course (assignments count, submission counts)
@@ -555,6 +790,15 @@ export default function AssignmentPage() {
     a.title.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  const visibleSubmissions =
+    submissionSection === ALL_SECTIONS
+      ? submissions
+      : submissions.filter((s) => s.section_id === submissionSection);
+
+  // null for whole-course assignments
+  const assignmentSectionLabel = (a) =>
+    a.section_id ? sectionName(sectionsByCourse[a.course_id], a.section_id) : null;
+
   const groupedByCourse = useMemo(() => {
     const out = {};
     assignments.forEach((a) => {
@@ -575,54 +819,114 @@ export default function AssignmentPage() {
   // ---------------------------------------------------------------------------
   // Submission Rows with local buffers (prevents keyboard lift/remount)
   // ---------------------------------------------------------------------------
-  const DesktopSubmissionRow = memo(function DesktopSubmissionRowInner({ s, onSave }) {
-    const [localGrade, setLocalGrade] = useState(s.grade ?? "");
+  // late flag from the selected assignment's policy (after any extension), plus the grade
+  // after penalty once graded
+  const LateBadge = ({ s }) => {
+    const assignment = assignmentFor(s.student_id, s.section_id);
+    const label = lateLabel(submissionLateness(assignment, s));
+    const extended = extendedLabel(assignment);
+    if (!label && !extended) return null;
+    return (
+      <div className="mt-1 space-y-0.5">
+        {extended && <div className="text-xs text-emerald-300">{extended}</div>}
+        {label && <Badge className="bg-amber-700/40 text-amber-200 border border-amber-600/40">{label}</Badge>}
+        {s.late_penalty > 0 && s.grade != null && (
+          <div className="text-xs text-amber-300">Final grade {s.grade}</div>
+        )}
+      </div>
+    );
+  };
+
+  // with a rubric the grade comes from clicking through its levels
+  const RubricGradeButton = ({ s, readOnly }) => (
+    <Button
+      size="sm"
+      variant="outline"
+      className="border-emerald-700/60 text-emerald-200 hover:bg-emerald-900/30 cursor-pointer"
+      disabled={readOnly && !s.rubric_scores}
+      onClick={() => setRubricGrading(s)}
+    >
+      <ClipboardCheck className="h-4 w-4 mr-1" />
+      {s.rubric_scores ? `${s.rubric_scores.total} / ${s.rubric_scores.max}` : "Rubric"}
+    </Button>
+  );
+
+  // every saved version of the work, with what changed between them
+  const HistoryButton = ({ s }) => (
+    <Button
+      size="sm"
+      variant="ghost"
+      className="h-7 px-2 text-xs text-zinc-300 hover:text-emerald-200 cursor-pointer"
+      onClick={() => setHistoryFor(s)}
+    >
+      <History className="h-3.5 w-3.5 mr-1" /> History (v{s.version || 1})
+    </Button>
+  );
+
+  const DesktopSubmissionRow = memo(function DesktopSubmissionRowInner({ s, onSave, readOnly }) {
+    const [localGrade, setLocalGrade] = useState(s.raw_grade ?? s.grade ?? "");
     const [localFeedback, setLocalFeedback] = useState(s.feedback ?? "");
 
     // Keep local state in sync if parent refreshes from server (id-stable; avoid remount)
     useEffect(() => {
-      setLocalGrade(s.grade ?? "");
-    }, [s.grade]);
+      setLocalGrade(s.raw_grade ?? s.grade ?? "");
+    }, [s.raw_grade, s.grade]);
     useEffect(() => {
       setLocalFeedback(s.feedback ?? "");
     }, [s.feedback]);
 
     return (
       <TableRow key={s.id} className="hover:bg-zinc-800/20">
-        <TableCell className="font-medium text-emerald-300">
-          {s.students?.full_name || "Unknown"}
+        <TableCell>
+          <StudentIdentity student={s.students} nameClassName="font-medium text-emerald-300" />
         </TableCell>
         <TableCell className="text-zinc-300">{s.students?.email}</TableCell>
-        <TableCell className="text-zinc-300">{formatDateDisplay(s.submitted_at)}</TableCell>
+        <TableCell className="text-zinc-300">
+          {formatDateDisplay(s.submitted_at)}
+          <LateBadge s={s} />
+          <HistoryButton s={s} />
+        </TableCell>
         <TableCell>
-          {s.file_url ? (
-            <a
-              href={s.file_url}
-              target="_blank"
-              rel="noreferrer"
-              className="text-emerald-400 underline"
-            >
-              View
-            </a>
+          {s.file_url || s.attachments?.length ? (
+            <div className="space-y-1">
+              {s.file_url && (
+                <a
+                  href={s.file_url}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-emerald-400 underline"
+                >
+                  View link
+                </a>
+              )}
+              <SubmissionAttachments attachments={s.attachments} />
+              {s.note && <p className="text-xs text-zinc-400 whitespace-pre-wrap">{s.note}</p>}
+            </div>
           ) : (
             "N/A"
           )}
         </TableCell>
         <TableCell>
-          <Input
-            type="number"
-            inputMode="numeric"
-            placeholder="Grade"
-            value={localGrade}
-            onChange={(e) => setLocalGrade(e.target.value)}
-            className="w-24 bg-zinc-800 text-emerald-100 border-zinc-700"
-          />
+          {selectedRubric ? (
+            <RubricGradeButton s={s} readOnly={readOnly} />
+          ) : (
+            <Input
+              type="number"
+              inputMode="numeric"
+              placeholder="Grade"
+              value={localGrade}
+              onChange={(e) => setLocalGrade(e.target.value)}
+              disabled={readOnly}
+              className="w-24 bg-zinc-800 text-emerald-100 border-zinc-700"
+            />
+          )}
         </TableCell>
         <TableCell>
           <Textarea
             value={localFeedback}
             onChange={(e) => setLocalFeedback(e.target.value)}
             placeholder="Feedback..."
+            disabled={readOnly}
             className="bg-zinc-800 text-emerald-100 border-zinc-700"
           />
         </TableCell>
@@ -630,6 +934,7 @@ export default function AssignmentPage() {
           <Button
             size="sm"
             className="bg-emerald-600 hover:bg-emerald-500 text-black cursor-pointer"
+            disabled={readOnly}
             onClick={() => onSave(s.id, localGrade, localFeedback)}
           >
             Save
@@ -639,13 +944,13 @@ export default function AssignmentPage() {
     );
   });
 
-  const MobileSubmissionCard = memo(function MobileSubmissionCardInner({ s, onSave }) {
-    const [localGrade, setLocalGrade] = useState(s.grade ?? "");
+  const MobileSubmissionCard = memo(function MobileSubmissionCardInner({ s, onSave, readOnly }) {
+    const [localGrade, setLocalGrade] = useState(s.raw_grade ?? s.grade ?? "");
     const [localFeedback, setLocalFeedback] = useState(s.feedback ?? "");
 
     useEffect(() => {
-      setLocalGrade(s.grade ?? "");
-    }, [s.grade]);
+      setLocalGrade(s.raw_grade ?? s.grade ?? "");
+    }, [s.raw_grade, s.grade]);
     useEffect(() => {
       setLocalFeedback(s.feedback ?? "");
     }, [s.feedback]);
@@ -654,13 +959,13 @@ export default function AssignmentPage() {
       <div className="bg-zinc-800/80 border border-zinc-700 rounded-xl p-4 shadow-sm">
         <div className="flex items-start justify-between gap-3">
           <div>
-            <div className="text-emerald-300 font-medium">
-              {s.students?.full_name || "Unknown"}
-            </div>
-            <div className="text-xs text-zinc-400">{s.students?.email || "—"}</div>
+            <StudentIdentity student={s.students} nameClassName="text-emerald-300 font-medium" />
+            <div className="text-xs text-zinc-400 mt-1">{s.students?.email || "—"}</div>
             <div className="text-xs text-zinc-500 mt-2">
               Submitted: {formatDateDisplay(s.submitted_at)}
             </div>
+            <LateBadge s={s} />
+            <HistoryButton s={s} />
           </div>
 
           <div className="text-xs text-zinc-400">Status</div>
@@ -668,32 +973,41 @@ export default function AssignmentPage() {
 
         <div className="mt-3 space-y-2">
           <div>
-            {s.file_url ? (
+            {s.file_url && (
               <a
                 href={s.file_url}
                 target="_blank"
                 rel="noreferrer"
                 className="text-emerald-400 underline"
               >
-                View File
+                View link
               </a>
-            ) : (
-              <div className="text-zinc-400">No file attached</div>
             )}
+            <SubmissionAttachments
+              attachments={s.attachments}
+              emptyText={!s.file_url && <div className="text-zinc-400">No file attached</div>}
+            />
+            {s.note && <p className="text-xs text-zinc-400 whitespace-pre-wrap mt-1">{s.note}</p>}
           </div>
 
           <div className="flex gap-2 items-center">
-            <Input
-              type="number"
-              inputMode="numeric"
-              placeholder="Grade"
-              value={localGrade}
-              onChange={(e) => setLocalGrade(e.target.value)}
-              className="w-28 bg-zinc-800 text-emerald-100 border-zinc-700"
-            />
+            {selectedRubric ? (
+              <RubricGradeButton s={s} readOnly={readOnly} />
+            ) : (
+              <Input
+                type="number"
+                inputMode="numeric"
+                placeholder="Grade"
+                value={localGrade}
+                onChange={(e) => setLocalGrade(e.target.value)}
+                disabled={readOnly}
+                className="w-28 bg-zinc-800 text-emerald-100 border-zinc-700"
+              />
+            )}
             <Button
               size="sm"
               className="bg-emerald-600 cursor-pointer hover:bg-emerald-500 text-black"
+              disabled={readOnly}
               onClick={() => onSave(s.id, localGrade, localFeedback)}
             >
               Save
@@ -705,6 +1019,7 @@ export default function AssignmentPage() {
               value={localFeedback}
               placeholder="Feedback..."
               onChange={(e) => setLocalFeedback(e.target.value)}
+              disabled={readOnly}
               className="bg-zinc-800 text-emerald-100 border-zinc-700"
             />
           </div>
@@ -733,29 +1048,32 @@ export default function AssignmentPage() {
             <div className="text-emerald-300 font-semibold">{a.title}</div>
             <div className="text-xs text-zinc-400 mt-1">
               Course: {courses.find((c) => c.id === a.course_id)?.title || "N/A"}
+              {assignmentSectionLabel(a) && ` · ${assignmentSectionLabel(a)}`}
             </div>
             <div className="text-xs text-zinc-500 mt-1">Due: {due}</div>
           </div>
 
           <div className="flex flex-col items-end gap-2">
-            <div className="flex gap-2">
-              <Button
-                size="sm"
-                variant="outline"
-                onClick={() => startEdit(a)}
-                className="border-zinc-700 cursor-pointer text-emerald-200"
-              >
-                <Edit className="w-4 h-4 mr-1" /> Edit
-              </Button>
-              <Button
-                size="sm"
-                variant="destructive"
-                className="cursor-pointer"
-                onClick={() => handleConfirmDelete(a)}
-              >
-                <Trash className="w-4 h-4 mr-1" /> Delete
-              </Button>
-            </div>
+            {canEditCourse(a.course_id) && (
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => startEdit(a)}
+                  className="border-zinc-700 cursor-pointer text-emerald-200"
+                >
+                  <Edit className="w-4 h-4 mr-1" /> Edit
+                </Button>
+                <Button
+                  size="sm"
+                  variant="destructive"
+                  className="cursor-pointer"
+                  onClick={() => handleConfirmDelete(a)}
+                >
+                  <Trash className="w-4 h-4 mr-1" /> Delete
+                </Button>
+              </div>
+            )}
 
             <Button
               size="sm"
@@ -828,6 +1146,11 @@ export default function AssignmentPage() {
         <TableCell className="font-medium text-emerald-300">{a.title}</TableCell>
         <TableCell className="text-zinc-300">
           {courses.find((c) => c.id === a.course_id)?.title || "N/A"}
+          {assignmentSectionLabel(a) && (
+            <Badge className="ml-2 bg-zinc-700/40 text-zinc-300 px-2 py-0.5">
+              {assignmentSectionLabel(a)}
+            </Badge>
+          )}
         </TableCell>
         <TableCell className="text-zinc-300">
           {a.due_date ? new Date(a.due_date).toLocaleDateString() : "—"}
@@ -843,22 +1166,26 @@ export default function AssignmentPage() {
             <span className="text-zinc-500 mr-3">No PDF</span>
           )}
 
-          <Button
-            size="sm"
-            variant="outline"
-            onClick={() => startEdit(a)}
-            className="border-zinc-700 cursor-pointer"
-          >
-            <Edit className="w-4 h-4 mr-1" /> Edit
-          </Button>
-          <Button
-            size="sm"
-            variant="destructive"
-            onClick={() => handleConfirmDelete(a)}
-            className="ml-2 cursor-pointer"
-          >
-            <Trash className="w-4 h-4 mr-1" /> Delete
-          </Button>
+          {canEditCourse(a.course_id) && (
+            <>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => startEdit(a)}
+                className="border-zinc-700 cursor-pointer"
+              >
+                <Edit className="w-4 h-4 mr-1" /> Edit
+              </Button>
+              <Button
+                size="sm"
+                variant="destructive"
+                onClick={() => handleConfirmDelete(a)}
+                className="ml-2 cursor-pointer"
+              >
+                <Trash className="w-4 h-4 mr-1" /> Delete
+              </Button>
+            </>
+          )}
           <Button
             size="sm"
             onClick={() => setSelectedAssignment(a)}
@@ -960,7 +1287,7 @@ export default function AssignmentPage() {
                     </ThemedSelect.Trigger>
 
                     <ThemedSelect.Content>
-                      {courses.map((c) => (
+                      {courses.filter((c) => canEditCourse(c.id)).map((c) => (
                         <ThemedSelect.Item key={c.id} value={c.id}>
                           {c.title}
                         </ThemedSelect.Item>
@@ -969,6 +1296,19 @@ export default function AssignmentPage() {
                   </ThemedSelect>
                 </div>
 
+                {sectionsByCourse[newAssignment.course_id]?.length > 0 && (
+                  <div>
+                    <label className="block text-zinc-400 mb-1">Section</label>
+                    <SectionSelect
+                      sections={sectionsByCourse[newAssignment.course_id]}
+                      value={newAssignment.section_id}
+                      allLabel="Whole course"
+                      onChange={(v) => setNewAssignment((p) => ({ ...p, section_id: v }))}
+                      className="bg-zinc-800 border-zinc-700 w-full"
+                    />
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-zinc-400 mb-1">Title</label>
                   <Input
@@ -1085,6 +1425,116 @@ export default function AssignmentPage() {
   )}
 </div>
 
+                {/* Student upload limits */}
+                <div>
+                  <label className="block text-zinc-400 mb-1">Student uploads</label>
+                  <div className="flex flex-wrap gap-4">
+                    {Object.entries(SUBMISSION_FILE_KINDS).map(([key, kind]) => (
+                      <label key={key} className="flex items-center gap-2 text-sm text-zinc-300 cursor-pointer">
+                        <Checkbox
+                          checked={newAssignment.allowed_file_types.includes(key)}
+                          onCheckedChange={(v) =>
+                            setNewAssignment((p) => ({
+                              ...p,
+                              allowed_file_types: v
+                                ? [...p.allowed_file_types, key]
+                                : p.allowed_file_types.filter((k) => k !== key),
+                            }))
+                          }
+                        />
+                        {kind.label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-3 mt-2">
+                    <Input
+                      type="number"
+                      min="1"
+                      placeholder={`Max MB per file (${DEFAULT_MAX_FILE_MB})`}
+                      value={newAssignment.max_file_mb}
+                      onChange={(e) => setNewAssignment((p) => ({ ...p, max_file_mb: e.target.value }))}
+                      className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                    />
+                    <Input
+                      type="number"
+                      min="1"
+                      placeholder={`Max files (${DEFAULT_MAX_FILES})`}
+                      value={newAssignment.max_files}
+                      onChange={(e) => setNewAssignment((p) => ({ ...p, max_files: e.target.value }))}
+                      className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                    />
+                  </div>
+                  <p className="text-xs text-zinc-500 mt-1">No type ticked allows every type.</p>
+                </div>
+
+                {/* Grading rubric */}
+                <div>
+                  <label className="block text-zinc-400 mb-1">Grading rubric</label>
+                  <RubricPicker
+                    value={newAssignment.rubric_id}
+                    onChange={(id) => setNewAssignment((p) => ({ ...p, rubric_id: id }))}
+                  />
+                </div>
+
+                {/* Resubmissions */}
+                <div>
+                  <label className="block text-zinc-400 mb-1">Max resubmissions</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    placeholder="Unlimited"
+                    value={newAssignment.max_resubmissions}
+                    onChange={(e) => setNewAssignment((p) => ({ ...p, max_resubmissions: e.target.value }))}
+                    className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                  />
+                  <p className="text-xs text-zinc-500 mt-1">
+                    Times a student may change work after submitting; every version is kept.
+                  </p>
+                </div>
+
+                {/* Late submission policy */}
+                <div className="space-y-2">
+                  <label className="flex items-center gap-2 text-zinc-400 cursor-pointer">
+                    <Switch
+                      checked={newAssignment.allow_late}
+                      onCheckedChange={(v) => setNewAssignment((p) => ({ ...p, allow_late: v }))}
+                    />
+                    Accept late submissions
+                  </label>
+                  <div className="grid grid-cols-2 gap-3">
+                    <Input
+                      type="number"
+                      min="0"
+                      placeholder="Grace minutes"
+                      value={newAssignment.late_grace_minutes}
+                      onChange={(e) => setNewAssignment((p) => ({ ...p, late_grace_minutes: e.target.value }))}
+                      className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                    />
+                    {newAssignment.allow_late && (
+                      <Input
+                        type="number"
+                        min="0"
+                        max="100"
+                        placeholder="Penalty % per day"
+                        value={newAssignment.late_penalty_per_day}
+                        onChange={(e) => setNewAssignment((p) => ({ ...p, late_penalty_per_day: e.target.value }))}
+                        className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                      />
+                    )}
+                  </div>
+                  {newAssignment.allow_late && (
+                    <div>
+                      <label className="block text-xs text-zinc-500 mb-1">Hard cutoff (optional)</label>
+                      <Input
+                        type="datetime-local"
+                        value={newAssignment.late_cutoff}
+                        onChange={(e) => setNewAssignment((p) => ({ ...p, late_cutoff: e.target.value }))}
+                        className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                      />
+                    </div>
+                  )}
+                </div>
+
 
                 <div className="flex gap-3 items-center">
                   <Button
@@ -1100,12 +1550,7 @@ export default function AssignmentPage() {
                       variant="ghost"
                       onClick={() => {
                         setEditingAssignment(null);
-                        setNewAssignment({
-                          course_id: "",
-                          title: "",
-                          description: "",
-                          due_date: "",
-                        });
+                        setNewAssignment(EMPTY_ASSIGNMENT_FORM);
                         setPdfFile(null);
                       }}
                       className="cursor-pointer bg-white text-black "
@@ -1287,6 +1732,14 @@ export default function AssignmentPage() {
                   ))}
                 </ThemedSelect.Content>
               </ThemedSelect>
+              {selectedAssignment && (
+                <SectionSelect
+                  sections={sectionsByCourse[selectedAssignment.course_id]}
+                  value={submissionSection}
+                  onChange={setSubmissionSection}
+                  className="bg-zinc-800 border-zinc-700 w-40"
+                />
+              )}
             </div>
           </div>
 
@@ -1310,12 +1763,35 @@ export default function AssignmentPage() {
                             ?.title || "N/A"}{" "}
                           • Created: {formatDateDisplay(selectedAssignment.created_at)}
                         </div>
+                        {selectedAssignment.due_date && (
+                          <div className="text-xs text-zinc-500">{describeLatePolicy(selectedAssignment)}</div>
+                        )}
+                        {selectedRubric && (
+                          <div className="text-xs text-emerald-300/80">Graded with rubric: {selectedRubric.title}</div>
+                        )}
+                        {selectedAssignment.max_resubmissions != null && (
+                          <div className="text-xs text-zinc-500">
+                            Max resubmissions: {selectedAssignment.max_resubmissions}
+                          </div>
+                        )}
                       </div>
-                      <div className="text-xs text-zinc-400">
+                      <div className="text-xs text-zinc-400 text-right">
                         Submissions:{" "}
                         <span className="text-emerald-300 font-medium">
-                          {submissions.length}
+                          {visibleSubmissions.length}
                         </span>
+                        {!canGrade && <div className="text-amber-300 mt-1">View only: no grading rights</div>}
+                        {canGrade && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            className="mt-2 border-zinc-700 text-zinc-200 hover:bg-zinc-800 cursor-pointer"
+                            onClick={() => setExtensionsOpen(true)}
+                          >
+                            <CalendarClock className="h-4 w-4 mr-1" /> Extensions
+                            {extensions.length > 0 && ` (${extensions.length})`}
+                          </Button>
+                        )}
                       </div>
                     </div>
 
@@ -1326,21 +1802,22 @@ export default function AssignmentPage() {
                             <TableHead className="text-emerald-300">Student</TableHead>
                             <TableHead className="text-emerald-300">Email</TableHead>
                             <TableHead className="text-emerald-300">Submitted At</TableHead>
-                            <TableHead className="text-emerald-300">File</TableHead>
+                            <TableHead className="text-emerald-300">Work</TableHead>
                             <TableHead className="text-emerald-300">Grade</TableHead>
                             <TableHead className="text-emerald-300">Feedback</TableHead>
                             <TableHead className="text-emerald-300">Action</TableHead>
                           </TableRow>
                         </TableHeader>
                         <TableBody>
-                          {submissions.map((s) => (
+                          {visibleSubmissions.map((s) => (
                             <DesktopSubmissionRow
                               key={s.id}
                               s={s}
                               onSave={persistGradeFeedback}
+                              readOnly={!canGrade}
                             />
                           ))}
-                          {submissions.length === 0 && (
+                          {visibleSubmissions.length === 0 && (
                             <TableRow>
                               <TableCell
                                 colSpan={7}
@@ -1379,22 +1856,33 @@ export default function AssignmentPage() {
                           ?.title || "N/A"}
                       </div>
                     </div>
-                    <div className="text-xs text-zinc-400">
+                    <div className="text-xs text-zinc-400 text-right">
                       Submissions:{" "}
                       <span className="text-emerald-300 font-medium">
-                        {submissions.length}
+                        {visibleSubmissions.length}
                       </span>
+                      {canGrade && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="mt-2 border-zinc-700 text-zinc-200 hover:bg-zinc-800 cursor-pointer"
+                          onClick={() => setExtensionsOpen(true)}
+                        >
+                          <CalendarClock className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
 
                 <div className="space-y-3">
-                  {submissions.length > 0 ? (
-                    submissions.map((s) => (
+                  {visibleSubmissions.length > 0 ? (
+                    visibleSubmissions.map((s) => (
                       <MobileSubmissionCard
                         key={s.id}
                         s={s}
                         onSave={persistGradeFeedback}
+                        readOnly={!canGrade}
                       />
                     ))
                   ) : (
@@ -1409,6 +1897,40 @@ export default function AssignmentPage() {
         </section>
       </main>
 
+      <RubricGradeDialog
+        open={!!rubricGrading}
+        onOpenChange={(v) => !v && setRubricGrading(null)}
+        rubric={selectedRubric}
+        scores={rubricGrading?.rubric_scores}
+        feedback={rubricGrading?.feedback}
+        subtitle={rubricGrading?.students?.full_name || rubricGrading?.students?.email}
+        onSave={
+          canGrade
+            ? (result, feedback) => persistGradeFeedback(rubricGrading.id, result.total, feedback, result)
+            : undefined
+        }
+      />
+
+      <DeadlineExtensionsDialog
+        open={extensionsOpen}
+        onOpenChange={setExtensionsOpen}
+        type="assignment"
+        item={selectedAssignment}
+        courseId={selectedAssignment?.course_id}
+        courseTitle={courses.find((c) => c.id === selectedAssignment?.course_id)?.title}
+        deadline={selectedAssignment?.due_date}
+        onChange={setExtensions}
+      />
+
+      <SubmissionHistoryDialog
+        open={!!historyFor}
+        onOpenChange={(v) => !v && setHistoryFor(null)}
+        submission={historyFor}
+        subtitle={[historyFor?.students?.full_name || historyFor?.students?.email, selectedAssignment?.title]
+          .filter(Boolean)
+          .join(" · ")}
+      />
+
       {/* Delete confirmation dialog */}
       <AlertDialog open={showConfirmDelete} onOpenChange={setShowConfirmDelete}>
         <AlertDialogContent className="bg-zinc-950 border border-zinc-800">
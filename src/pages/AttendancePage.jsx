@@ -1,6 +1,14 @@
 // src/pages/AttendancePage.jsx
 import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import { fetchProfileDetails } from "../lib/profile";
+import StudentIdentity from "../components/profile/StudentIdentity";
+import { ALL_SECTIONS, fetchSections, sectionName } from "../lib/sections";
+import SectionSelect from "../components/course/SectionSelect";
 import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
@@ -53,10 +61,13 @@ import {
 
 export default function AttendancePage() {
   const navigate = useNavigate();
+  const { user, role } = useAuth();
 
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [students, setStudents] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [sectionFilter, setSectionFilter] = useState(ALL_SECTIONS);
   const [loading, setLoading] = useState(false);
   const [stats, setStats] = useState({ totalCourses: 0, totalStudents: 0 });
   const [attendanceMarked, setAttendanceMarked] = useState({});
@@ -93,26 +104,43 @@ export default function AttendancePage() {
   /* ---- Fetch courses ---- */
   useEffect(() => {
     const fetchCourses = async () => {
-      const { data, error } = await supabase.from("courses").select("id, title");
+      // instructors only take attendance for courses whose staff role allows it
+      const { data, error } = await fetchManagedCourses({ user, role });
       if (!error) {
-        setCourses(data || []);
-        setStats((prev) => ({ ...prev, totalCourses: data?.length || 0 }));
+        let allowed = data || [];
+        try {
+          const perms = await fetchCoursePermissions({ user, role }, allowed.map((c) => c.id));
+          allowed = allowed.filter((c) => hasCoursePermission(perms, c.id, "attendance"));
+        } catch (err) {
+          console.error("fetchCoursePermissions", err);
+          allowed = [];
+        }
+        setCourses(allowed);
+        setStats((prev) => ({ ...prev, totalCourses: allowed.length }));
       }
     };
     fetchCourses();
-  }, []);
+  }, [user, role]);
 
   /* ---- Fetch students ---- */
   useEffect(() => {
     if (!selectedCourse) return;
     const fetchStudents = async () => {
       setLoading(true);
+      setSectionFilter(ALL_SECTIONS);
+      fetchSections(selectedCourse)
+        .then(setSections)
+        .catch((err) => {
+          console.error("Error fetching sections", err);
+          setSections([]);
+        });
       const { data, error } = await supabase
         .from("enrollments")
         .select(
           `
           id,
           student_id,
+          section_id,
           students (
             id,
             full_name,
@@ -126,11 +154,15 @@ export default function AttendancePage() {
         console.error("Error fetching students", error);
         setStudents([]);
       } else {
+        // roll number, class and photo live on profiles
+        const details = await fetchProfileDetails(data.map((e) => e.student_id));
         const formatted = data.map((e) => ({
+          ...details.get(e.student_id),
           id: e.students?.id || e.student_id,
           full_name: e.students?.full_name || "Unknown",
           email: e.students?.email || "N/A",
           enrollment_id: e.id,
+          section_id: e.section_id || null,
         }));
         setStudents(formatted);
         setStats((prev) => ({ ...prev, totalStudents: formatted.length }));
@@ -140,6 +172,10 @@ export default function AttendancePage() {
     fetchStudents();
   }, [selectedCourse]);
 
+  // students without a section only show under "All sections"
+  const visibleStudents =
+    sectionFilter === ALL_SECTIONS ? students : students.filter((s) => s.section_id === sectionFilter);
+
   /* ---- Helpers ---- */
   const getKey = (courseId, studentId) => `${courseId}-${studentId}`;
   const isDisabled = (studentId) => {
@@ -164,25 +200,32 @@ export default function AttendancePage() {
       return;
     }
 
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
-    const { error } = await supabase.from("attendance").insert([
-      {
-        course_id: selectedCourse,
-        student_id: studentId,
-        enrollment_id: enrollmentId,
-        status,
-        marked_by: user?.id,
-        date: now.toISOString().slice(0, 10),
-      },
-    ]);
+    const { data: inserted, error } = await supabase
+      .from("attendance")
+      .insert([
+        {
+          course_id: selectedCourse,
+          student_id: studentId,
+          enrollment_id: enrollmentId,
+          status,
+          marked_by: user?.id,
+          date: now.toISOString().slice(0, 10),
+        },
+      ])
+      .select()
+      .single();
 
     if (error) {
       console.error("Error marking attendance", error);
       toast.error("Failed to mark attendance");
     } else {
+      await logAudit({
+        actorId: user?.id,
+        action: "attendance.recorded",
+        entityType: "attendance",
+        entityId: inserted?.id,
+        after: inserted,
+      });
       toast.success(`Marked ${status}`, { position: "top-right" });
       setAttendanceMarked((prev) => ({ ...prev, [key]: now }));
     }
@@ -275,13 +318,14 @@ export default function AttendancePage() {
 
         {/* Students List */}
         <Card className="bg-zinc-900/60 border border-zinc-800 rounded-2xl shadow-lg">
-          <CardHeader>
+          <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-3">
             <CardTitle className="text-emerald-300">Students</CardTitle>
+            <SectionSelect sections={sections} value={sectionFilter} onChange={setSectionFilter} />
           </CardHeader>
           <CardContent>
             {loading ? (
               <p className="text-zinc-400">Loading students...</p>
-            ) : students.length > 0 ? (
+            ) : visibleStudents.length > 0 ? (
               <>
                 {/* Desktop Table */}
                 <div className="hidden md:block overflow-x-auto">
@@ -290,21 +334,29 @@ export default function AttendancePage() {
                       <TableRow className="bg-gray-950/60 border-zinc-800">
                         <TableHead className="text-emerald-400">Name</TableHead>
                         <TableHead className="text-emerald-400">Email</TableHead>
+                        {sections.length > 0 && (
+                          <TableHead className="text-emerald-400">Section</TableHead>
+                        )}
                         <TableHead className="text-emerald-400">Attendance</TableHead>
                         <TableHead className="text-emerald-400">Reset At</TableHead>
                       </TableRow>
                     </TableHeader>
                     <TableBody>
-                      {students.map((s) => (
+                      {visibleStudents.map((s) => (
                         <motion.tr
                           key={s.id}
                           whileHover={{ backgroundColor: "rgba(16,185,129,0.08)" }}
                           className="border-zinc-800"
                         >
-                          <TableCell className="text-zinc-200 font-medium">
-                            {s.full_name}
+                          <TableCell>
+                            <StudentIdentity student={s} />
                           </TableCell>
                           <TableCell className="text-zinc-300">{s.email}</TableCell>
+                          {sections.length > 0 && (
+                            <TableCell className="text-zinc-400">
+                              {s.section_id ? sectionName(sections, s.section_id) : "—"}
+                            </TableCell>
+                          )}
                           <TableCell className="flex gap-2">
                             {["present", "absent", "late"].map((status) => (
                               <AttendanceButton
@@ -333,7 +385,7 @@ export default function AttendancePage() {
 
                 {/* Mobile Cards */}
                 <div className="grid grid-cols-1 gap-4 md:hidden">
-                  {students.map((s) => (
+                  {visibleStudents.map((s) => (
                     <motion.div
                       key={s.id}
                       initial={{ opacity: 0, y: 10 }}
@@ -341,8 +393,11 @@ export default function AttendancePage() {
                       transition={{ duration: 0.3 }}
                       className="p-4 rounded-xl border border-zinc-700 bg-zinc-800/80 shadow hover:shadow-emerald-500/10 transition"
                     >
-                      <p className="font-semibold text-emerald-400">{s.full_name}</p>
-                      <p className="text-sm text-zinc-400 mb-3">{s.email}</p>
+                      <StudentIdentity student={s} nameClassName="font-semibold text-emerald-400" />
+                      <p className="text-sm text-zinc-400 mt-1 mb-3">
+                        {s.email}
+                        {s.section_id && ` · ${sectionName(sections, s.section_id)}`}
+                      </p>
                       <div className="flex flex-wrap gap-2">
                         {["present", "absent", "late"].map((status) => (
                           <AttendanceButton
@@ -365,7 +420,9 @@ export default function AttendancePage() {
                 </div>
               </>
             ) : (
-              <p className="text-center text-zinc-500">No students enrolled</p>
+              <p className="text-center text-zinc-500">
+                {students.length > 0 ? "No students in this section" : "No students enrolled"}
+              </p>
             )}
           </CardContent>
         </Card>
@@ -1,10 +1,9 @@
 // src/pages/AuthPage.jsx
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { Canvas } from "@react-three/fiber";
 import { OrbitControls, Stars } from "@react-three/drei";
-import emailjs from "emailjs-com";
 
 import {
   Mail,
@@ -21,9 +20,15 @@ import {
   FileText,
   BarChart3,
   Settings,
+  Wand2,
+  KeyRound,
 } from "lucide-react";
 import { MonitorSmartphone, UserCheck, LayoutDashboard } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { homePathForRole, isStaffRole } from "../lib/roles";
+import { notify } from "../lib/notifications";
+import { validateNewPassword, MIN_PASSWORD_LENGTH } from "../lib/password";
 
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -114,6 +119,52 @@ function Field({ id, label, type = "text", icon: Icon, value, onChange, autoComp
   );
 }
 
+// view= values for the account recovery screens
+const RECOVERY_VIEWS = {
+  forgot: "forgot-password",
+  magic: "magic-link",
+  reset: "reset-password",
+};
+
+function recoveryRedirect(view) {
+  return `${window.location.origin}/login?view=${view}`;
+}
+
+function RecoveryLinks({ onRecovery }) {
+  return (
+    <div className="flex items-center justify-between text-xs">
+      <button
+        type="button"
+        onClick={() => onRecovery?.("forgot")}
+        className="text-zinc-400 hover:text-emerald-300 cursor-pointer"
+      >
+        Forgot password?
+      </button>
+      <button
+        type="button"
+        onClick={() => onRecovery?.("magic")}
+        className="flex items-center gap-1 text-zinc-400 hover:text-emerald-300 cursor-pointer"
+      >
+        <Wand2 className="h-3.5 w-3.5" />
+        Email me a sign-in link
+      </button>
+    </div>
+  );
+}
+
+function BackToLogin({ onBack }) {
+  return (
+    <button
+      type="button"
+      onClick={onBack}
+      className="flex items-center gap-1 text-xs text-zinc-400 hover:text-emerald-300 cursor-pointer"
+    >
+      <ArrowLeft className="h-3.5 w-3.5" />
+      Back to login
+    </button>
+  );
+}
+
 // ---------- Main AuthPage ---------- //
 export default function AuthPage() {
   const navigate = useNavigate();
@@ -124,9 +175,23 @@ export default function AuthPage() {
   const initialTab = initialView.startsWith("student") ? "student" : "admin";
   const initialStudentView =
     initialView === "student-signup" ? "signup" : "login";
+  const initialRecovery =
+    Object.keys(RECOVERY_VIEWS).find((k) => RECOVERY_VIEWS[k] === initialView) || null;
+
+  // ?next=/join/ABC123 sends a student back to the page that asked them to log in
+  const next = params.get("next");
+  const onStudentSuccess = useCallback(
+    (path, opts) => {
+      const safeNext = next && next.startsWith("/") && !next.startsWith("//") ? next : null;
+      navigate(path === "/student" && safeNext ? safeNext : path, opts);
+    },
+    [navigate, next]
+  );
 
   const [tab, setTab] = useState(initialTab);
   const [studentView, setStudentView] = useState(initialStudentView);
+  // forgot / magic / reset screens sit outside the student/admin tabs
+  const [recovery, setRecovery] = useState(initialRecovery);
 
   const syncUrl = (v) => {
     const sp = new URLSearchParams(location.search);
@@ -134,6 +199,17 @@ export default function AuthPage() {
     navigate({ pathname: "/login", search: sp.toString() }, { replace: true });
   };
 
+  const setRecoveryAndSync = (r) => {
+    setRecovery(r);
+    if (r) {
+      syncUrl(RECOVERY_VIEWS[r]);
+    } else if (tab === "admin") {
+      syncUrl("admin");
+    } else {
+      syncUrl(studentView === "signup" ? "student-signup" : "student-login");
+    }
+  };
+
   const setTabAndSync = (t) => {
     setTab(t);
     if (t === "admin") {
@@ -191,6 +267,7 @@ export default function AuthPage() {
                 <CardContent className="p-0">
                   <div className="grid gap-4">
                     {/* Student/Admin Toggle */}
+                    {!recovery && (
                     <div className="grid grid-cols-2 bg-zinc-900/40 rounded-md p-1">
                       <button
                         className={`flex items-center cursor-pointer justify-center gap-2 py-2 rounded-md text-sm font-medium ${
@@ -212,12 +289,13 @@ export default function AuthPage() {
                         onClick={() => setTabAndSync("admin")}
                       >
                         <ShieldCheck className="h-4 w-4" />
-                        Admin
+                        Admin / Instructor
                       </button>
                     </div>
+                    )}
 
                     {/* Student sub-toggle */}
-                    {tab === "student" && (
+                    {!recovery && tab === "student" && (
                       <div className="flex items-center gap-3">
                         <Button
                           size="sm"
@@ -241,17 +319,32 @@ export default function AuthPage() {
                     <Separator className="my-4 bg-zinc-800" />
 
                     <AnimatePresence mode="wait">
-                      {tab === "admin" ? (
+                      {recovery === "forgot" ? (
+                        <motion.div key="forgot-password" {...fade}>
+                          <ForgotPassword onBack={() => setRecoveryAndSync(null)} />
+                        </motion.div>
+                      ) : recovery === "magic" ? (
+                        <motion.div key="magic-link" {...fade}>
+                          <MagicLinkLogin onSuccess={onStudentSuccess} onBack={() => setRecoveryAndSync(null)} />
+                        </motion.div>
+                      ) : recovery === "reset" ? (
+                        <motion.div key="reset-password" {...fade}>
+                          <ResetPassword
+                            onSuccess={navigate}
+                            onRequestNew={() => setRecoveryAndSync("forgot")}
+                          />
+                        </motion.div>
+                      ) : tab === "admin" ? (
                         <motion.div key="admin" {...fade}>
-                          <AdminLogin onSuccess={navigate} />
+                          <AdminLogin onSuccess={navigate} onRecovery={setRecoveryAndSync} />
                         </motion.div>
                       ) : studentView === "login" ? (
                         <motion.div key="student-login" {...fade}>
-                          <StudentLogin onSuccess={navigate} />
+                          <StudentLogin onSuccess={onStudentSuccess} onRecovery={setRecoveryAndSync} />
                         </motion.div>
                       ) : (
                         <motion.div key="student-signup" {...fade}>
-                          <StudentSignup onSuccess={navigate} />
+                          <StudentSignup onSuccess={onStudentSuccess} />
                         </motion.div>
                       )}
                     </AnimatePresence>
@@ -384,7 +477,15 @@ export default function AuthPage() {
 }
 
 // ---------- Forms ---------- //
-function AdminLogin({ onSuccess }) {
+// deactivated accounts are signed straight back out
+async function assertActive(profile) {
+  if (profile?.deactivated_at) {
+    await supabase.auth.signOut();
+    throw new Error("This account has been deactivated. Contact an administrator.");
+  }
+}
+
+function AdminLogin({ onSuccess, onRecovery }) {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [busy, setBusy] = useState(false);
@@ -404,22 +505,22 @@ function AdminLogin({ onSuccess }) {
 
       const { data: profile } = await supabase
         .from("profiles")
-        .select("role,email,full_name")
+        .select("role,email,full_name,deactivated_at,password_reset_required")
         .eq("id", user.id)
         .single();
 
-      if (profile?.role !== "admin") throw new Error("Not an admin account.");
-
-      localStorage.setItem(
-        "user",
-        JSON.stringify({
-          id: user.id,
-          email: profile?.email || user.email,
-          role: profile?.role,
-        })
-      );
+      await assertActive(profile);
+      if (!isStaffRole(profile?.role)) {
+        await supabase.auth.signOut();
+        throw new Error("Not an admin or instructor account.");
+      }
+      if (profile.password_reset_required) {
+        onRecovery?.("reset");
+        return;
+      }
 
-      onSuccess?.("/admin");
+      // AuthProvider picks up the new session and role from here
+      onSuccess?.(homePathForRole(profile.role));
     } catch (e2) {
       setErr(e2?.message || String(e2));
     } finally {
@@ -440,7 +541,7 @@ function AdminLogin({ onSuccess }) {
       )}
       <Field
         id="admin-email"
-        label="Admin Email"
+        label="Staff Email"
         type="email"
         icon={Mail}
         value={email}
@@ -454,6 +555,7 @@ function AdminLogin({ onSuccess }) {
         value={password}
         onChange={(e) => setPassword(e.target.value)}
       />
+      <RecoveryLinks onRecovery={onRecovery} />
       <Button
         type="submit"
         className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
@@ -464,13 +566,13 @@ function AdminLogin({ onSuccess }) {
         ) : (
           <ShieldCheck className="h-4 w-4 mr-2" />
         )}
-        Login as Admin
+        Login as Staff
       </Button>
     </form>
   );
 }
 
-function StudentLogin({ onSuccess }) {
+function StudentLogin({ onSuccess, onRecovery }) {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [busy, setBusy] = useState(false);
@@ -490,21 +592,18 @@ function StudentLogin({ onSuccess }) {
 
       const { data: profile } = await supabase
         .from("profiles")
-        .select("role,email,full_name")
+        .select("role,email,full_name,deactivated_at,password_reset_required,deletion_scheduled_for")
         .eq("id", user.id)
         .single();
 
-      localStorage.setItem(
-        "user",
-        JSON.stringify({
-          id: user.id,
-          email: profile?.email || user.email,
-          role: profile?.role,
-        })
-      );
-
-      if (profile?.role === "admin") return onSuccess?.("/admin");
-      onSuccess?.("/student");
+      await assertActive(profile);
+      if (profile?.password_reset_required) {
+        onRecovery?.("reset");
+        return;
+      }
+
+      // a pending account deletion can be cancelled from settings
+      onSuccess?.(profile?.deletion_scheduled_for ? "/student/settings" : homePathForRole(profile?.role));
     } catch (e2) {
       setErr(e2?.message || String(e2));
     } finally {
@@ -539,6 +638,7 @@ function StudentLogin({ onSuccess }) {
         value={password}
         onChange={(e) => setPassword(e.target.value)}
       />
+      <RecoveryLinks onRecovery={onRecovery} />
       <Button
         type="submit"
         className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
@@ -556,6 +656,7 @@ function StudentLogin({ onSuccess }) {
 }
 
 function StudentSignup({ onSuccess }) {
+  const { refreshProfile } = useAuth();
   const [email, setEmail] = useState("");
   const [fullName, setFullName] = useState("");
   const [password, setPassword] = useState("");
@@ -585,35 +686,11 @@ function StudentSignup({ onSuccess }) {
         );
         if (upsertErr) throw upsertErr;
 
-        // store user for route guards
-        try {
-          localStorage.setItem(
-            "user",
-            JSON.stringify({
-              id: user.id,
-              email,
-              role: "student",
-              full_name: fullName,
-            })
-          );
-        } catch (storageErr) {
-          console.warn("localStorage set failed", storageErr);
-        }
-
-        // ✅ Send welcome email via EmailJS
-        try {
-          await emailjs.send(
-            "service_lt59oyh",         // your service ID
-            "template_iumjr6l",       // your template ID
-            {
-              name: fullName,
-              email: email,
-            },
-            "5eg-iecaygcZvXtx5"       // your public key
-          );
-        } catch (mailErr) {
-          console.warn("EmailJS error:", mailErr);
-        }
+        // the profile row didn't exist when the session started; reload the role for route guards
+        await refreshProfile(user.id);
+
+        // welcome email; a delivery failure shouldn't block sign-up
+        await notify("welcome", { email, full_name: fullName });
       }
 
       setOk("Account created successfully! Redirecting to your dashboard...");
@@ -693,3 +770,275 @@ function StudentSignup({ onSuccess }) {
     </form>
   );
 }
+
+function ForgotPassword({ onBack }) {
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [ok, setOk] = useState("");
+
+  const sendReset = async (e) => {
+    e?.preventDefault();
+    setBusy(true);
+    setErr("");
+    setOk("");
+    try {
+      const { error } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: recoveryRedirect(RECOVERY_VIEWS.reset),
+      });
+      if (error) throw error;
+      setOk("If an account exists for that email, a reset link is on its way.");
+    } catch (e2) {
+      setErr(e2?.message || String(e2));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={sendReset} className="space-y-4">
+      <BackToLogin onBack={onBack} />
+      {err && (
+        <Alert
+          variant="destructive"
+          className="bg-red-900/20 border-red-800 text-red-200"
+        >
+          <AlertTitle>Reset error</AlertTitle>
+          <AlertDescription>{err}</AlertDescription>
+        </Alert>
+      )}
+      {ok && (
+        <Alert className="bg-emerald-900/20 border-emerald-800 text-emerald-200">
+          <AlertTitle>Check your inbox</AlertTitle>
+          <AlertDescription>{ok}</AlertDescription>
+        </Alert>
+      )}
+      <p className="text-sm text-zinc-400">
+        Enter the email you signed up with and we'll send you a link to choose a new password.
+      </p>
+      <Field
+        id="forgot-email"
+        label="Email"
+        type="email"
+        icon={Mail}
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        autoComplete="email"
+      />
+      <Button
+        type="submit"
+        className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
+        disabled={busy}
+      >
+        {busy ? (
+          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        ) : (
+          <KeyRound className="h-4 w-4 mr-2" />
+        )}
+        Send reset link
+      </Button>
+    </form>
+  );
+}
+
+function MagicLinkLogin({ onSuccess, onBack }) {
+  const { user, role, loading } = useAuth();
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [ok, setOk] = useState("");
+
+  // the emailed link lands back on this view with a session attached
+  useEffect(() => {
+    if (!loading && user && role) onSuccess?.(homePathForRole(role), { replace: true });
+  }, [loading, user, role, onSuccess]);
+
+  const sendLink = async (e) => {
+    e?.preventDefault();
+    setBusy(true);
+    setErr("");
+    setOk("");
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: {
+          shouldCreateUser: false,
+          emailRedirectTo: recoveryRedirect(RECOVERY_VIEWS.magic),
+        },
+      });
+      if (error) throw error;
+      setOk("Sign-in link sent. Open it on this device to continue.");
+    } catch (e2) {
+      setErr(e2?.message || String(e2));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={sendLink} className="space-y-4">
+      <BackToLogin onBack={onBack} />
+      {err && (
+        <Alert
+          variant="destructive"
+          className="bg-red-900/20 border-red-800 text-red-200"
+        >
+          <AlertTitle>Login error</AlertTitle>
+          <AlertDescription>{err}</AlertDescription>
+        </Alert>
+      )}
+      {ok && (
+        <Alert className="bg-emerald-900/20 border-emerald-800 text-emerald-200">
+          <AlertTitle>Check your inbox</AlertTitle>
+          <AlertDescription>{ok}</AlertDescription>
+        </Alert>
+      )}
+      <p className="text-sm text-zinc-400">
+        No password needed — we'll email you a one-time link for your existing account.
+      </p>
+      <Field
+        id="magic-email"
+        label="Email"
+        type="email"
+        icon={Mail}
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        autoComplete="email"
+      />
+      <Button
+        type="submit"
+        className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
+        disabled={busy}
+      >
+        {busy ? (
+          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        ) : (
+          <Wand2 className="h-4 w-4 mr-2" />
+        )}
+        Send sign-in link
+      </Button>
+    </form>
+  );
+}
+
+function ResetPassword({ onSuccess, onRequestNew }) {
+  // supabase exchanges the token in the reset link for a recovery session
+  const { user, role, loading, mustResetPassword, refreshProfile } = useAuth();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [ok, setOk] = useState("");
+
+  const savePassword = async (e) => {
+    e?.preventDefault();
+    setErr("");
+    const passwordError = validateNewPassword(password, confirm);
+    if (passwordError) {
+      setErr(passwordError);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+      // the database clears password_reset_required once the password changes
+      if (mustResetPassword) await refreshProfile();
+      setOk("Password updated. Taking you to your dashboard...");
+      setTimeout(() => {
+        onSuccess?.(homePathForRole(role));
+      }, 1400);
+    } catch (e2) {
+      setErr(e2?.message || String(e2));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-zinc-400">
+        <Loader2 className="h-4 w-4 animate-spin" /> Verifying reset link…
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="space-y-4">
+        <Alert
+          variant="destructive"
+          className="bg-red-900/20 border-red-800 text-red-200"
+        >
+          <AlertTitle>Link expired</AlertTitle>
+          <AlertDescription>
+            This reset link is invalid or has already been used.
+          </AlertDescription>
+        </Alert>
+        <Button
+          type="button"
+          onClick={onRequestNew}
+          className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
+        >
+          <KeyRound className="h-4 w-4 mr-2" />
+          Request a new link
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={savePassword} className="space-y-4">
+      {err && (
+        <Alert
+          variant="destructive"
+          className="bg-red-900/20 border-red-800 text-red-200"
+        >
+          <AlertTitle>Reset error</AlertTitle>
+          <AlertDescription>{err}</AlertDescription>
+        </Alert>
+      )}
+      {ok && (
+        <Alert className="bg-emerald-900/20 border-emerald-800 text-emerald-200">
+          <AlertTitle>All set</AlertTitle>
+          <AlertDescription>{ok}</AlertDescription>
+        </Alert>
+      )}
+      <p className="text-sm text-zinc-400">
+        {mustResetPassword && "An administrator has asked you to change your password. "}
+        Choose a new password for <span className="text-emerald-300">{user.email}</span>.
+      </p>
+      <Field
+        id="reset-password"
+        label={`New password (min ${MIN_PASSWORD_LENGTH} chars)`}
+        type="password"
+        icon={Lock}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="new-password"
+      />
+      <Field
+        id="reset-password-confirm"
+        label="Confirm new password"
+        type="password"
+        icon={Lock}
+        value={confirm}
+        onChange={(e) => setConfirm(e.target.value)}
+        autoComplete="new-password"
+      />
+      <Button
+        type="submit"
+        className="w-full rounded-xl bg-emerald-600 hover:bg-emerald-500"
+        disabled={busy || !!ok}
+      >
+        {busy ? (
+          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        ) : (
+          <KeyRound className="h-4 w-4 mr-2" />
+        )}
+        Set new password
+      </Button>
+    </form>
+  );
+}
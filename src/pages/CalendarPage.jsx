@@ -6,12 +6,17 @@
 // - Right: agenda list + task summary
 // - Recurrence: none | daily | weekly | monthly | weekdays | weekends
 // - Overdue tasks highlighted in red (bg-red/ text-red)
+// - Assignment, module assignment and quiz deadlines of enrolled courses show as read-only
+//   items on the student's effective date (after any extension)
 // - Theming: emerald / zinc / black, animated, responsive
 // -----------------------------------------------------------------------------
 
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchStudentSectionMap, isVisibleToSection } from "../lib/sections";
+import { extendedLabel, fetchStudentExtensions, withEffectiveDeadlines } from "../lib/extensions";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -253,6 +258,53 @@ function expandTasksForWindow(tasksArr, windowStart, windowEnd) {
   return all;
 }
 
+// Deadlines of the student's enrolled courses as event-shaped items within start..end.
+// Extensions are applied before the window check, so a deadline extended into view shows up.
+async function fetchDeadlineItems(studentId, sectionOf, windowStart, windowEnd) {
+  const courseIds = Object.keys(sectionOf);
+  if (!studentId || courseIds.length === 0) return [];
+
+  const [assignRes, moduleRes, quizRes, extensions] = await Promise.all([
+    supabase.from("assignments").select("id, title, description, due_date, course_id, section_id, courses(title)").in("course_id", courseIds).not("due_date", "is", null),
+    supabase.from("module_assignments").select("id, title, description, due_date, modules!inner(course_id, courses(title))").in("modules.course_id", courseIds).not("due_date", "is", null),
+    supabase.from("quizzes").select("id, course_id, closes_at, courses(title)").in("course_id", courseIds).not("closes_at", "is", null),
+    // without extensions the plain deadlines still show
+    fetchStudentExtensions(studentId, sectionOf).catch((err) => {
+      console.error("fetchStudentExtensions", err);
+      return [];
+    }),
+  ]);
+  for (const res of [assignRes, moduleRes, quizRes]) if (res.error) throw res.error;
+
+  const sectionIdOf = (row) => sectionOf[row.course_id];
+  const assignments = withEffectiveDeadlines(
+    (assignRes.data || []).filter((a) => isVisibleToSection(a, sectionOf[a.course_id])),
+    "assignment", extensions, { studentId, sectionIdOf }
+  ).map((a) => ({ ...a, _deadline: "assignment", event_type: "assignment", when: a.due_date }));
+
+  const moduleAssignments = withEffectiveDeadlines(
+    (moduleRes.data || []).map((a) => ({ ...a, course_id: a.modules?.course_id, courses: a.modules?.courses })),
+    "module_assignment", extensions, { studentId, sectionIdOf }
+  ).map((a) => ({ ...a, _deadline: "module_assignment", event_type: "assignment", when: a.due_date }));
+
+  const quizzes = withEffectiveDeadlines(quizRes.data || [], "quiz", extensions, { studentId, sectionIdOf })
+    .map((q) => ({ ...q, title: "Quiz closes", _deadline: "quiz", event_type: "exam", when: q.closes_at }));
+
+  return [...assignments, ...moduleAssignments, ...quizzes]
+    .map((d) => {
+      const at = safeParseDate(d.when);
+      return {
+        ...d,
+        id: `${d._deadline}-${d.id}`,
+        course_id: String(d.course_id),
+        start_date: d.when,
+        start_date_obj: at,
+        end_date_obj: at,
+      };
+    })
+    .filter((d) => d.start_date_obj && d.start_date_obj >= windowStart && d.start_date_obj <= windowEnd);
+}
+
 // -----------------------------------------------------------------------------
 // Main Component
 // -----------------------------------------------------------------------------
@@ -262,7 +314,8 @@ export default function CalendarPage() {
   const [events, setEvents] = useState([]);
   const [tasks, setTasks] = useState([]);
   const [expandedTaskOccurrences, setExpandedTaskOccurrences] = useState([]);
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
 
   // UI state
   const [view, setView] = useState("month");
@@ -292,7 +345,6 @@ export default function CalendarPage() {
 
   // Load initial data
   useEffect(() => {
-    fetchUser();
     fetchCourses();
   }, []);
 
@@ -300,18 +352,9 @@ export default function CalendarPage() {
     fetchWindowData(currentDate);
   }, [currentDate, view]);
 
-  async function fetchUser() {
-    const { data, error } = await supabase.auth.getUser();
-    if (error) {
-      console.error(error);
-    } else {
-      setUserId(data?.user?.id || null);
-    }
-  }
-
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id, title");
+      const { data, error } = await supabase.from("courses").select("id, title").is("archived_at", null);
       if (error) throw error;
       setCourses(data?.map((c) => ({ ...c, id: String(c.id) })) || []);
     } catch (err) {
@@ -355,7 +398,13 @@ export default function CalendarPage() {
 
       if (tsErr) throw tsErr;
 
-      const normalizedEvents = (ev || []).map((e) => ({
+      // section-targeted events only show to that section of the course
+      const sectionOf = userId ? await fetchStudentSectionMap(userId) : {};
+      const deadlines = await fetchDeadlineItems(userId, sectionOf, start, end);
+
+      const normalizedEvents = (ev || [])
+        .filter((e) => !e.course_id || isVisibleToSection(e, sectionOf[e.course_id]))
+        .map((e) => ({
         ...e,
         course_id: e.course_id ? String(e.course_id) : "private",
         start_date_obj: safeParseDate(e.start_date),
@@ -368,7 +417,7 @@ export default function CalendarPage() {
         due_date_obj: t.due_date ? safeParseDate(t.due_date) : null,
       }));
 
-      setEvents(normalizedEvents);
+      setEvents([...normalizedEvents, ...deadlines]);
       setTasks(normalizedTasks);
 
       // Expand tasks into occurrences within visible window (start..end)
@@ -674,7 +723,7 @@ export default function CalendarPage() {
                             {filteredEvents.filter((e) => isSameDay(e.start_date_obj, day) || isSameDay(e.end_date_obj, day)).slice(0, 3).map((e) => {
                               const st = eventStyle(e);
                               return (
-                                <div key={e.id} className={`rounded px-2 py-0.5 text-xs truncate ${st.bg} ${st.text} border ${st.border}`} title={e.title}>
+                                <div key={e.id} className={`rounded px-2 py-0.5 text-xs truncate ${st.bg} ${st.text} border ${st.border}`} title={e.extended_to ? `${e.title} · ${extendedLabel(e)}` : e.title}>
                                   <div className="flex items-center gap-2">
                                     <Circle className="w-3 h-3" />
                                     <div className="truncate">{truncate(e.title, 28)}</div>
@@ -706,7 +755,7 @@ export default function CalendarPage() {
               </div>
             </CardContent>
             <CardFooter className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3">
-              <div className="text-xs text-zinc-400">Click a day to view agenda on right. Assignments auto-appear.</div>
+              <div className="text-xs text-zinc-400">Click a day to view agenda on right. Deadlines from your courses appear automatically.</div>
               <div className="flex items-center gap-2">
                 <Button size="sm" variant="outline" className="border-zinc-700 cursor-pointer" onClick={refresh}>Refresh</Button>
                 <Button size="sm" variant="ghost" className="cursor-pointer bg-emerald-500 hover:bg-emerald-400" onClick={() => setCurrentDate(new Date())}>Today</Button>
@@ -776,7 +825,8 @@ export default function CalendarPage() {
                                 <div className="text-sm font-semibold text-emerald-200 truncate">{it.title}</div>
                               </div>
                               <div className="text-xs text-zinc-400 mt-1">{it.description ? truncate(it.description, 120) : "No description"}</div>
-                              <div className="text-xs text-zinc-500 mt-2">When: {it.start_date_obj ? format(it.start_date_obj, "PPP p") : "—"} {it.all_day ? "• All day" : ""}</div>
+                              <div className="text-xs text-zinc-500 mt-2">{it._deadline ? "Due" : "When"}: {it.start_date_obj ? format(it.start_date_obj, "PPP p") : "—"} {it.all_day ? "• All day" : ""}</div>
+                              {it.extended_to && <div className="text-xs text-emerald-300 mt-1">{extendedLabel(it)}</div>}
                               <div className="text-xs text-zinc-500 mt-1">Course: <span className="text-emerald-300 font-medium">{it.courses?.title || "Private"}</span></div>
                             </div>
                             <div className="flex flex-col items-end gap-2">
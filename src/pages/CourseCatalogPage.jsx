@@ -0,0 +1,351 @@
+// src/pages/CourseCatalogPage.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { toast } from "sonner";
+import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import {
+  CATALOG_COURSE_COLUMNS,
+  fetchCompletedCourses,
+  fetchPrerequisites,
+  formatCredits,
+  missingPrerequisites,
+  prerequisiteBlockReason,
+} from "../lib/catalog";
+import {
+  ENROLLMENT_COURSE_COLUMNS,
+  OPEN_REQUEST_STATUSES,
+  countEnrolled,
+  enrollmentBlockReason,
+  enrollmentModeLabel,
+  isFull,
+  requestEnrollment,
+} from "../lib/enrollment";
+import { courseStaffRoleLabel, fetchCourseTeam } from "../lib/courseStaff";
+import { ALL_SECTIONS, fetchSections } from "../lib/sections";
+import { isArchived } from "../lib/terms";
+import SectionSelect from "../components/course/SectionSelect";
+import ProfileAvatar from "../components/profile/ProfileAvatar";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+} from "@/components/ui/alert-dialog";
+import {
+  ArrowLeft,
+  BookOpen,
+  CalendarClock,
+  CheckCircle2,
+  FileText,
+  Loader2,
+  PlusCircle,
+  XCircle,
+} from "lucide-react";
+
+/**
+ * Course Catalog detail
+ * - /student/catalog/:id — everything a student needs before enrolling: description, credits,
+ *   schedule, syllabus PDF, prerequisites (ticked off when completed) and instructor bios
+ * - Enrolling goes through requestEnrollment, so mode/window/prerequisites/capacity all apply
+ */
+export default function CourseCatalogPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [course, setCourse] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [prereqs, setPrereqs] = useState([]);
+  const [completed, setCompleted] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [status, setStatus] = useState(null); // "enrolled" | "pending" | "waitlisted" | null
+  const [full, setFull] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [chosenSection, setChosenSection] = useState(ALL_SECTIONS);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!id || !user) return;
+    (async () => {
+      setLoading(true);
+      try {
+        const { data, error } = await supabase
+          .from("courses")
+          .select(
+            `id, title, code, description, archived_at, ${ENROLLMENT_COURSE_COLUMNS}, ${CATALOG_COURSE_COLUMNS}`
+          )
+          .eq("id", id)
+          .single();
+        if (error) throw error;
+
+        const [members, prereqMap, done, secs, enrolled, request, seats] = await Promise.all([
+          fetchCourseTeam(id),
+          fetchPrerequisites(id),
+          fetchCompletedCourses(user.id),
+          fetchSections(id),
+          supabase.from("enrollments").select("id").eq("course_id", id).eq("student_id", user.id).maybeSingle(),
+          supabase
+            .from("enrollment_requests")
+            .select("status")
+            .eq("course_id", id)
+            .eq("student_id", user.id)
+            .in("status", OPEN_REQUEST_STATUSES)
+            .maybeSingle(),
+          data.capacity != null ? countEnrolled(id) : Promise.resolve(0),
+        ]);
+
+        setCourse(data);
+        setTeam(members);
+        setPrereqs(prereqMap[id] || []);
+        setCompleted(done);
+        setSections(secs);
+        setStatus(enrolled.data ? "enrolled" : request.data?.status || null);
+        setFull(isFull(data, seats));
+      } catch (err) {
+        console.error("CourseCatalogPage load", err);
+        toast.error("Failed to load course");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [id, user]);
+
+  const handleEnroll = async () => {
+    setSaving(true);
+    try {
+      const sectionId = chosenSection === ALL_SECTIONS ? null : chosenSection;
+      const result = await requestEnrollment({ course, sectionId });
+      setStatus(result.status);
+      toast.success(
+        result.status === "enrolled"
+          ? "Enrolled successfully! Your attendance starts from 0%."
+          : result.status === "waitlisted"
+            ? "The course is full — you've been added to the waitlist."
+            : "Request sent. You'll be enrolled once staff approve it."
+      );
+    } catch (err) {
+      console.error("requestEnrollment", err);
+      toast.error(err.message || "Could not enroll");
+    } finally {
+      setSaving(false);
+      setConfirmOpen(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-zinc-950 text-zinc-400 flex items-center justify-center gap-2">
+        <Loader2 className="h-5 w-5 animate-spin" /> Loading course...
+      </div>
+    );
+  }
+
+  if (!course) {
+    return (
+      <div className="min-h-screen bg-zinc-950 text-zinc-400 flex flex-col items-center justify-center gap-4">
+        Course not found.
+        <Button className="bg-emerald-500 hover:bg-emerald-400 text-black cursor-pointer" onClick={() => navigate(-1)}>
+          <ArrowLeft className="h-4 w-4 mr-1" /> Back
+        </Button>
+      </div>
+    );
+  }
+
+  const missing = missingPrerequisites(prereqs, completed);
+  const blocked = isArchived(course)
+    ? "Archived course"
+    : enrollmentBlockReason(course) || prerequisiteBlockReason(missing);
+  const statusLabel = {
+    enrolled: "Enrolled",
+    pending: "Pending approval",
+    waitlisted: "Waitlisted",
+  }[status];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#010f0d] via-[#03211d] to-[#052b25] text-slate-100">
+      <motion.header
+        initial={{ opacity: 0, y: -8 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="sticky top-0 z-30 bg-zinc-950/70 backdrop-blur-md border-b border-zinc-800 px-6 py-3 flex items-center justify-between"
+      >
+        <div className="flex items-center gap-2 min-w-0">
+          <BookOpen className="h-6 w-6 text-emerald-300 shrink-0" />
+          <h1 className="text-lg md:text-xl font-semibold text-emerald-300 truncate">
+            {course.code && <span className="font-mono mr-2">{course.code}</span>}
+            {course.title}
+          </h1>
+        </div>
+        <Button
+          size="sm"
+          variant="outline"
+          className="border-zinc-700 bg-emerald-500 cursor-pointer hover:bg-emerald-400 text-black"
+          onClick={() => navigate(-1)}
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" /> Back
+        </Button>
+      </motion.header>
+
+      <div className="max-w-4xl mx-auto px-4 md:px-6 py-8 space-y-6">
+        {/* Overview */}
+        <Card className="bg-zinc-900/60 border border-zinc-800 rounded-2xl shadow-lg">
+          <CardContent className="pt-6 space-y-4">
+            <div className="flex flex-wrap gap-2 text-xs">
+              {course.department && <Badge className="bg-zinc-800 text-zinc-300">{course.department}</Badge>}
+              {course.category && <Badge className="bg-zinc-800 text-zinc-300">{course.category}</Badge>}
+              {formatCredits(course.credits) && (
+                <Badge className="bg-zinc-800 text-zinc-300">{formatCredits(course.credits)}</Badge>
+              )}
+              <Badge className="bg-zinc-800 text-zinc-300">{enrollmentModeLabel(course.enrollment_mode)}</Badge>
+              {full && <Badge className="bg-amber-700/40 text-amber-200">Full · waitlist</Badge>}
+              {isArchived(course) && <Badge className="bg-amber-700/40 text-amber-200">Archived</Badge>}
+            </div>
+            <p className="text-sm text-zinc-300 whitespace-pre-line">
+              {course.description || "No description available"}
+            </p>
+            {course.schedule && (
+              <div className="flex items-center gap-2 text-sm text-zinc-400">
+                <CalendarClock className="h-4 w-4 text-emerald-300" /> {course.schedule}
+              </div>
+            )}
+            {course.syllabus_url && (
+              <a
+                href={course.syllabus_url}
+                target="_blank"
+                rel="noreferrer"
+                className="inline-flex items-center gap-2 text-sm text-emerald-300 hover:underline"
+              >
+                <FileText className="h-4 w-4" /> Syllabus (PDF)
+              </a>
+            )}
+
+            <div className="flex flex-wrap items-center justify-between gap-3 pt-2 border-t border-zinc-800">
+              <span className={`text-sm ${status ? "text-emerald-400" : blocked ? "text-amber-300" : "text-zinc-400"}`}>
+                {statusLabel || blocked || "Not enrolled"}
+              </span>
+              {status === "enrolled" ? (
+                <Button
+                  size="sm"
+                  className="bg-emerald-500 hover:bg-emerald-400 text-black cursor-pointer"
+                  onClick={() => navigate(`/courses/${course.id}`)}
+                >
+                  <BookOpen className="h-4 w-4 mr-1" /> Open course
+                </Button>
+              ) : (
+                !status && (
+                  <Button
+                    size="sm"
+                    disabled={!!blocked || saving}
+                    className="bg-emerald-500 hover:bg-emerald-600 cursor-pointer"
+                    onClick={() => {
+                      setChosenSection(ALL_SECTIONS);
+                      setConfirmOpen(true);
+                    }}
+                  >
+                    <PlusCircle className="h-4 w-4 mr-1" />
+                    {full ? "Join waitlist" : course.enrollment_mode === "approval" ? "Request" : "Enroll"}
+                  </Button>
+                )
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Prerequisites */}
+        {prereqs.length > 0 && (
+          <Card className="bg-zinc-900/60 border border-zinc-800 rounded-2xl shadow-lg">
+            <CardHeader>
+              <CardTitle className="text-emerald-300 text-base">Prerequisites</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <ul className="space-y-2">
+                {prereqs.map((p) => {
+                  const met = !missing.includes(p);
+                  return (
+                    <li key={p.id} className="flex items-center gap-2 text-sm">
+                      {met ? (
+                        <CheckCircle2 className="h-4 w-4 text-emerald-400" />
+                      ) : (
+                        <XCircle className="h-4 w-4 text-amber-400" />
+                      )}
+                      {p.code && <span className="font-mono text-emerald-300">{p.code}</span>}
+                      <span className="text-zinc-300">{p.title}</span>
+                      <span className="text-xs text-zinc-500">{met ? "completed" : "not completed yet"}</span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Instructors */}
+        {team.length > 0 && (
+          <Card className="bg-zinc-900/60 border border-zinc-800 rounded-2xl shadow-lg">
+            <CardHeader>
+              <CardTitle className="text-emerald-300 text-base">Instructors</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {team.map((m) => (
+                <div key={m.id} className="flex gap-3">
+                  <ProfileAvatar profile={m.profile} className="size-10" />
+                  <div>
+                    <div className="text-zinc-200">
+                      {m.profile?.full_name || "Staff"}{" "}
+                      <span className="text-xs text-emerald-300/80">· {courseStaffRoleLabel(m.role)}</span>
+                    </div>
+                    <p className="text-sm text-zinc-400 whitespace-pre-line">{m.profile?.bio || "No bio yet."}</p>
+                  </div>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      <AlertDialog open={confirmOpen} onOpenChange={setConfirmOpen}>
+        <AlertDialogContent className="bg-zinc-950">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="text-emerald-400">Confirm Enrollment</AlertDialogTitle>
+            <AlertDialogDescription>
+              Do you want to enroll in {course.title}? Courses that need approval or are full will put you in the
+              queue instead.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          {sections.length > 0 && (
+            <div className="space-y-1">
+              <label className="text-xs text-zinc-400">Your section</label>
+              <SectionSelect
+                sections={sections}
+                value={chosenSection}
+                allLabel="Not sure yet"
+                onChange={setChosenSection}
+                className="bg-zinc-900 border-zinc-700 w-full"
+              />
+            </div>
+          )}
+          <AlertDialogFooter>
+            <AlertDialogCancel className="cursor-pointer">Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={saving}
+              className="cursor-pointer bg-emerald-400 text-black hover:bg-emerald-300"
+              onClick={handleEnroll}
+            >
+              Enroll
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -1,6 +1,14 @@
 // src/pages/CourseCreationPage.jsx
 import React, { useState, useEffect, useMemo } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchManagedCourses } from "../lib/roles";
+import { fetchCoursePermissions, hasCoursePermission } from "../lib/courseStaff";
+import { logAudit } from "../lib/audit";
+import CourseCloneDialog from "../components/course/CourseCloneDialog";
+import CourseImportDialog from "../components/course/CourseImportDialog";
+import AcademicTermsCard from "../components/course/AcademicTermsCard";
+import { COURSE_SCOPES, currentTerm, fetchTerms, isArchived, setCourseArchived, termName } from "../lib/terms";
 import { useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
@@ -26,6 +34,13 @@ import {
   AlertDialogCancel,
 } from "@/components/ui/alert-dialog";
 import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
 
 // recharts
 import {
@@ -47,44 +62,71 @@ import {
   LineChart as LineChartIcon,
   Calendar,
   PlusCircle,
+  Copy,
+  Archive,
+  ArchiveRestore,
+  Upload,
 } from "lucide-react";
 
 export default function CourseCreationPage() {
   const navigate = useNavigate();
 
+  const { user, role } = useAuth();
   const [title, setTitle] = useState("");
+  const [code, setCode] = useState("");
   const [description, setDescription] = useState("");
   const [loading, setLoading] = useState(false);
   const [courses, setCourses] = useState([]);
   const [confirmCreate, setConfirmCreate] = useState(false);
   const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [cloneSource, setCloneSource] = useState(null);
+  const [coursePerms, setCoursePerms] = useState({}); // course_id -> course_staff permissions
+  const [importOpen, setImportOpen] = useState(false);
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState("none");
+  const [scope, setScope] = useState("current");
+  const [termFilter, setTermFilter] = useState("all");
 
   /* ---------------- Fetch Courses ---------------- */
   useEffect(() => {
     const fetchCourses = async () => {
-      const {
-        data: { user },
-      } = await supabase.auth.getUser();
       if (!user) return;
 
-      const { data, error } = await supabase
-        .from("courses")
-        .select("*")
-        .eq("created_by", user.id)
-        .order("created_at", { ascending: true });
+      // admins see every course, instructors the ones they own or co-teach;
+      // archived ones too, the scope filter below decides what is shown
+      const { data, error } = await fetchManagedCourses(
+        { user, role },
+        { columns: "*", orderBy: { column: "created_at", ascending: true }, scope: "all" }
+      );
 
-      if (!error) setCourses(data || []);
+      if (error) return;
+      setCourses(data || []);
+      fetchCoursePermissions({ user, role }, (data || []).map((c) => c.id))
+        .then(setCoursePerms)
+        .catch((err) => console.error("fetchCoursePermissions", err));
     };
     fetchCourses();
+  }, [user, role]);
+
+  useEffect(() => {
+    fetchTerms()
+      .then((data) => {
+        setTerms(data);
+        setTermId(currentTerm(data)?.id || "none");
+      })
+      .catch((err) => console.error("fetchTerms", err));
   }, []);
 
+  const visibleCourses = courses.filter(
+    (c) =>
+      (scope === "all" || (scope === "past") === isArchived(c)) &&
+      (termFilter === "all" || (c.term_id || "none") === termFilter)
+  );
+
   /* ---------------- Create Course ---------------- */
   const handleCreateCourse = async () => {
     setLoading(true);
     try {
-      const {
-        data: { user },
-      } = await supabase.auth.getUser();
       if (!user) {
         toast.error("You must be logged in to create a course");
         return;
@@ -92,7 +134,15 @@ export default function CourseCreationPage() {
 
       const { data, error } = await supabase
         .from("courses")
-        .insert([{ title, description, created_by: user.id }])
+        .insert([
+          {
+            title,
+            code: code.trim() || null,
+            description,
+            term_id: termId === "none" ? null : termId,
+            created_by: user.id,
+          },
+        ])
         .select()
         .single();
 
@@ -101,6 +151,7 @@ export default function CourseCreationPage() {
       toast.success(`Course "${title}" created successfully!`, { position: "top-right" });
       setCourses([...courses, data]);
       setTitle("");
+      setCode("");
       setDescription("");
     } catch (err) {
       console.error("Error creating course:", err);
@@ -112,8 +163,14 @@ export default function CourseCreationPage() {
   };
 
   /* ---------------- Delete Course ---------------- */
+  // co-instructors can edit, archive and clone a course (TAs can't), only its owner or an admin
+  // can delete it
+  const canEdit = (course) => hasCoursePermission(coursePerms, course.id, "edit");
+  const canDelete = (course) => role === "admin" || course.created_by === user?.id;
+
   const handleDelete = async () => {
     if (!confirmDeleteId) return;
+    const before = courses.find((c) => c.id === confirmDeleteId) || null;
     const { error } = await supabase
       .from("courses")
       .delete()
@@ -121,12 +178,44 @@ export default function CourseCreationPage() {
     if (error) {
       toast.error("Failed to delete course", { position: "top-right" });
     } else {
+      await logAudit({
+        actorId: user?.id,
+        action: "course.deleted",
+        entityType: "course",
+        entityId: confirmDeleteId,
+        before,
+      });
       toast.success("Course deleted", { position: "top-right" });
       setCourses(courses.filter((c) => c.id !== confirmDeleteId));
     }
     setConfirmDeleteId(null);
   };
 
+  /* ---------------- Archive Course ---------------- */
+  const toggleArchived = async (course) => {
+    if (!canEdit(course)) {
+      toast.error("Your role in this course can't archive it", { position: "top-right" });
+      return;
+    }
+    const archive = !isArchived(course);
+    try {
+      const archived_at = await setCourseArchived(course.id, archive);
+      await logAudit({
+        actorId: user?.id,
+        action: archive ? "course.archived" : "course.unarchived",
+        entityType: "course",
+        entityId: course.id,
+        before: { archived_at: course.archived_at || null },
+        after: { archived_at },
+      });
+      setCourses((prev) => prev.map((c) => (c.id === course.id ? { ...c, archived_at } : c)));
+      toast.success(archive ? "Course archived" : "Course restored", { position: "top-right" });
+    } catch (err) {
+      console.error("toggleArchived", err);
+      toast.error("Failed to update course", { position: "top-right" });
+    }
+  };
+
   /* ---------------- Analytics ---------------- */
   const analyticsData = useMemo(() => {
     const grouped = {};
@@ -177,14 +266,24 @@ export default function CourseCreationPage() {
             </p>
           </div>
         </div>
-        <Button
-          size="sm"
-          variant="outline"
-          className="border-zinc-700 bg-emerald-500 cursor-pointer text-black hover:bg-emerald-400"
-          onClick={() => navigate(-1)}
-        >
-          <ArrowLeft className="h-4 w-4" /> Back
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 hover:text-black cursor-pointer"
+            onClick={() => setImportOpen(true)}
+          >
+            <Upload className="h-4 w-4" /> Import
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            className="border-zinc-700 bg-emerald-500 cursor-pointer text-black hover:bg-emerald-400"
+            onClick={() => navigate(-1)}
+          >
+            <ArrowLeft className="h-4 w-4" /> Back
+          </Button>
+        </div>
       </motion.header>
 
       {/* Body */}
@@ -226,6 +325,33 @@ export default function CourseCreationPage() {
                     className="bg-zinc-800 border-zinc-700 text-white"
                   />
                 </div>
+                <div>
+                  <label className="block text-zinc-400 mb-1">Course Code</label>
+                  <Input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.toUpperCase())}
+                    placeholder="e.g. CS101 (used for roster imports)"
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                </div>
+                {terms.length > 0 && (
+                  <div>
+                    <label className="block text-zinc-400 mb-1">Term</label>
+                    <Select value={termId} onValueChange={setTermId}>
+                      <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                        <SelectValue placeholder="Term" />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                        <SelectItem value="none">No term</SelectItem>
+                        {terms.map((t) => (
+                          <SelectItem key={t.id} value={t.id}>
+                            {t.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
                 <div>
                   <label className="block text-zinc-400 mb-1">Description</label>
                   <Textarea
@@ -284,17 +410,62 @@ export default function CourseCreationPage() {
           </Card>
         </div>
 
+        {role === "admin" && (
+          <AcademicTermsCard
+            terms={terms}
+            onTermsChange={setTerms}
+            onCoursesArchived={(ids) => {
+              const now = new Date().toISOString();
+              setCourses((prev) => prev.map((c) => (ids.includes(c.id) ? { ...c, archived_at: now } : c)));
+            }}
+          />
+        )}
+
         {/* Courses Grid */}
         <div>
-          <h2 className="text-xl font-semibold text-emerald-400 mb-4">
-            Your Courses
-          </h2>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-xl font-semibold text-emerald-400">
+              Your Courses
+            </h2>
+            <div className="flex gap-2">
+              <Select value={scope} onValueChange={setScope}>
+                <SelectTrigger className="bg-zinc-900 border-zinc-800 w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                  {COURSE_SCOPES.map((s) => (
+                    <SelectItem key={s.value} value={s.value}>
+                      {s.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {terms.length > 0 && (
+                <Select value={termFilter} onValueChange={setTermFilter}>
+                  <SelectTrigger className="bg-zinc-900 border-zinc-800 w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                    <SelectItem value="all">All terms</SelectItem>
+                    <SelectItem value="none">No term</SelectItem>
+                    {terms.map((t) => (
+                      <SelectItem key={t.id} value={t.id}>
+                        {t.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+          </div>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
             <AnimatePresence>
-              {courses.length === 0 ? (
-                <p className="text-zinc-500">No courses created yet.</p>
+              {visibleCourses.length === 0 ? (
+                <p className="text-zinc-500">
+                  {courses.length === 0 ? "No courses created yet." : "No courses match this filter."}
+                </p>
               ) : (
-                courses.map((course) => (
+                visibleCourses.map((course) => (
                   <motion.div
                     key={course.id}
                     initial={{ opacity: 0, y: 20 }}
@@ -305,31 +476,76 @@ export default function CourseCreationPage() {
                     <Card className="bg-zinc-900/60 border border-zinc-800 hover:shadow-md transition-shadow rounded-2xl">
                       <CardHeader>
                         <CardTitle className="text-emerald-100 text-lg flex justify-between items-center">
-                          <span className="capitalize">{course.title}</span>
+                          <span className="capitalize">
+                            {course.title}
+                            {course.code && (
+                              <Badge className="ml-2 bg-emerald-600/20 text-emerald-300 border border-emerald-600/40 uppercase">
+                                {course.code}
+                              </Badge>
+                            )}
+                          </span>
                           <div className="flex gap-2">
-                            <Button
-                              size="sm"
-                              variant="outline"
-                              className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 hover:text-black cursor-pointer"
-                              onClick={() =>
-                                navigate(`/courses/edit/${course.id}`)
-                              }
-                            >
-                              <Pencil className="h-4 w-4" />
-                            </Button>
-                            <Button
-                              size="sm"
-                              variant="outline"
-                              className="border-red-500 text-red-400 hover:bg-red-500 hover:text-black cursor-pointer"
-                              onClick={() => setConfirmDeleteId(course.id)}
-                            >
-                              <Trash2 className="h-4 w-4" />
-                            </Button>
+                            {canEdit(course) && (
+                              <>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 hover:text-black cursor-pointer"
+                                  onClick={() =>
+                                    navigate(`/courses/edit/${course.id}`)
+                                  }
+                                >
+                                  <Pencil className="h-4 w-4" />
+                                </Button>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 hover:text-black cursor-pointer"
+                                  title="Duplicate into a new term"
+                                  onClick={() => setCloneSource(course)}
+                                >
+                                  <Copy className="h-4 w-4" />
+                                </Button>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  className="border-zinc-600 text-zinc-300 hover:bg-zinc-600 hover:text-black cursor-pointer"
+                                  title={isArchived(course) ? "Restore course" : "Archive course"}
+                                  onClick={() => toggleArchived(course)}
+                                >
+                                  {isArchived(course) ? (
+                                    <ArchiveRestore className="h-4 w-4" />
+                                  ) : (
+                                    <Archive className="h-4 w-4" />
+                                  )}
+                                </Button>
+                              </>
+                            )}
+                            {canDelete(course) && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                className="border-red-500 text-red-400 hover:bg-red-500 hover:text-black cursor-pointer"
+                                onClick={() => setConfirmDeleteId(course.id)}
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            )}
                           </div>
                         </CardTitle>
                       </CardHeader>
                       <CardContent>
                         <p className="text-zinc-300">{course.description}</p>
+                        {(course.term_id || isArchived(course)) && (
+                          <div className="flex gap-2 mt-2">
+                            {course.term_id && (
+                              <Badge className="bg-zinc-800 text-zinc-300">{termName(terms, course.term_id)}</Badge>
+                            )}
+                            {isArchived(course) && (
+                              <Badge className="bg-amber-700/40 text-amber-200">Archived</Badge>
+                            )}
+                          </div>
+                        )}
                         <p className="text-xs text-emerald-700 mt-2">
                           Created at:{" "}
                           {new Date(course.created_at).toLocaleString()}
@@ -344,6 +560,20 @@ export default function CourseCreationPage() {
         </div>
       </div>
 
+      <CourseCloneDialog
+        course={cloneSource}
+        open={!!cloneSource}
+        onOpenChange={(open) => !open && setCloneSource(null)}
+        onCloned={(created) => setCourses((prev) => [...prev, created])}
+      />
+
+      <CourseImportDialog
+        open={importOpen}
+        onOpenChange={setImportOpen}
+        courses={courses.filter((c) => !isArchived(c))}
+        onImported={(course, isNew) => isNew && setCourses((prev) => [...prev, course])}
+      />
+
       {/* Confirm Create */}
       <AlertDialog open={confirmCreate} onOpenChange={setConfirmCreate}>
         <AlertDialogContent className="bg-zinc-950">
@@ -1,6 +1,17 @@
 // src/pages/CourseEditPage.jsx
 import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { canManageCourse } from "../lib/roles";
+import CourseSectionsCard from "../components/course/CourseSectionsCard";
+import CourseStaffCard from "../components/course/CourseStaffCard";
+import CourseCatalogCard from "../components/course/CourseCatalogCard";
+import CourseJoinCodesCard from "../components/course/CourseJoinCodesCard";
+import CourseCloneDialog from "../components/course/CourseCloneDialog";
+import { ENROLLMENT_MODES } from "../lib/enrollment";
+import { fetchTerms, isArchived, setCourseArchived } from "../lib/terms";
+import { downloadCoursePackage, packageCounts } from "../lib/coursePackage";
+import { logAudit } from "../lib/audit";
 import { useNavigate, useParams } from "react-router-dom";
 import {
   Card,
@@ -11,9 +22,17 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
 import { toast } from "sonner";
 import { motion } from "framer-motion";
-import { ArrowLeft, Pencil } from "lucide-react";
+import { Archive, ArchiveRestore, ArrowLeft, Copy, Download, Pencil } from "lucide-react";
+import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuItem } from "@/components/ui/dropdown-menu";
 import {
   AlertDialog,
   AlertDialogContent,
@@ -28,16 +47,29 @@ import {
 export default function CourseEditPage() {
   const navigate = useNavigate();
   const { id } = useParams();
+  const { user, role } = useAuth();
 
   const [course, setCourse] = useState(null);
   const [title, setTitle] = useState("");
+  const [code, setCode] = useState("");
   const [description, setDescription] = useState("");
+  const [enrollment, setEnrollment] = useState({ mode: "open", capacity: "", opensAt: "", closesAt: "" });
   const [loading, setLoading] = useState(false);
   const [confirmUpdate, setConfirmUpdate] = useState(false);
+  const [cloneOpen, setCloneOpen] = useState(false);
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState("none");
 
-  // Fetch course by ID
+  // Fetch course by ID (only if the current user may manage it)
   useEffect(() => {
     const fetchCourse = async () => {
+      const allowed = await canManageCourse({ user, role }, id);
+      if (!allowed) {
+        toast.error("You don't have permission to edit this course");
+        navigate("/admin/create-course");
+        return;
+      }
+
       const { data, error } = await supabase
         .from("courses")
         .select("*")
@@ -50,18 +82,78 @@ export default function CourseEditPage() {
       } else {
         setCourse(data);
         setTitle(data.title);
+        setCode(data.code || "");
+        setTermId(data.term_id || "none");
         setDescription(data.description);
+        setEnrollment({
+          mode: data.enrollment_mode || "open",
+          capacity: data.capacity ?? "",
+          opensAt: data.enrollment_opens_at?.slice(0, 10) || "",
+          closesAt: data.enrollment_closes_at?.slice(0, 10) || "",
+        });
       }
     };
     fetchCourse();
-  }, [id, navigate]);
+  }, [id, navigate, user, role]);
+
+  useEffect(() => {
+    fetchTerms()
+      .then(setTerms)
+      .catch((err) => console.error("fetchTerms", err));
+  }, []);
+
+  const toggleArchived = async () => {
+    const archive = !isArchived(course);
+    try {
+      const archived_at = await setCourseArchived(id, archive);
+      await logAudit({
+        actorId: user?.id,
+        action: archive ? "course.archived" : "course.unarchived",
+        entityType: "course",
+        entityId: id,
+        before: { archived_at: course.archived_at || null },
+        after: { archived_at },
+      });
+      setCourse((prev) => ({ ...prev, archived_at }));
+      toast.success(archive ? "Course archived" : "Course restored");
+    } catch (err) {
+      console.error("toggleArchived", err);
+      toast.error("Failed to update course");
+    }
+  };
+
+  const exportPackage = async (format) => {
+    try {
+      const pkg = await downloadCoursePackage(id, { format });
+      await logAudit({
+        actorId: user?.id,
+        action: "course.exported",
+        entityType: "course",
+        entityId: id,
+        after: { format, version: pkg.version, counts: packageCounts(pkg) },
+      });
+    } catch (err) {
+      console.error("downloadCoursePackage", err);
+      toast.error("Failed to export course");
+    }
+  };
 
   const handleUpdateCourse = async () => {
     setLoading(true);
     try {
+      const capacity = String(enrollment.capacity).trim();
       const { error } = await supabase
         .from("courses")
-        .update({ title, description })
+        .update({
+          title,
+          code: code.trim() || null,
+          description,
+          term_id: termId === "none" ? null : termId,
+          enrollment_mode: enrollment.mode,
+          capacity: capacity ? Math.max(parseInt(capacity, 10), 0) : null,
+          enrollment_opens_at: enrollment.opensAt || null,
+          enrollment_closes_at: enrollment.closesAt ? `${enrollment.closesAt}T23:59:59` : null,
+        })
         .eq("id", id);
 
       if (error) throw error;
@@ -92,13 +184,55 @@ export default function CourseEditPage() {
         <h1 className="text-2xl font-bold flex items-center gap-2 text-emerald-400">
           <Pencil className="h-6 w-6" /> Edit Course
         </h1>
-        <Button
-          variant="outline"
-          className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 cursor-pointer"
-          onClick={() => navigate(-1)}
-        >
-          <ArrowLeft className="h-4 w-4 mr-1" /> Back
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            className="border-zinc-600 text-zinc-300 hover:bg-zinc-600 cursor-pointer"
+            onClick={toggleArchived}
+          >
+            {isArchived(course) ? (
+              <>
+                <ArchiveRestore className="h-4 w-4 mr-1" /> Restore
+              </>
+            ) : (
+              <>
+                <Archive className="h-4 w-4 mr-1" /> Archive
+              </>
+            )}
+          </Button>
+          <Button
+            variant="outline"
+            className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 cursor-pointer"
+            onClick={() => setCloneOpen(true)}
+          >
+            <Copy className="h-4 w-4 mr-1" /> Duplicate
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="outline"
+                className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 cursor-pointer"
+              >
+                <Download className="h-4 w-4 mr-1" /> Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent className="bg-zinc-900 border border-zinc-700 text-slate-100">
+              <DropdownMenuItem className="cursor-pointer" onClick={() => exportPackage("zip")}>
+                Course package (.zip)
+              </DropdownMenuItem>
+              <DropdownMenuItem className="cursor-pointer" onClick={() => exportPackage("json")}>
+                Plain JSON
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button
+            variant="outline"
+            className="border-emerald-500 text-emerald-400 hover:bg-emerald-500 cursor-pointer"
+            onClick={() => navigate(-1)}
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" /> Back
+          </Button>
+        </div>
       </div>
 
       {/* Edit Form */}
@@ -112,6 +246,12 @@ export default function CourseEditPage() {
             <CardTitle className="text-emerald-400">
               Update Course Details
             </CardTitle>
+            {isArchived(course) && (
+              <p className="text-xs text-amber-300">
+                Archived {new Date(course.archived_at).toLocaleDateString()} — hidden from course pickers and
+                read-only for students.
+              </p>
+            )}
           </CardHeader>
           <CardContent>
             <form
@@ -131,6 +271,33 @@ export default function CourseEditPage() {
                   className="bg-zinc-800 border-zinc-700 text-white"
                 />
               </div>
+              <div>
+                <label className="block text-zinc-400 mb-1">Course Code</label>
+                <Input
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.toUpperCase())}
+                  placeholder="e.g. CS101"
+                  className="bg-zinc-800 border-zinc-700 text-white"
+                />
+              </div>
+              {terms.length > 0 && (
+                <div>
+                  <label className="block text-zinc-400 mb-1">Term</label>
+                  <Select value={termId} onValueChange={setTermId}>
+                    <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                      <SelectValue placeholder="Term" />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                      <SelectItem value="none">No term</SelectItem>
+                      {terms.map((t) => (
+                        <SelectItem key={t.id} value={t.id}>
+                          {t.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
               <div>
                 <label className="block text-zinc-400 mb-1">Description</label>
                 <Textarea
@@ -140,6 +307,62 @@ export default function CourseEditPage() {
                   className="bg-zinc-800 border-zinc-700 text-white"
                 />
               </div>
+
+              {/* Enrollment policy */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-zinc-400 mb-1">Enrollment</label>
+                  <Select
+                    value={enrollment.mode}
+                    onValueChange={(v) => setEnrollment((p) => ({ ...p, mode: v }))}
+                  >
+                    <SelectTrigger className="bg-zinc-800 border-zinc-700 text-white w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                      {ENROLLMENT_MODES.map((m) => (
+                        <SelectItem key={m.value} value={m.value}>
+                          {m.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-zinc-500 mt-1">
+                    {ENROLLMENT_MODES.find((m) => m.value === enrollment.mode)?.hint}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-zinc-400 mb-1">Capacity</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={enrollment.capacity}
+                    onChange={(e) => setEnrollment((p) => ({ ...p, capacity: e.target.value }))}
+                    placeholder="Unlimited"
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                  <p className="text-xs text-zinc-500 mt-1">Extra requests go to the waitlist.</p>
+                </div>
+                <div>
+                  <label className="block text-zinc-400 mb-1">Enrollment opens</label>
+                  <Input
+                    type="date"
+                    value={enrollment.opensAt}
+                    onChange={(e) => setEnrollment((p) => ({ ...p, opensAt: e.target.value }))}
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                </div>
+                <div>
+                  <label className="block text-zinc-400 mb-1">Enrollment closes</label>
+                  <Input
+                    type="date"
+                    value={enrollment.closesAt}
+                    onChange={(e) => setEnrollment((p) => ({ ...p, closesAt: e.target.value }))}
+                    className="bg-zinc-800 border-zinc-700 text-white"
+                  />
+                </div>
+              </div>
+
               <div className="flex gap-3">
                 <Button
                   type="button"
@@ -160,8 +383,20 @@ export default function CourseEditPage() {
             </form>
           </CardContent>
         </Card>
+
+        <CourseCatalogCard courseId={id} />
+        <CourseStaffCard courseId={id} />
+        <CourseSectionsCard courseId={id} />
+        <CourseJoinCodesCard courseId={id} courseTitle={title} />
       </motion.div>
 
+      <CourseCloneDialog
+        course={course}
+        open={cloneOpen}
+        onOpenChange={setCloneOpen}
+        onCloned={(created) => navigate(`/courses/edit/${created.id}`)}
+      />
+
       {/* Confirm Update */}
       <AlertDialog open={confirmUpdate} onOpenChange={setConfirmUpdate}>
         <AlertDialogContent className="bg-zinc-950">
@@ -14,6 +14,12 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchStudentSectionMap, isVisibleToSection } from "../lib/sections";
+import { isArchived } from "../lib/terms";
+import { courseStaffRoleLabel, fetchCourseTeam } from "../lib/courseStaff";
+import { fetchStudentAnnouncements, markAnnouncementsRead } from "../lib/announcements";
+import AnnouncementsList from "../components/course/AnnouncementsList";
 
 // shadcn/ui components (assumes these exist)
 import {
@@ -66,6 +72,7 @@ import {
   Trash2,
   Search,
   StopCircle,
+  Megaphone,
 } from "lucide-react";
 
 // markdown
@@ -143,7 +150,7 @@ export default function CoursePage() {
 
   // page & user
   const [course, setCourse] = useState(null);
-  const [user, setUser] = useState(null);
+  const { user } = useAuth();
   const [loadingPage, setLoadingPage] = useState(true);
 
   // notes
@@ -177,6 +184,37 @@ export default function CoursePage() {
   const [quizzes, setQuizzes] = useState([]);
   const [loadingCharts, setLoadingCharts] = useState(false);
 
+  // teaching staff (creator + course_staff)
+  const [team, setTeam] = useState([]);
+  useEffect(() => {
+    if (!id) return;
+    fetchCourseTeam(id)
+      .then(setTeam)
+      .catch((err) => console.error("fetchCourseTeam", err));
+  }, [id]);
+
+  // announcements for this course, with the student's read state
+  const [announcements, setAnnouncements] = useState([]);
+  const [readIds, setReadIds] = useState(new Set());
+  useEffect(() => {
+    if (!id || !user) return;
+    (async () => {
+      try {
+        const sectionOf = await fetchStudentSectionMap(user.id);
+        const result = await fetchStudentAnnouncements(user.id, id in sectionOf ? { [id]: sectionOf[id] } : {});
+        setAnnouncements(result.announcements);
+        setReadIds(result.readIds);
+      } catch (err) {
+        console.error("fetchStudentAnnouncements", err);
+      }
+    })();
+  }, [id, user]);
+
+  const markRead = (ids) => {
+    setReadIds((prev) => new Set([...prev, ...ids]));
+    markAnnouncementsRead(user?.id, ids).catch((err) => console.error("markAnnouncementsRead", err));
+  };
+
   // theme/qr
   const qrSize = useQrSize({ small: 92, medium: 140, large: 180 });
 
@@ -245,12 +283,6 @@ const quizStats = useMemo(() => {
     const fetchData = async () => {
       setLoadingPage(true);
       try {
-        const {
-          data: { user },
-        } = await supabase.auth.getUser();
-        if (!mounted) return;
-        setUser(user || null);
-
         const { data: courseData, error: courseErr } = await supabase
           .from("courses")
           .select("*")
@@ -319,7 +351,11 @@ const quizStats = useMemo(() => {
           if (subsRes?.data) setSubmissions(subsRes.data || []);
         }
         const assignmentsRes = results[rIdx++] || { data: null };
-        if (assignmentsRes?.data) setAssignments(assignmentsRes.data || []);
+        if (assignmentsRes?.data) {
+          // whole-course assignments plus the ones targeted at the student's section
+          const sectionOf = user ? await fetchStudentSectionMap(user.id) : {};
+          setAssignments(assignmentsRes.data.filter((a) => isVisibleToSection(a, sectionOf[id])));
+        }
 
         const quizzesRes = results[rIdx] || { data: null };
         if (quizzesRes?.data) setQuizzes(quizzesRes.data || []);
@@ -366,7 +402,7 @@ const quizStats = useMemo(() => {
     return () => {
       mounted = false;
     };
-  }, [id]);
+  }, [id, user]);
 
   /* -----------------------------
      Notes CRUD (unchanged semantics)
@@ -511,6 +547,10 @@ const quizStats = useMemo(() => {
   };
 
   const saveSubmission = useCallback(async () => {
+    if (isArchived(course)) {
+      toast.error("This course is archived and read-only.");
+      return;
+    }
     if (!user || !activeAssignment || !isValidUrl(submissionLink)) {
       toast.error("Please provide a valid file URL for submission.");
       return;
@@ -544,7 +584,7 @@ const quizStats = useMemo(() => {
     } finally {
       setSavingSubmission(false);
     }
-  }, [user, activeAssignment, submissionLink]);
+  }, [user, activeAssignment, submissionLink, course]);
 
   /* -----------------------------
      AI generation: modal + streaming control
@@ -907,6 +947,21 @@ const OverviewSkeleton = () => (
                   <span>Course ID: {course.id?.slice(0, 8)}…</span>
                   {course.instructor && <span className="hidden sm:inline">• Instructor: {course.instructor}</span>}
                 </div>
+                {team.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                    {team.map((m) => (
+                      <span key={m.id} className="px-2 py-0.5 rounded-full bg-zinc-800 text-zinc-300">
+                        {m.profile?.full_name || "Staff"}{" "}
+                        <span className="text-emerald-300/80">· {courseStaffRoleLabel(m.role)}</span>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {isArchived(course) && (
+                  <Badge className="mt-2 bg-amber-700/40 text-amber-200">
+                    Archived course · read-only
+                  </Badge>
+                )}
               </div>
             </div>
 
@@ -926,6 +981,23 @@ const OverviewSkeleton = () => (
           </div>
         </motion.div>
 
+        {/* Announcements */}
+        {announcements.length > 0 && (
+          <div className="max-w-7xl mx-auto mb-6">
+            <Card className="bg-zinc-900 border-zinc-800 rounded-2xl">
+              <CardHeader>
+                <CardTitle className="text-emerald-400 flex items-center gap-2">
+                  <Megaphone className="h-5 w-5" />
+                  Announcements
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <AnnouncementsList announcements={announcements} readIds={readIds} onMarkRead={markRead} />
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
         {/* Overview + Attendance + Quizzes */}
         <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
           <Card className="bg-zinc-900 border-zinc-800 rounded-2xl">
@@ -1084,6 +1156,7 @@ const OverviewSkeleton = () => (
                           variant="emerald"
                   
                           className="px-2 py-1 text-emerald-100 text-xs"
+                          disabled={isArchived(course)}
                           onClick={() => navigate(`/student/quiz/${quiz.id}`)}
                         >
                           Attempt
@@ -1385,7 +1458,7 @@ const OverviewSkeleton = () => (
                             <div className="text-xs text-zinc-500 mt-2 line-clamp-3">{a.description}</div>
                           </div>
                           <div className="mt-3 flex gap-2">
-                            <Button size="sm" className="bg-emerald-500 cursor-pointer hover:bg-emerald-400" onClick={() => openSubmission(a)}>Submit</Button>
+                            <Button size="sm" className="bg-emerald-500 cursor-pointer hover:bg-emerald-400" disabled={isArchived(course)} onClick={() => openSubmission(a)}>Submit</Button>
                             <Button size="sm" className="bg-white cursor-pointer text-black hover:bg-emerald-100" onClick={() => { navigator.clipboard?.writeText(a.id?.toString() || ""); toast.success("Assignment ID copied"); }}>
                               Copy ID
                             </Button>
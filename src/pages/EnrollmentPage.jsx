@@ -1,6 +1,28 @@
 // src/pages/StudentEnrollmentPage.jsx
 import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { ALL_SECTIONS, fetchSections, groupSectionsByCourse, sectionName } from "../lib/sections";
+import SectionSelect from "../components/course/SectionSelect";
+import CourseScopeToggle from "../components/course/CourseScopeToggle";
+import {
+  ENROLLMENT_COURSE_COLUMNS,
+  OPEN_REQUEST_STATUSES,
+  enrollmentBlockReason,
+  enrollmentModeLabel,
+  requestEnrollment,
+  cancelEnrollmentRequest,
+} from "../lib/enrollment";
+import { isArchived } from "../lib/terms";
+import {
+  CATALOG_COURSE_COLUMNS,
+  catalogOptions,
+  fetchCompletedCourses,
+  fetchPrerequisites,
+  formatCredits,
+  missingPrerequisites,
+  prerequisiteBlockReason,
+} from "../lib/catalog";
 import { motion } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 import { toast } from "sonner"; // ✅ toast notifications
@@ -14,6 +36,14 @@ import {
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -32,13 +62,50 @@ import {
   PlusCircle,
   CheckCircle2,
   Search,
+  Clock,
+  KeyRound,
+  CalendarClock,
+  Info,
 } from "lucide-react";
 
+const ALL = "all";
+
+const CONFIRM_COPY = {
+  enroll: {
+    title: "Confirm Enrollment",
+    description:
+      "Do you want to enroll in this course? By enrolling, your attendance will start from 0%. Courses that need approval or are full will put you in the queue instead.",
+    action: "Enroll",
+  },
+  unenroll: {
+    title: "Confirm Unenrollment",
+    description: "Do you want to unenroll from this course? Your past attendance records will be removed.",
+    action: "Unenroll",
+  },
+  cancel: {
+    title: "Withdraw Request",
+    description: "Do you want to withdraw your enrollment request? You'll lose your place in the queue.",
+    action: "Withdraw",
+  },
+};
+
 export default function StudentEnrollmentPage() {
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
   const [courses, setCourses] = useState([]);
   const [enrolled, setEnrolled] = useState(new Set());
+  const [sectionsByCourse, setSectionsByCourse] = useState({});
+  const [enrolledSection, setEnrolledSection] = useState({}); // course_id -> section_id
+  const [chosenSection, setChosenSection] = useState(ALL_SECTIONS);
+  const [requests, setRequests] = useState({}); // course_id -> open enrollment_requests row
+  const [seatCounts, setSeatCounts] = useState({}); // course_id -> enrolled students
   const [query, setQuery] = useState("");
+  const [joinCode, setJoinCode] = useState("");
+  const [scope, setScope] = useState("current"); // "current" | "past" (archived courses you took)
+  const [department, setDepartment] = useState(ALL);
+  const [category, setCategory] = useState(ALL);
+  const [prerequisites, setPrerequisites] = useState({}); // course_id -> prerequisite courses
+  const [completed, setCompleted] = useState(null); // { ids, codes } of completed courses
   const [confirmAction, setConfirmAction] = useState(null); // { courseId, type }
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
@@ -46,29 +113,75 @@ export default function StudentEnrollmentPage() {
   /* ---- Fetch user + courses ---- */
   useEffect(() => {
     (async () => {
-      const {
-        data: { user },
-      } = await supabase.auth.getUser();
       if (!user) return;
-      setUserId(user.id);
 
       // Fetch courses
       const { data: courseData } = await supabase
         .from("courses")
-        .select("id, title, description, created_at, profiles(full_name)")
+        .select(
+          `id, title, code, description, created_at, archived_at, ${ENROLLMENT_COURSE_COLUMNS}, ${CATALOG_COURSE_COLUMNS}, profiles(full_name)`
+        )
         .order("created_at", { ascending: false });
 
       setCourses(courseData || []);
 
+      try {
+        const sections = await fetchSections((courseData || []).map((c) => c.id));
+        setSectionsByCourse(groupSectionsByCourse(sections));
+      } catch (err) {
+        console.error("fetchSections", err);
+      }
+
+      try {
+        const [prereqs, done] = await Promise.all([
+          fetchPrerequisites((courseData || []).map((c) => c.id)),
+          fetchCompletedCourses(user.id),
+        ]);
+        setPrerequisites(prereqs);
+        setCompleted(done);
+      } catch (err) {
+        console.error("fetchPrerequisites", err);
+      }
+
       // Fetch enrollments
       const { data: enrollData } = await supabase
         .from("enrollments")
-        .select("course_id")
+        .select("course_id, section_id")
         .eq("student_id", user.id);
 
       setEnrolled(new Set(enrollData?.map((e) => e.course_id) || []));
+      setEnrolledSection(Object.fromEntries((enrollData || []).map((e) => [e.course_id, e.section_id])));
+
+      // seats taken, for courses with a capacity
+      const limited = (courseData || []).filter((c) => c.capacity != null).map((c) => c.id);
+      if (limited.length) {
+        const { data: seatRows } = await supabase
+          .from("enrollments")
+          .select("course_id")
+          .in("course_id", limited);
+        setSeatCounts(
+          (seatRows || []).reduce((acc, r) => ({ ...acc, [r.course_id]: (acc[r.course_id] || 0) + 1 }), {})
+        );
+      }
+
+      await fetchRequests();
     })();
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  async function fetchRequests() {
+    if (!user) return;
+    const { data, error } = await supabase
+      .from("enrollment_requests")
+      .select("id, course_id, status, created_at")
+      .eq("student_id", user.id)
+      .in("status", OPEN_REQUEST_STATUSES);
+    if (error) {
+      console.error("fetchRequests", error);
+      return;
+    }
+    setRequests(Object.fromEntries((data || []).map((r) => [r.course_id, r])));
+  }
 
   /* ---- Handle Confirmed Action ---- */
   const handleConfirm = async () => {
@@ -76,67 +189,67 @@ export default function StudentEnrollmentPage() {
     setLoading(true);
 
     const { courseId, type } = confirmAction;
-    let error;
-
-    if (type === "enroll") {
-      const { data, error: insertError } = await supabase
-        .from("enrollments")
-        .insert({
-          course_id: courseId,
-          student_id: userId,
-        })
-        .select("id") // ✅ fetch enrollment_id
-        .single();
-
-      error = insertError;
+    const course = courses.find((c) => c.id === courseId);
 
-      if (!error && data) {
-        const enrollmentId = data.id; // ✅ now we have enrollment_id
+    try {
+      if (type === "enroll") {
+        const sectionId = chosenSection === ALL_SECTIONS ? null : chosenSection;
+        const { status } = await requestEnrollment({ course, sectionId });
 
-        toast.success(
-          "Enrolled successfully! Your attendance starts from 0%."
-        );
-
-        setEnrolled((prev) => new Set(prev).add(courseId));
-
-        // (Optional) If you want to insert first attendance record
-        // await supabase.from("attendance").insert({
-        //   enrollment_id: enrollmentId,
-        //   date: new Date().toISOString().split("T")[0],
-        //   status: "absent", // or "present" depending on logic
-        //   marked_by: userId,
-        // });
-      } else {
-        toast.error(error.message || "Failed to enroll. Try again.");
+        if (status === "enrolled") {
+          toast.success("Enrolled successfully! Your attendance starts from 0%.");
+          setEnrolled((prev) => new Set(prev).add(courseId));
+          setEnrolledSection((prev) => ({ ...prev, [courseId]: sectionId }));
+          setSeatCounts((prev) => ({ ...prev, [courseId]: (prev[courseId] || 0) + 1 }));
+        } else {
+          toast.success(
+            status === "waitlisted"
+              ? "The course is full — you've been added to the waitlist."
+              : "Request sent. You'll be enrolled once staff approve it."
+          );
+          await fetchRequests();
+        }
       }
-    }
 
-    if (type === "unenroll") {
-      ({ error } = await supabase
-        .from("enrollments")
-        .delete()
-        .eq("course_id", courseId)
-        .eq("student_id", userId));
+      if (type === "unenroll") {
+        const { error } = await supabase
+          .from("enrollments")
+          .delete()
+          .eq("course_id", courseId)
+          .eq("student_id", userId);
+        if (error) throw error;
 
-      if (!error) {
         toast.success("Unenrolled successfully!");
         setEnrolled((prev) => {
           const updated = new Set(prev);
           updated.delete(courseId);
           return updated;
         });
-      } else {
-        toast.error(error.message || "Failed to unenroll. Try again.");
+        // the freed seat goes to the next waitlisted student (database trigger)
+        setSeatCounts((prev) => ({ ...prev, [courseId]: Math.max((prev[courseId] || 1) - 1, 0) }));
       }
-    }
 
-    setLoading(false);
-    setConfirmAction(null);
+      if (type === "cancel") {
+        await cancelEnrollmentRequest(requests[courseId].id);
+        toast.success("Request withdrawn");
+        await fetchRequests();
+      }
+    } catch (err) {
+      console.error("enrollment action", err);
+      toast.error(err.message || "Something went wrong. Try again.");
+    } finally {
+      setLoading(false);
+      setConfirmAction(null);
+    }
   };
 
   /* ---- Filter courses ---- */
-  const filteredCourses = courses.filter((c) =>
-    c.title.toLowerCase().includes(query.toLowerCase())
+  const filteredCourses = courses.filter(
+    (c) =>
+      `${c.code || ""} ${c.title}`.toLowerCase().includes(query.toLowerCase()) &&
+      (department === ALL || c.department === department) &&
+      (category === ALL || c.category === category) &&
+      (scope === "past" ? isArchived(c) && enrolled.has(c.id) : !isArchived(c))
   );
 
   return (
@@ -151,10 +264,10 @@ export default function StudentEnrollmentPage() {
           <BookOpen className="h-6 w-6 text-emerald-300" />
           <div>
             <h1 className="text-lg md:text-xl font-semibold text-emerald-300">
-              Course Enrollment
+              Course Catalog
             </h1>
             <p className="text-xs text-zinc-400 hidden md:block">
-              Browse courses and manage your enrollments
+              Browse courses by department and manage your enrollments
             </p>
           </div>
         </div>
@@ -168,8 +281,8 @@ export default function StudentEnrollmentPage() {
         </Button>
       </motion.header>
 
-      {/* Search Bar */}
-      <div className="max-w-7xl mx-auto px-4 md:px-6 mt-6 mb-4">
+      {/* Search Bar + Join Code */}
+      <div className="max-w-7xl mx-auto px-4 md:px-6 mt-6 mb-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
         <div className="flex items-center gap-2 bg-zinc-900/50 border border-zinc-800 rounded-xl px-3 py-2 w-full md:w-96 shadow-sm hover:shadow-emerald-500/10 transition">
           <Search className="h-4 w-4 text-zinc-400" />
           <Input
@@ -179,6 +292,44 @@ export default function StudentEnrollmentPage() {
             className="bg-transparent border-0 focus-visible:ring-0 text-sm text-zinc-100"
           />
         </div>
+        <div className="flex flex-wrap gap-2">
+          {[
+            { value: department, set: setDepartment, key: "department", label: "All departments" },
+            { value: category, set: setCategory, key: "category", label: "All categories" },
+          ].map((f) => (
+            <Select key={f.key} value={f.value} onValueChange={f.set}>
+              <SelectTrigger className="bg-zinc-900/50 border-zinc-800 text-sm text-zinc-100 w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border-zinc-700 text-white">
+                <SelectItem value={ALL}>{f.label}</SelectItem>
+                {catalogOptions(courses, f.key).map((v) => (
+                  <SelectItem key={v} value={v}>
+                    {v}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ))}
+        </div>
+        <CourseScopeToggle value={scope} onChange={setScope} />
+        <form
+          className="flex items-center gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (joinCode.trim()) navigate(`/join/${encodeURIComponent(joinCode.trim().toUpperCase())}`);
+          }}
+        >
+          <Input
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Have a join code?"
+            className="bg-zinc-900/50 border-zinc-800 text-sm text-zinc-100 font-mono uppercase w-44"
+          />
+          <Button type="submit" size="sm" className="bg-emerald-500 cursor-pointer hover:bg-emerald-400 text-black">
+            <KeyRound className="h-4 w-4 mr-1" /> Join
+          </Button>
+        </form>
       </div>
 
       {/* Course Grid */}
@@ -186,13 +337,34 @@ export default function StudentEnrollmentPage() {
         {filteredCourses.length > 0 ? (
           filteredCourses.map((c) => {
             const isEnrolled = enrolled.has(c.id);
+            const request = !isEnrolled ? requests[c.id] : null;
+            const missing = missingPrerequisites(prerequisites[c.id], completed);
+            const blocked =
+              !isEnrolled && !request
+                ? enrollmentBlockReason(c) || (completed && prerequisiteBlockReason(missing))
+                : null;
+            const full = c.capacity != null && (seatCounts[c.id] || 0) >= c.capacity;
+            const actionType = isEnrolled ? "unenroll" : request ? "cancel" : "enroll";
             return (
               <Card
                 key={c.id}
                 className="bg-zinc-900/60 border border-zinc-800 rounded-2xl shadow-lg hover:shadow-emerald-500/20 transition flex flex-col"
               >
                 <CardHeader>
-                  <CardTitle className="text-emerald-300">{c.title}</CardTitle>
+                  <CardTitle className="text-emerald-300">
+                    {c.code && <span className="font-mono text-emerald-400/80 mr-2">{c.code}</span>}
+                    {c.title}
+                  </CardTitle>
+                  {(c.department || c.schedule) && (
+                    <div className="text-xs text-zinc-400 flex flex-wrap items-center gap-x-3 gap-y-1">
+                      {c.department && <span>{c.department}</span>}
+                      {c.schedule && (
+                        <span className="flex items-center gap-1">
+                          <CalendarClock className="h-3 w-3" /> {c.schedule}
+                        </span>
+                      )}
+                    </div>
+                  )}
                 </CardHeader>
                 <CardContent className="flex flex-col justify-between flex-grow space-y-4">
                   <p className="text-sm text-zinc-400">
@@ -201,39 +373,99 @@ export default function StudentEnrollmentPage() {
                   <div className="text-xs text-zinc-500">
                     Coordinator: {c.profiles?.full_name || "Unknown"}
                   </div>
-                  <div className="flex justify-between items-center pt-2">
+                  <div className="flex flex-wrap gap-2 text-xs">
+                    <Badge className="bg-zinc-800 text-zinc-300">
+                      {enrollmentModeLabel(c.enrollment_mode)}
+                    </Badge>
+                    {c.category && <Badge className="bg-zinc-800 text-zinc-300">{c.category}</Badge>}
+                    {formatCredits(c.credits) && (
+                      <Badge className="bg-zinc-800 text-zinc-300">{formatCredits(c.credits)}</Badge>
+                    )}
+                    {prerequisites[c.id]?.length > 0 && (
+                      <Badge
+                        className={
+                          missing.length ? "bg-amber-700/40 text-amber-200" : "bg-emerald-600/20 text-emerald-300"
+                        }
+                      >
+                        Prereqs: {prerequisites[c.id].map((p) => p.code || p.title).join(", ")}
+                      </Badge>
+                    )}
+                    {isArchived(c) && <Badge className="bg-amber-700/40 text-amber-200">Archived</Badge>}
+                    {c.capacity != null && (
+                      <Badge className={full ? "bg-amber-700/40 text-amber-200" : "bg-zinc-800 text-zinc-300"}>
+                        {seatCounts[c.id] || 0}/{c.capacity} seats
+                      </Badge>
+                    )}
+                  </div>
+                  <div className="flex justify-between items-center gap-2 pt-2">
                     <span
                       className={`text-sm ${
-                        isEnrolled ? "text-emerald-400" : "text-zinc-400"
+                        isEnrolled ? "text-emerald-400" : request ? "text-amber-300" : "text-zinc-400"
                       }`}
                     >
-                      {isEnrolled ? "Enrolled" : "Not Enrolled"}
+                      {isEnrolled
+                        ? "Enrolled"
+                        : request?.status === "waitlisted"
+                          ? "Waitlisted"
+                          : request
+                            ? "Pending approval"
+                            : blocked || "Not Enrolled"}
+                      {isEnrolled && enrolledSection[c.id] && (
+                        <span className="text-zinc-400">
+                          {" "}
+                          · {sectionName(sectionsByCourse[c.id], enrolledSection[c.id])}
+                        </span>
+                      )}
                     </span>
+                    <div className="flex gap-2">
                     <Button
                       size="sm"
-                      disabled={loading}
-                      className={`flex gap-1 ${
-                        isEnrolled
-                          ? "bg-red-500 hover:bg-red-600"
-                          : "bg-emerald-500 hover:bg-emerald-600"
-                      }`}
-                      onClick={() =>
-                        setConfirmAction({
-                          courseId: c.id,
-                          type: isEnrolled ? "unenroll" : "enroll",
-                        })
-                      }
+                      variant="outline"
+                      className="border-zinc-700 text-black cursor-pointer"
+                      onClick={() => navigate(`/student/catalog/${c.id}`)}
                     >
-                      {isEnrolled ? (
-                        <>
-                          <CheckCircle2 className="h-4 w-4" /> Unenroll
-                        </>
+                      <Info className="h-4 w-4" /> Details
+                    </Button>
+                      {isArchived(c) ? (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          className="border-zinc-700 text-black cursor-pointer"
+                          onClick={() => navigate(`/courses/${c.id}`)}
+                        >
+                          <BookOpen className="h-4 w-4" /> View
+                        </Button>
                       ) : (
-                        <>
-                          <PlusCircle className="h-4 w-4" /> Enroll
-                        </>
+                        <Button
+                          size="sm"
+                          disabled={loading || !!blocked}
+                          className={`flex gap-1 ${
+                            actionType === "enroll"
+                              ? "bg-emerald-500 hover:bg-emerald-600"
+                              : "bg-red-500 hover:bg-red-600"
+                          }`}
+                          onClick={() => {
+                            setChosenSection(ALL_SECTIONS);
+                            setConfirmAction({ courseId: c.id, type: actionType });
+                          }}
+                        >
+                          {isEnrolled ? (
+                            <>
+                              <CheckCircle2 className="h-4 w-4" /> Unenroll
+                            </>
+                          ) : request ? (
+                            <>
+                              <Clock className="h-4 w-4" /> Withdraw
+                            </>
+                          ) : (
+                            <>
+                              <PlusCircle className="h-4 w-4" />{" "}
+                              {full ? "Join waitlist" : c.enrollment_mode === "approval" ? "Request" : "Enroll"}
+                            </>
+                          )}
+                        </Button>
                       )}
-                    </Button>
+                    </div>
                   </div>
                 </CardContent>
               </Card>
@@ -241,7 +473,7 @@ export default function StudentEnrollmentPage() {
           })
         ) : (
           <p className="text-zinc-500 text-center col-span-full py-12">
-            No courses available
+            {scope === "past" ? "No courses from past terms" : "No courses available"}
           </p>
         )}
       </div>
@@ -254,16 +486,25 @@ export default function StudentEnrollmentPage() {
         <AlertDialogContent className="bg-zinc-950">
           <AlertDialogHeader>
             <AlertDialogTitle className="text-emerald-400">
-              {confirmAction?.type === "enroll"
-                ? "Confirm Enrollment"
-                : "Confirm Unenrollment"}
+              {CONFIRM_COPY[confirmAction?.type]?.title}
             </AlertDialogTitle>
             <AlertDialogDescription>
-              {confirmAction?.type === "enroll"
-                ? "Do you want to enroll in this course? By enrolling, your attendance will start from 0%."
-                : "Do you want to unenroll from this course? Your past attendance records will be removed."}
+              {CONFIRM_COPY[confirmAction?.type]?.description}
             </AlertDialogDescription>
           </AlertDialogHeader>
+          {confirmAction?.type === "enroll" &&
+            sectionsByCourse[confirmAction.courseId]?.length > 0 && (
+              <div className="space-y-1">
+                <label className="text-xs text-zinc-400">Your section</label>
+                <SectionSelect
+                  sections={sectionsByCourse[confirmAction.courseId]}
+                  value={chosenSection}
+                  allLabel="Not sure yet"
+                  onChange={setChosenSection}
+                  className="bg-zinc-900 border-zinc-700 w-full"
+                />
+              </div>
+            )}
           <AlertDialogFooter>
             <AlertDialogCancel className="cursor-pointer">
               Cancel
@@ -273,7 +514,7 @@ export default function StudentEnrollmentPage() {
               className="cursor-pointer bg-emerald-400 text-black hover:bg-emerald-300"
               onClick={handleConfirm}
             >
-              {confirmAction?.type === "enroll" ? "Enroll" : "Unenroll"}
+              {CONFIRM_COPY[confirmAction?.type]?.action}
             </AlertDialogAction>
           </AlertDialogFooter>
         </AlertDialogContent>
@@ -0,0 +1,367 @@
+// src/pages/GuardianDashboard.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { toast } from "sonner";
+import { useAuth } from "../hooks/useAuth";
+import {
+  fetchAttendanceRecords,
+  fetchAssignmentRecords,
+  fetchQuizScoreRecords,
+  fetchLinkedStudents,
+  scorePercent,
+} from "../lib/studentRecords";
+import { extendedLabel } from "../lib/extensions";
+import StudentIdentity from "../components/profile/StudentIdentity";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import {
+  Select,
+  SelectTrigger,
+  SelectValue,
+  SelectContent,
+  SelectItem,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+
+import {
+  Users,
+  CalendarDays,
+  ClipboardList,
+  Trophy,
+  LogOut,
+  Loader2,
+  Eye,
+} from "lucide-react";
+
+const STATUS_CLASSES = {
+  present: "bg-emerald-700/40 text-emerald-200",
+  absent: "bg-red-700/40 text-red-200",
+  late: "bg-amber-700/40 text-amber-200",
+};
+
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
+
+/**
+ * Guardian Dashboard
+ * - Read-only view of a linked student's attendance, assignment grades and quiz scores
+ * - Same queries as the student's own pages (lib/studentRecords); nothing here writes
+ */
+export default function GuardianDashboard() {
+  const navigate = useNavigate();
+  const { user, profile, signOut } = useAuth();
+
+  const [students, setStudents] = useState([]);
+  const [studentId, setStudentId] = useState("");
+  const [loadingStudents, setLoadingStudents] = useState(true);
+
+  const [attendance, setAttendance] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [quizScores, setQuizScores] = useState([]);
+  const [loadingRecords, setLoadingRecords] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    (async () => {
+      setLoadingStudents(true);
+      try {
+        const linked = await fetchLinkedStudents(user.id);
+        setStudents(linked);
+        setStudentId((cur) => cur || linked[0]?.id || "");
+      } catch (err) {
+        console.error("fetchLinkedStudents", err);
+        toast.error("Failed to load linked students");
+      } finally {
+        setLoadingStudents(false);
+      }
+    })();
+  }, [user]);
+
+  useEffect(() => {
+    if (!studentId) return;
+    let cancelled = false;
+    (async () => {
+      setLoadingRecords(true);
+      try {
+        const [att, asg, quiz] = await Promise.all([
+          fetchAttendanceRecords(studentId),
+          fetchAssignmentRecords(studentId),
+          fetchQuizScoreRecords(studentId),
+        ]);
+        if (cancelled) return;
+        const byAssignment = new Map(asg.submissions.map((s) => [s.assignment_id, s]));
+        setAttendance(att);
+        setAssignments(asg.assignments.map((a) => ({ ...a, submission: byAssignment.get(a.id) || null })));
+        setQuizScores(quiz);
+      } catch (err) {
+        console.error("guardian records", err);
+        if (!cancelled) toast.error("Failed to load student records");
+      } finally {
+        if (!cancelled) setLoadingRecords(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const student = students.find((s) => s.id === studentId) || null;
+
+  const summary = useMemo(() => {
+    const present = attendance.filter((a) => a.status === "present").length;
+    const graded = assignments.filter((a) => a.submission?.grade != null);
+    const quizPercents = quizScores.map((q) => scorePercent(q.score)).filter((p) => p !== null);
+    return {
+      attendancePct: attendance.length ? Math.round((present / attendance.length) * 100) : null,
+      submitted: assignments.filter((a) => a.submission).length,
+      graded: graded.length,
+      quizAvg: quizPercents.length
+        ? Math.round(quizPercents.reduce((sum, p) => sum + p, 0) / quizPercents.length)
+        : null,
+    };
+  }, [attendance, assignments, quizScores]);
+
+  const handleLogout = async () => {
+    try {
+      await signOut();
+      navigate("/login", { replace: true });
+    } catch (err) {
+      console.error("Logout error:", err);
+      toast.error("Failed to sign out");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#010f0d] via-[#03211d] to-[#052b25] text-slate-100">
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -8 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="sticky top-0 z-30 bg-zinc-950/70 backdrop-blur-md border-b border-zinc-800 px-6 py-3 flex items-center justify-between"
+      >
+        <div className="flex items-center gap-2">
+          <Users className="h-6 w-6 text-emerald-300" />
+          <div>
+            <h1 className="text-lg font-semibold text-emerald-300">Guardian Portal</h1>
+            <p className="text-xs text-zinc-400">{profile?.full_name || profile?.email}</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          {students.length > 1 && (
+            <Select value={studentId} onValueChange={setStudentId}>
+              <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-56">
+                <SelectValue placeholder="Select student" />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 text-slate-100">
+                {students.map((s) => (
+                  <SelectItem key={s.id} value={s.id}>
+                    {s.full_name || s.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button variant="ghost" className="cursor-pointer" onClick={handleLogout}>
+            <LogOut className="h-4 w-4 mr-1" /> Logout
+          </Button>
+        </div>
+      </motion.header>
+
+      <main className="max-w-6xl mx-auto px-4 md:px-6 py-8 space-y-6">
+        {loadingStudents ? (
+          <div className="flex items-center gap-2 text-zinc-400">
+            <Loader2 className="h-4 w-4 animate-spin" /> Loading...
+          </div>
+        ) : !student ? (
+          <Card className="bg-zinc-900/60 border border-zinc-800">
+            <CardContent className="p-8 text-center text-zinc-400">
+              No students are linked to your account yet. Please contact the college office.
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Student + summary */}
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <StudentIdentity student={student} nameClassName="text-lg font-semibold text-emerald-200" />
+              <Badge className="bg-zinc-800 text-zinc-300">
+                <Eye className="h-3 w-3 mr-1" /> Read-only
+              </Badge>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <SummaryTile
+                icon={<CalendarDays className="h-5 w-5 text-emerald-300" />}
+                label="Attendance"
+                value={summary.attendancePct === null ? "—" : `${summary.attendancePct}%`}
+              />
+              <SummaryTile
+                icon={<ClipboardList className="h-5 w-5 text-emerald-300" />}
+                label="Submitted"
+                value={`${summary.submitted}/${assignments.length}`}
+              />
+              <SummaryTile
+                icon={<ClipboardList className="h-5 w-5 text-emerald-300" />}
+                label="Graded"
+                value={summary.graded}
+              />
+              <SummaryTile
+                icon={<Trophy className="h-5 w-5 text-emerald-300" />}
+                label="Quiz average"
+                value={summary.quizAvg === null ? "—" : `${summary.quizAvg}%`}
+              />
+            </div>
+
+            {loadingRecords ? (
+              <div className="flex items-center gap-2 text-zinc-400">
+                <Loader2 className="h-4 w-4 animate-spin" /> Loading records...
+              </div>
+            ) : (
+              <Tabs defaultValue="attendance">
+                <TabsList className="bg-zinc-900 border border-zinc-800">
+                  <TabsTrigger value="attendance">Attendance</TabsTrigger>
+                  <TabsTrigger value="assignments">Assignments</TabsTrigger>
+                  <TabsTrigger value="quizzes">Quizzes</TabsTrigger>
+                </TabsList>
+
+                {/* Attendance */}
+                <TabsContent value="attendance">
+                  <RecordsCard title="Attendance" empty={!attendance.length}>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Date</TableHead>
+                          <TableHead>Course</TableHead>
+                          <TableHead>Status</TableHead>
+                          <TableHead>Marked by</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {attendance.map((a) => (
+                          <TableRow key={a.id}>
+                            <TableCell>{fmtDate(a.date)}</TableCell>
+                            <TableCell>{a.courses?.title || "—"}</TableCell>
+                            <TableCell>
+                              <Badge className={STATUS_CLASSES[a.status] || "bg-zinc-800"}>{a.status}</Badge>
+                            </TableCell>
+                            <TableCell className="text-zinc-400">{a.coordinator_name}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </RecordsCard>
+                </TabsContent>
+
+                {/* Assignments */}
+                <TabsContent value="assignments">
+                  <RecordsCard title="Assignments" empty={!assignments.length}>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Assignment</TableHead>
+                          <TableHead>Course</TableHead>
+                          <TableHead>Due</TableHead>
+                          <TableHead>Submitted</TableHead>
+                          <TableHead>Grade</TableHead>
+                          <TableHead>Feedback</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {assignments.map((a) => (
+                          <TableRow key={a.id}>
+                            <TableCell className="font-medium">{a.title}</TableCell>
+                            <TableCell>{a.courses?.title || "—"}</TableCell>
+                            <TableCell>
+                              {fmtDate(a.due_date)}
+                              {a.extended_to && <div className="text-xs text-emerald-300">{extendedLabel(a)}</div>}
+                            </TableCell>
+                            <TableCell>
+                              {a.submission ? (
+                                fmtDate(a.submission.submitted_at)
+                              ) : (
+                                <span className="text-zinc-500">Not submitted</span>
+                              )}
+                            </TableCell>
+                            <TableCell className="text-emerald-300">{a.submission?.grade ?? "—"}</TableCell>
+                            <TableCell className="text-xs text-zinc-400 max-w-xs">
+                              {a.submission?.feedback || "—"}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </RecordsCard>
+                </TabsContent>
+
+                {/* Quizzes */}
+                <TabsContent value="quizzes">
+                  <RecordsCard title="Quiz scores" empty={!quizScores.length}>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Course</TableHead>
+                          <TableHead>Quiz</TableHead>
+                          <TableHead className="text-right">Score</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {quizScores.map((q) => (
+                          <TableRow key={q.id}>
+                            <TableCell>{q.course_title}</TableCell>
+                            <TableCell>{q.quiz_label}</TableCell>
+                            <TableCell className="text-right text-emerald-300">
+                              {q.score}
+                              {scorePercent(q.score) !== null && (
+                                <span className="text-xs text-zinc-500 ml-2">({scorePercent(q.score)}%)</span>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </RecordsCard>
+                </TabsContent>
+              </Tabs>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+function SummaryTile({ icon, label, value }) {
+  return (
+    <Card className="bg-zinc-900/60 border border-zinc-800">
+      <CardContent className="p-4 flex items-center gap-3">
+        {icon}
+        <div>
+          <div className="text-xs text-zinc-400">{label}</div>
+          <div className="text-xl font-semibold text-emerald-200">{value}</div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function RecordsCard({ title, empty, children }) {
+  return (
+    <Card className="bg-zinc-900/60 border border-zinc-800 mt-4">
+      <CardHeader>
+        <CardTitle className="text-emerald-300">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {empty ? <p className="text-zinc-500">Nothing recorded yet.</p> : <div className="overflow-auto">{children}</div>}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,110 @@
+// src/pages/JoinCoursePage.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Navigate, useNavigate, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { useAuth } from "../hooks/useAuth";
+import { normalizeJoinCode, redeemJoinCode } from "../lib/joinCodes";
+import AuthLoading from "../components/check/AuthLoading";
+
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { CheckCircle2, Clock, XCircle, Loader2, KeyRound } from "lucide-react";
+
+const RESULT_COPY = {
+  enrolled: { icon: CheckCircle2, tone: "text-emerald-400", title: "You're in!", text: "You are now enrolled in" },
+  already: { icon: CheckCircle2, tone: "text-emerald-400", title: "Already enrolled", text: "You are already enrolled in" },
+  waitlisted: { icon: Clock, tone: "text-amber-400", title: "Course is full", text: "You're on the waitlist for" },
+  pending: { icon: Clock, tone: "text-amber-400", title: "Request pending", text: "Your enrollment request is awaiting approval for" },
+};
+
+/**
+ * Join Course
+ * - /join/:code — opened from a join link or QR handed out by an instructor
+ * - Logged-out visitors are sent to student login and brought back here afterwards
+ * - Redeems the code once for the logged-in student and shows the outcome
+ */
+export default function JoinCoursePage() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { user, role, loading, mustResetPassword } = useAuth();
+
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const redeemed = useRef(false);
+
+  const canJoin = !loading && user && role === "student" && !mustResetPassword;
+
+  useEffect(() => {
+    if (!canJoin || redeemed.current) return;
+    redeemed.current = true;
+    redeemJoinCode(code)
+      .then(setResult)
+      .catch((err) => {
+        console.error("redeemJoinCode", err);
+        setError(err.message || "Could not join this course.");
+      });
+  }, [canJoin, code, user]);
+
+  if (loading) return <AuthLoading />;
+  if (!user) {
+    return <Navigate to={`/login?view=student-login&next=/join/${encodeURIComponent(code)}`} replace />;
+  }
+  if (mustResetPassword) return <Navigate to="/login?view=reset-password" replace />;
+
+  const copy = result && RESULT_COPY[result.status];
+  const Icon = error ? XCircle : copy?.icon;
+
+  return (
+    <div className="min-h-screen bg-zinc-950 text-white grid place-items-center p-6">
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="w-full max-w-md">
+        <Card className="bg-zinc-900 border-zinc-800 shadow-lg text-center">
+          <CardHeader>
+            <CardTitle className="text-emerald-400 flex items-center justify-center gap-2">
+              <KeyRound className="h-5 w-5" /> Join code{" "}
+              <span className="font-mono tracking-widest">{normalizeJoinCode(code)}</span>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-5">
+            {role !== "student" ? (
+              <p className="text-zinc-400">Join codes are for student accounts. Log in as a student to use this link.</p>
+            ) : !result && !error ? (
+              <div className="flex items-center justify-center gap-2 text-zinc-400">
+                <Loader2 className="h-5 w-5 animate-spin" /> Joining course...
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <Icon className={`h-12 w-12 mx-auto ${error ? "text-red-400" : copy.tone}`} />
+                <h2 className="text-xl font-semibold">{error ? "Couldn't join" : copy.title}</h2>
+                <p className="text-zinc-400">
+                  {error || (
+                    <>
+                      {copy.text} <span className="text-white font-medium">{result.course?.title}</span>.
+                    </>
+                  )}
+                </p>
+              </div>
+            )}
+
+            <div className="flex justify-center gap-2">
+              {result && result.status !== "waitlisted" && (
+                <Button
+                  className="bg-emerald-500 cursor-pointer hover:bg-emerald-600 text-white"
+                  onClick={() => navigate(`/courses/${result.course?.id}`)}
+                >
+                  Open course
+                </Button>
+              )}
+              <Button
+                variant="outline"
+                className="cursor-pointer border-zinc-700 text-black"
+                onClick={() => navigate(role === "student" ? "/student/enrollments" : "/")}
+              >
+                {role === "student" ? "My enrollments" : "Home"}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 // src/pages/QuizManagerPage.jsx
 import React, { useEffect, useState, useMemo } from "react";
 import { supabase } from "@/lib/supabaseClient";
+import { useAuth } from "@/hooks/useAuth";
+import { fetchManagedCourses } from "@/lib/roles";
+import DeadlineExtensionsDialog from "@/components/course/DeadlineExtensionsDialog";
 import { motion } from "framer-motion";
 import { useNavigate, Link } from "react-router-dom";
 
@@ -41,6 +44,7 @@ import {
   PlusCircle,
   FileText,
   ArrowLeft,
+  CalendarClock,
 } from "lucide-react";
 import {
   Select,
@@ -70,34 +74,36 @@ const badgeColors = [
 ];
 
 export default function QuizGeneratorPage() {
+  const { user, role } = useAuth();
   const [courses, setCourses] = useState([]);
   const [quizzes, setQuizzes] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState("");
   const [topicDescription, setTopicDescription] = useState("");
   const [questionCount, setQuestionCount] = useState(5);
+  const [closesAt, setClosesAt] = useState(""); // optional end of the quiz window
   const [loading, setLoading] = useState(false);
   const [selectedQuiz, setSelectedQuiz] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [quizToDelete, setQuizToDelete] = useState(null);
+  const [extensionsFor, setExtensionsFor] = useState(null);
   const navigate = useNavigate();
 
   // ✅ Fetch courses
   useEffect(() => {
     const fetchCourses = async () => {
-      const { data, error } = await supabase
-        .from("courses")
-        .select("id, title");
+      // only courses whose quizzes they may change (not TAs)
+      const { data, error } = await fetchManagedCourses({ user, role }, { permission: "edit" });
       if (error) console.error("Error fetching courses:", error);
       setCourses(data || []);
     };
     fetchCourses();
-  }, []);
+  }, [user, role]);
 
   // ✅ Fetch quizzes
   const fetchQuizzes = async () => {
     const { data, error } = await supabase
       .from("quizzes")
-      .select("id, course_id, questions, created_at")
+      .select("id, course_id, questions, created_at, closes_at")
       .order("created_at", { ascending: false });
     if (error) console.error("Error fetching quizzes:", error);
     setQuizzes(data || []);
@@ -117,6 +123,10 @@ export default function QuizGeneratorPage() {
       toast.error("Please enter a topic description");
       return;
     }
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      toast.error("The quiz must close in the future");
+      return;
+    }
     setLoading(true);
     try {
       const course = courses.find((c) => c.id === selectedCourse);
@@ -172,6 +182,7 @@ export default function QuizGeneratorPage() {
         {
           course_id: selectedCourse,
           questions: quizData,
+          closes_at: closesAt ? new Date(closesAt).toISOString() : null,
         },
       ]);
 
@@ -182,6 +193,7 @@ export default function QuizGeneratorPage() {
         toast.success("Quiz generated successfully!");
         fetchQuizzes();
         setTopicDescription("");
+        setClosesAt("");
       }
     } catch (err) {
       console.error("Error generating quiz:", err);
@@ -272,7 +284,7 @@ export default function QuizGeneratorPage() {
                 questions.
               </CardDescription>
             </CardHeader>
-            <CardContent className="grid gap-4 md:grid-cols-3">
+            <CardContent className="grid gap-4 md:grid-cols-4">
               <div>
                 <label className="block text-sm mb-1 text-zinc-300">Course</label>
                 <Select
@@ -322,6 +334,18 @@ export default function QuizGeneratorPage() {
                   className="bg-zinc-800 text-emerald-100 border-zinc-700"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm mb-1 text-zinc-300">
+                  Closes At (optional)
+                </label>
+                <Input
+                  type="datetime-local"
+                  value={closesAt}
+                  onChange={(e) => setClosesAt(e.target.value)}
+                  className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                />
+              </div>
             </CardContent>
             <CardFooter>
               <Button
@@ -397,6 +421,11 @@ export default function QuizGeneratorPage() {
                           </CardTitle>
                           <CardDescription className="text-zinc-400">
                             {new Date(quiz.created_at).toLocaleString()}
+                            {quiz.closes_at && (
+                              <span className="block text-xs text-amber-300">
+                                Closes {new Date(quiz.closes_at).toLocaleString()}
+                              </span>
+                            )}
                           </CardDescription>
                         </div>
                         <Badge className={badgeStyle}>
@@ -415,6 +444,16 @@ export default function QuizGeneratorPage() {
                         >
                           <ListChecks className="mr-2 h-4 w-4" /> View
                         </Button>
+                        {quiz.closes_at && (
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => setExtensionsFor({ ...quiz, title: `${course.title} quiz` })}
+                            className="cursor-pointer"
+                          >
+                            <CalendarClock className="mr-2 h-4 w-4" /> Extensions
+                          </Button>
+                        )}
                         <Button
                           variant="destructive"
                           size="sm"
@@ -498,6 +537,16 @@ export default function QuizGeneratorPage() {
         </DialogContent>
       </Dialog>
 
+      <DeadlineExtensionsDialog
+        open={!!extensionsFor}
+        onOpenChange={(v) => !v && setExtensionsFor(null)}
+        type="quiz"
+        item={extensionsFor}
+        courseId={extensionsFor?.course_id}
+        courseTitle={courses.find((c) => c.id === extensionsFor?.course_id)?.title}
+        deadline={extensionsFor?.closes_at}
+      />
+
       {/* Delete Confirmation */}
       <AlertDialog
         open={!!quizToDelete}
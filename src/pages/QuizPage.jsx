@@ -15,6 +15,9 @@
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { isArchived } from "../lib/terms";
+import { extendedLabel, isQuizClosed, withStudentQuizWindows } from "../lib/extensions";
 import { motion, AnimatePresence } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 
@@ -114,16 +117,6 @@ function fmtDateTime(dt) {
   }
 }
 
-/** Extract user id from supabase auth response safely */
-async function getCurrentUserId() {
-  try {
-    const { data } = await supabase.auth.getUser();
-    return data?.user?.id || null;
-  } catch {
-    return null;
-  }
-}
-
 /* =============================================================================
    Main Page Component
    ============================================================================= */
@@ -132,7 +125,8 @@ export default function QuizPage() {
   const navigate = useNavigate();
 
   // Data state
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
   const [allQuizzes, setAllQuizzes] = useState([]); // flat quiz list
   const [coursesMap, setCoursesMap] = useState({}); // { courseId: { id, title, quizzes: [] } }
   const [quizScores, setQuizScores] = useState([]); // student's quiz_scores rows
@@ -162,19 +156,17 @@ export default function QuizPage() {
       setErrorMessage(null);
       try {
         // 1) ensure auth user
-        const { data } = await supabase.auth.getUser();
-        const uid = data?.user?.id;
+        const uid = userId;
         if (!uid) {
           setErrorMessage("Not authenticated.");
           setLoading(false);
           return;
         }
-        setUserId(uid);
 
         // 2) fetch enrollments for the student to limit quizzes
         const { data: enrolledData, error: enrollErr } = await supabase
           .from("enrollments")
-          .select("course_id, courses(id, title)")
+          .select("course_id, section_id, courses(id, title, archived_at)")
           .eq("student_id", uid);
 
         if (enrollErr) {
@@ -184,7 +176,10 @@ export default function QuizPage() {
           return;
         }
 
-        const courseIds = (enrolledData || []).map((r) => r.course_id);
+        // archived courses are read-only, so their quizzes can't be attempted any more
+        const courseIds = (enrolledData || [])
+          .filter((r) => !isArchived(r.courses))
+          .map((r) => r.course_id);
         if (!courseIds.length) {
           // no enrolled courses -> no quizzes
           setAllQuizzes([]);
@@ -197,7 +192,7 @@ export default function QuizPage() {
         // 3) fetch quizzes for these course ids with course metadata
         const { data: quizzesData, error: quizzesErr } = await supabase
           .from("quizzes")
-          .select("id, course_id, questions, created_at, courses(id, title)")
+          .select("id, course_id, questions, created_at, closes_at, courses(id, title)")
           .in("course_id", courseIds)
           .order("created_at", { ascending: true }); // earliest => Quiz 1
 
@@ -215,8 +210,11 @@ export default function QuizPage() {
           console.error("scoresErr:", scoresErr);
         }
 
+        // closes_at becomes the student's own if they (or their section) got an extension
+        const sectionOf = Object.fromEntries((enrolledData || []).map((r) => [r.course_id, r.section_id || null]));
+        const quizzes = await withStudentQuizWindows(quizzesData || [], uid, sectionOf);
+
         // Prepare grouping by course
-        const quizzes = quizzesData || [];
         const scores = scoresData || [];
 
         const map = {};
@@ -250,7 +248,7 @@ export default function QuizPage() {
     return () => {
       mountedRef.current = false;
     };
-  }, []);
+  }, [userId]);
 
   // ---------------------------------------------------------------------------
   // Derived helpers
@@ -307,32 +305,29 @@ export default function QuizPage() {
 
 async function handleSubmitQuiz() {
   if (!activeQuiz) return;
+  if (isQuizClosed(activeQuiz)) {
+    setErrorMessage("This quiz has closed.");
+    return;
+  }
   setSubmitting(true);
   try {
-    let uid = userId;
-    if (!uid) {
-      uid = await getCurrentUserId();
-      if (!uid) throw new Error("Not authenticated");
-      setUserId(uid);
-    }
+    const uid = userId;
+    if (!uid) throw new Error("Not authenticated");
 
     const questions = activeQuiz.questions || [];
-    let correctCount = 0;
-    for (let i = 0; i < questions.length; i++) {
-      const q = questions[i];
-      const selected = answers[i];
-      if (selected && selected === q.answer) correctCount++;
-    }
+    // 1/0 per question, for course-outcome attainment (lib/outcomes)
+    const questionResults = questions.map((q, i) => (answers[i] && answers[i] === q.answer ? 1 : 0));
+    const correctCount = questionResults.reduce((sum, r) => sum + r, 0);
 
     const scoreText = `${correctCount}/${questions.length}`;
 
-    // ✅ Insert only score (string), no JSON payload
     const { data: inserted, error: insertErr } = await supabase
       .from("quiz_scores")
       .insert({
         quiz_id: activeQuiz.id,
         student_id: uid,
         score: scoreText, // <-- plain text only
+        question_results: questionResults,
       })
       .select()
       .single();
@@ -482,6 +477,7 @@ async function handleSubmitQuiz() {
                               {course.quizzes.map((q, idx) => {
                                 const label = `Quiz ${idx + 1}`;
                                 const attempted = attemptedSet.has(q.id);
+                                const closed = isQuizClosed(q);
                                 return (
                                   <li key={q.id}>
                                     <div className="flex items-center justify-between p-2 rounded-md bg-zinc-900/20 hover:bg-zinc-900/30">
@@ -491,6 +487,12 @@ async function handleSubmitQuiz() {
                                           <Calendar className="h-3 w-3" />
                                           <span>{new Date(q.created_at).toLocaleDateString()}</span>
                                         </div>
+                                        {q.closes_at && (
+                                          <div className={`text-xs ${closed ? "text-red-400" : "text-zinc-400"}`}>
+                                            {closed ? "Closed" : "Closes"} {new Date(q.closes_at).toLocaleString()}
+                                            {q.extended_to && <span className="text-emerald-300"> · {extendedLabel(q)}</span>}
+                                          </div>
+                                        )}
                                       </div>
 
                                       <div className="flex items-center gap-2">
@@ -503,6 +505,7 @@ async function handleSubmitQuiz() {
                                             size="sm"
                                             variant="outline"
                                             className="border-zinc-700 cursor-pointer hover:bg-zinc-800/40"
+                                            disabled={closed && !attempted}
                                             onClick={() => openQuizForTaking(q)}
                                             aria-label={attempted ? `View ${label}` : `Take ${label}`}
                                           >
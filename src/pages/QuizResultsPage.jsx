@@ -2,6 +2,8 @@
 import React, { useEffect, useState, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
+import { fetchProfileDetails } from "../lib/profile";
+import StudentIdentity from "../components/profile/StudentIdentity";
 import {
   Table,
   TableHeader,
@@ -86,7 +88,14 @@ export default function QuizResultsPage() {
         `);
 
       if (!error) {
-        setResults(data || []);
+        // roll number, class and photo live on profiles
+        const details = await fetchProfileDetails((data || []).map((r) => r.student_id));
+        setResults(
+          (data || []).map((r) => ({
+            ...r,
+            students: { ...r.students, ...details.get(r.student_id) },
+          }))
+        );
         // Extract unique courses
         const uniqueCourses = [];
         data?.forEach((r) => {
@@ -270,7 +279,8 @@ export default function QuizResultsPage() {
               r.students?.full_name
                 ?.toLowerCase()
                 .includes(search.toLowerCase()) ||
-              r.students?.email?.toLowerCase().includes(search.toLowerCase())
+              r.students?.email?.toLowerCase().includes(search.toLowerCase()) ||
+              r.students?.roll_number?.toLowerCase().includes(search.toLowerCase())
           );
 
           // Chart data
@@ -357,8 +367,8 @@ export default function QuizResultsPage() {
                         key={r.id}
                         className="hover:bg-zinc-800/40 transition"
                       >
-                        <TableCell className="font-medium text-emerald-300">
-                          {r.students?.full_name}
+                        <TableCell>
+                          <StudentIdentity student={r.students} nameClassName="font-medium text-emerald-300" />
                         </TableCell>
                         <TableCell className="text-zinc-400">
                           {r.students?.email}
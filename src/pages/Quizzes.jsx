@@ -2,6 +2,10 @@
 import React, { useEffect, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { isArchived } from "../lib/terms";
+import { fetchStudentSectionMap } from "../lib/sections";
+import { extendedLabel, isQuizClosed, withStudentQuizWindows } from "../lib/extensions";
 import { Button } from "@/components/ui/button";
 import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
 import { toast } from "sonner";
@@ -17,6 +21,7 @@ import {
 export default function Quizzes() {
   const { id } = useParams(); // quiz id
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [quiz, setQuiz] = useState(null);
   const [loading, setLoading] = useState(true);
   const [answers, setAnswers] = useState({});
@@ -30,7 +35,7 @@ export default function Quizzes() {
       setLoading(true);
       const { data, error } = await supabase
         .from("quizzes")
-        .select("id, course_id, questions, courses(title)")
+        .select("id, course_id, questions, closes_at, courses(title, archived_at)")
         .eq("id", id)
         .single();
 
@@ -38,17 +43,27 @@ export default function Quizzes() {
         console.error(error);
         toast.error("Failed to load quiz.");
       } else {
+        // closes_at becomes the student's own if they (or their section) got an extension
+        let row = data;
+        if (data.closes_at && user?.id) {
+          try {
+            const sectionOf = await fetchStudentSectionMap(user.id);
+            [row] = await withStudentQuizWindows([data], user.id, sectionOf);
+          } catch (err) {
+            console.error("quiz extensions", err);
+          }
+        }
         setQuiz({
-          ...data,
-          questions: Array.isArray(data.questions)
-            ? data.questions
-            : JSON.parse(data.questions || "[]"),
+          ...row,
+          questions: Array.isArray(row.questions)
+            ? row.questions
+            : JSON.parse(row.questions || "[]"),
         });
       }
       setLoading(false);
     };
     fetchQuiz();
-  }, [id]);
+  }, [id, user?.id]);
 
   const handleChange = (qIndex, choice) => {
     if (submitted) return;
@@ -57,6 +72,14 @@ export default function Quizzes() {
 
   const handleSubmit = async () => {
     if (!quiz) return;
+    if (isArchived(quiz.courses)) {
+      toast.error("This course is archived and read-only.");
+      return;
+    }
+    if (isQuizClosed(quiz)) {
+      toast.error("This quiz has closed.");
+      return;
+    }
     setSubmitting(true);
 
     let correct = 0;
@@ -75,15 +98,13 @@ export default function Quizzes() {
     setSubmitted(true);
     setChartData(analytics);
 
-    const {
-      data: { user },
-    } = await supabase.auth.getUser();
-
     const { error } = await supabase.from("quiz_scores").insert([
       {
         quiz_id: quiz.id,
         student_id: user.id,
         score: scoreText,
+        // 1/0 per question, for course-outcome attainment (lib/outcomes)
+        question_results: analytics.map((a) => a.correct),
       },
     ]);
 
@@ -107,6 +128,12 @@ export default function Quizzes() {
           <CardTitle className="text-emerald-400">
             {quiz.courses?.title} — Quiz
           </CardTitle>
+          {quiz.closes_at && (
+            <p className={`text-sm ${isQuizClosed(quiz) ? "text-red-400" : "text-zinc-400"}`}>
+              {isQuizClosed(quiz) ? "Closed" : "Closes"} {new Date(quiz.closes_at).toLocaleString()}
+              {quiz.extended_to && <span className="text-emerald-300"> · {extendedLabel(quiz)}</span>}
+            </p>
+          )}
         </CardHeader>
         <CardContent className="space-y-6">
           {quiz.questions.map((q, idx) => (
@@ -154,9 +181,15 @@ export default function Quizzes() {
             <Button
               className="bg-emerald-500 hover:bg-emerald-400 text-black mt-4"
               onClick={handleSubmit}
-              disabled={submitting}
+              disabled={submitting || isArchived(quiz.courses) || isQuizClosed(quiz)}
             >
-              {submitting ? "Submitting…" : "Submit Quiz"}
+              {isArchived(quiz.courses)
+                ? "Course archived"
+                : isQuizClosed(quiz)
+                ? "Quiz closed"
+                : submitting
+                ? "Submitting…"
+                : "Submit Quiz"}
             </Button>
           )}
 
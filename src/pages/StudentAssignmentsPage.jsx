@@ -6,6 +6,28 @@ import React, {
   useCallback,
 } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchAssignmentRecords } from "../lib/studentRecords";
+import { isArchived } from "../lib/terms";
+import {
+  acceptAttribute,
+  formatFileSize,
+  removeSubmissionFiles,
+  submissionFilesError,
+  uploadLimits,
+  uploadSubmissionFiles,
+  SUBMISSION_FILE_KINDS,
+} from "../lib/submissionFiles";
+import SubmissionAttachments from "../components/course/SubmissionAttachments";
+import RubricGradeDialog from "../components/course/RubricGradeDialog";
+import { describeLatePolicy, lateLabel, lateness, submissionLateness } from "../lib/latePolicy";
+import { extendedLabel } from "../lib/extensions";
+import {
+  describeResubmissions,
+  resubmissionsLeft,
+  resubmissionsUsed,
+  submissionVersionFiles,
+} from "../lib/submissionVersions";
 import { motion, AnimatePresence } from "framer-motion";
 import { Link, useNavigate } from "react-router-dom";
 
@@ -26,6 +48,7 @@ import {
 } from "@/components/ui/table";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
 import {
   Dialog,
   DialogContent,
@@ -52,6 +75,7 @@ import {
 // icons (lucide-react)
 import {
   ClipboardList,
+  ClipboardCheck,
   BookOpen,
   Search,
   Upload,
@@ -97,7 +121,8 @@ function useToast() {
 ---------------------------------------------------- */
 export default function StudentAssignmentsPage() {
   // ------------------- State -------------------
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
   const [assignments, setAssignments] = useState([]);
   const [submissions, setSubmissions] = useState([]);
   const [query, setQuery] = useState("");
@@ -108,6 +133,9 @@ export default function StudentAssignmentsPage() {
   const [modalOpen, setModalOpen] = useState(false);
   const [modalAssignment, setModalAssignment] = useState(null);
   const [submissionLink, setSubmissionLink] = useState("");
+  const [submissionNote, setSubmissionNote] = useState("");
+  const [keptFiles, setKeptFiles] = useState([]); // already uploaded attachments to keep
+  const [newFiles, setNewFiles] = useState([]); // File objects picked in this modal
   const [submitting, setSubmitting] = useState(false);
 
   // QR modal
@@ -127,49 +155,19 @@ export default function StudentAssignmentsPage() {
     (async () => {
       setLoading(true);
       try {
-        const {
-          data: { user },
-        } = await supabase.auth.getUser();
         if (!user) return;
-        setUserId(user.id);
-
-        // Enrolled courses
-        const { data: enrolledCourses, error: cErr } = await supabase
-          .from("enrollments")
-          .select("course_id, courses(id, title)")
-          .eq("student_id", user.id);
-
-        if (cErr || !enrolledCourses?.length) {
-          setAssignments([]);
-          setSubmissions([]);
-          return;
-        }
-
-        const courseIds = enrolledCourses.map((e) => e.course_id);
-
-        // Assignments (include file_url)
-        const { data: assignmentsData } = await supabase
-          .from("assignments")
-          .select("id, title, description, due_date, course_id, file_url, courses(title)")
-          .in("course_id", courseIds)
-          .order("due_date", { ascending: true });
-
-        setAssignments(assignmentsData || []);
-
-        // Submissions
-        const { data: submissionsData } = await supabase
-          .from("submissions")
-          .select("*")
-          .eq("student_id", user.id);
-
-        setSubmissions(submissionsData || []);
+
+        // assignments of enrolled courses + own submissions (shared with the guardian portal)
+        const records = await fetchAssignmentRecords(user.id);
+        setAssignments(records.assignments);
+        setSubmissions(records.submissions);
       } catch (err) {
         console.error("Fetch error:", err);
       } finally {
         setLoading(false);
       }
     })();
-  }, []);
+  },[user]);
 
   // ------------------- Derived -------------------
   const merged = useMemo(() => {
@@ -193,11 +191,19 @@ export default function StudentAssignmentsPage() {
   const fmtDate = (d) =>
     d ? new Date(d).toLocaleDateString() : "—";
 
-  const isBeforeDue = (due) => {
-    if (!due) return true;
-    return new Date() < new Date(due);
+  // why a submission can no longer be changed (null = still open); late work follows the assignment's policy
+  const lockReason = (a) => {
+    if (isArchived(a?.courses)) return "Course archived";
+    const now = lateness(a);
+    if (now.closed) return now.late ? "Due passed" : "Submissions closed";
+    if (a?.submission && resubmissionsLeft(a, a.submission) === 0) return "No resubmissions left";
+    return null;
   };
 
+  // once resubmitted, the version history (and the resubmission count) has to stay
+  const deleteLockReason = (a) =>
+    lockReason(a) || (resubmissionsUsed(a?.submission) > 0 ? "Resubmitted" : null);
+
   const submittedRows = filtered.filter((a) => a.submission);
   const pendingRows = filtered.filter((a) => !a.submission);
 
@@ -224,51 +230,72 @@ export default function StudentAssignmentsPage() {
   const openSubmitModal = (assignment) => {
     setModalAssignment(assignment);
     setSubmissionLink(assignment?.submission?.file_url || "");
+    setSubmissionNote(assignment?.submission?.note || "");
+    setKeptFiles(assignment?.submission?.attachments || []);
+    setNewFiles([]);
     setModalOpen(true);
-    setNotice("");
+    setNotice(lockReason(assignment) ? `${lockReason(assignment)} – this submission can no longer be changed.` : "");
   };
 
   const handleSaveSubmission = async () => {
     if (!userId || !modalAssignment) return;
-    if (!submissionLink) {
-      setNotice("Please paste a valid link to your work.");
+    if (!submissionLink && !keptFiles.length && !newFiles.length) {
+      setNotice("Please paste a link to your work or attach a file.");
       return;
     }
-    if (!isBeforeDue(modalAssignment.due_date)) {
-      setNotice("The due date has passed.");
+    const filesError = submissionFilesError(newFiles, modalAssignment, keptFiles.length);
+    if (filesError) {
+      setNotice(filesError);
+      return;
+    }
+    if (lockReason(modalAssignment)) {
+      setNotice(
+        isArchived(modalAssignment.courses)
+          ? "This course is archived and read-only."
+          : lockReason(modalAssignment) === "No resubmissions left"
+            ? "You have used all resubmissions for this assignment."
+            : "Submissions are closed for this assignment."
+      );
       return;
     }
     setSubmitting(true);
+    let uploaded = [];
     try {
       const existing = modalAssignment.submission;
-      if (existing) {
-        await supabase
-          .from("submissions")
-          .update({ file_url: submissionLink })
-          .eq("id", existing.id)
-          .eq("student_id", userId);
-        setSubmissions((prev) =>
-          prev.map((s) =>
-            s.id === existing.id ? { ...s, file_url: submissionLink } : s
-          )
-        );
-      } else {
-        const { data } = await supabase
-          .from("submissions")
-          .insert({
-            assignment_id: modalAssignment.id,
-            student_id: userId,
-            file_url: submissionLink,
-          })
-          .select()
-          .single();
-        setSubmissions((prev) => [data, ...prev]);
-      }
+      uploaded = await uploadSubmissionFiles(modalAssignment.id, userId, newFiles);
+      // submitted_at is the last time the work changed; lateness is judged from it
+      const fields = {
+        file_url: submissionLink || null,
+        note: submissionNote.trim() || null,
+        attachments: [...keptFiles, ...uploaded],
+        submitted_at: new Date().toISOString(),
+      };
+      // the database counts the version, enforces max_resubmissions and keeps the history row
+      // (supabase/migrations/*_submission_history.sql); files dropped here stay for older versions
+      const { data, error } = existing
+        ? await supabase
+            .from("submissions")
+            .update(fields)
+            .eq("id", existing.id)
+            .eq("student_id", userId)
+            .select()
+            .single()
+        : await supabase
+            .from("submissions")
+            .insert({ assignment_id: modalAssignment.id, student_id: userId, ...fields })
+            .select()
+            .single();
+      if (error) throw error;
+      setSubmissions((prev) =>
+        existing ? prev.map((s) => (s.id === existing.id ? { ...s, ...data } : s)) : [data, ...prev]
+      );
       toast.push("Submission saved.");
       setModalOpen(false);
     } catch (err) {
       console.error(err);
-      setNotice("Error saving submission.");
+      // nothing was saved, so the files uploaded for it have no submission to belong to
+      await removeSubmissionFiles(uploaded);
+      setNotice(err?.code === "42501" ? err.message : "Error saving submission.");
     } finally {
       setSubmitting(false);
     }
@@ -276,16 +303,29 @@ export default function StudentAssignmentsPage() {
 
   const handleDeleteSubmission = async (assignment) => {
     if (!assignment?.submission) return;
-    if (!isBeforeDue(assignment.due_date)) {
-      setNotice("Due passed.");
+    if (deleteLockReason(assignment)) {
+      setNotice(`${deleteLockReason(assignment)} – this submission can't be deleted.`);
       return;
     }
     try {
-      await supabase
+      // current files plus any the recorded version still points at, read before the rows go
+      const versionFiles = await submissionVersionFiles(assignment.submission.id);
+      const { error: versionsErr } = await supabase
+        .from("submission_versions")
+        .delete()
+        .eq("submission_id", assignment.submission.id);
+      if (versionsErr) throw versionsErr;
+      const { error } = await supabase
         .from("submissions")
         .delete()
         .eq("id", assignment.submission.id)
         .eq("student_id", userId);
+      if (error) throw error;
+      await removeSubmissionFiles(
+        [...(assignment.submission.attachments || []), ...versionFiles].filter(
+          (f, i, all) => all.findIndex((x) => x.path === f.path) === i
+        )
+      );
       setSubmissions((prev) =>
         prev.filter((s) => s.id !== assignment.submission.id)
       );
@@ -328,7 +368,7 @@ export default function StudentAssignmentsPage() {
             fmtDate={fmtDate}
             openSubmitModal={openSubmitModal}
             handleDeleteSubmission={handleDeleteSubmission}
-            isBeforeDue={isBeforeDue}
+            deleteLockReason={deleteLockReason}
           />
 
           {/* Analytics */}
@@ -338,7 +378,8 @@ export default function StudentAssignmentsPage() {
           <SubmittedCard
             submittedRows={submittedRows}
             fmtDate={fmtDate}
-            isBeforeDue={isBeforeDue}
+            lockReason={lockReason}
+            deleteLockReason={deleteLockReason}
             openSubmitModal={openSubmitModal}
             handleDeleteSubmission={handleDeleteSubmission}
             openQrModal={openQrModal}
@@ -376,6 +417,12 @@ export default function StudentAssignmentsPage() {
         modalAssignment={modalAssignment}
         submissionLink={submissionLink}
         setSubmissionLink={setSubmissionLink}
+        submissionNote={submissionNote}
+        setSubmissionNote={setSubmissionNote}
+        keptFiles={keptFiles}
+        setKeptFiles={setKeptFiles}
+        newFiles={newFiles}
+        setNewFiles={setNewFiles}
         notice={notice}
         handleSaveSubmission={handleSaveSubmission}
         submitting={submitting}
@@ -441,7 +488,7 @@ function AssignmentsCard({
   fmtDate,
   openSubmitModal,
   handleDeleteSubmission,
-  isBeforeDue,
+  deleteLockReason,
 }) {
   return (
     <Card className="lg:col-span-2 bg-zinc-900/50 border border-zinc-800 rounded-2xl overflow-hidden">
@@ -461,7 +508,10 @@ function AssignmentsCard({
             cells: [
               <div className="font-medium">{a.title}</div>,
               <div>{a.courses?.title || "—"}</div>,
-              <div>{fmtDate(a.due_date)}</div>,
+              <div>
+                {fmtDate(a.due_date)}
+                {a.extended_to && <div className="text-xs text-emerald-300">{extendedLabel(a)}</div>}
+              </div>,
               a.file_url ? (
                 <div className="flex items-center gap-2">
                   <a
@@ -487,6 +537,9 @@ function AssignmentsCard({
                 <span className="flex items-center gap-1 text-emerald-400 text-sm">
                   <CheckCircle className="h-4 w-4" />
                   Submitted
+                  {submissionLateness(a, a.submission).late && (
+                    <span className="text-amber-300">(late)</span>
+                  )}
                 </span>
               ) : (
                 <span className="flex items-center gap-1 text-zinc-400 text-sm">
@@ -499,6 +552,7 @@ function AssignmentsCard({
                   size="sm"
                   className="bg-emerald-500 cursor-pointer hover:bg-emerald-400 text-black"
                   onClick={() => openSubmitModal(a)}
+                  disabled={isArchived(a.courses)}
                 >
                   <Upload className="h-4 w-4 mr-1" />
                   {a.submission ? "Edit" : "Submit"}
@@ -509,11 +563,11 @@ function AssignmentsCard({
                     variant="outline"
                     className="border-zinc-700 cursor-pointer hover:bg-red-800/50"
                     onClick={() => handleDeleteSubmission(a)}
-                    disabled={!isBeforeDue(a.due_date)}
+                    disabled={!!deleteLockReason(a)}
                     title={
-                      isBeforeDue(a.due_date)
-                        ? "Delete submission"
-                        : "Due passed – cannot delete"
+                      deleteLockReason(a)
+                        ? `${deleteLockReason(a)} – cannot delete`
+                        : "Delete submission"
                     }
                   >
                     <Trash2 className="h-4 w-4 text-red-500" />
@@ -592,11 +646,14 @@ function AnalyticsCard({ analyticsData }) {
 function SubmittedCard({
   submittedRows,
   fmtDate,
-  isBeforeDue,
+  lockReason,
+  deleteLockReason,
   openSubmitModal,
   handleDeleteSubmission,
   openQrModal,
 }) {
+  const [rubricView, setRubricView] = useState(null); // submission whose filled rubric is open
+
   return (
     <Card className="lg:col-span-3 bg-zinc-900/50 border border-zinc-800 rounded-2xl overflow-hidden">
       <CardHeader className="flex items-center justify-between p-6">
@@ -613,7 +670,7 @@ function SubmittedCard({
             "Title",
             "Course",
             "Assignment PDF",
-            "Link",
+            "Your Work",
             "QR",
             "Submitted At",
             "Grade / Feedback",
@@ -645,15 +702,20 @@ function SubmittedCard({
               ) : (
                 "—"
               ),
-              a.submission?.file_url ? (
-                <a
-                  href={a.submission.file_url}
-                  className="text-emerald-300 underline inline-flex items-center gap-1"
-                  target="_blank"
-                  rel="noreferrer"
-                >
-                  Open <ExternalLink className="h-4 w-4" />
-                </a>
+              a.submission?.file_url || a.submission?.attachments?.length ? (
+                <div className="space-y-1">
+                  {a.submission.file_url && (
+                    <a
+                      href={a.submission.file_url}
+                      className="text-emerald-300 underline inline-flex items-center gap-1"
+                      target="_blank"
+                      rel="noreferrer"
+                    >
+                      Open <ExternalLink className="h-4 w-4" />
+                    </a>
+                  )}
+                  <SubmissionAttachments attachments={a.submission.attachments} />
+                </div>
               ) : (
                 "—"
               ),
@@ -671,12 +733,21 @@ function SubmittedCard({
                 {a.submission?.submitted_at
                   ? new Date(a.submission.submitted_at).toLocaleString()
                   : "—"}
+                {lateLabel(submissionLateness(a, a.submission)) && (
+                  <div className="text-xs text-amber-300">{lateLabel(submissionLateness(a, a.submission))}</div>
+                )}
               </div>,
               <div className="text-sm text-zinc-300">
                 {a.submission?.grade != null ? (
                   <>
                     <span className="font-semibold">Grade:</span>{" "}
                     {a.submission.grade}
+                    {a.submission.late_penalty > 0 && (
+                      <span className="text-xs text-amber-300">
+                        {" "}
+                        ({a.submission.raw_grade} − {a.submission.late_penalty}% late)
+                      </span>
+                    )}
                     {a.submission.feedback && (
                       <>
                         {" "}
@@ -684,6 +755,16 @@ function SubmittedCard({
                         {a.submission.feedback}
                       </>
                     )}
+                    {a.submission.rubric_scores && (
+                      <button
+                        type="button"
+                        className="mt-1 flex items-center gap-1 text-xs text-emerald-300 underline cursor-pointer"
+                        onClick={() => setRubricView(a)}
+                      >
+                        <ClipboardCheck className="h-3 w-3" /> View rubric ({a.submission.rubric_scores.total} /{" "}
+                        {a.submission.rubric_scores.max})
+                      </button>
+                    )}
                   </>
                 ) : (
                   <span className="text-zinc-400">
@@ -697,11 +778,9 @@ function SubmittedCard({
                   variant="outline"
                   className="border-zinc-700 cursor-pointer hover:bg-emerald-800/50"
                   onClick={() => openSubmitModal(a)}
-                  disabled={!isBeforeDue(a.due_date)}
+                  disabled={!!lockReason(a)}
                   title={
-                    isBeforeDue(a.due_date)
-                      ? "Edit link"
-                      : "Due passed – cannot edit"
+                    lockReason(a) ? `${lockReason(a)} – cannot edit` : "Edit link"
                   }
                 >
                   <Edit className="h-4 w-4 text-emerald-400" />
@@ -711,11 +790,11 @@ function SubmittedCard({
                   variant="outline"
                   className="border-zinc-700 cursor-pointer hover:bg-red-800/50"
                   onClick={() => handleDeleteSubmission(a)}
-                  disabled={!isBeforeDue(a.due_date)}
+                  disabled={!!deleteLockReason(a)}
                   title={
-                    isBeforeDue(a.due_date)
-                      ? "Delete submission"
-                      : "Due passed – cannot delete"
+                    deleteLockReason(a)
+                      ? `${deleteLockReason(a)} – cannot delete`
+                      : "Delete submission"
                   }
                 >
                   <Trash2 className="h-4 w-4 text-red-500" />
@@ -736,6 +815,14 @@ function SubmittedCard({
           emptyMessage="No submissions yet"
         />
       </CardContent>
+
+      <RubricGradeDialog
+        open={!!rubricView}
+        onOpenChange={(v) => !v && setRubricView(null)}
+        scores={rubricView?.submission?.rubric_scores}
+        feedback={rubricView?.submission?.feedback}
+        subtitle={rubricView?.title}
+      />
     </Card>
   );
 }
@@ -749,6 +836,12 @@ function SubmitModal({
   modalAssignment,
   submissionLink,
   setSubmissionLink,
+  submissionNote,
+  setSubmissionNote,
+  keptFiles,
+  setKeptFiles,
+  newFiles,
+  setNewFiles,
   notice,
   handleSaveSubmission,
   submitting,
@@ -761,7 +854,7 @@ function SubmitModal({
             {modalAssignment?.submission ? "Edit Submission" : "Submit Assignment"}
           </DialogTitle>
           <DialogDescription className="text-zinc-400">
-            Paste the URL to your work. Grades are provided by admin.
+            Paste a link to your work and/or upload files. Grades are provided by admin.
           </DialogDescription>
         </DialogHeader>
 
@@ -775,14 +868,87 @@ function SubmitModal({
           </div>
 
           <Input
-            placeholder="https://..."
+            placeholder="https://... (optional when uploading files)"
             value={submissionLink}
             onChange={(e) => setSubmissionLink(e.target.value)}
             className="bg-zinc-900/70 border-zinc-800"
           />
+          <Textarea
+            placeholder="Note for your instructor (optional)"
+            value={submissionNote}
+            onChange={(e) => setSubmissionNote(e.target.value)}
+            className="bg-zinc-900/70 border-zinc-800"
+          />
+
+          {/* File uploads, limited per assignment */}
+          <div className="space-y-2">
+            <Input
+              type="file"
+              multiple
+              accept={acceptAttribute(modalAssignment)}
+              onChange={(e) => {
+                const picked = Array.from(e.target.files || []);
+                setNewFiles((prev) => [...prev, ...picked]);
+                e.target.value = "";
+              }}
+              className="bg-zinc-900/70 border-zinc-800 cursor-pointer"
+            />
+            <p className="text-xs text-zinc-500">
+              {uploadLimits(modalAssignment).kinds.map((k) => SUBMISSION_FILE_KINDS[k].label).join(", ")} · up to{" "}
+              {uploadLimits(modalAssignment).maxFiles} files, {uploadLimits(modalAssignment).maxFileMb} MB each
+            </p>
+            {[...keptFiles, ...newFiles].length > 0 && (
+              <ul className="space-y-1 text-sm">
+                {keptFiles.map((f) => (
+                  <li key={f.path} className="flex items-center justify-between gap-2 text-zinc-300">
+                    <span className="truncate">{f.name}</span>
+                    <span className="flex items-center gap-2 text-xs text-zinc-500">
+                      {formatFileSize(f.size)}
+                      <button
+                        type="button"
+                        className="text-red-400 hover:text-red-300 cursor-pointer"
+                        onClick={() => setKeptFiles((prev) => prev.filter((x) => x.path !== f.path))}
+                      >
+                        <XCircle className="h-4 w-4" />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+                {newFiles.map((f, i) => (
+                  <li key={`${f.name}-${i}`} className="flex items-center justify-between gap-2 text-emerald-300">
+                    <span className="truncate">{f.name} (new)</span>
+                    <span className="flex items-center gap-2 text-xs text-zinc-500">
+                      {formatFileSize(f.size)}
+                      <button
+                        type="button"
+                        className="text-red-400 hover:text-red-300 cursor-pointer"
+                        onClick={() => setNewFiles((prev) => prev.filter((_, j) => j !== i))}
+                      >
+                        <XCircle className="h-4 w-4" />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
           {notice && <p className="text-sm text-emerald-300">{notice}</p>}
+          {modalAssignment && lateness(modalAssignment).late && !lateness(modalAssignment).closed && (
+            <p className="text-sm text-amber-300">
+              Submitting now counts as {lateLabel(lateness(modalAssignment))}.
+            </p>
+          )}
+          {modalAssignment?.submission && describeResubmissions(modalAssignment, modalAssignment.submission) && (
+            <p className="text-sm text-zinc-300">
+              {describeResubmissions(modalAssignment, modalAssignment.submission)}.
+            </p>
+          )}
+          {modalAssignment?.extended_to && (
+            <p className="text-sm text-emerald-300">{extendedLabel(modalAssignment)} for you.</p>
+          )}
           <p className="text-xs text-zinc-500">
-            You can edit or delete your submission until the due date.
+            {modalAssignment?.due_date ? `${describeLatePolicy(modalAssignment)}. ` : ""}
+            You can edit or delete your submission while submissions are open.
           </p>
         </div>
 
@@ -1,6 +1,7 @@
 // src/pages/StudentAttendancePage.jsx
 import React, { useEffect, useState, useMemo } from "react";
-import { supabase } from "../lib/supabaseClient";
+import { fetchAttendanceRecords } from "../lib/studentRecords";
+import { useAuth } from "../hooks/useAuth";
 import { motion } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 
@@ -47,62 +48,23 @@ import {
 
 export default function StudentAttendancePage() {
   const [attendance, setAttendance] = useState([]);
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
   const [query, setQuery] = useState("");
   const [expanded, setExpanded] = useState({});
   const navigate = useNavigate();
 
   useEffect(() => {
     (async () => {
-      const {
-        data: { user },
-      } = await supabase.auth.getUser();
       if (!user) return;
-      setUserId(user.id);
 
-      // 1. Fetch attendance
-      const { data: attendanceData, error } = await supabase
-        .from("attendance")
-        .select("id, date, status, courses(title), marked_by, created_at")
-        .eq("student_id", user.id)
-        .order("date", { ascending: false });
-
-      if (error) {
+      // attendance with coordinator names (shared with the guardian portal)
+      try {
+        setAttendance(await fetchAttendanceRecords(user.id));
+      } catch (error) {
         console.error("Attendance fetch error:", error.message);
-        return;
       }
-
-      // 2. Fetch coordinator names
-      const coordinatorIds = [
-        ...new Set(attendanceData.map((a) => String(a.marked_by)).filter(Boolean)),
-      ];
-
-      let coordinatorMap = {};
-      if (coordinatorIds.length > 0) {
-        const { data: profilesData } = await supabase
-          .from("profiles")
-          .select("id, full_name")
-          .in("id", coordinatorIds);
-
-        if (profilesData) {
-          coordinatorMap = profilesData.reduce((acc, p) => {
-            acc[p.id] = p.full_name;
-            return acc;
-          }, {});
-        }
-      }
-
-      // 3. Attach coordinator_name
-      const withNames = attendanceData.map((a) => ({
-        ...a,
-        coordinator_name: a.marked_by
-          ? coordinatorMap[a.marked_by] || "Unknown"
-          : "—",
-      }));
-
-      setAttendance(withNames);
     })();
-  }, []);
+  },[user]);
 
   /* ---- Group by course ---- */
   const coursesGrouped = useMemo(() => {
@@ -1,6 +1,7 @@
 // src/pages/StudentWorkLinksPage.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -99,9 +100,9 @@ const CardEnter = {
 export default function StudentWorkLinksPage() {
   const [tab, setTab] = useState("browse");
 
-  // auth/profile
-  const [profile, setProfile] = useState(null);
-  const [userId, setUserId] = useState(null);
+  // auth
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
 
   // data
   const [enrolledCourses, setEnrolledCourses] = useState([]); // [{id,title}]
@@ -181,21 +182,6 @@ useEffect(() => {
      ----------------------- */
   async function bootstrap() {
     try {
-      // auth
-      const { data: ud, error: ue } = await supabase.auth.getUser();
-      if (ue) throw ue;
-      const u = ud?.user;
-      setUserId(u?.id || null);
-
-      if (u?.id) {
-        const { data: prof } = await supabase
-          .from("profiles")
-          .select("id, full_name, role, email")
-          .eq("id", u.id)
-          .single();
-        setProfile(prof || null);
-      }
-
       await Promise.all([fetchEnrollments(), fetchAllTags()]);
       await refreshAll();
       await computeMyAnalytics();
@@ -211,7 +197,7 @@ useEffect(() => {
       const { data: rows, error } = await supabase
         .from("enrollments")
         .select("course_id, courses!inner(id,title)")
-        .eq("student_id", (await supabase.auth.getUser()).data?.user?.id || "");
+        .eq("student_id", userId || "");
       if (error) throw error;
       const unique = new Map();
       (rows || []).forEach((r) => {
@@ -342,11 +328,9 @@ useEffect(() => {
       window.open(link.url, "_blank", "noopener,noreferrer");
 
       // only insert click if signed in (RLS requires auth.uid() = user_id)
-      const { data: ud } = await supabase.auth.getUser();
-      const u = ud?.user;
-      if (!u?.id) return;
+      if (!userId) return;
 
-      await supabase.from("link_clicks").insert([{ link_id: link.id, user_id: u.id }]);
+      await supabase.from("link_clicks").insert([{ link_id: link.id, user_id: userId }]);
 
       // optimistic local bump
       setAdminLinks((prev) => prev.map((l) => (l.id === link.id ? { ...l, click_count: (l.click_count || 0) + 1 } : l)));
@@ -357,13 +341,11 @@ useEffect(() => {
 
   async function handleVote(linkId, value) {
     try {
-      const { data: ud } = await supabase.auth.getUser();
-      const u = ud?.user;
-      if (!u?.id) {
+      if (!userId) {
         toast.error("Please sign in to vote");
         return;
       }
-      const payload = { link_id: linkId, user_id: u.id, vote: value };
+      const payload = { link_id: linkId, user_id: userId, vote: value };
       const { error } = await supabase.from("link_votes").upsert(payload, { onConflict: ["link_id", "user_id"] });
       if (error) throw error;
 
@@ -484,8 +466,7 @@ useEffect(() => {
      ----------------------- */
 async function computeMyAnalytics() {
   try {
-    const { data: ud } = await supabase.auth.getUser();
-    const uid = ud?.user?.id;
+    const uid = userId;
     if (!uid) {
       setClicks30d(0);
       setCourseClickBreakdown([]);
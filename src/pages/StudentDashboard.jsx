@@ -2,6 +2,10 @@
 import React, { useEffect, useMemo, useState, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { isVisibleToSection } from "../lib/sections";
+import { fetchStudentAnnouncements, markAnnouncementsRead } from "../lib/announcements";
+import AnnouncementsList from "../components/course/AnnouncementsList";
 import { useNavigate, Link } from "react-router-dom";
 
 import {
@@ -43,6 +47,7 @@ import {
   ListTodo,
   StickyNote,
   Route,
+  Megaphone,
 } from "lucide-react";
 
 /**
@@ -58,12 +63,15 @@ import {
 
 export default function StudentDashboardPage() {
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   // data
   const [courses, setCourses] = useState([]);
   const [assignments, setAssignments] = useState([]);
   const [attendance, setAttendance] = useState([]);
   const [resources, setResources] = useState([]);
+  const [announcements, setAnnouncements] = useState([]);
+  const [readIds, setReadIds] = useState(new Set());
 
   // UI state
   const [sidebarOpen, setSidebarOpen] = useState(true); // desktop collapsible
@@ -91,15 +99,12 @@ export default function StudentDashboardPage() {
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const {
-          data: { user },
-        } = await supabase.auth.getUser();
         if (!user) return;
 
         // enrollments
         const { data: enrolledCourses, error: cErr } = await supabase
           .from("enrollments")
-          .select("course_id, courses(id, title, created_at)")
+          .select("course_id, section_id, courses(id, title, created_at)")
           .eq("student_id", user.id);
 
         if (cErr) {
@@ -116,7 +121,7 @@ export default function StudentDashboardPage() {
             await Promise.all([
               supabase
                 .from("assignments")
-                .select("id, title, due_date, course_id, courses(title)")
+                .select("id, title, due_date, course_id, section_id, courses(title)")
                 .in("course_id", courseIds)
                 .order("due_date", { ascending: true }),
               supabase
@@ -130,8 +135,19 @@ export default function StudentDashboardPage() {
           if (aErr) console.error("Assignments fetch error", aErr);
           if (rErr) console.error("Resources fetch error", rErr);
 
-          setAssignments(assignmentsData || []);
+          const sectionOf = Object.fromEntries(enrolledCourses.map((e) => [e.course_id, e.section_id]));
+          setAssignments(
+            (assignmentsData || []).filter((a) => isVisibleToSection(a, sectionOf[a.course_id]))
+          );
           setResources(resData || []);
+
+          try {
+            const result = await fetchStudentAnnouncements(user.id, sectionOf);
+            setAnnouncements(result.announcements);
+            setReadIds(result.readIds);
+          } catch (err) {
+            console.error("Announcements fetch error", err);
+          }
         } else {
           setAssignments([]);
           setResources([]);
@@ -151,7 +167,13 @@ export default function StudentDashboardPage() {
     };
 
     fetchData();
-  }, []);
+  },[user]);
+
+  const markRead = (ids) => {
+    setReadIds((prev) => new Set([...prev, ...ids]));
+    markAnnouncementsRead(user?.id, ids).catch((err) => console.error("markAnnouncementsRead", err));
+  };
+  const unreadCount = announcements.filter((a) => !readIds.has(a.id)).length;
 
   // animate counters when data changes
   useEffect(() => {
@@ -528,10 +550,16 @@ export default function StudentDashboardPage() {
                 </div>
 
                 <button
-                  title="Notifications"
-                  className="p-2 rounded-md hover:bg-zinc-800/40 hidden sm:inline"
+                  title={unreadCount ? `${unreadCount} unread announcement${unreadCount === 1 ? "" : "s"}` : "Notifications"}
+                  className="relative p-2 rounded-md hover:bg-zinc-800/40 hidden sm:inline"
+                  onClick={() => document.getElementById("announcements")?.scrollIntoView({ behavior: "smooth" })}
                 >
                   <Bell className="h-5 w-5 text-zinc-300" />
+                  {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-emerald-500 text-[10px] leading-4 text-black font-semibold">
+                      {unreadCount}
+                    </span>
+                  )}
                 </button>
 
                
@@ -560,6 +588,27 @@ export default function StudentDashboardPage() {
               />
             </div>
 
+            {/* announcements */}
+            <Card id="announcements" className="bg-zinc-900/50 border border-zinc-800 rounded-2xl overflow-hidden mb-8">
+              <CardHeader className="flex items-center justify-between p-6">
+                <div className="flex items-center gap-3">
+                  <Megaphone className="h-5 w-5 text-emerald-300" />
+                  <CardTitle className="text-emerald-300 text-lg">Announcements</CardTitle>
+                </div>
+                {unreadCount > 0 && <span className="text-xs text-emerald-300">{unreadCount} unread</span>}
+              </CardHeader>
+              <CardContent>
+                <AnnouncementsList
+                  announcements={announcements}
+                  limit={6}
+                  readIds={readIds}
+                  onMarkRead={markRead}
+                  showCourse
+                  emptyText="No announcements from your courses yet."
+                />
+              </CardContent>
+            </Card>
+
             {/* main grid */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
               {/* left column */}
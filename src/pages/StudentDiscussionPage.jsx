@@ -1,5 +1,10 @@
 import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchStudentSectionMap, isVisibleToSection } from "../lib/sections";
+import { applyCourseScope, isArchived } from "../lib/terms";
+import CourseScopeToggle from "../components/course/CourseScopeToggle";
+import { fetchCourseTeam, staffBadgeLabel, teamRoleMap } from "../lib/courseStaff";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
 
@@ -12,6 +17,7 @@ import {
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
 import {
   Select,
   SelectTrigger,
@@ -47,7 +53,9 @@ import {
 export default function StudentDiscussionPage() {
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
-  const [profile, setProfile] = useState(null);
+  const [scope, setScope] = useState("current"); // "current" | "past" (archived courses, read-only)
+  const { profile } = useAuth();
+  const [staffRoles, setStaffRoles] = useState({}); // user_id -> course staff role
   const [discussions, setDiscussions] = useState([]);
   const [filteredDiscussions, setFilteredDiscussions] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
@@ -62,34 +70,55 @@ export default function StudentDiscussionPage() {
   const [questionContent, setQuestionContent] = useState("");
   const [questionType, setQuestionType] = useState("public");
   const [questionCourse, setQuestionCourse] = useState(null);
+  // "course" = whole course, "section" = only the student's own section
+  const [questionScope, setQuestionScope] = useState("course");
+  const [sectionOf, setSectionOf] = useState({});
   const [replyContent, setReplyContent] = useState("");
 
-  // load profile
+  // load courses; past terms only list the courses the student was enrolled in
   useEffect(() => {
+    if (scope === "past" && !profile?.id) return;
     (async () => {
-      const { data: { user } } = await supabase.auth.getUser();
-      if (!user) return;
-      const { data } = await supabase
-        .from("profiles")
-        .select("id, full_name, role")
-        .eq("id", user.id)
-        .single();
-      if (data) setProfile(data);
+      let query = applyCourseScope(supabase.from("courses").select("id, title, archived_at"), scope);
+      if (scope === "past") {
+        const { data: enrolled, error: enrollErr } = await supabase
+          .from("enrollments")
+          .select("course_id")
+          .eq("student_id", profile.id);
+        if (enrollErr) console.error("load past enrollments", enrollErr);
+        query = query.in("id", (enrolled || []).map((e) => e.course_id));
+      }
+      const { data } = await query;
+      setCourses(data || []);
+      setSelectedCourse((prev) => ((data || []).some((c) => c.id === prev) ? prev : null));
+      setQuestionCourse((prev) => ((data || []).some((c) => c.id === prev && !isArchived(c)) ? prev : null));
     })();
-  }, []);
+  }, [scope, profile?.id]);
+
+  // past-term discussions stay readable, but take no new questions, replies or edits
+  const readOnly = scope === "past" || isArchived(courses.find((c) => c.id === selectedCourse));
 
-  // load courses
+  // the student's section in each enrolled course
   useEffect(() => {
-    (async () => {
-      const { data } = await supabase.from("courses").select("id, title");
-      setCourses(data || []);
-    })();
-  }, []);
+    if (!profile?.id) return;
+    fetchStudentSectionMap(profile.id)
+      .then(setSectionOf)
+      .catch((err) => console.error("fetchStudentSectionMap", err));
+  }, [profile?.id]);
 
   // load discussions for course
   useEffect(() => {
     if (!selectedCourse) return;
     fetchDiscussions(selectedCourse);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedCourse, sectionOf]);
+
+  // course staff, to label their replies
+  useEffect(() => {
+    if (!selectedCourse) return;
+    fetchCourseTeam(selectedCourse)
+      .then((team) => setStaffRoles(teamRoleMap(team)))
+      .catch((err) => console.error("fetchCourseTeam", err));
   }, [selectedCourse]);
 
   // filter discussions
@@ -108,11 +137,16 @@ export default function StudentDiscussionPage() {
       .select("*, students(full_name), discussion_replies(*, profiles(full_name, role))")
       .eq("course_id", courseId)
       .order("created_at", { ascending: false });
-    setDiscussions(data || []);
-    setFilteredDiscussions(data || []);
+    const visible = (data || []).filter((d) => isVisibleToSection(d, sectionOf[courseId]));
+    setDiscussions(visible);
+    setFilteredDiscussions(visible);
   };
 
   const handlePostQuestion = async () => {
+    if (isArchived(courses.find((c) => c.id === questionCourse))) {
+      toast.error("This course is archived and read-only");
+      return;
+    }
     if (!questionCourse || !questionTitle.trim() || !questionContent.trim()) {
       toast.error("Please fill all fields including course");
       return;
@@ -123,19 +157,20 @@ export default function StudentDiscussionPage() {
       title: questionTitle.trim(),
       content: questionContent.trim(),
       type: questionType,
+      section_id: questionScope === "section" ? sectionOf[questionCourse] || null : null,
     }]);
     if (error) {
       toast.error("Failed to post question");
     } else {
       toast.success("Question posted");
       setNewQuestionOpen(false);
-      setQuestionTitle(""); setQuestionContent(""); setQuestionType("public");
+      setQuestionTitle(""); setQuestionContent(""); setQuestionType("public"); setQuestionScope("course");
       fetchDiscussions(selectedCourse);
     }
   };
 
   const handlePostReply = async (discussionId) => {
-    if (!replyContent.trim()) return;
+    if (!replyContent.trim() || readOnly) return;
     const { error } = await supabase.from("discussion_replies").insert([{
       discussion_id: discussionId,
       user_id: profile.id,
@@ -152,7 +187,7 @@ export default function StudentDiscussionPage() {
   };
 
   const handleEditDiscussion = async () => {
-    if (!editingDiscussion) return;
+    if (!editingDiscussion || readOnly) return;
     const { error } = await supabase
       .from("discussions")
       .update({
@@ -199,7 +234,11 @@ export default function StudentDiscussionPage() {
           />
           <Dialog open={newQuestionOpen} onOpenChange={setNewQuestionOpen}>
             <DialogTrigger asChild>
-              <Button className="bg-emerald-600 cursor-pointer hover:bg-emerald-500 text-slate-100">
+              <Button
+                className="bg-emerald-600 cursor-pointer hover:bg-emerald-500 text-slate-100"
+                disabled={scope === "past"}
+                title={scope === "past" ? "Past-term courses are read-only" : undefined}
+              >
                 <MessageCircleQuestion className="h-4 w-4" /> Ask
               </Button>
             </DialogTrigger>
@@ -239,6 +278,17 @@ export default function StudentDiscussionPage() {
                     <SelectItem className="cursor-pointer" value="private">Private</SelectItem>
                   </SelectContent>
                 </Select>
+                {questionCourse && sectionOf[questionCourse] && (
+                  <Select value={questionScope} onValueChange={setQuestionScope}>
+                    <SelectTrigger className="bg-zinc-800 border-zinc-700">
+                      <SelectValue placeholder="Audience" />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 text-slate-100">
+                      <SelectItem className="cursor-pointer" value="course">Whole course</SelectItem>
+                      <SelectItem className="cursor-pointer" value="section">My section only</SelectItem>
+                    </SelectContent>
+                  </Select>
+                )}
               </div>
               <DialogFooter>
                 <Button
@@ -267,8 +317,9 @@ export default function StudentDiscussionPage() {
 
         {/* Course Selector */}
         <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-4">
-          <CardHeader>
+          <CardHeader className="flex flex-row items-center justify-between gap-2">
             <CardTitle className="text-emerald-300">Choose Course</CardTitle>
+            <CourseScopeToggle value={scope} onChange={setScope} />
           </CardHeader>
           <CardContent>
             <Select value={selectedCourse || ""} onValueChange={setSelectedCourse}>
@@ -287,6 +338,9 @@ export default function StudentDiscussionPage() {
                 ))}
               </SelectContent>
             </Select>
+            {readOnly && selectedCourse && (
+              <p className="mt-2 text-xs text-amber-300">This course is from a past term: discussions are read-only.</p>
+            )}
           </CardContent>
         </Card>
 
@@ -317,7 +371,7 @@ export default function StudentDiscussionPage() {
                               {d.students?.full_name || "Unknown"} • {new Date(d.created_at).toLocaleString()}
                             </p>
                           </div>
-                          {d.student_id === profile?.id && (
+                          {d.student_id === profile?.id && !readOnly && (
                             <Button
                               size="icon"
                               variant="ghost"
@@ -338,13 +392,20 @@ export default function StudentDiscussionPage() {
                           <div className="space-y-2">
                             {d.discussion_replies?.map((r) => (
                               <div key={r.id} className="bg-zinc-800/40 p-2 rounded-md text-sm">
-                                <span className="text-emerald-300 font-medium">{r.profiles?.full_name}</span> <span className="text-gray-300">: {r.content}</span>
+                                <span className="text-emerald-300 font-medium">{r.profiles?.full_name}</span>
+                                {staffBadgeLabel(staffRoles, r.user_id, r.profiles?.role) && (
+                                  <Badge className="ml-1 bg-emerald-600/20 text-emerald-300 border border-emerald-600/40 text-[10px]">
+                                    {staffBadgeLabel(staffRoles, r.user_id, r.profiles?.role)}
+                                  </Badge>
+                                )}
+                                <span className="text-gray-300">: {r.content}</span>
                               </div>
                             ))}
                           </div>
                           <Button
                             size="sm"
                             className="bg-emerald-600 cursor-pointer hover:bg-emerald-500 text-slate-100"
+                            disabled={readOnly}
                             onClick={() => setReplyOpen(d.id)}
                           >
                             <MessageSquare className="h-4 w-4 mr-2" /> Reply
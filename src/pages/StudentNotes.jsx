@@ -12,6 +12,7 @@
 /* eslint-disable react/no-danger */
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { applyCourseScope, isArchived } from "../lib/terms";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -160,6 +161,7 @@ export default function StudentNotes() {
   const [search, setSearch] = useState("");
   const [debouncedSearch, setDebouncedSearch] = useState("");
   const [selectedCourse, setSelectedCourse] = useState("all");
+  const [scope, setScope] = useState("current"); // "current" | "past" (notes of archived courses)
   const [selectedVisibility, setSelectedVisibility] = useState("all");
   const [sortBy, setSortBy] = useState("newest");
   const [loading, setLoading] = useState(false);
@@ -185,7 +187,6 @@ export default function StudentNotes() {
 
   // Effects: initial fetch
   useEffect(() => {
-    fetchCourses();
     fetchNotes();
     // close overlay when route changes or unmount
     return () => {
@@ -194,6 +195,11 @@ export default function StudentNotes() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  useEffect(() => {
+    fetchCourses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scope]);
+
   // Debounce search to prevent layout lifting on keystrokes (keeps stable)
   useEffect(() => {
     searchRef.current = search;
@@ -209,7 +215,7 @@ export default function StudentNotes() {
     try {
       const { data, error } = await supabase
         .from("teacher_notes")
-        .select("*, courses(id,title), author:profiles!teacher_notes_author_id_fkey(id,full_name)")
+        .select("*, courses(id,title,archived_at), author:profiles!teacher_notes_author_id_fkey(id,full_name)")
         .order("created_at", { ascending: false });
 
       if (error) throw error;
@@ -233,7 +239,7 @@ export default function StudentNotes() {
 
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title").order("title");
+      const { data, error } = await applyCourseScope(supabase.from("courses").select("id,title"), scope).order("title");
       if (error) throw error;
       setCourses(data || []);
     } catch (err) {
@@ -249,6 +255,8 @@ export default function StudentNotes() {
 
     // Only public or course-level notes for students
     arr = arr.filter((n) => n.visibility === "public" || n.visibility === "course");
+    // past terms: notes of archived courses; current: everything else
+    arr = arr.filter((n) => (scope === "past") === isArchived(n.courses));
 
     if (selectedCourse !== "all") {
       arr = arr.filter((n) => String(n.course_id) === String(selectedCourse));
@@ -276,7 +284,7 @@ export default function StudentNotes() {
     }
 
     return arr;
-  }, [notes, debouncedSearch, selectedCourse, selectedVisibility, sortBy]);
+  }, [notes, debouncedSearch, scope, selectedCourse, selectedVisibility, sortBy]);
 
   const analyticsData = useMemo(() => {
     const total = notes.length;
@@ -417,6 +425,15 @@ export default function StudentNotes() {
 
             {/* right: controls */}
             <div className="hidden md:flex md:items-center md:gap-3">
+              <Select value={scope} onValueChange={(v) => { setScope(v); setSelectedCourse("all"); }}>
+                <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-32 cursor-pointer text-slate-200">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 text-slate-100">
+                  <SelectItem className="cursor-pointer" value="current">Current</SelectItem>
+                  <SelectItem className="cursor-pointer" value="past">Past terms</SelectItem>
+                </SelectContent>
+              </Select>
               <Select value={selectedCourse} onValueChange={(v) => setSelectedCourse(v)}>
                 <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-44 cursor-pointer text-slate-200">
                   <SelectValue placeholder="All courses">
@@ -498,6 +515,15 @@ export default function StudentNotes() {
                   </div>
 
                   <div className="mt-3 grid grid-cols-1 gap-3">
+                    <Select value={scope} onValueChange={(v) => { setScope(v); setSelectedCourse("all"); }}>
+                      <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-full cursor-pointer text-slate-200">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 text-slate-100">
+                        <SelectItem className="cursor-pointer" value="current">Current</SelectItem>
+                        <SelectItem className="cursor-pointer" value="past">Past terms</SelectItem>
+                      </SelectContent>
+                    </Select>
                     <Select value={selectedCourse} onValueChange={(v) => setSelectedCourse(v)}>
                       <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-full text-slate-200">
                         <SelectValue placeholder="All courses" />
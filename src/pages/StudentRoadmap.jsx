@@ -13,6 +13,12 @@
 /* eslint-disable react/no-danger */
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { fetchStudentSectionMap } from "../lib/sections";
+import { applyCourseScope, isArchived } from "../lib/terms";
+import { extendedLabel, fetchStudentExtensions, withEffectiveDeadlines } from "../lib/extensions";
+import RubricGradeDialog from "../components/course/RubricGradeDialog";
+import CourseScopeToggle from "../components/course/CourseScopeToggle";
 import { motion, AnimatePresence } from "framer-motion";
 import DOMPurify from "dompurify";
 import { format, isAfter, isBefore } from "date-fns";
@@ -72,6 +78,7 @@ import {
   Activity,
   DownloadCloud,
   Eye,
+  ClipboardCheck,
 } from "lucide-react";
 
 import {
@@ -250,6 +257,7 @@ function SortableModule({
   studentBadgesSet,
   onStart,
   onComplete,
+  readOnly,
   onOpenAssignments,
   onMoveUp,
   onMoveDown,
@@ -284,8 +292,8 @@ function SortableModule({
           <CircularProgress value={prog.progress_percent || 0} />
 
           <div className="flex items-center gap-2 mt-2">
-            {prog.status === "not_started" && <Button size="sm" className="bg-sky-500 text-white cursor-pointer" onClick={() => onStart(module)}><Play className="w-4 h-4 mr-1" /> Start</Button>}
-            {prog.status === "in_progress" && <Button size="sm" className="bg-emerald-500 text-white cursor-pointer" onClick={() => onComplete(module)}><CheckCircle className="w-4 h-4 mr-1" /> Complete</Button>}
+            {!readOnly && prog.status === "not_started" && <Button size="sm" className="bg-sky-500 text-white cursor-pointer" onClick={() => onStart(module)}><Play className="w-4 h-4 mr-1" /> Start</Button>}
+            {!readOnly && prog.status === "in_progress" && <Button size="sm" className="bg-emerald-500 text-white cursor-pointer" onClick={() => onComplete(module)}><CheckCircle className="w-4 h-4 mr-1" /> Complete</Button>}
             {prog.status === "completed" && <div className="text-xs text-emerald-300 flex items-center gap-1"><CheckCircle className="w-4 h-4" /> Completed</div>}
           </div>
 
@@ -312,16 +320,23 @@ function SortableModule({
 }
 
 /* AssignmentCard displays inline QR preview + open/QR/download actions */
-function AssignmentCard({ assignment, mySubmission, onOpenSubmit, onOpenQr }) {
+function AssignmentCard({ assignment, mySubmission, onOpenSubmit, onOpenQr, readOnly }) {
+  const [showRubric, setShowRubric] = useState(false);
   return (
     <div className="p-3 rounded-md bg-zinc-900/40 border border-zinc-800">
       <div className="flex items-center justify-between">
         <div className="min-w-0">
           <div className="text-sm text-slate-100 font-medium truncate">{assignment.title}</div>
           <div className="text-xs text-zinc-400 truncate">{assignment.description}</div>
+          {assignment.due_date && (
+            <div className="text-xs text-zinc-500">
+              Due: {shortDate(assignment.due_date)}
+              {assignment.extended_to && <span className="text-emerald-300 ml-1">· {extendedLabel(assignment)}</span>}
+            </div>
+          )}
         </div>
         <div className="flex items-center gap-2">
-          <Button size="sm" variant="ghost" className="cursor-pointer" onClick={() => onOpenSubmit(assignment)}><FileText className="w-4 h-4" /></Button>
+          <Button size="sm" variant="ghost" className="cursor-pointer" disabled={readOnly} title={readOnly ? "Course archived – read-only" : "Submit"} onClick={() => onOpenSubmit(assignment)}><FileText className="w-4 h-4" /></Button>
 
           {assignment.link_url && (
             <Button
@@ -387,6 +402,15 @@ function AssignmentCard({ assignment, mySubmission, onOpenSubmit, onOpenQr }) {
             <div>
               <span className="font-semibold text-emerald-400">Grade:</span>{" "}
               {mySubmission.grade}
+              {mySubmission.rubric_scores && (
+                <button
+                  type="button"
+                  className="ml-2 inline-flex items-center gap-1 text-xs text-emerald-300 underline cursor-pointer"
+                  onClick={() => setShowRubric(true)}
+                >
+                  <ClipboardCheck className="w-3 h-3" /> View rubric
+                </button>
+              )}
             </div>
           )}
           {mySubmission.feedback && (
@@ -402,6 +426,13 @@ function AssignmentCard({ assignment, mySubmission, onOpenSubmit, onOpenQr }) {
         </p>
       )}
     </div>
+    <RubricGradeDialog
+      open={showRubric}
+      onOpenChange={setShowRubric}
+      scores={mySubmission.rubric_scores}
+      feedback={mySubmission.feedback}
+      subtitle={assignment.title}
+    />
   </div>
 )}
 
@@ -413,9 +444,10 @@ function AssignmentCard({ assignment, mySubmission, onOpenSubmit, onOpenQr }) {
 /* ---------------- Main StudentRoadmap component ---------------- */
 export default function StudentRoadmap() {
   // user & course
-  const [user, setUser] = useState(null);
+  const { user } = useAuth();
   const [courses, setCourses] = useState([]);
   const [courseId, setCourseId] = useState("");
+  const [scope, setScope] = useState("current"); // "current" | "past" (archived courses, read-only)
 
   // data
   const [modules, setModules] = useState([]);
@@ -446,17 +478,9 @@ export default function StudentRoadmap() {
 
   /* ---------------- Lifecycle & data fetching ---------------- */
   useEffect(() => {
-    (async () => {
-      try {
-        const { data: { user } } = await supabase.auth.getUser();
-        setUser(user || null);
-      } catch (e) {
-        console.error("auth.getUser", e);
-      }
-      await fetchCourses();
-    })();
+    fetchCourses();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [scope]);
 
   useEffect(() => {
     if (courseId) fetchCourseData(courseId);
@@ -474,9 +498,10 @@ export default function StudentRoadmap() {
 
   async function fetchCourses() {
     try {
-      const { data, error } = await supabase.from("courses").select("id,title").order("title");
+      const { data, error } = await applyCourseScope(supabase.from("courses").select("id,title,archived_at"), scope).order("title");
       if (error) throw error;
       setCourses(data || []);
+      setCourseId((prev) => ((data || []).some((c) => c.id === prev) ? prev : ""));
     } catch (err) {
       console.error("fetchCourses", err);
       toast.error("Could not load courses");
@@ -499,14 +524,25 @@ export default function StudentRoadmap() {
 
       const modIds = normalized.map(m => m.id).filter(Boolean);
 
-      // assignments
+      // assignments, with due dates moved by any extension for this student or their section
       if (modIds.length > 0) {
-        const { data: assigns, error: assignsErr } = await supabase
-          .from("module_assignments")
-          .select("*")
-          .in("module_id", modIds)
-          .order("created_at", { ascending: true });
+        const [{ data: rawAssigns, error: assignsErr }, sectionOf] = await Promise.all([
+          supabase
+            .from("module_assignments")
+            .select("*")
+            .in("module_id", modIds)
+            .order("created_at", { ascending: true }),
+          user?.id ? fetchStudentSectionMap(user.id) : {},
+        ]);
         if (!assignsErr) {
+          const extensions = await fetchStudentExtensions(user?.id, sectionOf).catch((err) => {
+            console.error("fetchStudentExtensions", err);
+            return [];
+          });
+          const assigns = withEffectiveDeadlines(rawAssigns, "module_assignment", extensions, {
+            studentId: user?.id,
+            sectionIdOf: () => sectionOf[cid],
+          });
           const map = {};
           assigns.forEach(a => {
             if (!map[a.module_id]) map[a.module_id] = [];
@@ -663,9 +699,13 @@ export default function StudentRoadmap() {
     setDragActiveId(null);
   }
 
+  // past-term courses stay browsable but take no new progress or submissions
+  const readOnly = isArchived(courses.find((c) => c.id === courseId));
+
   /* ---------------- Student actions: START & COMPLETE (original logic preserved) ---------------- */
   async function startModule(mod) {
     if (!user) { toast.error("Sign in to start"); return; }
+    if (readOnly) { toast.error("This course is archived and read-only"); return; }
     if (mod.unlock_date && isAfter(new Date(mod.unlock_date), new Date())) { toast.error("Module locked until " + shortDate(mod.unlock_date)); return; }
 
     // optimistic update
@@ -684,6 +724,7 @@ export default function StudentRoadmap() {
 
   async function completeModule(mod) {
     if (!user) { toast.error("Sign in to complete"); return; }
+    if (readOnly) { toast.error("This course is archived and read-only"); return; }
     if (mod.unlock_date && isAfter(new Date(mod.unlock_date), new Date())) { toast.error("Module locked until " + shortDate(mod.unlock_date)); return; }
 
     // optimistic + burst
@@ -725,6 +766,7 @@ export default function StudentRoadmap() {
 
   /* ---------------- Assignment submission flow ---------------- */
   function openSubmitModalForAssignment(assignment) {
+    if (readOnly) { toast.error("This course is archived and read-only"); return; }
     setActiveAssignment(assignment);
     setSubmitUrl("");
     setShowSubmitModal(true);
@@ -736,13 +778,13 @@ export default function StudentRoadmap() {
   }
 
   async function submitAssignment() {
-    if (!activeAssignment) return;
+    if (!activeAssignment || readOnly) return;
     if (!submitUrl || !submitUrl.trim()) {
       toast.error("Please enter a link to submit");
       return;
     }
     setSubmitting(true);
-    // ⛔ Due date lock: prevent submissions after assignment due_date
+    // ⛔ Due date lock: prevent submissions after assignment due_date (already the extended one, if any)
     if (activeAssignment && activeAssignment.due_date && new Date() > new Date(activeAssignment.due_date)) {
       toast.error("Deadline has passed. You cannot submit.");
       setSubmitting(false);
@@ -1017,6 +1059,7 @@ export default function StudentRoadmap() {
           </div>
 
           <div className="flex items-center gap-3 flex-wrap">
+            <CourseScopeToggle value={scope} onChange={setScope} />
             <div className="w-full sm:w-64">
               <Select value={courseId} onValueChange={(v) => setCourseId(v)} className="w-full">
                 <SelectTrigger className="bg-zinc-900 border border-zinc-800 w-full">
@@ -1038,6 +1081,12 @@ export default function StudentRoadmap() {
         </div>
        
 
+        {readOnly && (
+          <div className="mb-4 rounded-xl border border-amber-700/40 bg-amber-900/20 px-4 py-2 text-sm text-amber-200">
+            This course is from a past term and is read-only: you can review modules and submissions, but not change them.
+          </div>
+        )}
+
         {/* summary cards */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
           <Card className="bg-zinc-900/60 border border-zinc-800 rounded-2xl p-4">
@@ -1101,6 +1150,7 @@ export default function StudentRoadmap() {
                           studentBadgesSet={studentBadgesSet}
                           onStart={startModule}
                           onComplete={completeModule}
+                          readOnly={readOnly}
                           onOpenAssignments={(m) => {
                             const el = document.getElementById(`assignments-${m.id}`);
                             if (el) el.scrollIntoView({ behavior: "smooth", block: "center" });
@@ -1126,6 +1176,7 @@ export default function StudentRoadmap() {
                                     mySubmission={mySub}
                                     onOpenSubmit={(ass) => openSubmitModalForAssignment(ass)}
                                     onOpenQr={(sub, ass) => openQrModalForSubmission(sub, ass)}
+                                    readOnly={readOnly}
                                   />
                                 );
                               })
@@ -1159,6 +1210,9 @@ export default function StudentRoadmap() {
                   <div>
                     <div className="text-lg font-semibold text-emerald-300">Submit: <span className="text-slate-100 ml-2">{activeAssignment.title}</span></div>
                     <div className="text-xs text-zinc-400 mt-1">Paste a link to your work (Drive, Doc, Video, etc.)</div>
+                    {activeAssignment.extended_to && (
+                      <div className="text-xs text-emerald-300 mt-1">{extendedLabel(activeAssignment)}</div>
+                    )}
                   </div>
                   <button className="p-2 rounded-md bg-zinc-900/30 cursor-pointer" onClick={closeSubmitModal}><X className="w-5 h-5" /></button>
                 </div>
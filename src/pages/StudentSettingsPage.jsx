@@ -1,6 +1,13 @@
 // src/pages/StudentSettingsPage.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
+import { validateNewPassword } from "../lib/password";
+import { NOTIFICATION_TEMPLATES } from "../lib/notifications";
+import ProfileAvatar from "../components/profile/ProfileAvatar";
+import ProfileDetailsCard from "../components/profile/ProfileDetailsCard";
+import { downloadStudentArchive } from "../lib/dataExport";
+import { logAudit } from "../lib/audit";
 import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
@@ -13,6 +20,7 @@ import {
 } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
 import {
   AlertDialog,
   AlertDialogTrigger,
@@ -25,21 +33,27 @@ import {
   AlertDialogAction,
 } from "@/components/ui/alert-dialog";
 
-import { Settings, User, Key, LogOut, Check } from "lucide-react";
+import { Settings, User, Key, LogOut, Check, Bell, Download, Trash2, Loader2, Undo2 } from "lucide-react";
 
 /**
  * StudentSettingsPage
  * - Updates full_name in profiles AND students tables
  * - Changes password only after verifying current password
- * - Improved UI, avatar initials, animations, validation & confirm dialogs
+ * - Roll number, department, semester/section, phone and photo (ProfileDetailsCard)
+ * - Email notification opt-outs (profiles.notification_prefs)
+ * - Download my data (zip of JSON + CSV) and account deletion after a grace period
+ * - Improved UI, avatar, animations, validation & confirm dialogs
  */
 
+// days between a deletion request and the account being purged; signing in and
+// cancelling before then keeps everything
+const DELETION_GRACE_DAYS = 14;
+
 export default function StudentSettingsPage() {
   const navigate = useNavigate();
 
   // profile
-  const [profile, setProfile] = useState(null);
-  const [loadingProfile, setLoadingProfile] = useState(true);
+  const { profile, loading: loadingProfile, refreshProfile } = useAuth();
 
   // name edit
   const [editingName, setEditingName] = useState(false);
@@ -53,49 +67,18 @@ export default function StudentSettingsPage() {
   const [verifying, setVerifying] = useState(false);
   const [changingPassword, setChangingPassword] = useState(false);
 
-  // page load
+  // notification opt-outs
+  const [savingPref, setSavingPref] = useState(null);
+
+  // data export / account deletion
+  const [exporting, setExporting] = useState(false);
+  const [deleteConfirmText, setDeleteConfirmText] = useState("");
+  const [updatingDeletion, setUpdatingDeletion] = useState(false);
+
+  // keep the editable name in sync with the loaded profile
   useEffect(() => {
-    (async () => {
-      setLoadingProfile(true);
-      try {
-        const {
-          data: { user },
-        } = await supabase.auth.getUser();
-
-        if (!user) {
-          setProfile(null);
-          setLoadingProfile(false);
-          return;
-        }
-
-        const { data, error } = await supabase
-          .from("profiles")
-          .select("id, email, full_name, role, created_at")
-          .eq("id", user.id)
-          .single();
-
-        if (!error && data) {
-          setProfile(data);
-          setFullName(data.full_name || "");
-        } else {
-          console.error("Profile fetch error:", error);
-        }
-      } catch (err) {
-        console.error("Profile fetch error:", err);
-      } finally {
-        setLoadingProfile(false);
-      }
-    })();
-  }, []);
-
-  // avatar initials
-  const initials = useMemo(() => {
-    const name = profile?.full_name || profile?.email || "";
-    const parts = name.split(/\s+/).filter(Boolean);
-    if (parts.length === 0) return "U";
-    if (parts.length === 1) return parts[0].slice(0, 1).toUpperCase();
-    return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
-  }, [profile]);
+    setFullName(profile?.full_name || "");
+  }, [profile?.full_name]);
 
   // Save name -> update both profiles & students
   const saveName = async () => {
@@ -124,7 +107,7 @@ export default function StudentSettingsPage() {
         console.error("Save name error:", profileError || studentError);
         toast.error("Failed to update name. Try again.");
       } else {
-        setProfile((p) => ({ ...p, full_name: trimmed }));
+        await refreshProfile();
         toast.success("Name updated (profiles & students)");
         setEditingName(false);
       }
@@ -148,16 +131,9 @@ export default function StudentSettingsPage() {
       toast.error("Please enter your current password");
       return;
     }
-    if (!newPassword || !confirmPassword) {
-      toast.error("Please enter new password and confirm it");
-      return;
-    }
-    if (newPassword !== confirmPassword) {
-      toast.error("New passwords do not match");
-      return;
-    }
-    if (newPassword.length < 8) {
-      toast.error("New password must be at least 8 characters");
+    const passwordError = validateNewPassword(newPassword, confirmPassword);
+    if (passwordError) {
+      toast.error(passwordError);
       return;
     }
 
@@ -203,6 +179,99 @@ export default function StudentSettingsPage() {
     }
   };
 
+  // Toggle one notification template on/off; missing keys mean "on"
+  const toggleNotification = async (templateName, enabled) => {
+    if (!profile) return;
+    setSavingPref(templateName);
+    try {
+      const nextPrefs = { ...(profile.notification_prefs || {}), [templateName]: enabled };
+      const { error } = await supabase
+        .from("profiles")
+        .update({ notification_prefs: nextPrefs })
+        .eq("id", profile.id);
+      if (error) throw error;
+      await refreshProfile();
+    } catch (err) {
+      console.error("Save notification prefs error:", err);
+      toast.error("Failed to update notification settings");
+    } finally {
+      setSavingPref(null);
+    }
+  };
+
+  // Download my data
+  const handleExport = async () => {
+    if (!profile) return;
+    setExporting(true);
+    try {
+      const { errors } = await downloadStudentArchive(profile);
+      const failed = Object.keys(errors);
+      if (failed.length) toast.warning(`Downloaded, but some data could not be included: ${failed.join(", ")}`);
+      else toast.success("Your data has been downloaded");
+    } catch (err) {
+      console.error("Data export error:", err);
+      toast.error("Failed to export your data");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Account deletion: schedule now, purge after the grace period
+  const requestDeletion = async () => {
+    if (!profile) return;
+    setUpdatingDeletion(true);
+    try {
+      const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const { error } = await supabase
+        .from("profiles")
+        .update({ deletion_requested_at: new Date().toISOString(), deletion_scheduled_for: scheduledFor })
+        .eq("id", profile.id);
+      if (error) throw error;
+      await logAudit({
+        actorId: profile.id,
+        action: "user.deletion_requested",
+        entityType: "profile",
+        entityId: profile.id,
+        after: { deletion_scheduled_for: scheduledFor },
+      });
+      toast.success(`Account scheduled for deletion on ${new Date(scheduledFor).toLocaleDateString()}`);
+      await supabase.auth.signOut();
+      navigate("/login", { replace: true });
+    } catch (err) {
+      console.error("Request deletion error:", err);
+      toast.error("Failed to schedule account deletion");
+    } finally {
+      setUpdatingDeletion(false);
+      setDeleteConfirmText("");
+    }
+  };
+
+  const cancelDeletion = async () => {
+    if (!profile) return;
+    setUpdatingDeletion(true);
+    try {
+      const { error } = await supabase
+        .from("profiles")
+        .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+        .eq("id", profile.id);
+      if (error) throw error;
+      await logAudit({
+        actorId: profile.id,
+        action: "user.deletion_cancelled",
+        entityType: "profile",
+        entityId: profile.id,
+        before: { deletion_scheduled_for: profile.deletion_scheduled_for },
+      });
+      await refreshProfile();
+      toast.success("Account deletion cancelled");
+    } catch (err) {
+      console.error("Cancel deletion error:", err);
+      toast.error("Failed to cancel account deletion");
+    } finally {
+      setUpdatingDeletion(false);
+    }
+  };
+
   // Logout confirmation
   const handleLogout = async () => {
     try {
@@ -217,10 +286,7 @@ export default function StudentSettingsPage() {
 
   const changePwdDisabled =
     !currentPassword ||
-    !newPassword ||
-    !confirmPassword ||
-    newPassword !== confirmPassword ||
-    newPassword.length < 8 ||
+    validateNewPassword(newPassword, confirmPassword) !== null ||
     verifying ||
     changingPassword;
 
@@ -267,9 +333,7 @@ export default function StudentSettingsPage() {
             <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-6 backdrop-blur-sm hover:shadow-emerald-500/10 transition-all">
               <CardHeader className="flex items-center gap-4 px-0">
                 <div className="flex items-center gap-3">
-                  <div className="w-14 h-14 rounded-full bg-emerald-700/10 flex items-center justify-center text-emerald-200 font-semibold text-lg">
-                    {initials}
-                  </div>
+                  <ProfileAvatar profile={profile} className="size-14" fallbackClassName="text-lg" />
                   <div>
                     <CardTitle className="text-emerald-300 flex items-center gap-2">
                       <User className="h-5 w-5" /> Profile
@@ -504,6 +568,128 @@ export default function StudentSettingsPage() {
           </motion.div>
         </div>
 
+        {/* Profile details card */}
+        <motion.div initial={{ y: 12, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ duration: 0.6 }}>
+          <ProfileDetailsCard />
+        </motion.div>
+
+        {/* Notifications card */}
+        <motion.div initial={{ y: 12, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ duration: 0.65 }}>
+          <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-6 backdrop-blur-sm hover:shadow-emerald-500/10 transition-all">
+            <CardHeader className="px-0">
+              <div className="flex items-center gap-3">
+                <Bell className="h-5 w-5 text-emerald-300" />
+                <CardTitle className="text-emerald-300">Email notifications</CardTitle>
+              </div>
+              <p className="text-xs text-zinc-400 mt-1">Choose which emails you receive. Account emails are always sent.</p>
+            </CardHeader>
+
+            <CardContent className="px-0 pt-4 space-y-3">
+              {Object.entries(NOTIFICATION_TEMPLATES)
+                .filter(([, t]) => t.optional)
+                .map(([name, t]) => (
+                  <div key={name} className="flex items-center justify-between gap-3">
+                    <label htmlFor={`notify-${name}`} className="text-sm text-zinc-200">
+                      {t.label}
+                    </label>
+                    <Switch
+                      id={`notify-${name}`}
+                      checked={profile?.notification_prefs?.[name] !== false}
+                      disabled={!profile || savingPref === name}
+                      onCheckedChange={(checked) => toggleNotification(name, checked)}
+                    />
+                  </div>
+                ))}
+            </CardContent>
+          </Card>
+        </motion.div>
+
+        {/* Your data card */}
+        <motion.div initial={{ y: 12, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ duration: 0.7 }}>
+          <Card className="bg-zinc-900/50 border border-zinc-800 rounded-2xl p-6 backdrop-blur-sm hover:shadow-emerald-500/10 transition-all">
+            <CardHeader className="px-0">
+              <div className="flex items-center gap-3">
+                <Download className="h-5 w-5 text-emerald-300" />
+                <CardTitle className="text-emerald-300">Your data</CardTitle>
+              </div>
+              <p className="text-xs text-zinc-400 mt-1">
+                Download a copy of your enrollments, attendance, submissions, quiz scores, notes, tasks, links and badges, or close your account.
+              </p>
+            </CardHeader>
+
+            <CardContent className="px-0 pt-4 space-y-5">
+              <Button
+                className="bg-emerald-500 cursor-pointer hover:bg-emerald-400 text-black"
+                disabled={!profile || exporting}
+                onClick={handleExport}
+              >
+                {exporting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+                Download my data (.zip)
+              </Button>
+
+              <div className="border-t border-zinc-800 pt-4 space-y-3">
+                {profile?.deletion_scheduled_for ? (
+                  <>
+                    <p className="text-sm text-amber-300">
+                      Your account is scheduled for deletion on{" "}
+                      <span className="font-semibold">
+                        {new Date(profile.deletion_scheduled_for).toLocaleDateString()}
+                      </span>
+                      . Until then you can cancel and keep everything.
+                    </p>
+                    <Button
+                      variant="outline"
+                      className="border-zinc-700 cursor-pointer"
+                      disabled={updatingDeletion}
+                      onClick={cancelDeletion}
+                    >
+                      <Undo2 className="h-4 w-4 mr-2" /> Cancel deletion
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    <p className="text-sm text-zinc-400">
+                      Deleting your account removes your profile and all of the data above after a {DELETION_GRACE_DAYS}-day grace period.
+                    </p>
+                    <AlertDialog onOpenChange={(open) => !open && setDeleteConfirmText("")}>
+                      <AlertDialogTrigger asChild>
+                        <Button className="bg-red-600 cursor-pointer hover:bg-red-500 text-black" disabled={!profile}>
+                          <Trash2 className="h-4 w-4 mr-2" /> Delete account
+                        </Button>
+                      </AlertDialogTrigger>
+                      <AlertDialogContent className="bg-zinc-950 border border-zinc-800 text-white rounded-xl">
+                        <AlertDialogHeader>
+                          <AlertDialogTitle className="text-red-300">Delete your account?</AlertDialogTitle>
+                          <AlertDialogDescription>
+                            You will be signed out now and your account will be permanently deleted in {DELETION_GRACE_DAYS} days.
+                            Sign in before then to cancel. Type <span className="font-semibold text-emerald-400">{profile?.email}</span> to confirm.
+                          </AlertDialogDescription>
+                        </AlertDialogHeader>
+                        <Input
+                          value={deleteConfirmText}
+                          onChange={(e) => setDeleteConfirmText(e.target.value)}
+                          placeholder={profile?.email}
+                          className="bg-zinc-800 text-emerald-100 border-zinc-700"
+                        />
+                        <AlertDialogFooter>
+                          <AlertDialogCancel className="bg-zinc-800 text-zinc-200 hover:bg-zinc-700 cursor-pointer">Cancel</AlertDialogCancel>
+                          <AlertDialogAction
+                            onClick={requestDeletion}
+                            className="bg-red-600 hover:bg-red-500 text-black cursor-pointer"
+                            disabled={updatingDeletion || deleteConfirmText.trim().toLowerCase() !== (profile?.email || "").toLowerCase()}
+                          >
+                            {updatingDeletion ? "Processing..." : "Delete account"}
+                          </AlertDialogAction>
+                        </AlertDialogFooter>
+                      </AlertDialogContent>
+                    </AlertDialog>
+                  </>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        </motion.div>
+
         {/* footer tip */}
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.08 }}>
           <p className="text-sm text-zinc-400">Tip: Use a unique long password and enable MFA for better security.</p>
@@ -5,6 +5,7 @@
 /* eslint-disable jsx-a11y/no-noninteractive-element-interactions */
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "../lib/supabaseClient";
+import { useAuth } from "../hooks/useAuth";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
@@ -197,7 +198,8 @@ function burstConfetti(x = window.innerWidth / 2, y = window.innerHeight / 2) {
 // ---------------------------- Component -------------------------------------
 export default function TaskManagerPage() {
   // core state
-  const [userId, setUserId] = useState(null);
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(false);
 
@@ -231,20 +233,8 @@ export default function TaskManagerPage() {
   });
 
   useEffect(() => {
-    (async () => {
-      const {
-        data: { user },
-        error,
-      } = await supabase.auth.getUser();
-      if (error) {
-        console.error("getUser", error);
-        return;
-      }
-      const uid = user?.id || null;
-      setUserId(uid);
-      if (uid) fetchTasks(uid);
-    })();
-  }, []);
+    if (userId) fetchTasks(userId);
+  }, [userId]);
 
   async function fetchTasks(uid) {
     setLoading(true);
@@ -0,0 +1,154 @@
+-- Account deletion purge
+-- Students schedule deletion from their settings page (profiles.deletion_scheduled_for,
+-- 14 days out; profiles_schedule_deletion fixes the date so the grace period can't be
+-- shortened). This removes the account once that date has passed:
+--   * purge_due_account_deletions() runs daily from pg_cron
+--   * purge_account(id) lets an admin run the purge from the Users page, never before the date
+-- The student's own rows are deleted explicitly before the profile and auth user go.
+-- audit_log (lib/audit) keeps who did what; the purge writes its own row there.
+
+create extension if not exists pg_cron;
+
+alter table public.profiles add column if not exists deletion_requested_at timestamptz;
+alter table public.profiles add column if not exists deletion_scheduled_for timestamptz;
+
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid references public.profiles (id) on delete set null,
+  action text not null,
+  entity_type text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_entity_idx on public.audit_log (entity_type, entity_id);
+
+alter table public.audit_log enable row level security;
+drop policy if exists "audit_log admins read" on public.audit_log;
+create policy "audit_log admins read" on public.audit_log
+  for select to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+drop policy if exists "audit_log insert own actions" on public.audit_log;
+create policy "audit_log insert own actions" on public.audit_log
+  for insert to authenticated
+  with check (actor_id = auth.uid());
+
+-- a new request always gets the full grace period, whatever date the client sent
+create or replace function public.profiles_schedule_deletion()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deletion_requested_at is null then
+    new.deletion_scheduled_for := null;
+  elsif tg_op = 'INSERT' or old.deletion_requested_at is null then
+    new.deletion_requested_at := now();
+    new.deletion_scheduled_for := now() + interval '14 days';
+  else
+    new.deletion_requested_at := old.deletion_requested_at;
+    new.deletion_scheduled_for := old.deletion_scheduled_for;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_schedule_deletion on public.profiles;
+create trigger profiles_schedule_deletion
+before insert or update of deletion_requested_at, deletion_scheduled_for on public.profiles
+for each row execute function public.profiles_schedule_deletion();
+
+create or replace function public.purge_account(target uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  scheduled timestamptz;
+begin
+  -- cron runs without a JWT; anyone else must be an admin
+  if auth.uid() is not null and not exists (
+    select 1 from profiles where id = auth.uid() and role = 'admin'
+  ) then
+    raise exception 'Only admins can purge accounts' using errcode = '42501';
+  end if;
+
+  select deletion_scheduled_for into scheduled from profiles where id = target for update;
+  if scheduled is null then
+    raise exception 'Account % is not scheduled for deletion', target using errcode = 'P0002';
+  end if;
+  if scheduled > now() then
+    raise exception 'Account % can''t be deleted before %', target, to_char(scheduled, 'YYYY-MM-DD')
+      using errcode = '42501';
+  end if;
+
+  insert into audit_log (actor_id, action, entity_type, entity_id, before, after)
+  values (
+    auth.uid(),
+    'user.purged',
+    'profile',
+    target::text,
+    jsonb_build_object('deletion_scheduled_for', scheduled),
+    null
+  );
+
+  -- everything lib/dataExport hands the student, plus their requests, reads and replies
+  delete from submission_versions where student_id = target;
+  delete from submissions where student_id = target;
+  delete from module_submissions where student_id = target;
+  delete from quiz_scores where student_id = target;
+  delete from attendance where student_id = target;
+  delete from notes where student_id = target;
+  delete from student_tasks where created_by = target;
+  delete from student_links where student_id = target;
+  delete from student_badges where student_id = target;
+  delete from student_progress where student_id = target;
+  delete from announcement_reads where student_id = target;
+  delete from deadline_extensions where student_id = target;
+  delete from link_clicks where user_id = target;
+  delete from link_votes where user_id = target;
+  delete from discussion_replies
+  where user_id = target or discussion_id in (select id from discussions where student_id = target);
+  delete from discussions where student_id = target;
+  delete from calendar_events where created_by = target;
+  delete from guardian_students where student_id = target or guardian_id = target;
+  delete from enrollment_requests where student_id = target;
+  delete from enrollments where student_id = target;
+  update roster_invites set claimed_by = null where claimed_by = target;
+
+  delete from profiles where id = target;
+  delete from auth.users where id = target;
+end;
+$$;
+
+create or replace function public.purge_due_account_deletions()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  due record;
+  purged integer := 0;
+begin
+  for due in
+    select id from profiles where deletion_scheduled_for is not null and deletion_scheduled_for <= now()
+  loop
+    perform public.purge_account(due.id);
+    purged := purged + 1;
+  end loop;
+  return purged;
+end;
+$$;
+
+revoke all on function public.purge_account(uuid) from public, anon;
+grant execute on function public.purge_account(uuid) to authenticated;
+revoke all on function public.purge_due_account_deletions() from public, anon, authenticated;
+
+select cron.schedule(
+  'purge-account-deletions',
+  '15 3 * * *',
+  $$select public.purge_due_account_deletions()$$
+);
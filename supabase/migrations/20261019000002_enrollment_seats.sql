@@ -0,0 +1,502 @@
+-- Enrollment seats and waitlist
+-- Seats are allocated in the database so capacity holds under concurrent requests and the
+-- waitlist moves no matter who frees a seat:
+--   * enroll_student(course, section)        — a student's enroll click (lib/enrollment requestEnrollment)
+--   * decide_enrollment_request(id, ...)     — staff approve / reject (lib/enrollment decideEnrollmentRequest)
+--   * promote_waitlist(course)               — fills free seats from the waitlist; runs from triggers
+--     after any enrollment delete and after a course's capacity is raised
+-- Every path that counts seats first locks the course row, so two students can't both take
+-- the last seat, and all of them count seats with free_seats: in approval courses a pending
+-- request holds its seat until it is decided.
+-- Students can't insert enrollments themselves (enrollments_require_rpc); staff with the
+-- course's "edit" permission still can, e.g. the roster import.
+
+-- ---------------------------------------------------------------------------
+-- Tables and columns
+-- ---------------------------------------------------------------------------
+
+alter table public.courses add column if not exists code text;
+alter table public.courses add column if not exists archived_at timestamptz;
+alter table public.courses add column if not exists enrollment_mode text not null default 'open';
+alter table public.courses add column if not exists capacity integer;
+alter table public.courses add column if not exists enrollment_opens_at timestamptz;
+alter table public.courses add column if not exists enrollment_closes_at timestamptz;
+alter table public.courses drop constraint if exists courses_enrollment_mode_check;
+alter table public.courses
+  add constraint courses_enrollment_mode_check check (enrollment_mode in ('open', 'approval', 'invite'));
+alter table public.courses drop constraint if exists courses_capacity_check;
+alter table public.courses add constraint courses_capacity_check check (capacity is null or capacity >= 0);
+
+-- lib/courseStaff
+create table if not exists public.course_staff (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses (id) on delete cascade,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  role text check (role in ('lead', 'co_instructor', 'ta')),
+  created_at timestamptz not null default now(),
+  unique (course_id, user_id)
+);
+
+-- lib/sections
+create table if not exists public.course_sections (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses (id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now(),
+  unique (course_id, name)
+);
+alter table public.enrollments
+  add column if not exists section_id uuid references public.course_sections (id) on delete set null;
+
+-- lib/catalog
+create table if not exists public.course_prerequisites (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses (id) on delete cascade,
+  prerequisite_id uuid not null references public.courses (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (course_id, prerequisite_id),
+  check (course_id <> prerequisite_id)
+);
+
+-- lib/roster: emails imported before they had an account; claimed on first sign-in
+create table if not exists public.roster_invites (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  full_name text,
+  roll_number text,
+  course_ids uuid[] not null default '{}',
+  invited_by uuid references public.profiles (id) on delete set null,
+  invited_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  claimed_by uuid references public.profiles (id) on delete set null
+);
+
+-- lib/enrollment
+create table if not exists public.enrollment_requests (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses (id) on delete cascade,
+  student_id uuid not null references public.profiles (id) on delete cascade,
+  section_id uuid references public.course_sections (id) on delete set null,
+  status text not null default 'pending' check (status in ('pending', 'waitlisted', 'approved', 'rejected')),
+  decided_by uuid references public.profiles (id) on delete set null,
+  decided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+-- one open request per student and course
+create unique index if not exists enrollment_requests_open_key
+  on public.enrollment_requests (course_id, student_id)
+  where status in ('pending', 'waitlisted');
+
+-- ---------------------------------------------------------------------------
+-- Helpers
+-- ---------------------------------------------------------------------------
+
+-- lib/courseStaff permissions, for checks inside security definer functions and policies
+create or replace function public.has_course_permission(p_course uuid, p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role = 'admin')
+    or exists (select 1 from courses where id = p_course and created_by = auth.uid())
+    or exists (
+      select 1
+      from course_staff
+      where course_id = p_course
+        and user_id = auth.uid()
+        and p_permission = any (
+          case coalesce(role, 'co_instructor')
+            when 'lead' then array['edit', 'staff', 'grade', 'reply', 'attendance', 'announce']
+            when 'co_instructor' then array['edit', 'grade', 'reply', 'attendance', 'announce']
+            when 'ta' then array['grade', 'reply', 'attendance']
+            else array[]::text[]
+          end
+        )
+    );
+$$;
+
+-- lib/catalog checkPrerequisites: "Complete CS101, CS102 first", or null when allowed
+create or replace function public.prerequisite_block_reason(p_course uuid, p_student uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select 'Complete ' || string_agg(coalesce(p.code, p.title), ', ' order by coalesce(p.code, p.title)) || ' first'
+  from course_prerequisites cp
+  join courses p on p.id = cp.prerequisite_id
+  where cp.course_id = p_course
+    and not exists (
+      select 1
+      from enrollments e
+      join courses done on done.id = e.course_id
+      where e.student_id = p_student
+        and done.archived_at is not null
+        and (done.id = p.id or (p.code is not null and done.code = p.code))
+    );
+$$;
+
+-- Seats still free (null = unlimited; 0 or less = full): capacity minus enrollments, minus the
+-- pending requests an approval course holds seats for. The caller must hold the course row lock.
+create or replace function public.free_seats(p_course uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when c.capacity is null then null
+    else (
+      c.capacity
+      - (select count(*) from enrollments where course_id = c.id)
+      - case
+          when c.enrollment_mode = 'approval'
+            then (select count(*) from enrollment_requests where course_id = c.id and status = 'pending')
+          else 0
+        end
+    )::integer
+  end
+  from courses c
+  where c.id = p_course;
+$$;
+
+-- null, or why a section can't be used for the course
+create or replace function public.section_block_reason(p_course uuid, p_section uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p_section is null then null
+    when exists (select 1 from course_sections where id = p_section and course_id = p_course) then null
+    else 'That section doesn''t belong to this course'
+  end;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Enrolling
+-- ---------------------------------------------------------------------------
+
+-- enroll_student
+-- Returns 'enrolled' | 'pending' | 'waitlisted' for the signed-in student; a student with an
+-- open request gets its status back instead of a second request.
+create or replace function public.enroll_student(p_course uuid, p_section uuid default null)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c courses%rowtype;
+  student uuid := auth.uid();
+  blocked text;
+  open_status text;
+  outcome text;
+begin
+  if student is null then
+    raise exception 'Sign in to enroll' using errcode = '42501';
+  end if;
+
+  select * into c from courses where id = p_course for update;
+  if not found then
+    raise exception 'Course not found' using errcode = 'P0002';
+  end if;
+
+  if c.archived_at is not null then
+    raise exception 'Course archived';
+  end if;
+  if c.enrollment_mode = 'invite' then
+    raise exception 'Invite only';
+  end if;
+  if c.enrollment_opens_at is not null and now() < c.enrollment_opens_at then
+    raise exception 'Opens %', to_char(c.enrollment_opens_at, 'YYYY-MM-DD');
+  end if;
+  if c.enrollment_closes_at is not null and now() > c.enrollment_closes_at then
+    raise exception 'Enrollment closed';
+  end if;
+  blocked := coalesce(section_block_reason(p_course, p_section), prerequisite_block_reason(p_course, student));
+  if blocked is not null then
+    raise exception '%', blocked;
+  end if;
+
+  if exists (select 1 from enrollments where course_id = p_course and student_id = student) then
+    return 'enrolled';
+  end if;
+  select status into open_status
+  from enrollment_requests
+  where course_id = p_course and student_id = student and status in ('pending', 'waitlisted');
+  if found then
+    return open_status;
+  end if;
+
+  if coalesce(free_seats(p_course), 1) <= 0 then
+    outcome := 'waitlisted';
+  elsif c.enrollment_mode = 'approval' then
+    outcome := 'pending';
+  else
+    insert into enrollments (course_id, student_id, section_id) values (p_course, student, p_section);
+    return 'enrolled';
+  end if;
+
+  insert into enrollment_requests (course_id, student_id, section_id, status)
+  values (p_course, student, p_section, outcome);
+  return outcome;
+end;
+$$;
+
+-- decide_enrollment_request
+-- Staff with the course's "edit" permission approve (seat permitting unless p_force) or reject
+-- an open request. A pending request already holds its seat. Returns the updated request.
+create or replace function public.decide_enrollment_request(
+  p_request uuid,
+  p_decision text,
+  p_force boolean default false
+)
+returns enrollment_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  req enrollment_requests%rowtype;
+begin
+  select * into req from enrollment_requests where id = p_request for update;
+  if not found then
+    raise exception 'Request not found' using errcode = 'P0002';
+  end if;
+  if not has_course_permission(req.course_id, 'edit') then
+    raise exception 'Not allowed to decide requests for this course' using errcode = '42501';
+  end if;
+  if p_decision not in ('approve', 'reject') then
+    raise exception 'Unknown decision %', p_decision;
+  end if;
+  if req.status not in ('pending', 'waitlisted') then
+    raise exception 'This request was already %', req.status;
+  end if;
+
+  if p_decision = 'approve' then
+    perform 1 from courses where id = req.course_id for update;
+    if not p_force
+      and coalesce(free_seats(req.course_id), 1) + (case when req.status = 'pending' then 1 else 0 end) <= 0 then
+      raise exception 'Course is full';
+    end if;
+    insert into enrollments (course_id, student_id, section_id)
+    values (req.course_id, req.student_id, req.section_id)
+    on conflict do nothing;
+  end if;
+
+  update enrollment_requests
+  set status = case when p_decision = 'approve' then 'approved' else 'rejected' end,
+      decided_by = auth.uid(),
+      decided_at = now()
+  where id = p_request
+  returning * into req;
+  return req;
+end;
+$$;
+
+-- promote_waitlist
+-- Oldest waitlisted requests first: enrolled directly in open courses, moved to "pending"
+-- for staff review in approval courses (where that pending request then holds the seat).
+create or replace function public.promote_waitlist(p_course uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c courses%rowtype;
+  free integer;
+  next_req enrollment_requests%rowtype;
+  promoted integer := 0;
+begin
+  select * into c from courses where id = p_course for update;
+  if not found or c.archived_at is not null then
+    return 0;
+  end if;
+
+  free := free_seats(p_course);
+  while free is null or free > 0 loop
+    select * into next_req
+    from enrollment_requests
+    where course_id = p_course and status = 'waitlisted'
+    order by created_at
+    limit 1
+    for update skip locked;
+    exit when not found;
+
+    if c.enrollment_mode = 'approval' then
+      update enrollment_requests set status = 'pending' where id = next_req.id;
+    else
+      insert into enrollments (course_id, student_id, section_id)
+      values (p_course, next_req.student_id, next_req.section_id)
+      on conflict do nothing;
+      update enrollment_requests
+      set status = 'approved', decided_at = now()
+      where id = next_req.id;
+    end if;
+
+    promoted := promoted + 1;
+    free := case when free is null then null else free - 1 end;
+  end loop;
+  return promoted;
+end;
+$$;
+
+create or replace function public.promote_waitlist_after_unenroll()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform promote_waitlist(old.course_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists enrollments_promote_waitlist on enrollments;
+create trigger enrollments_promote_waitlist
+after delete on enrollments
+for each row execute function public.promote_waitlist_after_unenroll();
+
+create or replace function public.promote_waitlist_after_capacity_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.capacity is null or new.capacity > coalesce(old.capacity, 0) then
+    perform promote_waitlist(new.id);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists courses_promote_waitlist on courses;
+create trigger courses_promote_waitlist
+after update of capacity on courses
+for each row
+when (old.capacity is distinct from new.capacity)
+execute function public.promote_waitlist_after_capacity_change();
+
+-- whether the signed-in user has an unclaimed roster invite (lib/roster) listing the course
+create or replace function public.has_roster_invite(p_course uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from roster_invites
+    where lower(email) = lower(auth.jwt() ->> 'email') and claimed_at is null and p_course = any (course_ids)
+  );
+$$;
+
+-- Browser requests (authenticated / anon) may only write enrollments as course staff, or as
+-- a student claiming a roster invite for the course (lib/roster claimRosterInvite). Everyone
+-- else enrolls through enroll_student / redeem_join_code, which run as their owner and pass.
+create or replace function public.enrollments_require_rpc()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('authenticated', 'anon') then
+    return new;
+  end if;
+  if has_course_permission(new.course_id, 'edit') then
+    return new;
+  end if;
+  if tg_op = 'INSERT' and new.student_id = auth.uid() and new.section_id is null
+    and has_roster_invite(new.course_id) then
+    return new;
+  end if;
+  raise exception 'Enroll from the course page' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists enrollments_require_rpc on enrollments;
+create trigger enrollments_require_rpc
+before insert or update on enrollments
+for each row execute function public.enrollments_require_rpc();
+
+-- ---------------------------------------------------------------------------
+-- Row level security
+-- ---------------------------------------------------------------------------
+
+alter table public.course_staff enable row level security;
+drop policy if exists "course_staff read" on public.course_staff;
+create policy "course_staff read" on public.course_staff
+  for select to authenticated using (true);
+drop policy if exists "course_staff managed by staff permission" on public.course_staff;
+create policy "course_staff managed by staff permission" on public.course_staff
+  for all to authenticated
+  using (has_course_permission(course_id, 'staff'))
+  with check (has_course_permission(course_id, 'staff'));
+
+alter table public.course_sections enable row level security;
+drop policy if exists "course_sections read" on public.course_sections;
+create policy "course_sections read" on public.course_sections
+  for select to authenticated using (true);
+drop policy if exists "course_sections managed by editors" on public.course_sections;
+create policy "course_sections managed by editors" on public.course_sections
+  for all to authenticated
+  using (has_course_permission(course_id, 'edit'))
+  with check (has_course_permission(course_id, 'edit'));
+
+alter table public.course_prerequisites enable row level security;
+drop policy if exists "course_prerequisites read" on public.course_prerequisites;
+create policy "course_prerequisites read" on public.course_prerequisites
+  for select to authenticated using (true);
+drop policy if exists "course_prerequisites managed by editors" on public.course_prerequisites;
+create policy "course_prerequisites managed by editors" on public.course_prerequisites
+  for all to authenticated
+  using (has_course_permission(course_id, 'edit'))
+  with check (has_course_permission(course_id, 'edit'));
+
+-- staff write invites from the roster import; the invited user reads and claims their own
+alter table public.roster_invites enable row level security;
+drop policy if exists "roster_invites managed by staff" on public.roster_invites;
+create policy "roster_invites managed by staff" on public.roster_invites
+  for all to authenticated
+  using (exists (select 1 from profiles where id = auth.uid() and role in ('admin', 'instructor')))
+  with check (exists (select 1 from profiles where id = auth.uid() and role in ('admin', 'instructor')));
+drop policy if exists "roster_invites claim own" on public.roster_invites;
+create policy "roster_invites claim own" on public.roster_invites
+  for select to authenticated
+  using (lower(email) = lower(auth.jwt() ->> 'email'));
+drop policy if exists "roster_invites mark own claimed" on public.roster_invites;
+create policy "roster_invites mark own claimed" on public.roster_invites
+  for update to authenticated
+  using (lower(email) = lower(auth.jwt() ->> 'email') and claimed_at is null)
+  with check (claimed_by = auth.uid() and claimed_at is not null);
+
+-- requests are created and decided by the functions above; students may withdraw open ones
+alter table public.enrollment_requests enable row level security;
+drop policy if exists "enrollment_requests read own or as editor" on public.enrollment_requests;
+create policy "enrollment_requests read own or as editor" on public.enrollment_requests
+  for select to authenticated
+  using (student_id = auth.uid() or has_course_permission(course_id, 'edit'));
+drop policy if exists "enrollment_requests withdraw own" on public.enrollment_requests;
+create policy "enrollment_requests withdraw own" on public.enrollment_requests
+  for delete to authenticated
+  using (student_id = auth.uid() and status in ('pending', 'waitlisted'));
+
+revoke all on function public.free_seats(uuid) from public, anon, authenticated;
+revoke all on function public.has_roster_invite(uuid) from public, anon;
+grant execute on function public.has_roster_invite(uuid) to authenticated;
+revoke all on function public.promote_waitlist(uuid) from public, anon, authenticated;
+revoke all on function public.enroll_student(uuid, uuid) from public, anon;
+revoke all on function public.decide_enrollment_request(uuid, text, boolean) from public, anon;
+grant execute on function public.enroll_student(uuid, uuid) to authenticated;
+grant execute on function public.decide_enrollment_request(uuid, text, boolean) to authenticated;
+grant execute on function public.has_course_permission(uuid, text) to authenticated;
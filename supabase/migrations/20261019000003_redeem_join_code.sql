@@ -0,0 +1,98 @@
+-- Join code redemption (lib/joinCodes redeemJoinCode)
+-- A join code is a staff invitation: it skips the approval / invite-only mode and the
+-- enrollment window, but not the archive, prerequisites or capacity (full courses waitlist).
+-- The code row is locked while it is checked, so use_count never passes max_uses, and seats
+-- are counted under the course lock like enroll_student (20261019000002_enrollment_seats.sql).
+-- A student who already has an open request gets its status back; the code isn't counted again.
+-- Returns { status: 'enrolled' | 'already' | 'pending' | 'waitlisted', course: { id, title } }.
+
+-- lib/joinCodes; staff with the course's "edit" permission manage codes, students only redeem
+create table if not exists public.course_join_codes (
+  id uuid primary key default gen_random_uuid(),
+  course_id uuid not null references public.courses (id) on delete cascade,
+  section_id uuid references public.course_sections (id) on delete cascade,
+  code text not null unique,
+  expires_at timestamptz,
+  max_uses integer check (max_uses is null or max_uses > 0),
+  use_count integer not null default 0,
+  revoked_at timestamptz,
+  created_by uuid references public.profiles (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.course_join_codes enable row level security;
+drop policy if exists "course_join_codes managed by editors" on public.course_join_codes;
+create policy "course_join_codes managed by editors" on public.course_join_codes
+  for all to authenticated
+  using (has_course_permission(course_id, 'edit'))
+  with check (has_course_permission(course_id, 'edit') and section_block_reason(course_id, section_id) is null);
+
+create or replace function public.redeem_join_code(p_code text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  jc course_join_codes%rowtype;
+  c courses%rowtype;
+  student uuid := auth.uid();
+  blocked text;
+  open_status text;
+  outcome text;
+begin
+  if student is null then
+    raise exception 'Sign in to join a course' using errcode = '42501';
+  end if;
+
+  select * into jc from course_join_codes where code = upper(trim(p_code)) for update;
+  if not found then
+    raise exception 'This join code doesn''t exist.';
+  end if;
+  if jc.revoked_at is not null then
+    raise exception 'This join code has been replaced or revoked.';
+  end if;
+  if jc.expires_at is not null and now() > jc.expires_at then
+    raise exception 'This join code has expired.';
+  end if;
+  if jc.max_uses is not null and coalesce(jc.use_count, 0) >= jc.max_uses then
+    raise exception 'This join code has reached its usage limit.';
+  end if;
+
+  select * into c from courses where id = jc.course_id for update;
+  if c.archived_at is not null then
+    raise exception 'This course has been archived and no longer accepts students.';
+  end if;
+
+  if exists (select 1 from enrollments where course_id = c.id and student_id = student) then
+    return jsonb_build_object('status', 'already', 'course', jsonb_build_object('id', c.id, 'title', c.title));
+  end if;
+  select status into open_status
+  from enrollment_requests
+  where course_id = c.id and student_id = student and status in ('pending', 'waitlisted');
+  if found then
+    return jsonb_build_object('status', open_status, 'course', jsonb_build_object('id', c.id, 'title', c.title));
+  end if;
+
+  blocked := prerequisite_block_reason(c.id, student);
+  if blocked is not null then
+    raise exception '%', blocked;
+  end if;
+
+  if coalesce(free_seats(c.id), 1) <= 0 then
+    insert into enrollment_requests (course_id, student_id, section_id, status)
+    values (c.id, student, jc.section_id, 'waitlisted');
+    outcome := 'waitlisted';
+  else
+    insert into enrollments (course_id, student_id, section_id) values (c.id, student, jc.section_id);
+    outcome := 'enrolled';
+  end if;
+
+  update course_join_codes set use_count = coalesce(use_count, 0) + 1 where id = jc.id;
+
+  return jsonb_build_object('status', outcome, 'course', jsonb_build_object('id', c.id, 'title', c.title));
+end;
+$$;
+
+revoke all on function public.redeem_join_code(text) from public, anon;
+grant execute on function public.redeem_join_code(text) to authenticated;
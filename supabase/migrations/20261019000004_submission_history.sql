@@ -0,0 +1,147 @@
+-- Submission history
+-- Every save of a student's work is kept in submission_versions and counted in
+-- submissions.version (lib/submissionVersions). The database does the counting:
+--   * submissions_count_version raises once assignments.max_resubmissions is used up and
+--     otherwise bumps the version whenever the work (link, note, files) changes; grading
+--     updates leave it alone and clients can't set it themselves
+--   * submissions_record_version stores the new state as a submission_versions row in the
+--     same transaction, after keeping a pre-versioning submission as version 1
+-- Once a student has resubmitted (submissions.version > 1) their submission and its
+-- submission_versions rows stay: deleting them would lose the history staff review and reset
+-- the count that max_resubmissions is checked against. Students may still delete a first
+-- submission; staff deletes are not restricted here.
+
+alter table public.assignments add column if not exists max_resubmissions integer
+  check (max_resubmissions >= 0);
+alter table public.submissions add column if not exists version integer not null default 1;
+
+create table if not exists public.submission_versions (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.submissions(id) on delete cascade,
+  assignment_id uuid not null references public.assignments(id) on delete cascade,
+  student_id uuid not null references public.profiles(id) on delete cascade,
+  version integer not null,
+  file_url text,
+  note text,
+  attachments jsonb not null default '[]'::jsonb,
+  submitted_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (submission_id, version)
+);
+
+create index if not exists submission_versions_student_idx on public.submission_versions (student_id);
+
+create or replace function public.count_submission_version()
+returns trigger
+language plpgsql
+as $$
+declare
+  max_resubmissions integer;
+begin
+  if tg_op = 'INSERT' then
+    new.version := 1;
+    return new;
+  end if;
+
+  new.version := coalesce(old.version, 1);
+  if new.file_url is not distinct from old.file_url
+    and new.note is not distinct from old.note
+    and new.attachments is not distinct from old.attachments then
+    return new;
+  end if;
+
+  select a.max_resubmissions into max_resubmissions from assignments a where a.id = new.assignment_id;
+  if max_resubmissions is not null and new.version - 1 >= max_resubmissions then
+    raise exception 'You have used all resubmissions for this assignment' using errcode = '42501';
+  end if;
+  new.version := new.version + 1;
+  return new;
+end;
+$$;
+
+drop trigger if exists submissions_count_version on submissions;
+create trigger submissions_count_version
+before insert or update on submissions
+for each row execute function public.count_submission_version();
+
+create or replace function public.record_submission_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' then
+    if new.version = old.version then
+      return null;
+    end if;
+    -- submitted before versioning: keep what was there as the version it replaced
+    if not exists (select 1 from submission_versions where submission_id = old.id) then
+      insert into submission_versions (submission_id, assignment_id, student_id, version, file_url, note, attachments, submitted_at)
+      values (old.id, old.assignment_id, old.student_id, old.version, old.file_url, old.note, coalesce(old.attachments, '[]'::jsonb), old.submitted_at)
+      on conflict (submission_id, version) do nothing;
+    end if;
+  end if;
+
+  insert into submission_versions (submission_id, assignment_id, student_id, version, file_url, note, attachments, submitted_at)
+  values (new.id, new.assignment_id, new.student_id, new.version, new.file_url, new.note, coalesce(new.attachments, '[]'::jsonb), new.submitted_at)
+  on conflict (submission_id, version) do nothing;
+  return null;
+end;
+$$;
+
+drop trigger if exists submissions_record_version on submissions;
+create trigger submissions_record_version
+after insert or update on submissions
+for each row execute function public.record_submission_version();
+
+create or replace function public.keep_resubmitted_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  resubmitted boolean;
+begin
+  if auth.uid() is null or auth.uid() <> old.student_id then
+    return old;
+  end if;
+
+  if tg_table_name = 'submissions' then
+    resubmitted := coalesce(old.version, 1) > 1;
+  else
+    select coalesce(version, 1) > 1 into resubmitted from submissions where id = old.submission_id;
+  end if;
+
+  if coalesce(resubmitted, false) then
+    raise exception 'Resubmitted – this submission can''t be deleted' using errcode = '42501';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists submissions_keep_history on submissions;
+create trigger submissions_keep_history
+before delete on submissions
+for each row execute function public.keep_resubmitted_history();
+
+drop trigger if exists submission_versions_keep_history on submission_versions;
+create trigger submission_versions_keep_history
+before delete on submission_versions
+for each row execute function public.keep_resubmitted_history();
+
+-- rows are only written by submissions_record_version; students read their own history,
+-- course staff who grade read the course's
+alter table public.submission_versions enable row level security;
+
+drop policy if exists "submission_versions read" on public.submission_versions;
+create policy "submission_versions read" on public.submission_versions
+for select to authenticated
+using (
+  student_id = auth.uid()
+  or has_course_permission((select a.course_id from assignments a where a.id = assignment_id), 'grade')
+);
+
+revoke all on function public.record_submission_version() from public, anon, authenticated;
+revoke all on function public.keep_resubmitted_history() from public, anon, authenticated;
@@ -0,0 +1,215 @@
+-- Account administration (Users page)
+-- Role changes, deactivation and forced password resets go through admin-only functions:
+--   * admin_set_role(user, role)
+--   * admin_set_deactivated(user, deactivated) — also bans the auth user and ends their
+--     sessions, so a deactivated account loses API access, not just the React routes
+--   * admin_require_password_reset(user)       — ends their sessions; the flag clears itself
+--     once the user sets a new password (auth.users trigger below)
+-- Each writes its own audit_log row. profiles_guard_admin_columns keeps users from changing
+-- role, deactivated_at or password_reset_required on their own profile.
+
+alter table public.profiles add column if not exists deactivated_at timestamptz;
+alter table public.profiles add column if not exists password_reset_required boolean not null default false;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+$$;
+
+-- Requests from the browser run as authenticated / anon: they may only create active student
+-- profiles and never change the admin-managed columns. Security definer functions run as
+-- their owner and pass.
+create or replace function public.profiles_guard_admin_columns()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('authenticated', 'anon') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if coalesce(new.role, 'student') <> 'student' or new.deactivated_at is not null or new.password_reset_required then
+      raise exception 'New profiles start as active students' using errcode = '42501';
+    end if;
+    return new;
+  end if;
+
+  if new.role is distinct from old.role
+    or new.deactivated_at is distinct from old.deactivated_at
+    or new.password_reset_required is distinct from old.password_reset_required then
+    raise exception 'Role and account status can only be changed by an admin' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_admin_columns on public.profiles;
+create trigger profiles_guard_admin_columns
+before insert or update on public.profiles
+for each row execute function public.profiles_guard_admin_columns();
+
+-- caller check, no self-changes and the row lock shared by the admin_* functions
+create or replace function public.admin_target_profile(p_user uuid)
+returns profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target profiles%rowtype;
+begin
+  if not is_admin() then
+    raise exception 'Only admins can manage accounts' using errcode = '42501';
+  end if;
+  if p_user = auth.uid() then
+    raise exception 'You can''t change your own account here' using errcode = '42501';
+  end if;
+  select * into target from profiles where id = p_user for update;
+  if not found then
+    raise exception 'User not found' using errcode = 'P0002';
+  end if;
+  return target;
+end;
+$$;
+
+create or replace function public.end_user_sessions(p_user uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from auth.refresh_tokens where user_id = p_user::text;
+  delete from auth.sessions where user_id = p_user;
+$$;
+
+create or replace function public.admin_set_role(p_user uuid, p_role text)
+returns profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  before profiles%rowtype;
+  target profiles%rowtype;
+begin
+  -- lib/roles ALL_ROLES
+  if p_role not in ('student', 'guardian', 'instructor', 'admin') then
+    raise exception 'Unknown role %', p_role;
+  end if;
+  before := admin_target_profile(p_user);
+
+  update profiles set role = p_role where id = p_user returning * into target;
+  insert into audit_log (actor_id, action, entity_type, entity_id, before, after)
+  values (
+    auth.uid(),
+    'user.role_changed',
+    'profile',
+    p_user::text,
+    jsonb_build_object('role', before.role),
+    jsonb_build_object('role', p_role)
+  );
+  return target;
+end;
+$$;
+
+create or replace function public.admin_set_deactivated(p_user uuid, p_deactivated boolean)
+returns profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  before profiles%rowtype;
+  target profiles%rowtype;
+begin
+  before := admin_target_profile(p_user);
+
+  update profiles
+  set deactivated_at = case when p_deactivated then now() end
+  where id = p_user
+  returning * into target;
+
+  update auth.users
+  set banned_until = case when p_deactivated then 'infinity'::timestamptz end
+  where id = p_user;
+  if p_deactivated then
+    perform end_user_sessions(p_user);
+  end if;
+
+  insert into audit_log (actor_id, action, entity_type, entity_id, before, after)
+  values (
+    auth.uid(),
+    case when p_deactivated then 'user.deactivated' else 'user.reactivated' end,
+    'profile',
+    p_user::text,
+    jsonb_build_object('deactivated_at', before.deactivated_at),
+    jsonb_build_object('deactivated_at', target.deactivated_at)
+  );
+  return target;
+end;
+$$;
+
+create or replace function public.admin_require_password_reset(p_user uuid)
+returns profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  before profiles%rowtype;
+  target profiles%rowtype;
+begin
+  before := admin_target_profile(p_user);
+
+  update profiles set password_reset_required = true where id = p_user returning * into target;
+  perform end_user_sessions(p_user);
+
+  insert into audit_log (actor_id, action, entity_type, entity_id, before, after)
+  values (
+    auth.uid(),
+    'user.password_reset_forced',
+    'profile',
+    p_user::text,
+    jsonb_build_object('password_reset_required', before.password_reset_required),
+    jsonb_build_object('password_reset_required', true)
+  );
+  return target;
+end;
+$$;
+
+-- a new password is what a forced reset asks for, so setting one clears the flag
+create or replace function public.clear_password_reset_required()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update profiles set password_reset_required = false where id = new.id and password_reset_required;
+  return null;
+end;
+$$;
+
+drop trigger if exists users_clear_password_reset on auth.users;
+create trigger users_clear_password_reset
+after update of encrypted_password on auth.users
+for each row
+when (old.encrypted_password is distinct from new.encrypted_password)
+execute function public.clear_password_reset_required();
+
+revoke all on function public.admin_target_profile(uuid) from public, anon, authenticated;
+revoke all on function public.end_user_sessions(uuid) from public, anon, authenticated;
+revoke all on function public.clear_password_reset_required() from public, anon, authenticated;
+revoke all on function public.admin_set_role(uuid, text) from public, anon;
+revoke all on function public.admin_set_deactivated(uuid, boolean) from public, anon;
+revoke all on function public.admin_require_password_reset(uuid) from public, anon;
+grant execute on function public.is_admin() to authenticated;
+grant execute on function public.admin_set_role(uuid, text) to authenticated;
+grant execute on function public.admin_set_deactivated(uuid, boolean) to authenticated;
+grant execute on function public.admin_require_password_reset(uuid) to authenticated;